@@ -1,9 +1,21 @@
 require('dotenv').config();
+const path = require('path');
+
 module.exports = {
   PORT: process.env.PORT || 4000,
   MONGO_URI: process.env.MONGO_URI,
   JWT_SECRET: process.env.JWT_SECRET || 'change_me',
   TOKEN_EXPIRY: '7d',
   SERVER_TZ: process.env.SERVER_TZ || 'UTC',
-  QUESTION_SECONDS: parseInt(process.env.QUESTION_SECONDS || '20', 10)
+  QUESTION_SECONDS: parseInt(process.env.QUESTION_SECONDS || '20', 10),
+  // days deleted folders / lessons / tests stay in the recycle bin before jobs/purgeJob.js removes them
+  RECYCLE_RETENTION_DAYS: parseInt(process.env.RECYCLE_RETENTION_DAYS || '30', 10),
+  // uploaded lesson images / audio (routes/media.js), served at /media
+  MEDIA_DIR: process.env.MEDIA_DIR || path.join(__dirname, '../media'),
+  MEDIA_MAX_BYTES: parseInt(process.env.MEDIA_MAX_BYTES || String(10 * 1024 * 1024), 10),
+  // utils/moderation.js: comma-separated terms added to the admin-managed blocklist (content is held)
+  MODERATION_BLOCKLIST_EN: process.env.MODERATION_BLOCKLIST_EN || '',
+  MODERATION_BLOCKLIST_SOM: process.env.MODERATION_BLOCKLIST_SOM || '',
+  // open reports that take a comment / story out of view until an admin reviews it
+  REPORT_HOLD_THRESHOLD: parseInt(process.env.REPORT_HOLD_THRESHOLD || '3', 10)
 };
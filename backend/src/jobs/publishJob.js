@@ -0,0 +1,31 @@
+const cron = require('node-cron');
+const Lesson = require('../models/Lesson');
+
+// publish scheduled lessons whose publishAt has passed
+async function runPublish(io) {
+  const now = new Date();
+  const due = await Lesson.find({ status: 'scheduled', publishAt: { $lte: now } }).select('_id title').lean();
+  for (const l of due) {
+    // conditional on status so a lesson unpublished in the meantime is left alone
+    const r = await Lesson.updateOne(
+      { _id: l._id, status: 'scheduled' },
+      {
+        $set: { status: 'published', isPublished: true, publishedAt: now, updatedAt: now },
+        $push: { workflowHistory: { action: 'publish', from: 'scheduled', to: 'published', by: null, at: now, note: 'scheduled' } }
+      }
+    );
+    if (r.modifiedCount && io) io.emit('lesson:published', { lessonId: l._id, title: l.title });
+  }
+  if (due.length) console.log('Published scheduled lessons:', due.length);
+}
+
+module.exports = {
+  start: (app) => {
+    const io = app.get('io');
+    // every minute
+    cron.schedule('* * * * *', () => {
+      runPublish(io).catch(console.error);
+    }, { timezone: 'UTC' });
+    app.locals.runPublish = () => runPublish(io);
+  }
+};
@@ -0,0 +1,20 @@
+const cron = require('node-cron');
+const recycleBin = require('../utils/recycleBin');
+
+// empty the lesson recycle bin of everything older than RECYCLE_RETENTION_DAYS
+async function runPurge() {
+  const r = await recycleBin.purgeExpired(new Date());
+  const legacy = r.legacy.folders + r.legacy.lessons + r.legacy.tests;
+  if (r.batches || legacy) console.log('Recycle bin purge: batches', r.batches, 'legacy items', legacy);
+  return r;
+}
+
+module.exports = {
+  start: (app) => {
+    // daily at 03:30 UTC
+    cron.schedule('30 3 * * *', () => {
+      runPurge().catch(console.error);
+    }, { timezone: 'UTC' });
+    app.locals.runPurge = () => runPurge();
+  }
+};
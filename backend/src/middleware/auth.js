@@ -88,16 +88,22 @@ async function requireAuth(req, res, next) {
     return res.status(500).json({ error: 'Authentication error' });
   }
 }
+/**
+ * True for 'admin' OR 'controller' roles (and the legacy isAdmin flag).
+ * Shared by requireAdmin and routes that only change their payload for admins.
+ */
+function isAdminUser(u) {
+  if (!u) return false;
+  const role = (u.role && String(u.role).toLowerCase()) || '';
+  return role === 'admin' || role === 'controller' || !!u.isAdmin;
+}
+
 function requireAdmin(req, res, next) {
   try {
     const u = req.user;
     if (!u) return res.status(401).json({ error: 'Authentication required' });
 
-    // Allow 'admin' OR 'controller' (and keep backward compatibility with isAdmin flag)
-    const role = (u.role && String(u.role).toLowerCase()) || '';
-    const isAdmin = role === 'admin' || role === 'controller' || !!u.isAdmin;
-
-    if (!isAdmin) return res.status(403).json({ error: 'Admins (or controllers) only' });
+    if (!isAdminUser(u)) return res.status(403).json({ error: 'Admins (or controllers) only' });
     return next();
   } catch (err) {
     console.error('[auth] requireAdmin error', err);
@@ -140,5 +146,6 @@ module.exports = {
   requireAuth,
   requireAdmin,
   optionalAuthenticate,
+  isAdminUser,
   authMiddleware: requireAuth
 };
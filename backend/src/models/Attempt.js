@@ -3,30 +3,64 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+const { QuestionSchema } = require('./QuestionSchema');
+
 /**
  * Attempt - records a user's attempt on a test.
  * We store per-question evaluation results so server is authoritative.
+ * The question set is fixed when the attempt starts: questionIds holds the order for
+ * fixed tests, questions holds a copy of what was drawn for bank-mode tests.
  */
 
 const AnswerSchema = new Schema({
   questionId: { type: String, required: true },
   selectedOptionId: { type: String, default: null },
+  selectedOptionIds: { type: [String], default: undefined }, // multi
+  value: { type: String, default: null },                    // numeric / text
+  order: { type: [String], default: undefined },             // ordering
   correct: { type: Boolean, default: false },
+  credit: { type: Number, default: 0 },                      // 0..1 share of pointsValue earned
   points: { type: Number, default: 0 },
-  answeredAt: { type: Date, default: Date.now },
-  timedOut: { type: Boolean, default: false },        // true if user did not select before timer
+  servedAt: { type: Date, default: null },            // when the server handed this question out
+  answeredAt: { type: Date, default: Date.now },      // server time the answer was recorded
+  timedOut: { type: Boolean, default: false },        // true if no answer arrived inside the question window
   skippedAlreadyScored: { type: Boolean, default: false } // true if we skipped scoring because user previously answered that question correctly (prevents double-counting)
 }, { _id: false });
 
+// one entry per question the server has served on this attempt (the timer starts here)
+const ServedSchema = new Schema({
+  questionId: { type: String, required: true },
+  servedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 const AttemptSchema = new Schema({
   testId: { type: Schema.Types.ObjectId, ref: 'Test', required: true },
   userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
   startedAt: { type: Date, default: Date.now },
   submittedAt: Date,
   score: { type: Number, default: 0 }, // total score (sum of points for this attempt)
+  percentCorrect: { type: Number, default: null }, // share of questions answered correctly (set on submit)
+  questionSeconds: { type: Number, default: null }, // time limit frozen when the attempt started
+  questionIds: { type: [String], default: [] },      // question order for this attempt (empty on older attempts => test order)
+  questions: { type: [QuestionSchema], default: undefined }, // bank mode: the drawn questions
+  served: [ServedSchema],
   answers: [AnswerSchema]
 });
 
 AttemptSchema.index({ testId: 1, userId: 1 });
+AttemptSchema.index({ userId: 1, submittedAt: -1 });
+AttemptSchema.index({ testId: 1, score: -1 }); // item analysis score groups
+
+// the questions of an attempt, in attempt order (older attempts without a frozen set use the test's questions);
+// works with documents and lean objects
+AttemptSchema.statics.questionsFor = function(test, attempt) {
+  const key = (q) => String(q.id || q._id);
+  if (attempt.questions && attempt.questions.length) {
+    return attempt.questions.map(q => (typeof q.toObject === 'function' ? q.toObject() : q));
+  }
+  const byId = new Map(((test && test.questions) || []).map(q => [key(q), q]));
+  if (attempt.questionIds && attempt.questionIds.length) return attempt.questionIds.map(id => byId.get(String(id))).filter(Boolean);
+  return (test && test.questions) || [];
+};
 
 module.exports = mongoose.model('Attempt', AttemptSchema);
@@ -0,0 +1,42 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const { questionFields } = require('./QuestionSchema');
+
+/**
+ * BankQuestion - a reusable question in the question bank.
+ * Same shape as an embedded Test question; its id in tests and attempts is String(_id).
+ * Bank-mode tests (Test.mode = 'bank') draw from here by tags / difficulty / folder / lesson.
+ * - tags are stored lowercased and trimmed.
+ */
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const BankQuestionSchema = new Schema(Object.assign({}, questionFields, {
+  tags: { type: [String], default: [] },
+  difficulty: { type: String, enum: DIFFICULTIES, default: 'medium' },
+  folderId: { type: Schema.Types.ObjectId, ref: 'Folder', default: null },
+  lessonId: { type: Schema.Types.ObjectId, ref: 'Lesson', default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: Date,
+  authorId: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  isDeleted: { type: Boolean, default: false }
+}));
+
+BankQuestionSchema.index({ tags: 1, difficulty: 1 });
+BankQuestionSchema.index({ folderId: 1 });
+BankQuestionSchema.index({ lessonId: 1 });
+
+BankQuestionSchema.statics.DIFFICULTIES = DIFFICULTIES;
+
+// bank document (or lean object) -> embedded question shape, as frozen on an Attempt
+BankQuestionSchema.statics.toQuestion = function(doc) {
+  const src = doc && typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  const out = { id: String(src._id) };
+  Object.keys(questionFields).forEach(k => { if (src[k] !== undefined) out[k] = src[k]; });
+  return out;
+};
+
+module.exports = mongoose.model('BankQuestion', BankQuestionSchema);
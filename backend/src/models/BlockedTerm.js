@@ -0,0 +1,19 @@
+// backend/src/models/BlockedTerm.js
+'use strict';
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Admin-managed blocklist for user text (utils/moderation.js). Terms are stored normalized
+ * (lowercase, no accents) and match whole words, or a phrase of whole words. Every term is
+ * checked in every text, whatever its language, since posts mix English and Somali.
+ * - action: 'hold' keeps the content for review, 'reject' refuses it outright
+ */
+const BlockedTermSchema = new Schema({
+  term: { type: String, required: true, unique: true },
+  action: { type: String, enum: ['hold', 'reject'], default: 'hold' },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('BlockedTerm', BlockedTermSchema);
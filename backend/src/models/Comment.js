@@ -2,10 +2,25 @@
 'use strict';
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { moderationFields, moderationIndexes } = require('./ModerationFields');
 
-const CommentSchema = new Schema({
+/**
+ * Story comments form threads of any depth (see utils/commentThreads.js):
+ * - rootId: the top-level comment of the thread (itself for top-level comments)
+ * - path: materialized path of ancestor ids, ',' for top-level, ',<root>,<parent>,' below;
+ *   a comment's subtree is { rootId, path: /^<its path><its id>,/ }
+ * - replyCount: direct replies; reactionTotal: sum of reactionCounts (sort by top)
+ * Comments saved before threads get these fields from backfillThreads() on startup.
+ * Held comments (moderationStatus) are not listed and not in their parent's replyCount.
+ */
+const CommentSchema = new Schema(Object.assign({
   storyId: { type: Schema.Types.ObjectId, ref: 'Story', required: true },
   parentId: { type: Schema.Types.ObjectId, ref: 'Comment', default: null },
+  rootId: { type: Schema.Types.ObjectId, ref: 'Comment' },
+  path: { type: String },
+  depth: { type: Number, default: 0 },
+  replyCount: { type: Number, default: 0 },
+  reactionTotal: { type: Number, default: 0 },
   userId: { type: String }, // free-form id
   userName: { type: String },
   isAdmin: { type: Boolean, default: false },
@@ -14,9 +29,10 @@ const CommentSchema = new Schema({
   isPinned: { type: Boolean, default: false },
   reactionCounts: { type: Map, of: Number, default: {} },
   reactionsByUser: { type: Map, of: String, default: {} }, // userId => reaction key
+  editedAt: { type: Date, default: null }, // set when the author (or an admin) changes the content
   createdAt: { type: Date, default: () => new Date() },
   updatedAt: { type: Date, default: () => new Date() }
-});
+}, moderationFields));
 
 CommentSchema.methods.applyReaction = function(userId, reaction){
   const prev = this.reactionsByUser.get(String(userId));
@@ -29,6 +45,15 @@ CommentSchema.methods.applyReaction = function(userId, reaction){
   } else {
     this.reactionsByUser.delete(String(userId));
   }
+  this.reactionTotal = Array.from(this.reactionCounts.values()).reduce((sum, n) => sum + (n || 0), 0);
 };
 
+// one page of a level: the sorts in utils/commentThreads.js
+CommentSchema.index({ storyId: 1, parentId: 1, isPinned: -1, createdAt: -1 });
+CommentSchema.index({ storyId: 1, parentId: 1, isPinned: -1, reactionTotal: -1, createdAt: -1 });
+// subtrees (replies below a page, cascading deletes)
+CommentSchema.index({ rootId: 1, path: 1 });
+
+moderationIndexes(CommentSchema);
+
 module.exports = mongoose.model('Comment', CommentSchema);
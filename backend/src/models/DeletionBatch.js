@@ -0,0 +1,38 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * DeletionBatch - one delete operation in the lesson recycle bin (see utils/recycleBin.js).
+ * Deleting a folder soft-deletes its whole subtree (subfolders, lessons, their tests); every
+ * document hidden by it carries deletionBatchId, so the bin lists operations rather than loose
+ * items and a restore brings back exactly what that delete removed.
+ * status: deleted (in the bin) -> restored | purged (jobs/purgeJob.js after the retention period)
+ */
+
+const DeletionBatchSchema = new Schema({
+  rootKind: { type: String, enum: ['folder', 'lesson', 'test'], required: true },
+  rootId: { type: Schema.Types.ObjectId, required: true },
+  title: {
+    en: { type: String, default: '' },
+    som: { type: String, default: '' }
+  },
+  deletedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  deletedByName: { type: String, default: '' },
+  deletedAt: { type: Date, default: Date.now },
+  // what the operation removed (the bin shows live counts, some items may be restored or purged on their own)
+  counts: {
+    folders: { type: Number, default: 0 },
+    lessons: { type: Number, default: 0 },
+    tests: { type: Number, default: 0 }
+  },
+  status: { type: String, enum: ['deleted', 'restored', 'purged'], default: 'deleted' },
+  restoredAt: { type: Date, default: null },
+  restoredBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  purgedAt: { type: Date, default: null }
+});
+
+DeletionBatchSchema.index({ status: 1, deletedAt: 1 });
+
+module.exports = mongoose.model('DeletionBatch', DeletionBatchSchema);
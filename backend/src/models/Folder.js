@@ -13,12 +13,18 @@ const FolderSchema = new Schema({
   },
   parentId: { type: Schema.Types.ObjectId, ref: 'Folder', default: null },
   icon: { type: String, default: '' }, // emoji or image URL
+  position: { type: Number, default: 0 }, // order among siblings (then name.en), see utils/curriculum.js
   createdAt: { type: Date, default: Date.now },
   updatedAt: Date,
   isDeleted: { type: Boolean, default: false },
+  deletedAt: { type: Date, default: null },
+  deletionBatchId: { type: Schema.Types.ObjectId, ref: 'DeletionBatch', default: null }, // recycle bin (utils/recycleBin.js)
   authorId: { type: Schema.Types.ObjectId, ref: 'User', default: null }
 });
 
-FolderSchema.index({ parentId: 1 });
+FolderSchema.index({ parentId: 1, position: 1 });
+FolderSchema.index({ deletionBatchId: 1 }, { partialFilterExpression: { deletionBatchId: { $type: 'objectId' } } });
+// GET /api/search
+FolderSchema.index({ 'name.en': 'text', 'name.som': 'text' }, { name: 'folder_text', default_language: 'none' });
 
 module.exports = mongoose.model('Folder', FolderSchema);
@@ -15,7 +15,11 @@ const MessageSchema = new Schema({
   // new optional metadata
   issueType: { type: String, default: null },      // helps store category for the message
   adminName: { type: String, default: null },      // for admin messages store author name
-  adminRole: { type: String, default: null }       // for admin messages store role (admin/controller)
+  adminRole: { type: String, default: null },      // for admin messages store role (admin/controller)
+
+  // utils/moderation.js: user messages flagged for a look in the moderation queue ('removed' hides the text)
+  moderationStatus: { type: String, enum: ['visible','held','removed'], default: 'visible' },
+  moderationReasons: { type: [String], default: undefined }
 }, { _id: false });
 
 // Top-level conversation additions:
@@ -35,5 +39,6 @@ const HelpConversationSchema = new Schema({
 
 HelpConversationSchema.index({ userId: 1 });
 HelpConversationSchema.index({ updatedAt: -1 });
+HelpConversationSchema.index({ 'messages.moderationStatus': 1 });
 
 module.exports = mongoose.model('HelpConversation', HelpConversationSchema);
\ No newline at end of file
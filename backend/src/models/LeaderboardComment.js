@@ -1,7 +1,8 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { moderationFields, moderationIndexes } = require('./ModerationFields');
 
-const CommentSchema = new Schema({
+const CommentSchema = new Schema(Object.assign({
   competitionId: Schema.Types.ObjectId,
   userId: Schema.Types.ObjectId,
   userName: String,
@@ -9,8 +10,10 @@ const CommentSchema = new Schema({
   createdAt: { type: Date, default: Date.now },
   isDeleted: { type: Boolean, default: false },
   deletedBy: { type: Schema.Types.ObjectId, default: null }
-});
+}, moderationFields));
 
 CommentSchema.index({ competitionId: 1 });
 
+moderationIndexes(CommentSchema);
+
 module.exports = mongoose.model('LeaderboardComment', CommentSchema);
@@ -0,0 +1,38 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * LearningPath - an ordered list of lessons and tests defined by admins.
+ * In a sequential path every step unlocks only after the step before it is done
+ * (lesson completed / test passed); see utils/learningPaths.js.
+ */
+
+const StepSchema = new Schema({
+  kind: { type: String, enum: ['lesson', 'test'], required: true },
+  itemId: { type: Schema.Types.ObjectId, required: true },
+  minPercent: { type: Number, default: null, min: 0, max: 100 } // test steps: pass mark (null: the test's passPercent)
+}, { _id: false });
+
+const LearningPathSchema = new Schema({
+  title: {
+    en: { type: String, required: true },
+    som: { type: String, default: '' }
+  },
+  description: {
+    en: { type: String, default: '' },
+    som: { type: String, default: '' }
+  },
+  folderId: { type: Schema.Types.ObjectId, ref: 'Folder', default: null },
+  sequential: { type: Boolean, default: true },
+  steps: { type: [StepSchema], default: [] },
+  authorId: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  isDeleted: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: Date
+});
+
+LearningPathSchema.index({ 'steps.itemId': 1 });
+
+module.exports = mongoose.model('LearningPath', LearningPathSchema);
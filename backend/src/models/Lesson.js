@@ -6,6 +6,7 @@ const LessonSchema = new Schema({
   subjectId: { type: Schema.Types.ObjectId, default: null },
   topicId: { type: Schema.Types.ObjectId, default: null },
   folderId: { type: Schema.Types.ObjectId, ref: 'Folder', default: null },
+  position: { type: Number, default: 0 }, // order inside the folder (then _id), see utils/curriculum.js
   // bilingual title & content
   title: {
     en: { type: String, default: '' },
@@ -15,17 +16,88 @@ const LessonSchema = new Schema({
     en: { type: String, default: '' },
     som: { type: String, default: '' }
   },
+  // how `content` is written (see utils/richText.js); no default: lessons saved before formats are text.
+  // html / markdown lessons keep the author's source in `content` and the sanitized HTML readers get in `html`
+  format: { type: String, enum: ['text', 'html', 'markdown'] },
+  html: {
+    en: { type: String, default: '' },
+    som: { type: String, default: '' }
+  },
   createdAt: { type: Date, default: Date.now },
   updatedAt: Date,
-  isPublished: { type: Boolean, default: true },
+  isPublished: { type: Boolean, default: true }, // kept in sync with status === 'published'
+  // publishing workflow: draft -> review -> scheduled | published -> unpublished (see routes/lessons.js)
+  // no default on purpose: lessons saved before the workflow have no status and follow isPublished
+  status: { type: String, enum: ['draft', 'review', 'scheduled', 'published', 'unpublished'] },
+  publishAt: { type: Date, default: null },   // scheduled: published by jobs/publishJob.js at this time
+  publishedAt: { type: Date, default: null },
+  review: {
+    submittedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    submittedAt: { type: Date, default: null },
+    reviewedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    reviewedAt: { type: Date, default: null },
+    note: { type: String, default: '' }
+  },
+  // an edit to a published or scheduled lesson waits here for a reviewer while the text above stays
+  // live (workflow actions approveEdit / rejectEdit / withdrawEdit); staff-only, so not selected by default
+  pendingEdit: {
+    type: new Schema({
+      title: { en: { type: String, default: '' }, som: { type: String, default: '' } },
+      content: { en: { type: String, default: '' }, som: { type: String, default: '' } },
+      format: { type: String, enum: ['text', 'html', 'markdown'], default: 'text' },
+      html: { en: { type: String, default: '' }, som: { type: String, default: '' } },
+      restoredFrom: { type: Number, default: null }, // revision number when the edit is a restore
+      submittedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+      submittedAt: { type: Date, default: null }
+    }, { _id: false }),
+    default: null,
+    select: false
+  },
+  workflowHistory: [{
+    _id: false,
+    action: String,
+    from: String,
+    to: String,
+    by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    at: { type: Date, default: Date.now },
+    note: { type: String, default: '' }
+  }],
   isDeleted: { type: Boolean, default: false },
+  deletedAt: { type: Date, default: null },
+  deletionBatchId: { type: Schema.Types.ObjectId, ref: 'DeletionBatch', default: null }, // recycle bin (utils/recycleBin.js)
   authorId: { type: Schema.Types.ObjectId, default: null },
+  revision: { type: Number, default: 0 }, // latest LessonRevision.number (0 = saved before revisions existed)
+  // must be met before the lesson unlocks (see utils/learningPaths.js):
+  // kind 'lesson' = that lesson completed, kind 'test' = best attempt >= minPercent (null: the test's passPercent)
+  prerequisites: [{
+    _id: false,
+    kind: { type: String, enum: ['lesson', 'test'], required: true },
+    itemId: { type: Schema.Types.ObjectId, required: true },
+    minPercent: { type: Number, default: null, min: 0, max: 100 }
+  }],
 
-  // NEW: View counters / optional viewers history
+  // View counter
   viewsCount: { type: Number, default: 0 },            // persistent counter of total views
-  viewers: [{ type: Schema.Types.ObjectId, ref: 'User' }] // optional: a list of user IDs (may contain duplicates if you push each view)
+  // per-day views and unique viewers live in ViewBucket (the old `viewers` array is unset on the next view)
 });
 
 LessonSchema.index({ subjectId: 1 });
+LessonSchema.index({ folderId: 1, position: 1 });
+LessonSchema.index({ deletionBatchId: 1 }, { partialFilterExpression: { deletionBatchId: { $type: 'objectId' } } });
+LessonSchema.index({ status: 1, publishAt: 1 });
+// GET /api/search; language 'none' because the same index holds English and Somali text (no stemming)
+LessonSchema.index(
+  { 'title.en': 'text', 'title.som': 'text', 'content.en': 'text', 'content.som': 'text' },
+  { name: 'lesson_text', default_language: 'none', weights: { 'title.en': 10, 'title.som': 10, 'content.en': 2, 'content.som': 2 } }
+);
+
+// lessons saved before the workflow have no status: isPublished decides
+LessonSchema.statics.statusOf = function (l) {
+  if (l.status) return l.status;
+  return l.isPublished === false ? 'draft' : 'published';
+};
+
+// what everyone who is not staff may see
+LessonSchema.statics.PUBLISHED_FILTER = { $or: [{ status: 'published' }, { status: null, isPublished: { $ne: false } }] };
 
 module.exports = mongoose.model('Lesson', LessonSchema);
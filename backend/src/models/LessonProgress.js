@@ -0,0 +1,88 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * LessonProgress - one learner's progress on one lesson.
+ * Opened through POST /api/lessons/:id/view, time and read-to-end through POST /api/progress/lessons/:id,
+ * testPassed by /api/tests/:id/submit when an attempt on a test attached to the lesson reaches
+ * the test's scoring.passPercent. Whether the lesson counts as completed is decided when progress
+ * is read (see utils/progress.js), so adding a test to a lesson later is taken into account.
+ */
+
+// one heartbeat never adds more than this, whatever the client claims
+const MAX_HEARTBEAT_SECONDS = 300;
+
+const LessonProgressSchema = new Schema({
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  lessonId: { type: Schema.Types.ObjectId, ref: 'Lesson', required: true },
+  firstOpenedAt: { type: Date, default: null },
+  lastOpenedAt: { type: Date, default: null },
+  openCount: { type: Number, default: 0 },
+  timeSpentSeconds: { type: Number, default: 0 },
+  lastActiveAt: { type: Date, default: null },
+  readToEnd: { type: Boolean, default: false },
+  readAt: { type: Date, default: null },
+  testPassed: { type: Boolean, default: false },
+  testPassedAt: { type: Date, default: null },
+  bestTestPercent: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: Date
+});
+
+LessonProgressSchema.index({ userId: 1, lessonId: 1 }, { unique: true });
+LessonProgressSchema.index({ lessonId: 1 });
+
+const key = (userId, lessonId) => ({ userId, lessonId });
+const onInsert = (now) => ({ createdAt: now });
+
+LessonProgressSchema.statics.MAX_HEARTBEAT_SECONDS = MAX_HEARTBEAT_SECONDS;
+
+LessonProgressSchema.statics.recordOpen = async function(userId, lessonId) {
+  const now = new Date();
+  await this.updateOne(key(userId, lessonId), {
+    $inc: { openCount: 1 },
+    $set: { lastOpenedAt: now, lastActiveAt: now, updatedAt: now },
+    $setOnInsert: onInsert(now)
+  }, { upsert: true });
+  // records can start from a test result, before the lesson was ever opened
+  await this.updateOne(Object.assign(key(userId, lessonId), { firstOpenedAt: null }), { $set: { firstOpenedAt: now } });
+};
+
+/**
+ * Add reading time (and/or mark the lesson read to the end). Time is capped to what could have
+ * passed since the last activity, so replaying heartbeats does not inflate it.
+ */
+LessonProgressSchema.statics.recordActivity = async function(userId, lessonId, { seconds, readToEnd }) {
+  const now = new Date();
+  const prev = await this.findOne(key(userId, lessonId)).select('lastActiveAt').lean();
+  let allowed = MAX_HEARTBEAT_SECONDS;
+  if (prev && prev.lastActiveAt) allowed = Math.min(allowed, Math.max(0, (now - prev.lastActiveAt) / 1000) + 5);
+  const add = Math.round(Math.max(0, Math.min(Number(seconds) || 0, allowed)));
+
+  const update = {
+    $inc: { timeSpentSeconds: add },
+    $set: { lastActiveAt: now, updatedAt: now },
+    $setOnInsert: Object.assign(onInsert(now), { firstOpenedAt: now, lastOpenedAt: now, openCount: 1 })
+  };
+  if (readToEnd) update.$set.readToEnd = true;
+  await this.updateOne(key(userId, lessonId), update, { upsert: true });
+  if (readToEnd) await this.updateOne(Object.assign(key(userId, lessonId), { readAt: null }), { $set: { readAt: now } });
+  return this.findOne(key(userId, lessonId)).lean();
+};
+
+// an attempt on a test attached to the lesson: keep the best percentage, flag the first pass
+LessonProgressSchema.statics.recordTestResult = async function(userId, lessonId, percent, passed) {
+  const now = new Date();
+  await this.updateOne(key(userId, lessonId), {
+    $max: { bestTestPercent: percent },
+    $set: { updatedAt: now },
+    $setOnInsert: onInsert(now)
+  }, { upsert: true });
+  if (passed) {
+    await this.updateOne(Object.assign(key(userId, lessonId), { testPassed: { $ne: true } }), { $set: { testPassed: true, testPassedAt: now } });
+  }
+};
+
+module.exports = mongoose.model('LessonProgress', LessonProgressSchema);
@@ -0,0 +1,31 @@
+// backend/src/models/LessonRevision.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * LessonRevision - immutable snapshot of a lesson's title and content (both languages, with its format),
+ * written on every save that changes them. `number` counts up per lesson (Lesson.revision
+ * holds the latest); restoring an old revision writes a new one with restoredFrom set.
+ */
+const LessonRevisionSchema = new Schema({
+  lessonId: { type: Schema.Types.ObjectId, ref: 'Lesson', required: true, immutable: true },
+  number: { type: Number, required: true, immutable: true },
+  title: {
+    en: { type: String, default: '', immutable: true },
+    som: { type: String, default: '', immutable: true }
+  },
+  content: {
+    en: { type: String, default: '', immutable: true },
+    som: { type: String, default: '', immutable: true }
+  },
+  format: { type: String, enum: ['text', 'html', 'markdown'], default: 'text', immutable: true }, // Lesson.format of that content
+  reason: { type: String, enum: ['create', 'edit', 'restore', 'baseline'], default: 'edit', immutable: true },
+  restoredFrom: { type: Number, default: null, immutable: true },
+  authorId: { type: Schema.Types.ObjectId, ref: 'User', default: null, immutable: true },
+  authorName: { type: String, default: '', immutable: true },
+  createdAt: { type: Date, default: Date.now, immutable: true }
+});
+
+LessonRevisionSchema.index({ lessonId: 1, number: -1 }, { unique: true });
+
+module.exports = mongoose.model('LessonRevision', LessonRevisionSchema);
@@ -0,0 +1,24 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Media - an image or audio file uploaded by admins for lesson / question content.
+ * The file lives in MEDIA_DIR as `fileName` and is served at /media/<fileName>;
+ * content references it by that url (utils/richText.js only allows /media/ sources).
+ */
+
+const MediaSchema = new Schema({
+  fileName: { type: String, required: true, unique: true },
+  kind: { type: String, enum: ['image', 'audio'], required: true },
+  mimeType: { type: String, required: true },
+  size: { type: Number, default: 0 },
+  originalName: { type: String, default: '' },
+  uploadedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+MediaSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Media', MediaSchema);
@@ -0,0 +1,27 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Moderation state shared by Comment, LeaderboardComment and Story (see utils/moderation.js).
+ * - moderationStatus: 'visible' (default), or 'held' while an admin has to look at it; held content
+ *   is left out of public lists. Removing content uses each model's own delete.
+ * - moderationReasons: why it was held (blocked term, links, spam, reports)
+ * - reportCount: open reports (models/Report.js)
+ */
+const moderationFields = {
+  moderationStatus: { type: String, enum: ['visible', 'held'], default: 'visible' },
+  moderationReasons: { type: [String], default: undefined },
+  reportCount: { type: Number, default: 0 },
+  moderatedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  moderatedAt: { type: Date, default: null }
+};
+
+// the moderation queue: held content and content with open reports
+function moderationIndexes(schema) {
+  schema.index({ moderationStatus: 1, createdAt: -1 }, { partialFilterExpression: { moderationStatus: 'held' } });
+  schema.index({ reportCount: 1, createdAt: -1 }, { partialFilterExpression: { reportCount: { $gt: 0 } } });
+}
+
+module.exports = { moderationFields, moderationIndexes };
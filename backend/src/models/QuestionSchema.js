@@ -0,0 +1,54 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Question shape shared by Test.questions, BankQuestion and Attempt.questions.
+ * - text/en and text/som are stored as plain strings (preserve newlines), or as Markdown with format 'markdown'.
+ * - type selects how a question is answered/scored (see utils/questionTypes.js);
+ *   questions without a type are single-choice.
+ */
+
+const OptionSchema = new Schema({
+  id: { type: String, default: null }, // friendly id (frontend uses)
+  text: {
+    en: { type: String, default: '' },
+    som: { type: String, default: '' }
+  },
+  isCorrect: { type: Boolean, default: false }
+}, { _id: false });
+
+const questionFields = {
+  type: { type: String, enum: ['single', 'multi', 'truefalse', 'numeric', 'text', 'ordering'], default: 'single' },
+  text: {
+    en: { type: String, default: '' },
+    som: { type: String, default: '' }
+  },
+  explanation: {                  // shown when user selects correct option (or used as explanation)
+    en: { type: String, default: '' },
+    som: { type: String, default: '' }
+  },
+  // markdown: text / explanation are Markdown sources, readers get html (rendered + sanitized, utils/richText.js)
+  format: { type: String, enum: ['text', 'markdown'], default: 'text' },
+  html: {
+    text: { en: { type: String, default: '' }, som: { type: String, default: '' } },
+    explanation: { en: { type: String, default: '' }, som: { type: String, default: '' } }
+  },
+  options: [OptionSchema],              // ordering: stored in the correct order
+  partialCredit: { type: Boolean, default: false }, // multi / ordering: award a share of pointsValue
+  numericAnswer: { type: Number, default: null },   // numeric
+  tolerance: { type: Number, default: 0 },          // numeric: accepted ± distance
+  acceptedAnswers: {                                // text: any of these (either language) is correct
+    en: { type: [String], default: [] },
+    som: { type: [String], default: [] }
+  },
+  caseSensitive: { type: Boolean, default: false }, // text
+  pointsValue: { type: Number, default: 3 } // correct => +pointsValue ; incorrect / unanswered => Test.scoring penalties
+};
+
+// embedded question: Test.questions and the frozen set on Attempt.questions
+const QuestionSchema = new Schema(Object.assign({ id: { type: String, default: null } }, questionFields), { _id: false });
+
+
+module.exports = { OptionSchema, QuestionSchema, questionFields };
@@ -0,0 +1,28 @@
+// backend/src/models/Report.js
+'use strict';
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * A user's report on a story comment, leaderboard comment or story (one open report per user and
+ * target; once closed, the same user may report the target again, e.g. after it was edited).
+ * Open reports count towards the target's reportCount; an admin decision in the moderation queue
+ * closes them all as 'actioned' (content removed / author banned) or 'dismissed' (approved).
+ */
+const ReportSchema = new Schema({
+  targetType: { type: String, enum: ['comment', 'leaderboardComment', 'story'], required: true },
+  targetId: { type: Schema.Types.ObjectId, required: true },
+  reporterId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  reporterName: { type: String },
+  reason: { type: String, enum: ['spam', 'abuse', 'inappropriate', 'other'], default: 'other' },
+  note: { type: String, default: '' },
+  status: { type: String, enum: ['open', 'dismissed', 'actioned'], default: 'open' },
+  resolvedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  resolvedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+ReportSchema.index({ targetType: 1, targetId: 1, reporterId: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+ReportSchema.index({ targetType: 1, targetId: 1, status: 1 });
+
+module.exports = mongoose.model('Report', ReportSchema);
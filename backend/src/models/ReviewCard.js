@@ -0,0 +1,56 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const { QuestionSchema } = require('./QuestionSchema');
+
+/**
+ * ReviewCard - one missed question in a user's spaced-repetition queue (SM-2, see utils/spacedRepetition.js).
+ * Created / reset by /api/tests/:id/submit when a served question is answered wrong or times out;
+ * reviewed through /api/review. `question` is a copy taken at the time of the miss, so later
+ * edits to the test or bank do not change what the card asks.
+ */
+
+const ReviewCardSchema = new Schema({
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  testId: { type: Schema.Types.ObjectId, ref: 'Test', required: true },
+  questionId: { type: String, required: true },
+  question: { type: QuestionSchema, required: true },
+  easiness: { type: Number, default: 2.5 },   // SM-2 easiness factor (>= 1.3)
+  repetitions: { type: Number, default: 0 },  // successful reviews in a row
+  intervalDays: { type: Number, default: 0 },
+  lapses: { type: Number, default: 0 },       // times missed (in tests or reviews)
+  dueAt: { type: Date, default: Date.now },
+  lastReviewedAt: { type: Date, default: null },
+  lastQuality: { type: Number, default: null }, // 0..5
+  lastAttemptId: { type: Schema.Types.ObjectId, ref: 'Attempt', default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: Date
+});
+
+ReviewCardSchema.index({ userId: 1, testId: 1, questionId: 1 }, { unique: true });
+ReviewCardSchema.index({ userId: 1, dueAt: 1 });
+
+/**
+ * Queue (or put back at the front of the queue) the questions a user missed in a test attempt.
+ * misses: [{ question }] with question in the embedded question shape.
+ */
+ReviewCardSchema.statics.recordMisses = function(userId, testId, attemptId, misses) {
+  if (!misses.length) return Promise.resolve(null);
+  const now = new Date();
+  const ops = misses.map(({ question }) => ({
+    updateOne: {
+      filter: { userId, testId, questionId: String(question.id || question._id) },
+      update: {
+        $set: { question, repetitions: 0, intervalDays: 0, dueAt: now, lastAttemptId: attemptId, updatedAt: now },
+        $inc: { lapses: 1 },
+        $setOnInsert: { easiness: 2.5, createdAt: now }
+      },
+      upsert: true
+    }
+  }));
+  return this.bulkWrite(ops, { ordered: false });
+};
+
+module.exports = mongoose.model('ReviewCard', ReviewCardSchema);
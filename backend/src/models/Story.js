@@ -1,6 +1,7 @@
 'use strict';
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { moderationFields, moderationIndexes } = require('./ModerationFields');
 
 const ReactionCountsSchema = new Schema({
   like: { type: Number, default: 0 },
@@ -11,7 +12,7 @@ const ReactionCountsSchema = new Schema({
   sad:  { type: Number, default: 0 }
 }, { _id: false });
 
-const StorySchema = new Schema({
+const StorySchema = new Schema(Object.assign({
   folderId: { type: Schema.Types.ObjectId, ref: 'StoryFolder' },
   titleEng: String,
   titleSom: String,
@@ -26,9 +27,15 @@ const StorySchema = new Schema({
 
   reactionCounts: { type: ReactionCountsSchema, default: () => ({}) },
   reactionsByUser: { type: Map, of: String, default: {} },
-  readBy: { type: [String], default: [] },
+  readBy: { type: [String], default: undefined }, // legacy; readers are StoryRead records now (backfillReads)
+  readCount: { type: Number, default: 0 }, // distinct readers, from StoryRead
   pinned: { type: Boolean, default: false },
 
+  // chapter of a series (models/StorySeries.js); order kept by utils/storySeries.js
+  seriesId: { type: Schema.Types.ObjectId, ref: 'StorySeries', default: null },
+  chapterIndex: { type: Number, default: null },
+  chapterAddedAt: { type: Date, default: null },
+
   // who submitted the story (user-submitted)
   authorId: { type: String },
   authorName: { type: String },
@@ -36,7 +43,25 @@ const StorySchema = new Schema({
   createdBy: { type: String }, // legacy/admin-created
   createdAt: { type: Date, default: () => new Date() },
   updatedAt: { type: Date, default: () => new Date() }
-});
+}, moderationFields));
+
+// GET /api/search; language 'none' because English and Somali share the index (no stemming)
+StorySchema.index(
+  { titleEng: 'text', titleSom: 'text', contentEng: 'text', contentSom: 'text' },
+  { name: 'story_text', default_language: 'none', weights: { titleEng: 10, titleSom: 10, contentEng: 2, contentSom: 2 } }
+);
+
+// chapters of a series in order; new chapters since a date
+StorySchema.index({ seriesId: 1, chapterIndex: 1 }, { partialFilterExpression: { seriesId: { $type: 'objectId' } } });
+StorySchema.index({ seriesId: 1, chapterAddedAt: -1 }, { partialFilterExpression: { seriesId: { $type: 'objectId' } } });
+
+// stories readers may see: approved submissions, and admin-created stories (no authorId) not waiting on review,
+// unless held by moderation
+StorySchema.statics.VISIBLE_FILTER = {
+  isDeleted: { $ne: true },
+  moderationStatus: { $ne: 'held' },
+  $or: [{ published: true }, { authorId: null, pendingApproval: { $ne: true } }]
+};
 
 // maintain older behavior for reaction toggling
 StorySchema.methods.applyReaction = function(userId, reaction){
@@ -52,4 +77,6 @@ StorySchema.methods.applyReaction = function(userId, reaction){
   }
 };
 
+moderationIndexes(StorySchema);
+
 module.exports = mongoose.model('Story', StorySchema);
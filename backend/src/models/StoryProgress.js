@@ -0,0 +1,28 @@
+// backend/src/models/StoryProgress.js
+'use strict';
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Where a reader is: one record per user and series (subject = the series), or per user and
+ * story for stories outside a series (subject = the story). storyId/chapterIndex is the chapter
+ * last read and percent how far it was scrolled. createdAt is when the reader started, which is
+ * what "new chapters" are measured against (utils/readingProgress.js).
+ */
+const StoryProgressSchema = new Schema({
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  subject: { type: Schema.Types.ObjectId, required: true },
+  seriesId: { type: Schema.Types.ObjectId, ref: 'StorySeries', default: null },
+  storyId: { type: Schema.Types.ObjectId, ref: 'Story', required: true },
+  chapterIndex: { type: Number, default: null },
+  percent: { type: Number, default: 0 },
+  finished: { type: Boolean, default: false }, // the chapter in storyId was scrolled to the end
+  createdAt: { type: Date, default: () => new Date() },
+  updatedAt: { type: Date, default: () => new Date() }
+});
+
+StoryProgressSchema.index({ userId: 1, subject: 1 }, { unique: true });
+StoryProgressSchema.index({ userId: 1, updatedAt: -1 });
+StoryProgressSchema.index({ storyId: 1 });
+
+module.exports = mongoose.model('StoryProgress', StoryProgressSchema);
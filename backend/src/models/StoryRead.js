@@ -0,0 +1,20 @@
+// backend/src/models/StoryRead.js
+'use strict';
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * One reader having opened one story (or chapter). The story keeps only the total (readCount);
+ * utils/readingProgress.js inserts these and bumps the counter on the first read. Replaces the
+ * Story.readBy array, which backfillReads() moves here on startup.
+ */
+const StoryReadSchema = new Schema({
+  storyId: { type: Schema.Types.ObjectId, ref: 'Story', required: true },
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  readAt: { type: Date, default: () => new Date() }
+});
+
+StoryReadSchema.index({ storyId: 1, userId: 1 }, { unique: true });
+StoryReadSchema.index({ userId: 1, storyId: 1 });
+
+module.exports = mongoose.model('StoryRead', StoryReadSchema);
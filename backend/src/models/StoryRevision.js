@@ -0,0 +1,34 @@
+// backend/src/models/StoryRevision.js
+'use strict';
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * An author's proposed edit to a published story (routes/stories.js). The approved story stays
+ * live while the revision waits; approving copies the text onto the story, rejecting leaves it.
+ * A story has at most one 'pending' revision: editing again updates it. reviewNote is the
+ * admin's message back to the author, shown with their submissions.
+ */
+const StoryRevisionSchema = new Schema({
+  storyId: { type: Schema.Types.ObjectId, ref: 'Story', required: true },
+  authorId: { type: String },
+  authorName: { type: String },
+  folderId: { type: Schema.Types.ObjectId, ref: 'StoryFolder', default: null },
+  titleEng: String,
+  titleSom: String,
+  contentEng: String,
+  contentSom: String,
+  status: { type: String, enum: ['pending', 'approved', 'rejected', 'withdrawn'], default: 'pending' },
+  moderationReasons: { type: [String], default: undefined }, // utils/moderation.js flagged the proposed text
+  reviewNote: { type: String, default: '' },
+  reviewedBy: { type: String, default: null },
+  reviewedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: () => new Date() },
+  updatedAt: { type: Date, default: () => new Date() }
+});
+
+StoryRevisionSchema.index({ storyId: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+StoryRevisionSchema.index({ storyId: 1, updatedAt: -1 });
+StoryRevisionSchema.index({ status: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('StoryRevision', StoryRevisionSchema);
@@ -0,0 +1,27 @@
+// backend/src/models/StorySeries.js
+'use strict';
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * An ordered run of stories in a folder. The chapters are ordinary stories carrying seriesId and
+ * chapterIndex (1-based, kept contiguous by utils/storySeries.js). chapterCount and lastChapterAt
+ * are kept there too, so series lists need not count chapters.
+ */
+const StorySeriesSchema = new Schema({
+  folderId: { type: Schema.Types.ObjectId, ref: 'StoryFolder', default: null },
+  titleEng: String,
+  titleSom: String,
+  descriptionEng: String,
+  descriptionSom: String,
+  chapterCount: { type: Number, default: 0 },
+  lastChapterAt: { type: Date, default: null }, // when the latest chapter was added
+  isDeleted: { type: Boolean, default: false },
+  createdBy: { type: String },
+  createdAt: { type: Date, default: () => new Date() },
+  updatedAt: { type: Date, default: () => new Date() }
+});
+
+StorySeriesSchema.index({ folderId: 1, isDeleted: 1, lastChapterAt: -1 });
+
+module.exports = mongoose.model('StorySeries', StorySeriesSchema);
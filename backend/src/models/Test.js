@@ -7,29 +7,34 @@ const Schema = mongoose.Schema;
  * Test model
  * - questions.text/en and text/som are stored as plain strings (preserve newlines).
  * - explanation.en / explanation.som included for detailed answer text.
+ * - questions.type selects how a question is answered/scored (see utils/questionTypes.js);
+ *   questions without a type are single-choice. The question shape lives in QuestionSchema.js.
+ * - mode 'bank' tests have no fixed questions: every attempt draws them from the question
+ *   bank (BankQuestion) following `draws`, and the drawn set is frozen on the Attempt.
+ * - shuffle: each attempt gets its own question order.
  */
 
-const OptionSchema = new Schema({
-  id: { type: String, default: null }, // friendly id (frontend uses)
-  text: {
-    en: { type: String, default: '' },
-    som: { type: String, default: '' }
-  },
-  isCorrect: { type: Boolean, default: false }
+const { QuestionSchema } = require('./QuestionSchema');
+
+// scoring policy applied by /api/tests/:id/submit (see utils/scoring.js)
+const ScoringSchema = new Schema({
+  incorrectPenalty: { type: Number, default: -1, max: 0 },
+  blankPenalty: { type: Number, default: 0, max: 0 },
+  timeBonus: { type: Number, default: 0, min: 0 },          // max extra points for an instant correct answer
+  streakMultiplier: { type: Number, default: 0, min: 0 },   // +x per consecutive correct answer
+  maxStreakMultiplier: { type: Number, default: 2, min: 1 },
+  retakesEarnPoints: { type: Boolean, default: true },
+  maxAttempts: { type: Number, default: 0, min: 0 },        // 0 = unlimited
+  passPercent: { type: Number, default: 60, min: 0, max: 100 } // % correct that passes the test (learning progress)
 }, { _id: false });
 
-const QuestionSchema = new Schema({
-  id: { type: String, default: null },
-  text: {
-    en: { type: String, default: '' },
-    som: { type: String, default: '' }
-  },
-  explanation: {                  // shown when user selects correct option (or used as explanation)
-    en: { type: String, default: '' },
-    som: { type: String, default: '' }
-  },
-  options: [OptionSchema],
-  pointsValue: { type: Number, default: 3 } // correct => +pointsValue ; incorrect => -1 ; unanswered => 0
+// bank mode: `count` random bank questions that carry all `tags` (and match difficulty / folder / lesson when set)
+const DrawSchema = new Schema({
+  tags: { type: [String], default: [] },
+  difficulty: { type: String, enum: ['easy', 'medium', 'hard', null], default: null },
+  folderId: { type: Schema.Types.ObjectId, ref: 'Folder', default: null },
+  lessonId: { type: Schema.Types.ObjectId, ref: 'Lesson', default: null },
+  count: { type: Number, default: 1, min: 1 }
 }, { _id: false });
 
 const TestSchema = new Schema({
@@ -37,11 +42,17 @@ const TestSchema = new Schema({
   folderId: { type: Schema.Types.ObjectId, ref: 'Folder', default: null },
   lessonId: { type: Schema.Types.ObjectId, ref: 'Lesson', default: null },
   questions: [QuestionSchema],
+  mode: { type: String, enum: ['fixed', 'bank'], default: 'fixed' },
+  draws: { type: [DrawSchema], default: [] },  // bank mode only
   shuffle: { type: Boolean, default: false },
+  questionSeconds: { type: Number, default: null, min: 5 }, // per-question time limit; null => config.QUESTION_SECONDS
+  scoring: { type: ScoringSchema, default: () => ({}) },
   createdAt: { type: Date, default: Date.now },
   updatedAt: Date,
   authorId: { type: Schema.Types.ObjectId, ref: 'User', default: null },
   isDeleted: { type: Boolean, default: false },
+  deletedAt: { type: Date, default: null },
+  deletionBatchId: { type: Schema.Types.ObjectId, ref: 'DeletionBatch', default: null }, // recycle bin (utils/recycleBin.js)
 
   bestStreak: { type: Number, default: 0 },
   bestHolderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
@@ -49,4 +60,11 @@ const TestSchema = new Schema({
   bestStreakUpdatedAt: { type: Date, default: null }
 });
 
+TestSchema.index({ deletionBatchId: 1 }, { partialFilterExpression: { deletionBatchId: { $type: 'objectId' } } });
+// GET /api/search; language 'none' because English and Somali share the index (no stemming)
+TestSchema.index(
+  { title: 'text', 'questions.text.en': 'text', 'questions.text.som': 'text' },
+  { name: 'test_text', default_language: 'none', weights: { title: 10, 'questions.text.en': 3, 'questions.text.som': 3 } }
+);
+
 module.exports = mongoose.model('Test', TestSchema);
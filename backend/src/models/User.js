@@ -21,6 +21,8 @@ const UserSchema = new Schema({
 
   passwordHash: { type: String, required: true },
   role: { type: String, enum: ['admin','controller','user'], default: 'user' },
+  // may approve / reject / schedule / unpublish lessons (routes/lessons.js); granted per user by an admin
+  canReviewLessons: { type: Boolean, default: false },
 
   pointsCurrent: { type: Number, default: 0 },
   pointsHistory: [{ competitionId: Schema.Types.ObjectId, points: Number }],
@@ -29,6 +31,10 @@ const UserSchema = new Schema({
   isDeleted: { type: Boolean, default: false },
   pointsResetAt: { type: Date, default: null },
 
+  // no comments, stories or help messages until then (utils/moderation.js); far future = permanent
+  bannedUntil: { type: Date, default: null },
+  banReason: { type: String, default: null },
+
   balanceDollar: { type: Number, default: 0 },
   testBest: [
     {
@@ -51,5 +57,7 @@ UserSchema.index(
 
 // leaderboard index
 UserSchema.index({ pointsCurrent: -1 });
+// per-test streak leaderboard (utils/streaks.js)
+UserSchema.index({ 'testBest.testId': 1, 'testBest.streak': -1 });
 
 module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,34 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * ViewBucket - views of one lesson / test / story on one UTC day (bucket pattern, see
+ * utils/viewAnalytics.js). Replaces the ever-growing Lesson.viewers array: a bucket only holds
+ * the distinct users of its day, so it stays small.
+ *  - views          every view, guests included
+ *  - viewers        distinct logged-in users that day (uniqueViewers = its length)
+ *  - countries      { <ISO code | 'unknown'>: views } from User.country
+ * Tests count started attempts as views.
+ */
+
+const KINDS = ['lesson', 'test', 'story'];
+
+const ViewBucketSchema = new Schema({
+  kind: { type: String, enum: KINDS, required: true },
+  itemId: { type: Schema.Types.ObjectId, required: true },
+  day: { type: Date, required: true },                 // UTC midnight
+  views: { type: Number, default: 0 },
+  uniqueViewers: { type: Number, default: 0 },
+  viewers: { type: [Schema.Types.ObjectId], default: [] },
+  countries: { type: Schema.Types.Mixed },
+  updatedAt: Date
+});
+
+ViewBucketSchema.index({ kind: 1, itemId: 1, day: 1 }, { unique: true });
+ViewBucketSchema.index({ kind: 1, day: 1 });
+
+ViewBucketSchema.statics.KINDS = KINDS;
+
+module.exports = mongoose.model('ViewBucket', ViewBucketSchema);
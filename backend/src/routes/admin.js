@@ -14,6 +14,7 @@ const bcrypt = require('bcrypt');
 const Withdrawal = require('../models/Withdrawal');
 // IMPORT BOTH middlewares
 const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const viewAnalytics = require('../utils/viewAnalytics');
 
 // Per-24-hour withdrawal cap (dollars) — keep in sync with account.js
 const WITHDRAWAL_24H_CAP = 100.0;
@@ -107,6 +108,30 @@ router.post('/users/:id/clear-points', authMiddleware, requireAdmin, async (req,
   }
 });
 
+/**
+ * POST /api/admin/users/:id/lesson-reviewer  body: { enabled: true|false }
+ * Grants or takes away the lesson reviewer permission (approve / reject / schedule / unpublish in
+ * routes/lessons.js). Only admins (not controllers) may change it, and only for staff accounts.
+ */
+router.post('/users/:id/lesson-reviewer', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    if (String(req.user.role).toLowerCase() !== 'admin' && !req.user.isAdmin) return res.status(403).json({ error: 'Admins only' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+    const enabled = req.body.enabled === true || req.body.enabled === 'true';
+    const u = await User.findById(req.params.id).select('role isAdmin').lean();
+    if (!u) return res.status(404).json({ error: 'Not found' });
+    if (enabled && !['admin', 'controller'].includes(String(u.role).toLowerCase()) && !u.isAdmin) {
+      return res.status(400).json({ error: 'Only admins and controllers can review lessons' });
+    }
+    const user = await User.findByIdAndUpdate(u._id, { $set: { canReviewLessons: enabled } }, { new: true })
+      .select('username fullName role canReviewLessons').lean();
+    return res.json({ ok: true, user });
+  } catch (err) {
+    console.error('admin.users.lessonReviewer', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
 function localUserFilter() {
   return {
     isDeleted: { $ne: true },
@@ -180,6 +205,7 @@ router.get('/users', authMiddleware, requireAdmin, async (req, res) => {
       fullName: u.fullName,
       email: u.email,
       role: u.role,
+      canReviewLessons: !!u.canReviewLessons,
       pointsCurrent: u.pointsCurrent || 0,
       createdAt: u.createdAt,
       lastLogin: u.lastLogin
@@ -192,6 +218,37 @@ router.get('/users', authMiddleware, requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/analytics/views?from=YYYY-MM-DD&to=YYYY-MM-DD&kinds=lesson,test,story&itemId=&top=10
+ * Daily views and unique viewers (UTC days, zeros included) for lessons, tests (started attempts)
+ * and stories, with totals, views by country and the most viewed items.
+ * -> { from, to, days: ['YYYY-MM-DD', ...], kinds: { lesson: { series, totals, byCountry, top }, ... } }
+ */
+router.get('/analytics/views', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const range = viewAnalytics.parseRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+    const requested = req.query.kinds ? String(req.query.kinds).split(',').map(k => k.trim()) : viewAnalytics.KINDS;
+    const kinds = viewAnalytics.KINDS.filter(k => requested.includes(k));
+    if (!kinds.length) return res.status(400).json({ error: 'Unknown kinds', kinds: viewAnalytics.KINDS });
+    if (req.query.itemId && !mongoose.Types.ObjectId.isValid(req.query.itemId)) return res.status(400).json({ error: 'Invalid itemId' });
+    const top = Math.min(50, Math.max(1, parseInt(req.query.top, 10) || 10));
+
+    const reports = await Promise.all(kinds.map(k => viewAnalytics.kindReport(k, range, { itemId: req.query.itemId || null, top })));
+    const out = {};
+    kinds.forEach((k, i) => { out[k] = reports[i]; });
+    return res.json({
+      from: range.from.toISOString().slice(0, 10),
+      to: range.to.toISOString().slice(0, 10),
+      days: viewAnalytics.daysBetween(range.from, range.to),
+      kinds: out
+    });
+  } catch (err) {
+    console.error('admin.analytics.views', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 /* GET /api/admin/dashboard */
 router.get('/dashboard', authMiddleware, requireAdmin, async (req, res) => {
   try {
@@ -0,0 +1,294 @@
+// backend/src/routes/attempts.js
+'use strict';
+
+const express = require('express');
+const mongoose = require('mongoose');
+
+const Attempt = require('../models/Attempt');
+const Test = require('../models/Test');
+const questionTypes = require('../utils/questionTypes');
+const { authMiddleware, isAdminUser } = require('../middleware/auth');
+
+const router = express.Router();
+
+/* --------- Helpers --------- */
+function pickLang(raw) {
+  return raw === 'som' ? 'som' : 'en';
+}
+
+// bilingual { en, som } -> string in `lang`, falling back to the other language
+function localized(b, lang) {
+  if (!b) return '';
+  if (typeof b === 'string') return b;
+  return b[lang] || b.en || b.som || '';
+}
+
+function parseDate(raw) {
+  if (!raw) return null;
+  const d = new Date(raw);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+// whose attempts: the caller, or ?userId= for admins
+function targetUserId(req) {
+  if (req.query.userId && isAdminUser(req.user)) {
+    return mongoose.Types.ObjectId.isValid(req.query.userId) ? new mongoose.Types.ObjectId(String(req.query.userId)) : null;
+  }
+  return new mongoose.Types.ObjectId(String(req.user._id));
+}
+
+// filter on the caller's submitted attempts from ?testId=&folderId=&from=&to= ; returns { match } or { error }
+async function attemptFilter(req) {
+  const userId = targetUserId(req);
+  if (!userId) return { error: 'Invalid userId' };
+  const match = { userId, submittedAt: { $exists: true } };
+
+  if (req.query.testId) {
+    if (!mongoose.Types.ObjectId.isValid(req.query.testId)) return { error: 'Invalid testId' };
+    match.testId = new mongoose.Types.ObjectId(String(req.query.testId));
+  } else if (req.query.folderId) {
+    if (!mongoose.Types.ObjectId.isValid(req.query.folderId)) return { error: 'Invalid folderId' };
+    const testIds = await Test.find({ folderId: req.query.folderId }).distinct('_id');
+    match.testId = { $in: testIds };
+  }
+
+  const from = parseDate(req.query.from);
+  const to = parseDate(req.query.to);
+  if ((req.query.from && !from) || (req.query.to && !to)) return { error: 'Invalid date' };
+  if (from) match.submittedAt.$gte = from;
+  if (to) match.submittedAt.$lte = to;
+  return { match };
+}
+
+function secondsBetween(a, b) {
+  if (!a || !b) return null;
+  return Math.max(0, Math.round((new Date(b).getTime() - new Date(a).getTime()) / 1000));
+}
+
+// one question of a submitted attempt, rebuilt in `lang` for review
+function reviewItem(q, answer, lang) {
+  const a = answer || {};
+  const response = {
+    selectedOptionId: a.selectedOptionId || null,
+    selectedOptionIds: a.selectedOptionIds && a.selectedOptionIds.length ? Array.from(a.selectedOptionIds) : undefined,
+    value: a.value || null,
+    order: a.order && a.order.length ? Array.from(a.order) : undefined
+  };
+  const base = {
+    questionId: String(a.questionId || (q && (q.id || q._id))),
+    response,
+    answered: questionTypes.hasResponse(response),
+    isCorrect: !!a.correct,
+    credit: a.credit || 0,
+    points: a.points || 0,
+    timedOut: !!a.timedOut,
+    skippedAlreadyScored: !!a.skippedAlreadyScored,
+    secondsTaken: secondsBetween(a.servedAt, a.answeredAt)
+  };
+  // the question was removed from a fixed test after this attempt
+  if (!q) return Object.assign(base, { type: null, text: '', options: [], explanation: '', questionRemoved: true });
+
+  const optionKey = (o) => String(o.id || o._id);
+  const chosen = new Set([response.selectedOptionId].concat(response.selectedOptionIds || []).filter(Boolean).map(String));
+  const options = (q.options || []).map(o => ({
+    id: optionKey(o),
+    text: localized(o.text, lang),
+    isCorrect: !!o.isCorrect,
+    selected: chosen.has(optionKey(o))
+  }));
+  const textOf = (ids) => (ids || []).map(id => (options.find(o => o.id === String(id)) || {}).text).filter(Boolean);
+  const correct = questionTypes.correctAnswerFor(q);
+
+  let chosenText = [];
+  let correctText = [];
+  switch (questionTypes.questionType(q)) {
+    case 'numeric':
+      chosenText = response.value ? [response.value] : [];
+      correctText = [String(q.numericAnswer) + (Number(q.tolerance) ? ' ± ' + q.tolerance : '')];
+      break;
+    case 'text': {
+      const acc = q.acceptedAnswers || {};
+      chosenText = response.value ? [response.value] : [];
+      correctText = (acc[lang] && acc[lang].length ? acc[lang] : (acc.en || []).concat(acc.som || [])).slice();
+      break;
+    }
+    case 'ordering':
+      chosenText = textOf(response.order);
+      correctText = textOf(correct.correctOrder);
+      break;
+    default:
+      chosenText = options.filter(o => o.selected).map(o => o.text);
+      correctText = options.filter(o => o.isCorrect).map(o => o.text);
+  }
+
+  return Object.assign(base, {
+    type: questionTypes.questionType(q),
+    text: localized(q.text, lang),
+    options,
+    chosenText,
+    correctText,
+    explanation: localized(q.explanation, lang)
+  }, q.format === 'markdown' ? {
+    textHtml: localized(questionTypes.questionHtml(q, 'text'), lang),
+    explanationHtml: localized(questionTypes.questionHtml(q, 'explanation'), lang)
+  } : {}, correct);
+}
+
+/* --------- Routes --------- */
+
+/**
+ * GET /api/attempts?testId=&folderId=&from=&to=&page=&limit=&userId=(admin)
+ * The caller's submitted attempts, newest first.
+ */
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const { match, error } = await attemptFilter(req);
+    if (error) return res.status(400).json({ error });
+
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const [rows, total] = await Promise.all([
+      Attempt.find(match).select('-questions -served').sort({ submittedAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Attempt.countDocuments(match)
+    ]);
+
+    const tests = await Test.find({ _id: { $in: rows.map(r => r.testId) } }).select('title folderId lessonId').lean();
+    const testById = {};
+    tests.forEach(t => { testById[String(t._id)] = t; });
+
+    const items = rows.map(r => {
+      const t = testById[String(r.testId)] || {};
+      const answers = r.answers || [];
+      return {
+        attemptId: r._id,
+        testId: r.testId,
+        testTitle: t.title || null,
+        folderId: t.folderId || null,
+        lessonId: t.lessonId || null,
+        startedAt: r.startedAt,
+        submittedAt: r.submittedAt,
+        score: r.score || 0,
+        total: answers.length,
+        correct: answers.filter(a => a.correct).length,
+        timedOut: answers.filter(a => a.timedOut).length,
+        durationSeconds: secondsBetween(r.startedAt, r.submittedAt)
+      };
+    });
+    return res.json({ ok: true, items, total, page, limit });
+  } catch (err) {
+    console.error('attempts.list', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/attempts/stats?testId=&folderId=&from=&to=&userId=(admin)
+ * Per test: attempts, best / average / last score, accuracy and time spent (submitted attempts only).
+ */
+router.get('/stats', authMiddleware, async (req, res) => {
+  try {
+    const { match, error } = await attemptFilter(req);
+    if (error) return res.status(400).json({ error });
+
+    const rows = await Attempt.aggregate([
+      { $match: match },
+      { $sort: { submittedAt: 1 } },
+      { $project: {
+        testId: 1, score: 1, submittedAt: 1,
+        durationMs: { $max: [0, { $subtract: ['$submittedAt', '$startedAt'] }] },
+        answered: { $size: { $ifNull: ['$answers', []] } },
+        correct: { $size: { $filter: { input: { $ifNull: ['$answers', []] }, as: 'a', cond: '$$a.correct' } } }
+      } },
+      { $group: {
+        _id: '$testId',
+        attempts: { $sum: 1 },
+        best: { $max: '$score' },
+        average: { $avg: '$score' },
+        last: { $last: '$score' },
+        firstAt: { $first: '$submittedAt' },
+        lastAt: { $last: '$submittedAt' },
+        totalMs: { $sum: '$durationMs' },
+        questions: { $sum: '$answered' },
+        correct: { $sum: '$correct' }
+      } },
+      { $sort: { lastAt: -1 } }
+    ]);
+
+    const tests = await Test.find({ _id: { $in: rows.map(r => r._id) } }).select('title folderId').lean();
+    const testById = {};
+    tests.forEach(t => { testById[String(t._id)] = t; });
+
+    const round2 = (n) => Math.round(n * 100) / 100;
+    const perTest = rows.map(r => ({
+      testId: r._id,
+      testTitle: (testById[String(r._id)] || {}).title || null,
+      folderId: (testById[String(r._id)] || {}).folderId || null,
+      attempts: r.attempts,
+      best: r.best || 0,
+      average: round2(r.average || 0),
+      last: r.last || 0,
+      accuracy: r.questions ? round2(r.correct / r.questions) : 0,
+      totalTimeSeconds: Math.round(r.totalMs / 1000),
+      averageTimeSeconds: Math.round(r.totalMs / 1000 / r.attempts),
+      firstAt: r.firstAt,
+      lastAt: r.lastAt
+    }));
+    return res.json({ ok: true, perTest });
+  } catch (err) {
+    console.error('attempts.stats', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/attempts/:id?lang=en|som
+ * Review of a submitted attempt (owner or admin): each question with the chosen answer,
+ * the correct answer and the explanation, in the requested language.
+ */
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const attempt = await Attempt.findById(id).lean();
+    if (!attempt) return res.status(404).json({ error: 'Not found' });
+    if (String(attempt.userId) !== String(req.user._id) && !isAdminUser(req.user)) return res.status(404).json({ error: 'Not found' });
+    // open attempts would reveal answers to questions not yet answered
+    if (!attempt.submittedAt) return res.status(400).json({ error: 'Attempt not submitted yet' });
+
+    const test = await Test.findById(attempt.testId).lean();
+    const lang = pickLang(req.query.lang);
+    const questions = Attempt.questionsFor(test, attempt);
+    const byId = new Map(questions.map(q => [String(q.id || q._id), q]));
+    const answered = new Set();
+    const items = (attempt.answers || []).map(a => {
+      answered.add(String(a.questionId));
+      return reviewItem(byId.get(String(a.questionId)) || null, a, lang);
+    });
+    // questions of the attempt that have no stored answer (older attempts)
+    questions.forEach(q => {
+      if (!answered.has(String(q.id || q._id))) items.push(reviewItem(q, { questionId: String(q.id || q._id) }, lang));
+    });
+
+    return res.json({
+      ok: true,
+      attempt: {
+        attemptId: attempt._id,
+        testId: attempt.testId,
+        testTitle: test ? test.title : null,
+        startedAt: attempt.startedAt,
+        submittedAt: attempt.submittedAt,
+        durationSeconds: secondsBetween(attempt.startedAt, attempt.submittedAt),
+        score: attempt.score || 0,
+        total: items.length,
+        correct: items.filter(i => i.isCorrect).length
+      },
+      lang,
+      questions: items
+    });
+  } catch (err) {
+    console.error('attempts.review', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -138,6 +138,7 @@ router.post('/register', async (req, res) => {
         username: user.username,
         fullName: user.fullName,
         role: user.role,
+        canReviewLessons: !!user.canReviewLessons,
         phoneNumber: user.phoneNumber,
         country: user.country,
         countryName: user.countryName,
@@ -210,6 +211,7 @@ router.post('/login', async (req, res) => {
         username: user.username,
         fullName: user.fullName,
         role: user.role,
+        canReviewLessons: !!user.canReviewLessons,
         phoneNumber: user.phoneNumber,
         country: user.country,
         countryName: user.countryName,
@@ -240,6 +242,7 @@ router.get('/me', authMiddleware, async (req, res) => {
         fullName: user.fullName,
         email: user.email,
         role: user.role,
+        canReviewLessons: !!user.canReviewLessons,
         phoneNumber: user.phoneNumber,
         country: user.country,
         countryName: user.countryName,
@@ -297,6 +300,7 @@ router.put('/me', authMiddleware, async (req, res) => {
         fullName: u.fullName,
         email: u.email,
         role: u.role,
+        canReviewLessons: !!u.canReviewLessons,
         phoneNumber: u.phoneNumber,
         country: u.country,
         countryName: u.countryName,
@@ -5,6 +5,7 @@ const HelpConversation = require('../models/HelpConversation');
 const User = require('../models/User');
 const { authMiddleware, requireAdmin } = require('../middleware/auth');
 const Announcement = require('../models/Announcement');
+const moderation = require('../utils/moderation');
 
 const router = express.Router();
 
@@ -24,6 +25,9 @@ router.post('/messages', authMiddleware, async (req, res) => {
     const textRaw = (req.body.text || '').toString().trim();
     if (!textRaw) return res.status(400).json({ error: 'Message text required' });
     const text = sanitizeHtml(textRaw, { allowedTags: [], allowedAttributes: {} }).slice(0,2000);
+    // held messages still reach the admins; they are also listed in the moderation queue
+    const screened = await moderation.screen(req.user, 'help', text);
+    if (screened.error) return res.status(screened.status).json({ error: screened.error });
 
     // accept issueType from client (validate/normalize)
     const issueTypeRaw = (req.body.issueType || '').toString().trim();
@@ -48,7 +52,9 @@ router.post('/messages', authMiddleware, async (req, res) => {
       createdAt: new Date(),
       readByAdmin: false,
       readByUser: true,
-      issueType // store on the message as well
+      issueType, // store on the message as well
+      moderationStatus: screened.moderationStatus,
+      moderationReasons: screened.moderationReasons
     });
 
     conv.lastMessage = text;
@@ -56,7 +62,7 @@ router.post('/messages', authMiddleware, async (req, res) => {
     await conv.save();
 
     // notify admins (socket.io)...
-    emitIO(req, 'help:new-message', { conversationId: conv._id, userId: String(req.user._id), userName: conv.userName, lastMessage: conv.lastMessage, issueType: conv.issueType });
+    emitIO(req, 'help:new-message', { conversationId: conv._id, userId: String(req.user._id), userName: conv.userName, lastMessage: conv.lastMessage, issueType: conv.issueType, held: screened.moderationStatus === 'held' });
 
     res.json({ ok: true, conversation: conv });
   } catch (err) {
@@ -8,6 +8,7 @@ const sanitizeHtml = require('sanitize-html');
 const LeaderboardComment = require('../models/LeaderboardComment');
 const Competition = require('../models/Competition');
 const User = require('../models/User');
+const moderation = require('../utils/moderation');
 
 const { authMiddleware, requireAdmin } = require('../middleware/auth');
 
@@ -79,19 +80,24 @@ router.post('/comments', authMiddleware, async (req, res) => {
 
     const comp = await Competition.findById(competitionId);
     if (!comp) return res.status(404).json({ error: 'Competition not found' });
+    const screened = await moderation.screen(req.user, 'leaderboardComment', content);
+    if (screened.error) return res.status(screened.status).json({ error: screened.error });
 
     const comment = await LeaderboardComment.create({
       competitionId,
       userId: req.user._id,
       userName: req.user.fullName || req.user.username || 'Unknown',
-      content
+      content,
+      moderationStatus: screened.moderationStatus,
+      moderationReasons: screened.moderationReasons
     });
+    const held = comment.moderationStatus === 'held';
 
-    // notify room (if io set in app)
+    // notify room (if io set in app); held comments only once approved
     const io = req.app.get('io');
-    if (io) io.to(`competition:${competitionId}`).emit('comments:new', { comment });
+    if (io && !held) io.to(`competition:${competitionId}`).emit('comments:new', { comment });
 
-    return res.json({ comment });
+    return res.json({ comment, held });
   } catch (err) {
     console.error('leaderboard.comments.post', err);
     return res.status(500).json({ error: 'Server error' });
@@ -105,7 +111,7 @@ router.get('/comments', async (req, res) => {
   try {
     const competitionId = req.query.competitionId;
     if (!competitionId) return res.status(400).json({ error: 'competitionId required' });
-    const comments = await LeaderboardComment.find({ competitionId }).sort({ createdAt: 1 }).lean();
+    const comments = await LeaderboardComment.find({ competitionId, moderationStatus: { $ne: 'held' } }).sort({ createdAt: 1 }).lean();
     return res.json({ comments });
   } catch (err) {
     console.error('leaderboard.comments.list', err);
@@ -1,14 +1,22 @@
 // backend/src/routes/lessons.js
+const crypto = require('crypto');
 const express = require('express');
-const sanitizeHtml = require('sanitize-html');
 const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
 
 const Folder = require('../models/Folder');
 const Lesson = require('../models/Lesson');
+const LessonProgress = require('../models/LessonProgress');
+const LessonRevision = require('../models/LessonRevision');
 const User = require('../models/User');
 const { JWT_SECRET } = require('../config');
-const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const { authMiddleware, requireAdmin, isAdminUser } = require('../middleware/auth');
+const { diffWords } = require('../utils/wordDiff');
+const viewAnalytics = require('../utils/viewAnalytics');
+const learningPaths = require('../utils/learningPaths');
+const curriculum = require('../utils/curriculum');
+const recycleBin = require('../utils/recycleBin');
+const richText = require('../utils/richText');
 
 const router = express.Router();
 
@@ -16,39 +24,148 @@ const router = express.Router();
 function sanitizeFolderNameInput(raw) {
   if (!raw) return null;
   if (typeof raw === 'string') {
-    return { en: sanitizeHtml(raw.trim()), som: '' };
+    return { en: richText.basic(raw.trim()), som: '' };
   }
   return {
-    en: sanitizeHtml((raw.en||'').toString().trim()),
-    som: sanitizeHtml((raw.som||'').toString().trim())
+    en: richText.basic((raw.en||'').toString().trim()),
+    som: richText.basic((raw.som||'').toString().trim())
   };
 }
 
+// lesson body in its format -> { format, content, html } (see utils/richText.js)
+function lessonBody(format, raw) {
+  const r = richText.renderBilingual(format, raw);
+  return { format, content: r.source, html: r.html };
+}
+
+function groupBy(items, keyOf) {
+  const map = new Map();
+  items.forEach(it => {
+    const k = keyOf(it);
+    if (!map.has(k)) map.set(k, []);
+    map.get(k).push(it);
+  });
+  return map;
+}
+
+/**
+ * Nested folders -> { ...folder, lessons, children }. Folders and lessons are grouped by parent
+ * once, so this is linear in the number of documents. Lessons carry `content` when it was
+ * loaded, otherwise the `excerpt` from LESSON_SUMMARY_PROJECT.
+ */
 function buildTree(folders, lessons, parentId = null) {
-  const nodes = [];
-  folders
-    .filter(f => {
-      const pid = f.parentId ? String(f.parentId) : null;
-      return pid === (parentId ? String(parentId) : null);
-    })
-    .forEach(f => {
-      const node = {
-        _id: f._id,
-        name: f.name,
-        icon: f.icon,
-        isDeleted: !!f.isDeleted,
-        createdAt: f.createdAt,
-        lessons: (lessons || []).filter(l => l.folderId && String(l.folderId) === String(f._id)).map(l => ({
-          _id: l._id,
-          title: l.title,
-          content: l.content,
-          isDeleted: !!l.isDeleted,
-        })),
-        children: buildTree(folders, lessons, f._id)
-      };
-      nodes.push(node);
-    });
-  return nodes;
+  const foldersByParent = groupBy(folders, f => (f.parentId ? String(f.parentId) : null));
+  const lessonsByFolder = groupBy(lessons || [], l => (l.folderId ? String(l.folderId) : null));
+  const build = (pid) => (foldersByParent.get(pid) || []).map(f => ({
+    _id: f._id,
+    name: f.name,
+    icon: f.icon,
+    position: f.position || 0,
+    isDeleted: !!f.isDeleted,
+    createdAt: f.createdAt,
+    lessons: (lessonsByFolder.get(String(f._id)) || []).map(lessonNode),
+    children: build(String(f._id))
+  }));
+  return build(parentId ? String(parentId) : null);
+}
+
+function lessonNode(l) {
+  const node = { _id: l._id, title: l.title };
+  if (l.content !== undefined) {
+    node.content = l.content;
+    node.format = l.format || 'text';
+    if (l.html !== undefined) node.html = l.html;
+  } else node.excerpt = l.excerpt || { en: '', som: '' };
+  node.isDeleted = !!l.isDeleted;
+  node.position = l.position || 0;
+  node.status = lessonStatus(l);
+  node.publishAt = l.publishAt || null;
+  if (l.lock) node.lock = l.lock;
+  return node;
+}
+
+// logged-in callers: l.lock = { state: completed|unlocked|locked, unmet } (utils/learningPaths.js)
+async function attachLocks(req, lessons) {
+  if (!req.user) return;
+  const states = await learningPaths.lessonStates(req.user, lessons.filter(l => !l.isDeleted));
+  lessons.forEach(l => { if (states.has(String(l._id))) l.lock = states.get(String(l._id)); });
+}
+
+/* ================= lazy tree ================= */
+const EXCERPT_LENGTH = 160;
+const CHILDREN_PAGE = 50;
+const MAX_CHILDREN_PAGE = 200;
+
+// lesson fields for tree listings: no content, just the start of it
+const LESSON_SUMMARY_PROJECT = {
+  title: 1, folderId: 1, position: 1, isDeleted: 1, status: 1, isPublished: 1, publishAt: 1, prerequisites: 1, createdAt: 1, updatedAt: 1,
+  excerpt: {
+    en: { $substrCP: [{ $ifNull: ['$content.en', ''] }, 0, EXCERPT_LENGTH] },
+    som: { $substrCP: [{ $ifNull: ['$content.som', ''] }, 0, EXCERPT_LENGTH] }
+  }
+};
+
+/**
+ * Lessons loaded with their content: for anyone but staff, the ones locked for them (guests: any
+ * with unmet prerequisites) become summaries (LESSON_SUMMARY_PROJECT), as GET /:id refuses them.
+ * Call after attachLocks.
+ */
+async function summarizeLocked(req, lessons) {
+  if (isAdminUser(req.user)) return lessons;
+  const states = req.user ? null : await learningPaths.lessonStates(null, lessons);
+  const lockOf = (l) => (states ? states.get(String(l._id)) : l.lock);
+  const locked = lessons.filter(l => l.content !== undefined && (lockOf(l) || {}).state === 'locked');
+  if (!locked.length) return lessons;
+  const summaries = await Lesson.aggregate([{ $match: { _id: { $in: locked.map(l => l._id) } } }, { $project: LESSON_SUMMARY_PROJECT }]);
+  const byId = new Map(summaries.map(s => [String(s._id), s]));
+  return lessons.map(l => (byId.has(String(l._id)) ? Object.assign(byId.get(String(l._id)), { lock: lockOf(l) }) : l));
+}
+
+// siblings sort by position; folders then by name (case-insensitively, like the tree always did)
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+function encodeCursor(c) {
+  return Buffer.from(JSON.stringify(c)).toString('base64url');
+}
+
+// { p: 'folders', n: position, k: name.en, id } | { p: 'lessons', n: position, id } ; null when absent, false when malformed
+function decodeCursor(raw) {
+  if (!raw) return null;
+  try {
+    const c = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+    if (!c || !mongoose.Types.ObjectId.isValid(c.id)) return false;
+    if (c.n === undefined) c.n = 0; // cursors from before positions existed
+    if (!Number.isFinite(c.n)) return false;
+    if (c.p === 'folders' && typeof c.k === 'string') return c;
+    if (c.p === 'lessons') return c;
+    return false;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Send `payload` as JSON with a weak ETag of its bytes; answers 304 when the client already
+ * has it (If-None-Match). Responses differ per role, hence Vary: Authorization.
+ */
+function sendWithEtag(req, res, payload) {
+  const body = JSON.stringify(payload);
+  const etag = 'W/"' + crypto.createHash('sha1').update(body).digest('base64url') + '"';
+  res.set({ ETag: etag, 'Cache-Control': 'private, no-cache', Vary: 'Authorization' });
+  const inm = req.headers['if-none-match'];
+  if (inm && inm.split(',').map(t => t.trim()).includes(etag)) return res.status(304).end();
+  return res.type('application/json').send(body);
+}
+
+// ancestors of a folder, root first (bounded so a broken parent chain cannot loop)
+async function folderPath(folder) {
+  const path = [];
+  let cur = folder;
+  for (let depth = 0; cur && cur.parentId && depth < 50; depth++) {
+    cur = await Folder.findById(cur.parentId).select('name parentId').lean();
+    if (cur) path.unshift({ _id: cur._id, name: cur.name });
+  }
+  return path;
 }
 
 /**
@@ -75,6 +192,132 @@ async function optionalAuthenticate(req) {
 }
 
 
+/* ================= publishing workflow ================= */
+const LESSON_STATUSES = ['draft', 'review', 'scheduled', 'published', 'unpublished'];
+
+const lessonStatus = (l) => Lesson.statusOf(l);
+const PUBLISHED_FILTER = Lesson.PUBLISHED_FILTER;
+
+function statusFilter(status) {
+  if (status === 'published') return PUBLISHED_FILTER;
+  if (status === 'draft') return { $or: [{ status: 'draft' }, { status: null, isPublished: false }] };
+  return { status };
+}
+
+/**
+ * Lesson query for the caller: staff see every state (optionally narrowed by ?status=),
+ * everyone else only published lessons.
+ */
+function visibleLessonsFilter(req, base) {
+  if (!isAdminUser(req.user)) return { $and: [base, PUBLISHED_FILTER] };
+  if (LESSON_STATUSES.includes(req.query.status)) return { $and: [base, statusFilter(req.query.status)] };
+  return base;
+}
+
+// approving and publishing is for reviewers: staff granted canReviewLessons (POST /api/admin/users/:id/lesson-reviewer)
+function isReviewer(u) {
+  return !!(u && u.canReviewLessons);
+}
+
+// statuses whose text readers see (or will at publishAt): text edits wait in pendingEdit for a reviewer
+const LIVE_STATUSES = ['published', 'scheduled'];
+
+// title + content fields of a lesson or pending edit
+function lessonText(src) {
+  return { title: src.title, content: src.content, format: src.format || 'text', html: src.html || { en: '', som: '' } };
+}
+
+function sameText(a, b) {
+  return sameBilingual(a.title, b.title) && sameBilingual(a.content, b.content) && (a.format || 'text') === (b.format || 'text');
+}
+
+/**
+ * Where a title/content change (edit or revision restore) goes, by the lesson's status:
+ *  - published / scheduled: into pendingEdit (restoredFrom: the revision restored) while the live
+ *    text stays; a reviewer swaps it in with the approveEdit action. Back to the live text drops it.
+ *  - review: applied, and the lesson is resubmitted by the editor (who then cannot approve it)
+ *  - otherwise applied as is
+ * Returns { update: { $set, $push? }, pending, resubmitted }.
+ */
+function textUpdate(before, text, user, now, action, restoredFrom = null) {
+  const from = lessonStatus(before);
+  if (LIVE_STATUSES.includes(from)) {
+    const pendingEdit = sameText(text, before)
+      ? null
+      : Object.assign(lessonText(text), { restoredFrom, submittedBy: user._id, submittedAt: now });
+    return {
+      update: {
+        $set: { pendingEdit, updatedAt: now },
+        $push: { workflowHistory: { action, from, to: from, by: user._id, at: now, note: pendingEdit ? 'Waiting for review' : 'Pending edit dropped' } }
+      },
+      pending: !!pendingEdit,
+      resubmitted: false
+    };
+  }
+  const $set = Object.assign(lessonText(text), { updatedAt: now });
+  if (from !== 'review') return { update: { $set }, pending: false, resubmitted: false };
+  $set.review = { submittedBy: user._id, submittedAt: now, reviewedBy: null, reviewedAt: null, note: '' };
+  return {
+    update: { $set, $push: { workflowHistory: { action, from, to: 'review', by: user._id, at: now, note: '' } } },
+    pending: false,
+    resubmitted: true
+  };
+}
+
+/**
+ * POST /api/lessons/:id/workflow actions. `to` for approve becomes 'scheduled' when a
+ * future publishAt is given; jobs/publishJob.js publishes it when the time comes.
+ */
+const WORKFLOW_ACTIONS = {
+  submit:       { from: ['draft', 'unpublished'], to: 'review' },
+  withdraw:     { from: ['review'], to: 'draft' },
+  approve:      { from: ['review'], to: 'published', reviewer: true },
+  reject:       { from: ['review'], to: 'draft', reviewer: true },
+  reschedule:   { from: ['scheduled'], to: 'scheduled', reviewer: true },
+  unpublish:    { from: ['published', 'scheduled'], to: 'unpublished', reviewer: true },
+  // a pending edit (see textUpdate) leaves the status as it is
+  approveEdit:  { from: LIVE_STATUSES, edit: true, reviewer: true },
+  rejectEdit:   { from: LIVE_STATUSES, edit: true, reviewer: true },
+  withdrawEdit: { from: LESSON_STATUSES, edit: true }
+};
+
+/* ================= revisions ================= */
+function displayNameOf(u) {
+  if (!u) return '';
+  return u.fullName || ((u.firstName||'') + ' ' + (u.lastName||'')).trim() || u.username || '';
+}
+
+/**
+ * Snapshot the lesson's title/content as its next revision. The number comes from an atomic
+ * $inc on Lesson.revision so concurrent saves never share one.
+ * opts: { reason, restoredFrom, authorId, authorName, createdAt }
+ */
+async function writeRevision(lesson, opts) {
+  const counter = await Lesson.findByIdAndUpdate(lesson._id, { $inc: { revision: 1 } }, { new: true, projection: { revision: 1 } });
+  return LessonRevision.create({
+    lessonId: lesson._id,
+    number: counter.revision,
+    title: { en: (lesson.title && lesson.title.en) || '', som: (lesson.title && lesson.title.som) || '' },
+    content: { en: (lesson.content && lesson.content.en) || '', som: (lesson.content && lesson.content.som) || '' },
+    format: lesson.format || 'text',
+    reason: opts.reason,
+    restoredFrom: opts.restoredFrom || null,
+    authorId: opts.authorId || null,
+    authorName: opts.authorName || '',
+    createdAt: opts.createdAt || new Date()
+  });
+}
+
+// lessons saved before revisions existed get their current text kept as a baseline first
+async function ensureBaselineRevision(lesson) {
+  if (lesson.revision) return;
+  await writeRevision(lesson, { reason: 'baseline', authorId: lesson.authorId, createdAt: lesson.updatedAt || lesson.createdAt });
+}
+
+function sameBilingual(a, b) {
+  return String((a && a.en) || '') === String((b && b.en) || '') && String((a && a.som) || '') === String((b && b.som) || '');
+}
+
 /* ================= ROUTES (STATIC FIRST) ================= */
 
 // simple GET /api/users/me
@@ -87,9 +330,14 @@ router.get('/users/me', authMiddleware, async (req, res) => {
 });
 
 
-/** GET /api/lessons/tree?deleted=1  -> nested tree for frontend
- *  - Public: guests can call it and see folders/lessons
+/** GET /api/lessons/tree?deleted=1&status=&content=1  -> nested tree for frontend
+ *  - Public: guests can call it and see folders and published lessons
+ *  - Staff (admin/controller) see lessons in every state; ?status= narrows to one
  *  - If token provided and user is admin AND ?deleted=1 -> include deleted entries
+ *  - Lessons come as summaries ({ title, excerpt }); ?content=1 returns full content as before.
+ *    Fetch one lesson with GET /:id, or one folder level with GET /folders/:id/children.
+ *  - ETag / If-None-Match: unchanged trees answer 304
+ *  - With a token lessons carry `lock` ({ state: completed|unlocked|locked, unmet }) for the caller
  */
 router.get('/tree', async (req, res) => {
   try {
@@ -97,42 +345,162 @@ router.get('/tree', async (req, res) => {
 
     const includeDeleted = req.query.deleted === '1' && req.user && req.user.role === 'admin';
     const folders = await Folder.find(includeDeleted ? {} : { isDeleted: { $ne: true } }).lean();
-    const lessons = await Lesson.find(includeDeleted ? {} : { isDeleted: { $ne: true } }).lean();
+    const lessonFilter = visibleLessonsFilter(req, includeDeleted ? {} : { isDeleted: { $ne: true } });
+    const lessons = req.query.content === '1'
+      ? await Lesson.find(lessonFilter).lean()
+      : await Lesson.aggregate([{ $match: lessonFilter }, { $project: LESSON_SUMMARY_PROJECT }]);
 
     folders.sort((a,b) => {
+      if ((a.position || 0) !== (b.position || 0)) return (a.position || 0) - (b.position || 0);
       const aN = (a.name && a.name.en) ? a.name.en : (typeof a.name === 'string' ? a.name : '');
       const bN = (b.name && b.name.en) ? b.name.en : (typeof b.name === 'string' ? b.name : '');
       return String(aN).toLowerCase().localeCompare(String(bN).toLowerCase());
     });
+    lessons.sort((a, b) => ((a.position || 0) - (b.position || 0)) || String(a._id).localeCompare(String(b._id)));
 
-    const tree = buildTree(folders, lessons, null);
-    return res.json({ tree });
+    await attachLocks(req, lessons);
+    const tree = buildTree(folders, await summarizeLocked(req, lessons), null);
+    return sendWithEtag(req, res, { tree });
   } catch (err) {
     console.error('lessons.tree', err);
     return res.status(500).json({ error: 'Server error' });
   }
 });
 
-// POST /api/lessons/:id/view  -> increment views (unique per logged-in user when possible)
+/**
+ * GET /api/lessons/folders/:id/children?cursor=&limit=50&deleted=1&status=
+ * One level of the tree (:id = 'root' for top-level folders): subfolders first (by position, then
+ * name), then lesson summaries (by position, then oldest first), `limit` items per page. Pass
+ * back `nextCursor` for the next page; it is null on the last one. Subfolders carry their own childCount / lessonCount.
+ * Same visibility rules and ETag handling as /tree.
+ */
+router.get('/folders/:id/children', async (req, res) => {
+  try {
+    await optionalAuthenticate(req);
+
+    const isRoot = req.params.id === 'root';
+    if (!isRoot && !mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+    const cursor = decodeCursor(req.query.cursor);
+    if (cursor === false) return res.status(400).json({ error: 'Invalid cursor' });
+    const limit = Math.min(MAX_CHILDREN_PAGE, Math.max(1, parseInt(req.query.limit, 10) || CHILDREN_PAGE));
+
+    const includeDeleted = req.query.deleted === '1' && req.user && req.user.role === 'admin';
+    const notDeleted = includeDeleted ? {} : { isDeleted: { $ne: true } };
+
+    let folder = null;
+    if (!isRoot) {
+      folder = await Folder.findOne(Object.assign({ _id: req.params.id }, notDeleted)).select('name icon parentId isDeleted').lean();
+      if (!folder) return res.status(404).json({ error: 'Not found' });
+    }
+    const parentId = folder ? folder._id : null;
+
+    // subfolders page
+    // (documents saved before positions existed count as position 0)
+    let folders = [];
+    if (!cursor || cursor.p === 'folders') {
+      const after = cursor ? { $or: [
+        { pos: { $gt: cursor.n } },
+        { pos: cursor.n, 'name.en': { $gt: cursor.k } },
+        { pos: cursor.n, 'name.en': cursor.k, _id: { $gt: new mongoose.Types.ObjectId(cursor.id) } }
+      ] } : {};
+      folders = await Folder.aggregate([
+        { $match: Object.assign({ parentId }, notDeleted) },
+        { $addFields: { pos: { $ifNull: ['$position', 0] } } },
+        { $match: after },
+        { $sort: { pos: 1, 'name.en': 1, _id: 1 } },
+        { $limit: limit + 1 },
+        { $project: { name: 1, icon: 1, isDeleted: 1, createdAt: 1, pos: 1 } }
+      ]).collation(NAME_COLLATION);
+    }
+
+    // lessons fill the rest of the page
+    let lessons = [];
+    const room = limit + 1 - folders.length;
+    if (room > 0) {
+      const match = visibleLessonsFilter(req, Object.assign({ folderId: parentId }, notDeleted));
+      const after = cursor && cursor.p === 'lessons' ? { $or: [
+        { pos: { $gt: cursor.n } },
+        { pos: cursor.n, _id: { $gt: new mongoose.Types.ObjectId(cursor.id) } }
+      ] } : {};
+      lessons = await Lesson.aggregate([
+        { $match: match },
+        { $addFields: { pos: { $ifNull: ['$position', 0] } } },
+        { $match: after },
+        { $sort: { pos: 1, _id: 1 } },
+        { $limit: room },
+        { $project: Object.assign({ pos: 1 }, LESSON_SUMMARY_PROJECT) }
+      ]);
+    }
+
+    // one extra item was fetched to know whether another page exists
+    let nextCursor = null;
+    if (folders.length + lessons.length > limit) {
+      if (folders.length > limit) folders = folders.slice(0, limit);
+      else lessons = lessons.slice(0, limit - folders.length);
+      const last = lessons.length ? lessons[lessons.length - 1] : folders[folders.length - 1];
+      nextCursor = lessons.length
+        ? encodeCursor({ p: 'lessons', n: last.pos, id: String(last._id) })
+        : encodeCursor({ p: 'folders', n: last.pos, k: last.name.en, id: String(last._id) });
+    }
+
+    await attachLocks(req, lessons);
+
+    // counts for the subfolders on this page
+    const ids = folders.map(f => f._id);
+    const [childCounts, lessonCounts] = ids.length ? await Promise.all([
+      Folder.aggregate([{ $match: Object.assign({ parentId: { $in: ids } }, notDeleted) }, { $group: { _id: '$parentId', n: { $sum: 1 } } }]),
+      Lesson.aggregate([{ $match: visibleLessonsFilter(req, Object.assign({ folderId: { $in: ids } }, notDeleted)) }, { $group: { _id: '$folderId', n: { $sum: 1 } } }])
+    ]) : [[], []];
+    const countOf = (rows) => new Map(rows.map(r => [String(r._id), r.n]));
+    const children = countOf(childCounts);
+    const lessonsIn = countOf(lessonCounts);
+
+    return sendWithEtag(req, res, {
+      folder: folder ? { _id: folder._id, name: folder.name, icon: folder.icon, parentId: folder.parentId || null, isDeleted: !!folder.isDeleted } : null,
+      path: folder ? await folderPath(folder) : [],
+      folders: folders.map(f => ({
+        _id: f._id,
+        name: f.name,
+        icon: f.icon,
+        position: f.pos,
+        isDeleted: !!f.isDeleted,
+        createdAt: f.createdAt,
+        childCount: children.get(String(f._id)) || 0,
+        lessonCount: lessonsIn.get(String(f._id)) || 0
+      })),
+      lessons: lessons.map(lessonNode),
+      nextCursor
+    });
+  } catch (err) {
+    console.error('lessons.children', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // POST /api/lessons/:id/view  -> increment views (count every call)
+// Who viewed when goes to the daily view buckets (utils/viewAnalytics.js), not the lesson document.
+// Learners only count on lessons they can open: published, not deleted and not locked (as GET /:id).
 router.post('/:id/view', authMiddleware, async (req, res) => {
   try {
     const lessonId = req.params.id;
-    const userId = req.user && req.user._id ? String(req.user._id) : null;
+    if (!mongoose.Types.ObjectId.isValid(lessonId)) return res.status(400).json({ error: 'Invalid id' });
+    if (!isAdminUser(req.user)) {
+      const target = await Lesson.findOne(Object.assign({ _id: lessonId, isDeleted: { $ne: true } }, PUBLISHED_FILTER)).select('_id prerequisites').lean();
+      if (!target) return res.status(404).json({ error: 'Not found' });
+      const lock = (await learningPaths.lessonStates(req.user, [target])).get(String(target._id));
+      if (lock.state === 'locked') return res.status(403).json({ error: 'Lesson is locked', lock });
+    }
 
-    const lesson = await Lesson.findById(lessonId);
+    // the old unbounded viewers array is dropped as lessons get viewed
+    const lesson = await Lesson.findByIdAndUpdate(lessonId, { $inc: { viewsCount: 1 }, $unset: { viewers: 1 } }, { new: true, projection: { viewsCount: 1 }, strict: false });
     if (!lesson) return res.status(404).json({ error: 'Not found' });
 
-    // Always increment the persistent counter
-    lesson.viewsCount = (lesson.viewsCount || 0) + 1;
-
-    // Optionally keep a viewers list (records each viewer entry; duplicates will represent repeated views)
-    if (userId) {
-      if (!Array.isArray(lesson.viewers)) lesson.viewers = [];
-      lesson.viewers.push(userId); // note: duplicates allowed if you want each view recorded
+    try {
+      await viewAnalytics.recordView('lesson', lesson._id, req.user);
+    } catch (e) {
+      console.error('lesson.view analytics', e);
     }
-
-    await lesson.save();
+    await LessonProgress.recordOpen(req.user._id, lesson._id);
     return res.json({ ok: true, viewsCount: lesson.viewsCount });
   } catch (err) {
     console.error('lesson.view', err);
@@ -174,18 +542,51 @@ router.delete('/:id/favorite', authMiddleware, async (req, res) => {
   }
 });
 
-/** GET /api/lessons/recycle  (admin) */
+/**
+ * GET /api/lessons/recycle  (admin)
+ * The recycle bin grouped by delete operation (utils/recycleBin.js):
+ * { retentionDays, batches: [{ _id, rootKind, rootId, title, deletedByName, deletedAt, purgeAt, counts }],
+ *   legacy: { folders, lessons, tests } } — legacy = deleted before batches existed.
+ * `folders` / `lessons` still list every deleted folder / lesson for older clients.
+ */
 router.get('/recycle', authMiddleware, requireAdmin, async (req, res) => {
   try {
+    const bin = await recycleBin.listBin();
     const folders = await Folder.find({ isDeleted: true }).lean();
-    const lessons = await Lesson.find({ isDeleted: true }).lean();
-    return res.json({ folders, lessons });
+    const lessons = await Lesson.find({ isDeleted: true }).select('-content -html').lean();
+    return res.json(Object.assign({ ok: true }, bin, { folders, lessons }));
   } catch (err) {
     console.error('lessons.recycle', err);
     return res.status(500).json({ error: 'Server error' });
   }
 });
 
+/** POST /api/lessons/recycle/:batchId/restore  (admin) — undo one delete operation */
+router.post('/recycle/:batchId/restore', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.batchId)) return res.status(400).json({ error: 'Invalid id' });
+    const r = await recycleBin.restoreBatch(req.params.batchId, req.user._id);
+    if (!r) return res.status(404).json({ error: 'Not found' });
+    return res.json(Object.assign({ ok: true }, r));
+  } catch (err) {
+    console.error('lessons.recycleRestore', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/** DELETE /api/lessons/recycle/:batchId  (admin) — purge one delete operation now */
+router.delete('/recycle/:batchId', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.batchId)) return res.status(400).json({ error: 'Invalid id' });
+    const removed = await recycleBin.purgeBatch(req.params.batchId);
+    if (!removed) return res.status(404).json({ error: 'Not found' });
+    return res.json({ ok: true, removed });
+  } catch (err) {
+    console.error('lessons.recyclePurge', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
 /** GET /api/lessons/folders (list) */
 router.get('/folders', authMiddleware, async (req, res) => {
   try {
@@ -207,7 +608,9 @@ router.post('/folders', authMiddleware, requireAdmin, async (req, res) => {
   try {
     const nameObj = sanitizeFolderNameInput(req.body.name || '');
     if (!nameObj || !nameObj.en) return res.status(400).json({ error: 'Name required' });
-    const folder = await Folder.create({ name: nameObj, parentId: req.body.parentId || null, icon: req.body.icon || '', authorId: req.user._id });
+    const parentId = req.body.parentId || null;
+    const position = await curriculum.nextPosition('folder', parentId);
+    const folder = await Folder.create({ name: nameObj, parentId, icon: req.body.icon || '', position, authorId: req.user._id });
     return res.json({ folder });
   } catch (err) {
     console.error('folders.create', err);
@@ -215,14 +618,24 @@ router.post('/folders', authMiddleware, requireAdmin, async (req, res) => {
   }
 });
 
-/** PUT /api/lessons/folders/:id (admin) */
+/** PUT /api/lessons/folders/:id (admin) — name, icon; parentId / position move it like POST /folders/:id/move */
 router.put('/folders/:id', authMiddleware, requireAdmin, async (req, res) => {
   try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+    if (req.body.parentId !== undefined || req.body.position !== undefined) {
+      const current = await Folder.findById(req.params.id).select('parentId').lean();
+      if (!current) return res.status(404).json({ error: 'Not found' });
+      const parentId = req.body.parentId !== undefined ? req.body.parentId : current.parentId;
+      const { reason } = await curriculum.validateOperations([{ op: 'move', kind: 'folder', id: req.params.id, parentId, position: req.body.position }]);
+      if (reason) return res.status(400).json({ error: reason });
+      await curriculum.move('folder', req.params.id, parentId === 'root' ? null : parentId, req.body.position);
+    }
     const updates = {};
     if (req.body.name) updates.name = sanitizeFolderNameInput(req.body.name);
     if (req.body.icon !== undefined) updates.icon = req.body.icon;
     updates.updatedAt = new Date();
     const folder = await Folder.findByIdAndUpdate(req.params.id, updates, { new: true });
+    if (!folder) return res.status(404).json({ error: 'Not found' });
     return res.json({ folder });
   } catch (err) {
     console.error('folders.update', err);
@@ -230,62 +643,113 @@ router.put('/folders/:id', authMiddleware, requireAdmin, async (req, res) => {
   }
 });
 
-/** DELETE /api/lessons/folders/:id (admin) soft-delete or permanent */
-async function softDeleteFolderAndChildren(folderId) {
-  const toProcess = [String(folderId)];
-  while (toProcess.length) {
-    const id = toProcess.pop();
-    await Folder.findByIdAndUpdate(id, { isDeleted: true });
-    await Lesson.updateMany({ folderId: id }, { $set: { isDeleted: true } });
-    const children = await Folder.find({ parentId: id }).lean();
-    children.forEach(c => toProcess.push(String(c._id)));
-  }
-}
-
-async function permanentDeleteFolderAndChildren(folderId) {
-  const toProcess = [String(folderId)];
-  while (toProcess.length) {
-    const id = toProcess.pop();
-    await Lesson.deleteMany({ folderId: id });
-    const children = await Folder.find({ parentId: id }).lean();
-    children.forEach(c => toProcess.push(String(c._id)));
-    await Folder.deleteOne({ _id: id });
-  }
-}
-
+/**
+ * DELETE /api/lessons/folders/:id (admin) — soft delete of the whole subtree (subfolders, lessons,
+ * tests) as one recycle bin entry, or ?permanent=1 to remove it all for good.
+ */
 router.delete('/folders/:id', authMiddleware, requireAdmin, async (req, res) => {
   try {
-    const perm = req.query.permanent === '1';
-    if (perm) {
-      await permanentDeleteFolderAndChildren(req.params.id);
-      return res.json({ ok: true });
-    } else {
-      await softDeleteFolderAndChildren(req.params.id);
-      return res.json({ ok: true });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+    if (req.query.permanent === '1') {
+      const removed = await recycleBin.permanentDelete('folder', req.params.id);
+      if (!removed) return res.status(404).json({ error: 'Not found' });
+      return res.json({ ok: true, removed });
     }
+    const r = await recycleBin.softDelete('folder', req.params.id, req.user);
+    if (!r) return res.status(404).json({ error: 'Not found' });
+    return res.json({ ok: true, batchId: r.batch ? r.batch._id : null, counts: r.batch ? r.batch.counts : null });
   } catch (err) {
     console.error('folders.delete', err);
     return res.status(500).json({ error: 'Server error' });
   }
 });
 
+/** POST /api/lessons/folders/:id/restore (admin) — brings back what was deleted with it below it */
 router.post('/folders/:id/restore', authMiddleware, requireAdmin, async (req, res) => {
   try {
-    const toProcess = [String(req.params.id)];
-    while (toProcess.length) {
-      const id = toProcess.pop();
-      await Folder.findByIdAndUpdate(id, { isDeleted: false });
-      await Lesson.updateMany({ folderId: id }, { $set: { isDeleted: false } });
-      const children = await Folder.find({ parentId: id }).lean();
-      children.forEach(c => toProcess.push(String(c._id)));
-    }
-    return res.json({ ok: true });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+    const r = await recycleBin.restoreItem('folder', req.params.id, req.user._id);
+    if (!r) return res.status(404).json({ error: 'Not found' });
+    return res.json(Object.assign({ ok: true }, r));
   } catch (err) {
     console.error('folders.restore', err);
     return res.status(500).json({ error: 'Server error' });
   }
 });
 
+/* ================= restructuring: move / reorder / duplicate ================= */
+
+/**
+ * Validate and apply curriculum operations (utils/curriculum.js). Duplicated lessons get their
+ * first revision like new ones. Returns the validation failure or { results }.
+ */
+async function runOperations(req, raw) {
+  const checked = await curriculum.validateOperations(raw);
+  if (checked.error) return checked;
+  const { results, lessons } = await curriculum.applyOperations(checked.operations, req.user._id);
+  for (const l of lessons) {
+    await writeRevision(l, { reason: 'create', authorId: req.user._id, authorName: displayNameOf(req.user) });
+  }
+  return { results };
+}
+
+// the single-item endpoints are one-operation bulk requests
+function singleOperation(label, opOf) {
+  return async (req, res) => {
+    try {
+      const { results, reason } = await runOperations(req, [opOf(req.params, req.body || {})]);
+      if (reason) return res.status(400).json({ error: reason });
+      if (results[0].error) return res.status(404).json({ error: results[0].error });
+      return res.json(Object.assign({ ok: true }, results[0]));
+    } catch (err) {
+      console.error(label, err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  };
+}
+
+/**
+ * POST /api/lessons/bulk  (admin)
+ * Body: { operations: [...] } — up to 100, applied in order after all of them were validated:
+ *   { op: 'move', kind: 'folder'|'lesson', id, parentId, position? }   parentId null/'root' = top level
+ *   { op: 'reorder', parentId, folders?: [id], lessons?: [id] }         listed first, the rest after
+ *   { op: 'duplicate', kind: 'folder'|'lesson', id, parentId? }         deep copy with tests, as drafts
+ * Folders cannot be moved into their own subtree (checked with the earlier moves applied).
+ * -> { ok, results: [...] } or 400 { error, index } naming the first bad operation.
+ */
+router.post('/bulk', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const { results, error, index } = await runOperations(req, (req.body || {}).operations);
+    if (error) return res.status(400).json({ error, index });
+    return res.json({ ok: true, results });
+  } catch (err) {
+    console.error('lessons.bulk', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+const rootOr = (v) => (v === undefined ? null : v);
+
+/** POST /api/lessons/folders/:id/move  (admin) Body: { parentId, position? } */
+router.post('/folders/:id/move', authMiddleware, requireAdmin, singleOperation('folders.move',
+  (p, b) => ({ op: 'move', kind: 'folder', id: p.id, parentId: rootOr(b.parentId), position: b.position })));
+
+/** POST /api/lessons/folders/:id/duplicate  (admin) Body: { parentId? } — default: next to the original */
+router.post('/folders/:id/duplicate', authMiddleware, requireAdmin, singleOperation('folders.duplicate',
+  (p, b) => ({ op: 'duplicate', kind: 'folder', id: p.id, parentId: b.parentId })));
+
+/** PUT /api/lessons/folders/:id/order  (admin) Body: { folders?: [id], lessons?: [id] }; :id may be 'root' */
+router.put('/folders/:id/order', authMiddleware, requireAdmin, singleOperation('folders.order',
+  (p, b) => ({ op: 'reorder', parentId: p.id, folders: b.folders, lessons: b.lessons })));
+
+/** POST /api/lessons/:id/move  (admin) Body: { folderId, position? } — the lesson's tests move along */
+router.post('/:id/move', authMiddleware, requireAdmin, singleOperation('lessons.move',
+  (p, b) => ({ op: 'move', kind: 'lesson', id: p.id, parentId: rootOr(b.folderId), position: b.position })));
+
+/** POST /api/lessons/:id/duplicate  (admin) Body: { folderId? } — copy with its tests, as a draft */
+router.post('/:id/duplicate', authMiddleware, requireAdmin, singleOperation('lessons.duplicate',
+  (p, b) => ({ op: 'duplicate', kind: 'lesson', id: p.id, parentId: b.folderId })));
+
 /* ================= Lessons CRUD & list (supports ?deleted=1) ================= */
 
 /** GET /api/lessons?deleted=1  - returns flat lessons (for fallback) */
@@ -298,8 +762,9 @@ router.get('/', authMiddleware, async (req, res) => {
     }
     // by default, return tree (frontend uses /tree) but keep a safe fallback
     const folders = await Folder.find({ isDeleted: { $ne: true } }).lean();
-    const lessons = await Lesson.find({ isDeleted: { $ne: true } }).lean();
-    const tree = buildTree(folders, lessons, null);
+    const lessons = await Lesson.find(visibleLessonsFilter(req, { isDeleted: { $ne: true } })).lean();
+    await attachLocks(req, lessons);
+    const tree = buildTree(folders, await summarizeLocked(req, lessons), null);
     return res.json({ tree });
   } catch (err) {
     console.error('lessons.list', err);
@@ -312,15 +777,22 @@ router.post('/', authMiddleware, requireAdmin, async (req, res) => {
   try {
     const title = req.body.title || {};
     if (!((title.en||'').trim())) return res.status(400).json({ error: 'Title required' });
-    const lesson = await Lesson.create({
-      title: { en: sanitizeHtml(title.en||''), som: sanitizeHtml(title.som||'') },
-      content: { en: sanitizeHtml((req.body.content||{}).en||''), som: sanitizeHtml((req.body.content||{}).som||'') },
+    const { format, error } = richText.parseFormat(req.body.format, 'text');
+    if (error) return res.status(400).json({ error });
+    const lesson = await Lesson.create(Object.assign({
+      title: { en: richText.basic(title.en||''), som: richText.basic(title.som||'') },
       folderId: req.body.folderId || null,
+      position: await curriculum.nextPosition('lesson', req.body.folderId || null),
       authorId: req.user._id,
       createdAt: new Date(),
       updatedAt: new Date(),
-      isPublished: req.body.isPublished !== undefined ? !!req.body.isPublished : true
-    });
+      // new lessons start as drafts; publishing goes through POST /:id/workflow
+      status: 'draft',
+      isPublished: false,
+      workflowHistory: [{ action: 'create', from: null, to: 'draft', by: req.user._id, at: new Date() }]
+    }, lessonBody(format, req.body.content || {})));
+    await writeRevision(lesson, { reason: 'create', authorId: req.user._id, authorName: displayNameOf(req.user) });
+    lesson.revision = 1;
     return res.status(201).json({ lesson });
   } catch (err) {
     console.error('lessons.create', err);
@@ -328,68 +800,352 @@ router.post('/', authMiddleware, requireAdmin, async (req, res) => {
   }
 });
 
-/** PUT /api/lessons/:id (update) */
+/**
+ * PUT /api/lessons/:id (update)
+ * Changing the title or content of a lesson that is in review, scheduled or published sends it
+ * (back) to review with the editor as submitter, so the change goes live only once another
+ * reviewer approves it. The response then has resubmitted: true.
+ */
 router.put('/:id', authMiddleware, requireAdmin, async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
-    const updates = {};
-    if (req.body.title) updates.title = { en: sanitizeHtml(req.body.title.en||''), som: sanitizeHtml(req.body.title.som||'') };
-    if (req.body.content) updates.content = { en: sanitizeHtml(req.body.content.en||''), som: sanitizeHtml(req.body.content.som||'') };
-    if (req.body.folderId !== undefined) updates.folderId = req.body.folderId;
-    if (req.body.isPublished !== undefined) updates.isPublished = !!req.body.isPublished;
-    updates.updatedAt = new Date();
-    const l = await Lesson.findByIdAndUpdate(req.params.id, updates, { new: true });
-    return res.json({ lesson: l });
+    const { format, error } = richText.parseFormat(req.body.format, null);
+    if (error) return res.status(400).json({ error });
+    const now = new Date();
+
+    const before = await Lesson.findById(req.params.id).select('+pendingEdit').lean();
+    if (!before) return res.status(404).json({ error: 'Not found' });
+    // the editor works on the pending edit of a live lesson when there is one
+    const current = before.pendingEdit || before;
+    const text = lessonText(current);
+    if (req.body.title) text.title = { en: richText.basic(req.body.title.en||''), som: richText.basic(req.body.title.som||'') };
+    // a format change alone re-renders the current content
+    if (req.body.content || format) {
+      Object.assign(text, lessonBody(format || current.format || 'text', req.body.content || current.content || {}));
+    }
+    // changing the folder is a move (last in the new folder, tests follow)
+    const folderId = req.body.folderId === undefined ? undefined : (req.body.folderId || null);
+    if (folderId !== undefined && String(folderId) !== String(before.folderId || null)) {
+      const { reason } = await curriculum.validateOperations([{ op: 'move', kind: 'lesson', id: before._id, parentId: folderId }]);
+      if (reason) return res.status(400).json({ error: reason });
+      await curriculum.move('lesson', before._id, folderId);
+    }
+    const change = sameText(text, current) ? null : textUpdate(before, text, req.user, now, 'edit');
+    const applied = change && !LIVE_STATUSES.includes(lessonStatus(before));
+    if (applied) await ensureBaselineRevision(before);
+
+    const update = change ? change.update : { $set: {} };
+    update.$set.updatedAt = now;
+    let l = await Lesson.findByIdAndUpdate(req.params.id, update, { new: true });
+    // every save that changes the live title/content becomes an immutable revision (pending edits once approved)
+    if (applied) {
+      const rev = await writeRevision(l, { reason: 'edit', authorId: req.user._id, authorName: displayNameOf(req.user) });
+      l.revision = rev.number;
+    }
+    return res.json({ lesson: l, resubmitted: !!(change && change.resubmitted), pendingReview: !!(change && change.pending) });
   } catch (err) {
     console.error('lessons.update', err);
     return res.status(500).json({ error: 'Server error' });
   }
 });
 
-/** DELETE /api/lessons/:id (soft delete or permanent) */
+/** DELETE /api/lessons/:id (soft delete with its tests into the recycle bin, or ?permanent=1) */
 router.delete('/:id', authMiddleware, requireAdmin, async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
-    const perm = req.query.permanent === '1';
-    const lesson = await Lesson.findById(req.params.id);
-    if (!lesson) return res.status(404).json({ error: 'Not found' });
-    if (perm) {
-      await Lesson.deleteOne({ _id: lesson._id });
-      return res.json({ ok: true });
-    } else {
-      lesson.isDeleted = true;
-      await lesson.save();
-      return res.json({ ok: true });
+    if (req.query.permanent === '1') {
+      const removed = await recycleBin.permanentDelete('lesson', req.params.id);
+      if (!removed) return res.status(404).json({ error: 'Not found' });
+      return res.json({ ok: true, removed });
     }
+    const r = await recycleBin.softDelete('lesson', req.params.id, req.user);
+    if (!r) return res.status(404).json({ error: 'Not found' });
+    return res.json({ ok: true, batchId: r.batch ? r.batch._id : null });
   } catch (err) {
     console.error('lessons.delete', err);
     return res.status(500).json({ error: 'Server error' });
   }
 });
 
-/** POST /api/lessons/:id/restore (admin) */
+/** POST /api/lessons/:id/restore (admin) — with the tests deleted together with it */
 router.post('/:id/restore', authMiddleware, requireAdmin, async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+    const r = await recycleBin.restoreItem('lesson', req.params.id, req.user._id);
+    if (!r) return res.status(404).json({ error: 'Not found' });
     const lesson = await Lesson.findById(req.params.id);
-    if (!lesson) return res.status(404).json({ error: 'Not found' });
-    lesson.isDeleted = false;
-    await lesson.save();
-    return res.json({ ok: true, lesson });
+    return res.json(Object.assign({ ok: true, lesson }, r));
   } catch (err) {
     console.error('lessons.restore', err);
     return res.status(500).json({ error: 'Server error' });
   }
 });
 
+/* ================= Publishing workflow (staff) ================= */
+
+/**
+ * GET /api/lessons/review-queue -> lessons waiting for a reviewer (in review, or with a pending
+ * edit: pendingEdit.submittedAt set), oldest submission first
+ */
+router.get('/review-queue', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const lessons = await Lesson.find({ isDeleted: { $ne: true }, $or: [{ status: 'review' }, { pendingEdit: { $ne: null } }] })
+      .select('title folderId authorId status review pendingEdit.submittedBy pendingEdit.submittedAt pendingEdit.restoredFrom updatedAt revision')
+      .lean();
+    const submittedAt = (l) => new Date(l.status === 'review' ? l.review && l.review.submittedAt : l.pendingEdit.submittedAt).getTime() || 0;
+    lessons.sort((a, b) => submittedAt(a) - submittedAt(b));
+    return res.json({ lessons });
+  } catch (err) {
+    console.error('lessons.reviewQueue', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/lessons/:id/workflow
+ * Body: { action: submit|withdraw|approve|reject|reschedule|unpublish|approveEdit|rejectEdit|withdrawEdit, publishAt?, note? }
+ *  - submit / withdraw / withdrawEdit: any staff member
+ *  - approve / reject / reschedule / unpublish / approveEdit / rejectEdit: reviewers (canReviewLessons);
+ *    nobody approves their own submission or edit
+ *  - approveEdit puts the pending edit of a published or scheduled lesson live, as a new revision
+ *  - approve with a future publishAt schedules the lesson, otherwise it is published now
+ * The update is conditional on the status read here, so two reviewers acting at once cannot
+ * both apply (the loser gets 409).
+ */
+router.post('/:id/workflow', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+    const action = String(req.body.action || '');
+    const rule = WORKFLOW_ACTIONS[action];
+    if (!rule) return res.status(400).json({ error: 'Unknown action', actions: Object.keys(WORKFLOW_ACTIONS) });
+    if (rule.reviewer && !isReviewer(req.user)) return res.status(403).json({ error: 'Reviewers only' });
+
+    const lesson = await Lesson.findOne({ _id: req.params.id, isDeleted: { $ne: true } }).select('+pendingEdit').lean();
+    if (!lesson) return res.status(404).json({ error: 'Not found' });
+    const from = lessonStatus(lesson);
+    if (!rule.from.includes(from)) return res.status(409).json({ error: `Cannot ${action} a lesson that is ${from}`, status: from });
+    if (rule.edit && !lesson.pendingEdit) return res.status(409).json({ error: 'The lesson has no pending edit' });
+
+    let publishAt = null;
+    if (req.body.publishAt) {
+      publishAt = new Date(req.body.publishAt);
+      if (isNaN(publishAt.getTime())) return res.status(400).json({ error: 'Invalid publishAt' });
+    }
+    const now = new Date();
+    const note = richText.plain(String(req.body.note || '').trim()).slice(0, 1000);
+    if (action === 'reject' && !note) return res.status(400).json({ error: 'A note is required to reject' });
+    if (action === 'reschedule' && !(publishAt && publishAt > now)) return res.status(400).json({ error: 'publishAt must be in the future' });
+    if (action === 'approve' && String(lesson.review && lesson.review.submittedBy) === String(req.user._id)) {
+      return res.status(403).json({ error: 'You cannot approve your own submission' });
+    }
+    if (action === 'rejectEdit' && !note) return res.status(400).json({ error: 'A note is required to reject' });
+    if (action === 'approveEdit' && String(lesson.pendingEdit.submittedBy) === String(req.user._id)) {
+      return res.status(403).json({ error: 'You cannot approve your own edit' });
+    }
+    if (rule.edit) {
+      // the live text is replaced (approveEdit) or kept; conditional on the edit read here
+      const pe = lesson.pendingEdit;
+      const set = { pendingEdit: null, updatedAt: now };
+      if (action === 'approveEdit') Object.assign(set, lessonText(pe));
+      const updated = await Lesson.findOneAndUpdate(
+        { _id: lesson._id, isDeleted: { $ne: true }, 'pendingEdit.submittedAt': pe.submittedAt },
+        { $set: set, $push: { workflowHistory: { action, from, to: from, by: req.user._id, at: now, note } } },
+        { new: true }
+      ).lean();
+      if (!updated) return res.status(409).json({ error: 'The pending edit changed, reload and try again' });
+      if (action === 'approveEdit') {
+        await ensureBaselineRevision(lesson);
+        const author = pe.submittedBy ? await User.findById(pe.submittedBy).select('fullName firstName lastName username').lean() : null;
+        const rev = await writeRevision(updated, {
+          reason: pe.restoredFrom ? 'restore' : 'edit', restoredFrom: pe.restoredFrom, authorId: pe.submittedBy, authorName: displayNameOf(author)
+        });
+        updated.revision = rev.number;
+      }
+      return res.json({ ok: true, lesson: updated });
+    }
+
+    let to = rule.to;
+    if (action === 'approve' && publishAt && publishAt > now) to = 'scheduled';
+
+    const set = { status: to, isPublished: to === 'published', updatedAt: now };
+    if (action === 'submit') {
+      set.review = { submittedBy: req.user._id, submittedAt: now, reviewedBy: null, reviewedAt: null, note };
+    }
+    if (action === 'approve' || action === 'reject') {
+      set['review.reviewedBy'] = req.user._id;
+      set['review.reviewedAt'] = now;
+      set['review.note'] = note;
+    }
+    if (to === 'scheduled') set.publishAt = publishAt;
+    if (to === 'published') { set.publishAt = null; set.publishedAt = now; }
+    if (to === 'unpublished' || to === 'draft') set.publishAt = null;
+
+    // lessons saved before the workflow have no status field: match them the way lessonStatus read them
+    const cond = { _id: lesson._id, isDeleted: { $ne: true } };
+    if (lesson.status) cond.status = lesson.status;
+    else Object.assign(cond, { status: null, isPublished: lesson.isPublished === false ? false : { $ne: false } });
+
+    const updated = await Lesson.findOneAndUpdate(cond, {
+      $set: set,
+      $push: { workflowHistory: { action, from, to, by: req.user._id, at: now, note } }
+    }, { new: true }).lean();
+    if (!updated) return res.status(409).json({ error: 'Lesson status changed, reload and try again' });
+
+    if (to === 'published') req.app.get('io')?.emit('lesson:published', { lessonId: updated._id, title: updated.title });
+    return res.json({ ok: true, lesson: updated });
+  } catch (err) {
+    console.error('lessons.workflow', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/* ================= Revisions (admin) ================= */
+
+/** GET /api/lessons/:id/revisions -> newest first, without the text */
+router.get('/:id/revisions', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+    const lesson = await Lesson.findById(req.params.id).select('revision').lean();
+    if (!lesson) return res.status(404).json({ error: 'Not found' });
+    const revisions = await LessonRevision.aggregate([
+      { $match: { lessonId: lesson._id } },
+      { $sort: { number: -1 } },
+      { $project: {
+        number: 1, reason: 1, restoredFrom: 1, authorId: 1, authorName: 1, createdAt: 1, title: 1,
+        length: { en: { $strLenCP: '$content.en' }, som: { $strLenCP: '$content.som' } }
+      } }
+    ]);
+    return res.json({ current: lesson.revision || 0, revisions });
+  } catch (err) {
+    console.error('lessons.revisions', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/lessons/:id/revisions/diff?from=3&to=5&lang=en|som
+ * Word-level diff of title and content between two revisions (to defaults to the latest).
+ */
+router.get('/:id/revisions/diff', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+    const lesson = await Lesson.findById(req.params.id).select('revision').lean();
+    if (!lesson) return res.status(404).json({ error: 'Not found' });
+    const from = parseInt(req.query.from, 10);
+    const to = req.query.to ? parseInt(req.query.to, 10) : lesson.revision;
+    if (!(from > 0) || !(to > 0)) return res.status(400).json({ error: 'from and to must be revision numbers' });
+
+    const revs = await LessonRevision.find({ lessonId: lesson._id, number: { $in: [from, to] } }).lean();
+    const a = revs.find(r => r.number === from);
+    const b = revs.find(r => r.number === to);
+    if (!a || !b) return res.status(404).json({ error: 'Revision not found' });
+
+    const langs = req.query.lang === 'en' || req.query.lang === 'som' ? [req.query.lang] : ['en', 'som'];
+    const title = {};
+    const content = {};
+    langs.forEach(lang => {
+      title[lang] = diffWords(a.title[lang], b.title[lang]);
+      content[lang] = diffWords(a.content[lang], b.content[lang]);
+    });
+    return res.json({ from, to, title, content });
+  } catch (err) {
+    console.error('lessons.revisions.diff', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/** GET /api/lessons/:id/revisions/:number -> full revision */
+router.get('/:id/revisions/:number', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+    const revision = await LessonRevision.findOne({ lessonId: req.params.id, number: parseInt(req.params.number, 10) || 0 }).lean();
+    if (!revision) return res.status(404).json({ error: 'Revision not found' });
+    return res.json({ revision });
+  } catch (err) {
+    console.error('lessons.revisions.get', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/lessons/:id/revisions/:number/restore -> lesson text back to that revision, saved as a new
+ * revision (in review: resubmitted; published or scheduled: held as the pending edit, see textUpdate)
+ */
+router.post('/:id/revisions/:number/restore', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+    const before = await Lesson.findById(req.params.id).lean();
+    if (!before) return res.status(404).json({ error: 'Not found' });
+    const revision = await LessonRevision.findOne({ lessonId: before._id, number: parseInt(req.params.number, 10) || 0 }).lean();
+    if (!revision) return res.status(404).json({ error: 'Revision not found' });
+
+    const text = Object.assign({ title: revision.title }, lessonBody(revision.format || 'text', revision.content));
+    const change = textUpdate(before, text, req.user, new Date(), 'restore', revision.number);
+    const lesson = await Lesson.findByIdAndUpdate(before._id, change.update, { new: true });
+    if (LIVE_STATUSES.includes(lessonStatus(before))) {
+      return res.json({ ok: true, lesson, revision: lesson.revision, resubmitted: false, pendingReview: change.pending });
+    }
+    const rev = await writeRevision(lesson, { reason: 'restore', restoredFrom: revision.number, authorId: req.user._id, authorName: displayNameOf(req.user) });
+    lesson.revision = rev.number;
+    return res.json({ ok: true, lesson, revision: rev.number, resubmitted: change.resubmitted, pendingReview: false });
+  } catch (err) {
+    console.error('lessons.revisions.restore', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/* ================= prerequisites ================= */
+
+/**
+ * PUT /api/lessons/:id/prerequisites  (admin)
+ * Body: { prerequisites: [{ kind: 'lesson'|'test', itemId, minPercent? }] } — replaces the list.
+ * minPercent only applies to tests (null: the test's own pass mark). Lessons may not require
+ * themselves or each other in a loop, directly or through sequential learning paths.
+ */
+router.put('/:id/prerequisites', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const lesson = await Lesson.findOne({ _id: id, isDeleted: { $ne: true } }).select('_id').lean();
+    if (!lesson) return res.status(404).json({ error: 'Not found' });
+
+    const { items, error } = await learningPaths.parseRefs((req.body || {}).prerequisites, learningPaths.MAX_PREREQUISITES, 'prerequisites');
+    if (error) return res.status(400).json({ error });
+    if (items.some(p => p.kind === 'lesson' && String(p.itemId) === String(lesson._id))) {
+      return res.status(400).json({ error: 'A lesson cannot require itself' });
+    }
+    const cycle = await learningPaths.findCycle({ lessonId: lesson._id, prerequisites: items });
+    if (cycle) return res.status(400).json({ error: 'Prerequisites would make lessons require each other', cycle });
+
+    const l = await Lesson.findByIdAndUpdate(lesson._id, { $set: { prerequisites: items, updatedAt: new Date() } }, { new: true })
+      .select('prerequisites').lean();
+    return res.json({ ok: true, prerequisites: l.prerequisites });
+  } catch (err) {
+    console.error('lessons.prerequisites', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
 /* ================= Param route LAST (validate id) ================= */
 // GET /api/lessons/:id  (returns lesson + author + viewsCount)
 router.get('/:id', authMiddleware, async (req, res) => {
   try {
     const id = req.params.id;
     if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
-    const lesson = await Lesson.findById(id).lean();
+    // deleted lessons (recycle bin) stay open to staff only
+    const base = isAdminUser(req.user) ? { _id: id } : { _id: id, isDeleted: { $ne: true } };
+    const lesson = await Lesson.findOne(visibleLessonsFilter(req, base)).select(isAdminUser(req.user) ? '+pendingEdit' : '').lean();
     if (!lesson) return res.status(404).json({ error: 'Not found' });
+    lesson.status = lessonStatus(lesson);
+    // workflow details are for staff only
+    if (!isAdminUser(req.user)) { delete lesson.review; delete lesson.workflowHistory; }
+
+    // prerequisites / learning paths: learners cannot open locked lessons, staff always can
+    const lock = (await learningPaths.lessonStates(req.user, [lesson])).get(String(lesson._id));
+    if (lock.state === 'locked' && !isAdminUser(req.user)) {
+      return res.status(403).json({ error: 'Lesson is locked', lock });
+    }
+    lesson.lock = lock;
 
     // populate author display name if possible
     try {
@@ -408,6 +1164,7 @@ router.get('/:id', authMiddleware, async (req, res) => {
 
     // return the stored viewsCount (not unique dedupe)
     lesson.viewsCount = lesson.viewsCount || 0;
+    delete lesson.viewers;
 
     return res.json({ lesson });
   } catch (err) {
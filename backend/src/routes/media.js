@@ -0,0 +1,114 @@
+// backend/src/routes/media.js
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+const mongoose = require('mongoose');
+
+const Media = require('../models/Media');
+const { MEDIA_DIR, MEDIA_MAX_BYTES } = require('../config');
+const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const richText = require('../utils/richText');
+
+const router = express.Router();
+
+/**
+ * Files are recognised by their first bytes, not by the declared Content-Type, and stored
+ * under a random name with the extension of what they really are. SVG is not accepted
+ * (it can carry script).
+ */
+const SIGNATURES = [
+  { mimeType: 'image/png', ext: 'png', kind: 'image', test: b => b.slice(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47])) },
+  { mimeType: 'image/jpeg', ext: 'jpg', kind: 'image', test: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mimeType: 'image/gif', ext: 'gif', kind: 'image', test: b => b.toString('ascii', 0, 4) === 'GIF8' },
+  { mimeType: 'image/webp', ext: 'webp', kind: 'image', test: b => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+  { mimeType: 'audio/mpeg', ext: 'mp3', kind: 'audio', test: b => b.toString('ascii', 0, 3) === 'ID3' || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0) },
+  { mimeType: 'audio/ogg', ext: 'ogg', kind: 'audio', test: b => b.toString('ascii', 0, 4) === 'OggS' },
+  { mimeType: 'audio/wav', ext: 'wav', kind: 'audio', test: b => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WAVE' },
+  { mimeType: 'audio/mp4', ext: 'm4a', kind: 'audio', test: b => b.toString('ascii', 4, 8) === 'ftyp' }
+];
+
+function detect(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 12) return null;
+  return SIGNATURES.find(s => s.test(buf)) || null;
+}
+
+function toJson(m) {
+  return {
+    _id: m._id,
+    url: richText.MEDIA_PREFIX + m.fileName,
+    kind: m.kind,
+    mimeType: m.mimeType,
+    size: m.size,
+    originalName: m.originalName,
+    createdAt: m.createdAt
+  };
+}
+
+const rawBody = express.raw({ type: ['image/*', 'audio/*', 'application/octet-stream'], limit: MEDIA_MAX_BYTES });
+
+/**
+ * POST /api/media?name=photo.png  (admin)
+ * Body: the file itself (Content-Type image/* | audio/*). Returns { media: { _id, url, kind, ... } };
+ * use the url in lesson / question Markdown: ![alt](url) for images, the same syntax for audio.
+ */
+router.post('/', authMiddleware, requireAdmin, rawBody, async (req, res) => {
+  try {
+    const type = detect(req.body);
+    if (!type) return res.status(400).json({ error: 'Unsupported file: PNG, JPEG, GIF, WebP, MP3, OGG, WAV or M4A expected' });
+    const fileName = crypto.randomUUID() + '.' + type.ext;
+    await fs.mkdir(MEDIA_DIR, { recursive: true });
+    await fs.writeFile(path.join(MEDIA_DIR, fileName), req.body, { flag: 'wx' });
+    const media = await Media.create({
+      fileName,
+      kind: type.kind,
+      mimeType: type.mimeType,
+      size: req.body.length,
+      originalName: richText.text(String(req.query.name || '')).slice(0, 200),
+      uploadedBy: req.user._id
+    });
+    return res.status(201).json({ media: toJson(media) });
+  } catch (err) {
+    console.error('media.upload', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/** GET /api/media?kind=image|audio&limit=50&before=<date>  (admin) newest first */
+router.get('/', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const q = {};
+    if (req.query.kind === 'image' || req.query.kind === 'audio') q.kind = req.query.kind;
+    if (req.query.before) {
+      const before = new Date(req.query.before);
+      if (isNaN(before.getTime())) return res.status(400).json({ error: 'Invalid before' });
+      q.createdAt = { $lt: before };
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const items = await Media.find(q).sort({ createdAt: -1 }).limit(limit).lean();
+    return res.json({ media: items.map(toJson) });
+  } catch (err) {
+    console.error('media.list', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/** DELETE /api/media/:id  (admin) removes the file; content still pointing at it shows a broken image */
+router.delete('/:id', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+    const media = await Media.findByIdAndDelete(req.params.id);
+    if (!media) return res.status(404).json({ error: 'Not found' });
+    await fs.unlink(path.join(MEDIA_DIR, media.fileName)).catch(err => {
+      if (err.code !== 'ENOENT') throw err;
+    });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('media.delete', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,163 @@
+// backend/src/routes/moderation.js
+'use strict';
+
+const express = require('express');
+const mongoose = require('mongoose');
+
+const BlockedTerm = require('../models/BlockedTerm');
+const User = require('../models/User');
+const moderation = require('../utils/moderation');
+const moderationQueue = require('../utils/moderationQueue');
+const { authMiddleware, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// moderationQueue result -> response (its { error, status } or the result)
+function send(res, r) {
+  if (r.error) return res.status(r.status || 400).json({ error: r.error });
+  return res.json(r);
+}
+
+/**
+ * POST /api/moderation/reports  (any user)
+ * Body: { targetType: 'comment' | 'leaderboardComment' | 'story', targetId, reason: spam|abuse|inappropriate|other, note? }
+ * -> { report, held } (held once enough users reported it)
+ */
+router.post('/reports', authMiddleware, async (req, res) => {
+  try {
+    const r = await moderationQueue.report(req.app.get('io'), req.user, req.body);
+    if (r.error) return send(res, r);
+    return res.status(201).json({ ok: true, reportId: r.report._id, held: r.held });
+  } catch (err) {
+    console.error('moderation.report', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/moderation/queue?type=comment|leaderboardComment|story|help&status=held|reported&limit=50&before=<date>  (admin)
+ * Held and reported content, newest first -> { items, nextBefore }
+ */
+router.get('/queue', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const { type, status } = req.query;
+    if (type && !moderationQueue.TYPES.includes(type)) return res.status(400).json({ error: 'Invalid type' });
+    if (status && status !== 'held' && status !== 'reported') return res.status(400).json({ error: 'status must be held or reported' });
+    let before = null;
+    if (req.query.before) {
+      before = new Date(req.query.before);
+      if (isNaN(before.getTime())) return res.status(400).json({ error: 'Invalid before' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    return res.json(await moderationQueue.listQueue({ type, status, limit, before }));
+  } catch (err) {
+    console.error('moderation.queue', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/moderation/queue/:type/:id/:action  (admin) action: approve | remove | ban
+ * Body for ban: { days? (empty = permanent), reason? }
+ */
+router.post('/queue/:type/:id/:action', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const days = req.body.days != null && req.body.days !== '' ? Number(req.body.days) : 0;
+    if (!Number.isFinite(days) || days < 0) return res.status(400).json({ error: 'days must be a positive number' });
+    const reason = String(req.body.reason || '').trim().slice(0, 300);
+    const r = await moderationQueue.decide(req.app.get('io'), req.user, req.params.type, req.params.id, req.params.action, { days, reason });
+    return send(res, r);
+  } catch (err) {
+    console.error('moderation.decide', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/* ---------- blocklist ---------- */
+
+/** GET /api/moderation/blocklist  (admin) */
+router.get('/blocklist', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const terms = await BlockedTerm.find({}).sort({ term: 1 }).lean();
+    return res.json({ terms });
+  } catch (err) {
+    console.error('moderation.blocklist.list', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/** POST /api/moderation/blocklist  (admin) body: { term, action: hold|reject } — terms apply to every language */
+router.post('/blocklist', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const term = moderation.normalize(req.body.term).trim();
+    if (!term) return res.status(400).json({ error: 'term required' });
+    const action = req.body.action === 'reject' ? 'reject' : 'hold';
+    const saved = await BlockedTerm.findOneAndUpdate(
+      { term },
+      { $set: { action }, $setOnInsert: { createdBy: mongoose.Types.ObjectId.isValid(String(req.user._id)) ? req.user._id : null } },
+      { upsert: true, new: true }
+    );
+    moderation.invalidateBlocklist();
+    return res.json({ term: saved });
+  } catch (err) {
+    console.error('moderation.blocklist.add', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/** DELETE /api/moderation/blocklist/:id  (admin) */
+router.delete('/blocklist/:id', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+    const removed = await BlockedTerm.findByIdAndDelete(req.params.id);
+    if (!removed) return res.status(404).json({ error: 'Not found' });
+    moderation.invalidateBlocklist();
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('moderation.blocklist.delete', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/* ---------- bans ---------- */
+
+/** GET /api/moderation/bans  (admin) users banned right now */
+router.get('/bans', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const users = await User.find({ bannedUntil: { $gt: new Date() } }).select('username fullName bannedUntil banReason').sort({ bannedUntil: -1 }).lean();
+    return res.json({ users });
+  } catch (err) {
+    console.error('moderation.bans', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/** POST /api/moderation/users/:id/ban  (admin) body: { days? (empty = permanent), reason? } */
+router.post('/users/:id/ban', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+    const days = req.body.days != null && req.body.days !== '' ? Number(req.body.days) : 0;
+    if (!Number.isFinite(days) || days < 0) return res.status(400).json({ error: 'days must be a positive number' });
+    const user = await moderation.banUser(req.params.id, days, String(req.body.reason || '').trim().slice(0, 300));
+    if (!user) return res.status(404).json({ error: 'Not found' });
+    return res.json({ user });
+  } catch (err) {
+    console.error('moderation.ban', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/** POST /api/moderation/users/:id/unban  (admin) */
+router.post('/users/:id/unban', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+    const user = await moderation.unbanUser(req.params.id);
+    if (!user) return res.status(404).json({ error: 'Not found' });
+    return res.json({ user });
+  } catch (err) {
+    console.error('moderation.unban', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
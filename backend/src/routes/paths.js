@@ -0,0 +1,171 @@
+// backend/src/routes/paths.js
+'use strict';
+
+const express = require('express');
+const mongoose = require('mongoose');
+
+const LearningPath = require('../models/LearningPath');
+const learningPaths = require('../utils/learningPaths');
+const richText = require('../utils/richText');
+const { authMiddleware, requireAdmin, optionalAuthenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+const LIVE = { isDeleted: { $ne: true } };
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+// titles and descriptions are plain text (clients escape them); markup is stripped on save
+const cleanText = (s, max) => richText.text(String(s || '')).trim().slice(0, max);
+
+function summary(p) {
+  return {
+    _id: p._id,
+    title: p.title,
+    description: p.description,
+    folderId: p.folderId || null,
+    sequential: p.sequential !== false,
+    stepCount: (p.steps || []).length,
+    createdAt: p.createdAt,
+    updatedAt: p.updatedAt || null
+  };
+}
+
+// body -> fields for create / update; { error } on bad input
+async function pathFields(body, partial) {
+  const out = {};
+  if (!partial || body.title !== undefined) {
+    const title = body.title || {};
+    const rawEn = typeof title === 'string' ? title : title.en;
+    if ([rawEn, title.som].some(t => String(t || '').trim().length > MAX_TITLE_LENGTH)) {
+      return { error: `Titles are limited to ${MAX_TITLE_LENGTH} characters` };
+    }
+    const en = cleanText(rawEn, MAX_TITLE_LENGTH);
+    if (!en) return { error: 'title.en is required' };
+    out.title = { en, som: cleanText(title.som, MAX_TITLE_LENGTH) };
+  }
+  if (body.description !== undefined) {
+    const d = body.description || {};
+    if ([d.en, d.som].some(t => String(t || '').trim().length > MAX_DESCRIPTION_LENGTH)) {
+      return { error: `Descriptions are limited to ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+    out.description = { en: cleanText(d.en, MAX_DESCRIPTION_LENGTH), som: cleanText(d.som, MAX_DESCRIPTION_LENGTH) };
+  }
+  if (body.folderId !== undefined) {
+    if (body.folderId && !mongoose.Types.ObjectId.isValid(body.folderId)) return { error: 'Invalid folderId' };
+    out.folderId = body.folderId || null;
+  }
+  if (body.sequential !== undefined) out.sequential = body.sequential !== false;
+  if (!partial || body.steps !== undefined) {
+    const { items, error } = await learningPaths.parseRefs(body.steps || [], learningPaths.MAX_STEPS, 'steps');
+    if (error) return { error };
+    out.steps = items;
+  }
+  return { fields: out };
+}
+
+function cycleError(cycle) {
+  return { error: 'Steps would make lessons require each other', cycle };
+}
+
+/**
+ * GET /api/paths?folderId=
+ * Learning paths; with a token each path also carries the caller's { completed, total }.
+ */
+router.get('/', optionalAuthenticate, async (req, res) => {
+  try {
+    const q = Object.assign({}, LIVE);
+    if (req.query.folderId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.folderId)) return res.status(400).json({ error: 'Invalid folder id' });
+      q.folderId = req.query.folderId;
+    }
+    const paths = await LearningPath.find(q).sort({ createdAt: -1 }).lean();
+    const out = [];
+    for (const p of paths) {
+      const row = summary(p);
+      if (req.user) {
+        const steps = await learningPaths.pathSteps(req.user, p);
+        row.completed = steps.filter(s => s.state === 'completed').length;
+      }
+      out.push(row);
+    }
+    return res.json({ ok: true, paths: out });
+  } catch (err) {
+    console.error('paths.list', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/paths/:id
+ * One path with its steps, each { kind, itemId, title, state: completed|unlocked|locked, unmet }.
+ * Steps on lessons the caller cannot see are returned as { missing: true }.
+ */
+router.get('/:id', optionalAuthenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+    const p = await LearningPath.findOne(Object.assign({ _id: req.params.id }, LIVE)).lean();
+    if (!p) return res.status(404).json({ error: 'Not found' });
+    const steps = await learningPaths.pathSteps(req.user || null, p);
+    return res.json({ ok: true, path: Object.assign(summary(p), { steps }) });
+  } catch (err) {
+    console.error('paths.get', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/* ================= admin ================= */
+
+/** POST /api/paths  (admin) Body: { title: { en, som }, description?, folderId?, sequential?, steps: [{ kind, itemId, minPercent? }] } */
+router.post('/', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const { fields, error } = await pathFields(req.body || {}, false);
+    if (error) return res.status(400).json({ error });
+    const draft = Object.assign({ sequential: true }, fields);
+    const cycle = await learningPaths.findCycle({ path: draft });
+    if (cycle) return res.status(400).json(cycleError(cycle));
+
+    const p = await LearningPath.create(Object.assign(draft, { authorId: req.user._id, updatedAt: new Date() }));
+    return res.status(201).json({ ok: true, path: summary(p.toObject()) });
+  } catch (err) {
+    console.error('paths.create', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/** PUT /api/paths/:id  (admin) — same body as POST, every field optional */
+router.put('/:id', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+    const p = await LearningPath.findOne(Object.assign({ _id: req.params.id }, LIVE));
+    if (!p) return res.status(404).json({ error: 'Not found' });
+    const { fields, error } = await pathFields(req.body || {}, true);
+    if (error) return res.status(400).json({ error });
+
+    const next = { sequential: fields.sequential !== undefined ? fields.sequential : p.sequential, steps: fields.steps || p.steps };
+    const cycle = await learningPaths.findCycle({ pathId: p._id, path: next });
+    if (cycle) return res.status(400).json(cycleError(cycle));
+
+    Object.assign(p, fields, { updatedAt: new Date() });
+    await p.save();
+    return res.json({ ok: true, path: summary(p.toObject()) });
+  } catch (err) {
+    console.error('paths.update', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/** DELETE /api/paths/:id  (admin) — soft delete */
+router.delete('/:id', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+    const r = await LearningPath.updateOne(Object.assign({ _id: req.params.id }, LIVE), { $set: { isDeleted: true, updatedAt: new Date() } });
+    if (!r.matchedCount) return res.status(404).json({ error: 'Not found' });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('paths.delete', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
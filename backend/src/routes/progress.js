@@ -0,0 +1,116 @@
+// backend/src/routes/progress.js
+'use strict';
+
+const express = require('express');
+const mongoose = require('mongoose');
+
+const Lesson = require('../models/Lesson');
+const LessonProgress = require('../models/LessonProgress');
+const User = require('../models/User');
+const progress = require('../utils/progress');
+const learningPaths = require('../utils/learningPaths');
+const { authMiddleware, requireAdmin, isAdminUser } = require('../middleware/auth');
+
+const router = express.Router();
+
+function folderParam(req) {
+  const id = req.query.folderId;
+  if (!id) return { folderId: null };
+  if (!mongoose.Types.ObjectId.isValid(id)) return { error: 'Invalid folder id' };
+  return { folderId: id };
+}
+
+/**
+ * GET /api/progress/me?folderId=
+ * The caller's progress: { overall, folders: [{ folderId, total, completed, percent }], lessons: [...] }.
+ * Folder numbers cover the folder's whole subtree; lessons outside any folder count in overall and in
+ * a folderId null row. ?folderId= limits the report to one subtree.
+ */
+router.get('/me', authMiddleware, async (req, res) => {
+  try {
+    const { folderId, error } = folderParam(req);
+    if (error) return res.status(400).json({ error });
+    const report = await progress.userReport(req.user._id, folderId);
+    if (!report) return res.status(404).json({ error: 'Folder not found' });
+    return res.json(Object.assign({ ok: true }, report));
+  } catch (err) {
+    console.error('progress.me', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/progress/lessons/:id
+ * Body: { seconds?, readToEnd? } — reading heartbeat from the lesson page. `seconds` is the
+ * time on the page since the last heartbeat; the server caps it (see LessonProgress.recordActivity).
+ * Lessons still locked for the learner (utils/learningPaths.js) are refused, like GET /api/lessons/:id.
+ */
+router.post('/lessons/:id', authMiddleware, async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const lesson = await Lesson.findOne(Object.assign({ _id: id, isDeleted: { $ne: true } }, Lesson.PUBLISHED_FILTER)).select('_id prerequisites').lean();
+    if (!lesson) return res.status(404).json({ error: 'Not found' });
+    if (!isAdminUser(req.user)) {
+      const lock = (await learningPaths.lessonStates(req.user, [lesson])).get(String(lesson._id));
+      if (lock.state === 'locked') return res.status(403).json({ error: 'Lesson is locked', lock });
+    }
+
+    const record = await LessonProgress.recordActivity(req.user._id, lesson._id, {
+      seconds: req.body.seconds,
+      readToEnd: req.body.readToEnd === true
+    });
+    return res.json({
+      ok: true,
+      progress: {
+        lessonId: record.lessonId,
+        timeSpentSeconds: record.timeSpentSeconds,
+        readToEnd: record.readToEnd,
+        testPassed: record.testPassed
+      }
+    });
+  } catch (err) {
+    console.error('progress.lesson', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/* ================= admin ================= */
+
+/** GET /api/progress/users/:userId?folderId=  (admin) -> same report as /me for one student */
+router.get('/users/:userId', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const userId = req.params.userId;
+    if (!mongoose.Types.ObjectId.isValid(userId)) return res.status(400).json({ error: 'Invalid user id' });
+    const { folderId, error } = folderParam(req);
+    if (error) return res.status(400).json({ error });
+
+    const user = await User.findById(userId).select('fullName username').lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const report = await progress.userReport(user._id, folderId);
+    if (!report) return res.status(404).json({ error: 'Folder not found' });
+    return res.json(Object.assign({ ok: true, user: { _id: user._id, name: user.fullName || user.username || '' } }, report));
+  } catch (err) {
+    console.error('progress.user', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/progress/folders/:folderId  (admin)
+ * Every learner with progress in the folder subtree: completed lessons, percent and whether
+ * they finished all of it.
+ */
+router.get('/folders/:folderId', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.folderId)) return res.status(400).json({ error: 'Invalid folder id' });
+    const report = await progress.folderReport(req.params.folderId);
+    if (!report) return res.status(404).json({ error: 'Folder not found' });
+    return res.json(Object.assign({ ok: true, folderId: req.params.folderId }, report));
+  } catch (err) {
+    console.error('progress.folder', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
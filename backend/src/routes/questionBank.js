@@ -0,0 +1,181 @@
+// backend/src/routes/questionBank.js
+'use strict';
+
+const express = require('express');
+const mongoose = require('mongoose');
+
+const BankQuestion = require('../models/BankQuestion');
+const { buildQuestion, normalizeTags } = require('../utils/questionInput');
+const questionTypes = require('../utils/questionTypes');
+const { authMiddleware, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+/* --------- Helpers --------- */
+function escapeRegex(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// admin payload -> BankQuestion fields; returns { fields } or { error }
+function buildBankQuestion(raw) {
+  if (raw && raw.type && !questionTypes.QUESTION_TYPES.includes(raw.type)) return { error: 'Unknown question type: ' + String(raw.type) };
+  const q = buildQuestion(raw || {});
+  const error = questionTypes.validateQuestion(q);
+  if (error) return { error };
+  delete q.id; // bank questions are identified by _id
+  const difficulty = raw.difficulty ? String(raw.difficulty) : 'medium';
+  if (!BankQuestion.DIFFICULTIES.includes(difficulty)) return { error: 'difficulty must be one of ' + BankQuestion.DIFFICULTIES.join(', ') };
+  for (const key of ['folderId', 'lessonId']) {
+    if (raw[key] && !mongoose.Types.ObjectId.isValid(raw[key])) return { error: 'Invalid ' + key };
+  }
+  return {
+    fields: Object.assign(q, {
+      tags: normalizeTags(raw.tags),
+      difficulty,
+      folderId: raw.folderId || null,
+      lessonId: raw.lessonId || null
+    })
+  };
+}
+
+/* --------- Routes (admin) --------- */
+
+/**
+ * GET /api/question-bank?tag=a,b&difficulty=&folderId=&lessonId=&type=&q=&page=&limit=
+ * tag: questions carrying all listed tags ; q: text search in either language
+ */
+router.get('/', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const filter = { isDeleted: { $ne: true } };
+    const tags = normalizeTags(req.query.tag);
+    if (tags.length) filter.tags = { $all: tags };
+    if (req.query.difficulty) filter.difficulty = String(req.query.difficulty);
+    if (req.query.type) filter.type = String(req.query.type);
+    for (const key of ['folderId', 'lessonId']) {
+      if (!req.query[key]) continue;
+      if (!mongoose.Types.ObjectId.isValid(req.query[key])) return res.status(400).json({ error: 'Invalid ' + key });
+      filter[key] = req.query[key];
+    }
+    if (req.query.q) {
+      const rx = new RegExp(escapeRegex(String(req.query.q).slice(0, 100)), 'i');
+      filter.$or = [{ 'text.en': rx }, { 'text.som': rx }];
+    }
+
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 25));
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const [items, total] = await Promise.all([
+      BankQuestion.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      BankQuestion.countDocuments(filter)
+    ]);
+    return res.json({ ok: true, items, total, page, limit });
+  } catch (err) {
+    console.error('questionBank.list', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /api/question-bank/tags -> [{ tag, count, byDifficulty: { easy, medium, hard } }]
+router.get('/tags', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const rows = await BankQuestion.aggregate([
+      { $match: { isDeleted: { $ne: true } } },
+      { $unwind: '$tags' },
+      { $group: { _id: { tag: '$tags', difficulty: '$difficulty' }, count: { $sum: 1 } } }
+    ]);
+    const byTag = {};
+    rows.forEach(r => {
+      const t = byTag[r._id.tag] || (byTag[r._id.tag] = { tag: r._id.tag, count: 0, byDifficulty: { easy: 0, medium: 0, hard: 0 } });
+      t.count += r.count;
+      if (r._id.difficulty) t.byDifficulty[r._id.difficulty] = r.count;
+    });
+    const tags = Object.values(byTag).sort((a, b) => a.tag.localeCompare(b.tag));
+    return res.json({ ok: true, tags });
+  } catch (err) {
+    console.error('questionBank.tags', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.get('/:id', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const item = await BankQuestion.findById(id).lean();
+    if (!item || item.isDeleted) return res.status(404).json({ error: 'Not found' });
+    return res.json({ ok: true, item });
+  } catch (err) {
+    console.error('questionBank.get', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/question-bank
+ * Body: one question (same shape as Test questions plus tags, difficulty, folderId, lessonId)
+ *       or { questions: [...] } to add several at once (all or nothing).
+ */
+router.post('/', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const bulk = Array.isArray(req.body.questions);
+    const payload = bulk ? req.body.questions : [req.body];
+    if (!payload.length) return res.status(400).json({ error: 'No questions' });
+
+    const docs = [];
+    const errors = [];
+    payload.forEach((raw, index) => {
+      const { fields, error } = buildBankQuestion(raw || {});
+      if (error) errors.push({ index, error });
+      else docs.push(Object.assign(fields, { authorId: req.user._id }));
+    });
+    if (errors.length) {
+      const first = errors[0];
+      return res.status(400).json({ error: bulk ? `Question ${first.index + 1}: ${first.error}` : first.error, details: errors });
+    }
+
+    const created = await BankQuestion.insertMany(docs);
+    if (bulk) return res.status(201).json({ ok: true, items: created });
+    return res.status(201).json({ ok: true, item: created[0] });
+  } catch (err) {
+    console.error('questionBank.create', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// PUT /api/question-bank/:id — full question payload; attempts already started keep their frozen copy
+router.put('/:id', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const item = await BankQuestion.findById(id);
+    if (!item || item.isDeleted) return res.status(404).json({ error: 'Not found' });
+
+    const { fields, error } = buildBankQuestion(req.body || {});
+    if (error) return res.status(400).json({ error });
+    item.set(fields);
+    item.updatedAt = new Date();
+    await item.save();
+    return res.json({ ok: true, item });
+  } catch (err) {
+    console.error('questionBank.update', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// delete (soft): no longer drawn; attempts that already drew it keep their copy
+router.delete('/:id', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const item = await BankQuestion.findById(id);
+    if (!item) return res.status(404).json({ error: 'Not found' });
+    item.isDeleted = true;
+    item.updatedAt = new Date();
+    await item.save();
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('questionBank.delete', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
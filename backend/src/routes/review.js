@@ -0,0 +1,146 @@
+// backend/src/routes/review.js
+'use strict';
+
+const express = require('express');
+const mongoose = require('mongoose');
+
+const ReviewCard = require('../models/ReviewCard');
+const Test = require('../models/Test');
+const questionTypes = require('../utils/questionTypes');
+const spacedRepetition = require('../utils/spacedRepetition');
+const { authMiddleware } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_BATCH = 50;
+
+function dueFilter(req, now) {
+  const filter = { userId: req.user._id, dueAt: { $lte: spacedRepetition.endOfDay(now) } };
+  if (req.query.testId && mongoose.Types.ObjectId.isValid(req.query.testId)) filter.testId = req.query.testId;
+  return filter;
+}
+
+/**
+ * GET /api/review/due?limit=20&testId=
+ * Today's due cards for the caller, most overdue first. Questions are in player view (no answers).
+ */
+router.get('/due', authMiddleware, async (req, res) => {
+  try {
+    const now = new Date();
+    const filter = dueFilter(req, now);
+    const limit = Math.min(MAX_BATCH, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const [cards, total] = await Promise.all([
+      ReviewCard.find(filter).sort({ dueAt: 1 }).limit(limit).lean(),
+      ReviewCard.countDocuments(filter)
+    ]);
+
+    const tests = await Test.find({ _id: { $in: cards.map(c => c.testId) } }).select('title lessonId').lean();
+    const testById = {};
+    tests.forEach(t => { testById[String(t._id)] = t; });
+
+    return res.json({
+      ok: true,
+      total,
+      cards: cards.map(c => ({
+        cardId: c._id,
+        testId: c.testId,
+        testTitle: (testById[String(c.testId)] || {}).title || null,
+        lessonId: (testById[String(c.testId)] || {}).lessonId || null,
+        question: questionTypes.toPlayerQuestion(c.question),
+        dueAt: c.dueAt,
+        repetitions: c.repetitions,
+        intervalDays: c.intervalDays,
+        lapses: c.lapses
+      }))
+    });
+  } catch (err) {
+    console.error('review.due', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /api/review/stats -> { total, dueToday, learning, mature } (mature = interval of 21 days or more)
+router.get('/stats', authMiddleware, async (req, res) => {
+  try {
+    const now = new Date();
+    const userId = req.user._id;
+    const [total, dueToday, mature] = await Promise.all([
+      ReviewCard.countDocuments({ userId }),
+      ReviewCard.countDocuments({ userId, dueAt: { $lte: spacedRepetition.endOfDay(now) } }),
+      ReviewCard.countDocuments({ userId, intervalDays: { $gte: 21 } })
+    ]);
+    return res.json({ ok: true, total, dueToday, learning: total - mature, mature });
+  } catch (err) {
+    console.error('review.stats', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/review/submit
+ * Body: { answers: [ { cardId, selectedOptionId | selectedOptionIds | value | order, ease?: hard|good|easy } ] }
+ * Grades each due card on the server and reschedules it (SM-2). Review answers never touch
+ * User.pointsCurrent, attempts or streaks. Cards that are not due yet are left alone.
+ * Returns per card the reveal (correct answer + explanation) and the next due date.
+ */
+router.post('/submit', authMiddleware, async (req, res) => {
+  try {
+    const answers = Array.isArray(req.body.answers) ? req.body.answers.slice(0, MAX_BATCH) : [];
+    if (!answers.length) return res.status(400).json({ error: 'answers required' });
+
+    const ids = answers.map(a => a && a.cardId).filter(id => mongoose.Types.ObjectId.isValid(id));
+    const cards = await ReviewCard.find({ _id: { $in: ids }, userId: req.user._id });
+    const cardById = {};
+    cards.forEach(c => { cardById[String(c._id)] = c; });
+
+    const now = new Date();
+    const dueLimit = spacedRepetition.endOfDay(now);
+    const results = [];
+    for (const a of answers) {
+      const card = a && a.cardId ? cardById[String(a.cardId)] : null;
+      if (!card) { results.push({ cardId: a && a.cardId, error: 'Card not found' }); continue; }
+      if (card.dueAt > dueLimit) { results.push({ cardId: card._id, error: 'Card is not due yet', dueAt: card.dueAt }); continue; }
+
+      const q = card.question.toObject();
+      const response = questionTypes.normalizeResponse(q, a);
+      const evaluation = questionTypes.evaluateResponse(q, response);
+      const quality = spacedRepetition.qualityFor(evaluation, a.ease);
+      card.set(spacedRepetition.schedule(card, quality, now));
+      await card.save();
+
+      results.push(Object.assign({
+        cardId: card._id,
+        questionId: card.questionId,
+        response,
+        isCorrect: evaluation.correct,
+        credit: evaluation.credit,
+        quality,
+        explanation: q.explanation || { en: '', som: '' },
+        explanationHtml: questionTypes.questionHtml(q, 'explanation'),
+        nextDueAt: card.dueAt,
+        intervalDays: card.intervalDays
+      }, questionTypes.correctAnswerFor(q)));
+    }
+
+    return res.json({ ok: true, results });
+  } catch (err) {
+    console.error('review.submit', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DELETE /api/review/:cardId — drop a card from the caller's queue
+router.delete('/:cardId', authMiddleware, async (req, res) => {
+  try {
+    const id = req.params.cardId;
+    if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const removed = await ReviewCard.findOneAndDelete({ _id: id, userId: req.user._id });
+    if (!removed) return res.status(404).json({ error: 'Not found' });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('review.delete', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+// backend/src/routes/search.js
+'use strict';
+
+const express = require('express');
+
+const Lesson = require('../models/Lesson');
+const Test = require('../models/Test');
+const Story = require('../models/Story');
+const Folder = require('../models/Folder');
+const search = require('../utils/search');
+const { optionalAuthenticate, isAdminUser } = require('../middleware/auth');
+
+const router = express.Router();
+
+const TYPES = ['lessons', 'tests', 'stories', 'folders'];
+const MAX_QUERY = 200;
+const MAX_LIMIT = 50;
+
+// $text query for one collection: best textScore first
+function textQuery(Model, q, filter, limit, projection) {
+  return Model.find(Object.assign({ $text: { $search: q } }, filter), Object.assign({ score: { $meta: 'textScore' } }, projection))
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit)
+    .lean();
+}
+
+function countQuery(Model, q, filter) {
+  return Model.countDocuments(Object.assign({ $text: { $search: q } }, filter));
+}
+
+// title + snippet from a bilingual { en, som } pair, in the language that matched
+function bilingualHit(title, body, terms, lang) {
+  const titleLang = search.matchingLang(title || {}, terms, lang);
+  const bodyLang = search.matchingLang(body || {}, terms, lang);
+  return {
+    lang: bodyLang,
+    title: search.highlight((title || {})[titleLang] || (title || {}).en || '', terms),
+    snippet: search.snippet(search.plainText((body || {})[bodyLang]), terms)
+  };
+}
+
+const searchers = {
+  async lessons(q, terms, ctx) {
+    const filter = { isDeleted: { $ne: true } };
+    if (!ctx.staff) Object.assign(filter, Lesson.PUBLISHED_FILTER);
+    const [docs, total] = await Promise.all([
+      textQuery(Lesson, q, filter, ctx.limit, { title: 1, content: 1, folderId: 1, status: 1, isPublished: 1 }),
+      countQuery(Lesson, q, filter)
+    ]);
+    const hits = docs.map(l => Object.assign({
+      type: 'lesson',
+      id: l._id,
+      folderId: l.folderId || null,
+      score: l.score
+    }, bilingualHit(l.title, l.content, terms, ctx.lang), ctx.staff ? { status: Lesson.statusOf(l) } : {}));
+    return { hits, total };
+  },
+
+  async tests(q, terms, ctx) {
+    const filter = { isDeleted: { $ne: true } };
+    const [docs, total] = await Promise.all([
+      textQuery(Test, q, filter, ctx.limit, { title: 1, folderId: 1, lessonId: 1, 'questions.id': 1, 'questions.text': 1 }),
+      countQuery(Test, q, filter)
+    ]);
+
+    // tests attached to a lesson readers cannot see are hidden with it
+    let visible = docs;
+    if (!ctx.staff) {
+      const lessonIds = docs.filter(t => t.lessonId).map(t => t.lessonId);
+      const shown = lessonIds.length
+        ? await Lesson.find(Object.assign({ _id: { $in: lessonIds }, isDeleted: { $ne: true } }, Lesson.PUBLISHED_FILTER)).select('_id').lean()
+        : [];
+      const ok = new Set(shown.map(l => String(l._id)));
+      visible = docs.filter(t => !t.lessonId || ok.has(String(t.lessonId)));
+    }
+
+    const hits = visible.map(t => {
+      // point at the first question whose text matched (never the answers)
+      const questions = t.questions || [];
+      const index = questions.findIndex(qq => qq.text && (search.matches(qq.text.en, terms) || search.matches(qq.text.som, terms)));
+      const hit = {
+        type: 'test',
+        id: t._id,
+        folderId: t.folderId || null,
+        lessonId: t.lessonId || null,
+        score: t.score,
+        title: search.highlight(t.title, terms),
+        snippet: '',
+        questionId: null
+      };
+      if (index !== -1) {
+        const lang = search.matchingLang(questions[index].text, terms, ctx.lang);
+        Object.assign(hit, { lang, questionId: questions[index].id || null, snippet: search.snippet(questions[index].text[lang], terms) });
+      }
+      return hit;
+    });
+    return { hits, total: total - (docs.length - visible.length) };
+  },
+
+  async stories(q, terms, ctx) {
+    const filter = Object.assign({}, Story.VISIBLE_FILTER);
+    const [docs, total] = await Promise.all([
+      textQuery(Story, q, filter, ctx.limit, { titleEng: 1, titleSom: 1, contentEng: 1, contentSom: 1, folderId: 1 }),
+      countQuery(Story, q, filter)
+    ]);
+    const hits = docs.map(s => Object.assign({
+      type: 'story',
+      id: s._id,
+      folderId: s.folderId || null,
+      score: s.score
+    }, bilingualHit({ en: s.titleEng, som: s.titleSom }, { en: s.contentEng, som: s.contentSom }, terms, ctx.lang)));
+    return { hits, total };
+  },
+
+  async folders(q, terms, ctx) {
+    const filter = { isDeleted: { $ne: true } };
+    const [docs, total] = await Promise.all([
+      textQuery(Folder, q, filter, ctx.limit, { name: 1, parentId: 1, icon: 1 }),
+      countQuery(Folder, q, filter)
+    ]);
+    const hits = docs.map(f => {
+      const lang = search.matchingLang(f.name || {}, terms, ctx.lang);
+      return {
+        type: 'folder',
+        id: f._id,
+        parentId: f.parentId || null,
+        icon: f.icon || '',
+        score: f.score,
+        lang,
+        title: search.highlight((f.name || {})[lang] || '', terms),
+        snippet: ''
+      };
+    });
+    return { hits, total };
+  }
+};
+
+/**
+ * GET /api/search?q=&types=lessons,tests,stories,folders&lang=en|som&limit=20
+ * Full-text search over lesson titles/content, test titles and question text, story
+ * titles/content and folder names, in both languages. `q` uses MongoDB $text syntax
+ * ("exact phrase", -exclude). Deleted items are never returned; guests and learners only
+ * get published lessons (and tests on them) and approved stories, staff also see drafts.
+ * Results from all types are merged by text score. title/snippet are escaped HTML with
+ * matches in <mark>.
+ */
+router.get('/', optionalAuthenticate, async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (q.length < 2) return res.status(400).json({ error: 'q must be at least 2 characters' });
+    if (q.length > MAX_QUERY) return res.status(400).json({ error: `q must be at most ${MAX_QUERY} characters` });
+    const terms = search.searchTerms(q);
+    if (!terms.length) return res.status(400).json({ error: 'q has nothing to search for' });
+
+    const requested = req.query.types ? String(req.query.types).split(',').map(t => t.trim()) : TYPES;
+    const types = TYPES.filter(t => requested.includes(t));
+    if (!types.length) return res.status(400).json({ error: 'Unknown types', types: TYPES });
+
+    const ctx = {
+      staff: isAdminUser(req.user),
+      lang: req.query.lang === 'som' ? 'som' : 'en',
+      limit: Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || 20))
+    };
+
+    const results = await Promise.all(types.map(t => searchers[t](q, terms, ctx)));
+    const counts = {};
+    let hits = [];
+    types.forEach((t, i) => {
+      counts[t] = results[i].total;
+      hits = hits.concat(results[i].hits);
+    });
+    hits.sort((a, b) => b.score - a.score);
+
+    return res.json({ q, terms, counts, results: hits.slice(0, ctx.limit) });
+  } catch (err) {
+    console.error('search', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -3,15 +3,57 @@
 const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 
 const StoryFolder = require('../models/StoryFolder');
 const Story = require('../models/Story');
 const Comment = require('../models/Comment');
-const { requireAuth, requireAdmin } = require('../middleware/auth');
+const StoryRevision = require('../models/StoryRevision');
+const StorySeries = require('../models/StorySeries');
+const viewAnalytics = require('../utils/viewAnalytics');
+const richText = require('../utils/richText');
+const commentThreads = require('../utils/commentThreads');
+const storyComments = require('../utils/storyComments');
+const { diffWords } = require('../utils/wordDiff');
+const moderation = require('../utils/moderation');
+const storySeries = require('../utils/storySeries');
+const readingProgress = require('../utils/readingProgress');
+const { requireAuth, requireAdmin, optionalAuthenticate, isAdminUser } = require('../middleware/auth');
 const { JWT_SECRET } = require('../config') || process.env;
 
 
 
+// stories and comments are plain text (clients escape them); markup is stripped on save
+const STORY_TEXT_FIELDS = ['titleEng', 'titleSom', 'contentEng', 'contentSom'];
+function storyText(body) {
+  const out = {};
+  STORY_TEXT_FIELDS.forEach(k => { if (body[k] !== undefined) out[k] = richText.text(body[k]); });
+  return out;
+}
+
+// the text fields of a story / revision
+function pickText(src) {
+  const out = {};
+  STORY_TEXT_FIELDS.forEach(k => { out[k] = src[k] || ''; });
+  return out;
+}
+
+// a submission's text for utils/moderation.js -> { moderationStatus, moderationReasons } or { error, status }
+function screenStory(user, fields) {
+  return moderation.screen(user, 'story', STORY_TEXT_FIELDS.map(k => fields[k] || '').join('\n'));
+}
+
+// what a review writes to a pending StoryRevision (status 'approved' / 'rejected')
+function reviewUpdate(req, status) {
+  return { status, reviewNote: richText.text(req.body.note || '').trim().slice(0, 1000), reviewedBy: String(req.user._id), reviewedAt: new Date() };
+}
+
+// storyComments action result -> response (its { error, status } or the success body)
+function sendAction(res, result, body) {
+  if (result.error) return res.status(result.status || 400).json({ error: result.error });
+  return res.json(Object.assign({ ok: true }, body(result)));
+}
+
 function normalizeStory(s){
   const obj = s.toObject ? s.toObject() : s;
   obj.reactionCounts = obj.reactionCounts || { like:0, love:0, haha:0, wow:0, angry:0, sad:0 };
@@ -19,7 +61,8 @@ function normalizeStory(s){
     try { obj.reactionsByUser = Object.fromEntries(Array.from(obj.reactionsByUser.entries())); } catch(e){ obj.reactionsByUser = obj.reactionsByUser || {}; }
   }
   obj.reactionsByUser = obj.reactionsByUser || {};
-  obj.readBy = (obj.readBy || []).map(String); // <--- normalize
+  delete obj.readBy; // legacy reader list; isRead is added per reader (readingProgress.withReadFlags)
+  obj.readCount = obj.readCount || 0;
   return obj;
 }
 
@@ -72,15 +115,20 @@ router.post('/folders', requireAuth, async (req, res) => {
 // POST /user/stories  body: { folderId?, titleEng, titleSom, contentEng, contentSom }
 router.post('/user/stories', requireAuth, async (req, res) => {
   try {
-    const { folderId, titleEng, titleSom, contentEng, contentSom } = req.body;
+    const { folderId } = req.body;
+    const { titleEng, titleSom, contentEng, contentSom } = storyText(req.body);
     if (!(titleEng || titleSom)) return res.status(400).json({ error: 'Title required' });
     if (!(contentEng || contentSom)) return res.status(400).json({ error: 'Content required' });
+    const screened = await screenStory(req.user, { titleEng, titleSom, contentEng, contentSom });
+    if (screened.error) return res.status(screened.status).json({ error: screened.error });
 
     const s = await Story.create({
       folderId: folderId || null,
       titleEng, titleSom, contentEng, contentSom,
       published: false,
       pendingApproval: true,
+      moderationStatus: screened.moderationStatus,
+      moderationReasons: screened.moderationReasons,
       authorId: String(req.user._id),
       authorName: req.user.fullName || req.user.username || 'User',
       createdBy: String(req.user._id)
@@ -92,33 +140,68 @@ router.post('/user/stories', requireAuth, async (req, res) => {
 });
 
 // Get current user's submissions (drafts/pending/published) -> GET /user/stories
+// each with pendingRevision (an edit waiting for review) and lastReview ({ status, reviewNote, reviewedAt } of the latest reviewed edit)
 router.get('/user/stories', requireAuth, async (req, res) => {
   try {
     const stories = await Story.find({ authorId: String(req.user._id) }).sort({ createdAt: -1 }).lean();
+    const revisions = stories.length
+      ? await StoryRevision.find({ storyId: { $in: stories.map(s => s._id) }, status: { $ne: 'withdrawn' } }).sort({ updatedAt: -1 }).lean()
+      : [];
+    stories.forEach(s => {
+      const mine = revisions.filter(r => String(r.storyId) === String(s._id));
+      s.pendingRevision = mine.find(r => r.status === 'pending') || null;
+      const reviewed = mine.find(r => r.status === 'approved' || r.status === 'rejected');
+      s.lastReview = reviewed ? { status: reviewed.status, reviewNote: reviewed.reviewNote, reviewedAt: reviewed.reviewedAt } : null;
+    });
     return res.json({ stories });
   } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
 });
 
-// User edits their story: will set pendingApproval=true and published=false so admin verifies update
+// User edits their story. Unpublished submissions are edited in place and wait for approval (again);
+// edits to a published story become its pending StoryRevision while the approved text stays live.
+// Admins edit in place.
 // PUT /user/stories/:id  body: { folderId?, titleEng, titleSom, contentEng, contentSom }
 router.put('/user/stories/:id', requireAuth, async (req, res) => {
   try {
     const s = await Story.findById(req.params.id);
     if (!s) return res.status(404).json({ error: 'Not found' });
-    if (String(s.authorId) !== String(req.user._id) && !(req.user.role === 'admin' || req.user.isAdmin)) {
+    const staff = isAdminUser(req.user);
+    if (String(s.authorId) !== String(req.user._id) && !staff) {
       return res.status(403).json({ error: 'Not allowed' });
     }
 
-    // apply edits
-    s.titleEng = req.body.titleEng !== undefined ? req.body.titleEng : s.titleEng;
-    s.titleSom = req.body.titleSom !== undefined ? req.body.titleSom : s.titleSom;
-    s.contentEng = req.body.contentEng !== undefined ? req.body.contentEng : s.contentEng;
-    s.contentSom = req.body.contentSom !== undefined ? req.body.contentSom : s.contentSom;
+    const edits = storyText(req.body);
+    const screened = await screenStory(req.user, Object.assign({}, s.toObject(), edits));
+    if (screened.error) return res.status(screened.status).json({ error: screened.error });
+
+    if (s.published && !staff) {
+      const proposed = Object.assign(pickText(s), edits, {
+        folderId: req.body.folderId !== undefined ? (req.body.folderId || null) : s.folderId,
+        authorId: String(req.user._id),
+        authorName: req.user.fullName || req.user.username || 'User',
+        moderationReasons: screened.moderationReasons || [],
+        updatedAt: new Date()
+      });
+      const revision = await StoryRevision.findOneAndUpdate(
+        { storyId: s._id, status: 'pending' },
+        { $set: proposed, $setOnInsert: { createdAt: new Date() } },
+        { upsert: true, new: true }
+      );
+      req.app.get('io')?.emit('stories:revisionPending', { storyId: s._id, revisionId: revision._id });
+      return res.json({ ok:true, story: s, revision, pendingRevision: true });
+    }
+
+    // apply edits; text that needs review holds the story (it stays held until moderation approves it)
+    s.set(edits);
+    if (screened.moderationStatus === 'held') {
+      s.moderationStatus = 'held';
+      s.moderationReasons = screened.moderationReasons;
+    }
     s.folderId = req.body.folderId !== undefined ? req.body.folderId : s.folderId;
     s.updatedAt = new Date();
 
     // if edited by user (not admin) require re-verification
-    if (!(req.user.role === 'admin' || req.user.isAdmin)) {
+    if (!staff) {
       s.pendingApproval = true;
       s.published = false;
     }
@@ -129,13 +212,28 @@ router.put('/user/stories/:id', requireAuth, async (req, res) => {
   } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
 });
 
+// Author withdraws their pending edit -> DELETE /user/stories/:id/revision
+router.delete('/user/stories/:id/revision', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+    const rev = await StoryRevision.findOne({ storyId: req.params.id, status: 'pending' });
+    if (!rev) return res.status(404).json({ error: 'No pending edit' });
+    if (String(rev.authorId) !== String(req.user._id)) return res.status(403).json({ error: 'Not allowed' });
+    rev.status = 'withdrawn';
+    rev.updatedAt = new Date();
+    await rev.save();
+    return res.json({ ok:true });
+  } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
+});
+
 // User requests deletion: set pendingDelete=true (admin must confirm)
 // POST /user/stories/:id/request-delete
 router.post('/user/stories/:id/request-delete', requireAuth, async (req,res) => {
   try {
     const s = await Story.findById(req.params.id);
     if (!s) return res.status(404).json({ error: 'Not found' });
-    if (String(s.authorId) !== String(req.user._id) && !(req.user.role === 'admin' || req.user.isAdmin)) {
+    const staff = isAdminUser(req.user);
+    if (String(s.authorId) !== String(req.user._id) && !staff) {
       return res.status(403).json({ error: 'Not allowed' });
     }
     s.pendingDelete = true;
@@ -165,6 +263,12 @@ router.post('/stories/:id/approve', requireAuth, requireAdmin, async (req,res) =
     s.published = true;
     s.pendingApproval = false;
     s.pendingDelete = false;
+    // the admin has read it: a moderation hold ends with the approval (open reports stay in the queue)
+    if (s.moderationStatus === 'held') {
+      s.moderationStatus = 'visible';
+      s.moderatedBy = mongoose.Types.ObjectId.isValid(String(req.user._id)) ? req.user._id : null;
+      s.moderatedAt = new Date();
+    }
     s.updatedAt = new Date();
     await s.save();
     req.app.get('io')?.emit('stories:approved', { storyId: s._id });
@@ -193,13 +297,86 @@ router.post('/stories/:id/confirm-delete', requireAuth, requireAdmin, async (req
   try {
     const s = await Story.findById(req.params.id);
     if (!s) return res.status(404).json({ error: 'Not found' });
+    if (s.seriesId) await storySeries.removeChapter(s._id);
     await Story.deleteOne({ _id: s._id });
     await Comment.deleteMany({ storyId: s._id });
+    await StoryRevision.deleteMany({ storyId: s._id });
+    await readingProgress.forgetStories([s._id]);
     req.app.get('io')?.emit('stories:deleted', { storyId: s._id });
     return res.json({ ok:true });
   } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
 });
 
+/* ========== ADMIN REVIEW: edits to published stories (StoryRevision) ========== */
+
+// List revisions, newest first, with the story's live title
+// GET /stories/revisions?status=pending|approved|rejected (default pending)
+router.get('/stories/revisions', requireAuth, requireAdmin, async (req,res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!['pending', 'approved', 'rejected', 'withdrawn'].includes(status)) return res.status(400).json({ error: 'Invalid status' });
+    const revisions = await StoryRevision.find({ status }).sort({ updatedAt: -1 }).limit(200).lean();
+    const stories = await Story.find({ _id: { $in: revisions.map(r => r.storyId) } }).select('titleEng titleSom isDeleted').lean();
+    const byId = new Map(stories.map(s => [String(s._id), s]));
+    revisions.forEach(r => { r.story = byId.get(String(r.storyId)) || null; });
+    return res.json({ revisions });
+  } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
+});
+
+// One revision with the live story and a word diff per field (live -> proposed)
+// GET /stories/revisions/:revId
+router.get('/stories/revisions/:revId', requireAuth, requireAdmin, async (req,res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.revId)) return res.status(400).json({ error: 'Invalid id' });
+    const revision = await StoryRevision.findById(req.params.revId).lean();
+    if (!revision) return res.status(404).json({ error: 'Not found' });
+    const story = await Story.findById(revision.storyId).lean();
+    if (!story) return res.status(404).json({ error: 'Story not found' });
+    const live = pickText(story);
+    const diff = {};
+    STORY_TEXT_FIELDS.forEach(k => { diff[k] = diffWords(live[k], revision[k] || ''); });
+    return res.json({ revision, story: Object.assign({ _id: story._id, folderId: story.folderId || null }, live), diff });
+  } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
+});
+
+// Approve: the revision's text (and folder) replaces the live story; note goes back to the author
+// POST /stories/revisions/:revId/approve  body: { note? }
+router.post('/stories/revisions/:revId/approve', requireAuth, requireAdmin, async (req,res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.revId)) return res.status(400).json({ error: 'Invalid id' });
+    const rev = await StoryRevision.findById(req.params.revId);
+    if (!rev) return res.status(404).json({ error: 'Not found' });
+    if (rev.status !== 'pending') return res.status(409).json({ error: `Revision is already ${rev.status}` });
+    const s = await Story.findById(rev.storyId);
+    if (!s || s.isDeleted) return res.status(404).json({ error: 'Story not found' });
+
+    // claim the revision first: of two concurrent reviews only one gets to write the story
+    const claimed = await StoryRevision.findOneAndUpdate({ _id: rev._id, status: 'pending' }, { $set: reviewUpdate(req, 'approved') }, { new: true });
+    if (!claimed) return res.status(409).json({ error: 'Revision is no longer pending' });
+    s.set(pickText(claimed));
+    s.folderId = claimed.folderId || null;
+    s.updatedAt = new Date();
+    await s.save();
+    req.app.get('io')?.emit('stories:revisionApproved', { storyId: s._id, revisionId: rev._id });
+    return res.json({ ok:true, story: normalizeStory(s), revision: claimed });
+  } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
+});
+
+// Reject: the live story is unchanged; note tells the author why
+// POST /stories/revisions/:revId/reject  body: { note? }
+router.post('/stories/revisions/:revId/reject', requireAuth, requireAdmin, async (req,res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.revId)) return res.status(400).json({ error: 'Invalid id' });
+    const rev = await StoryRevision.findById(req.params.revId);
+    if (!rev) return res.status(404).json({ error: 'Not found' });
+    if (rev.status !== 'pending') return res.status(409).json({ error: `Revision is already ${rev.status}` });
+    const rejected = await StoryRevision.findOneAndUpdate({ _id: rev._id, status: 'pending' }, { $set: reviewUpdate(req, 'rejected') }, { new: true });
+    if (!rejected) return res.status(409).json({ error: 'Revision is no longer pending' });
+    req.app.get('io')?.emit('stories:revisionRejected', { storyId: rev.storyId, revisionId: rev._id });
+    return res.json({ ok:true, revision: rejected });
+  } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
+});
+
 
 
 
@@ -251,7 +428,10 @@ router.delete('/folders/:id/permanent', requireAuth, requireAdmin, async (req,re
   try {
     const f = await StoryFolder.findById(req.params.id);
     if (!f) return res.status(404).json({ error: 'Not found' });
+    const ids = (await Story.find({ folderId: f._id }).select('_id').lean()).map(x => x._id);
     await Story.deleteMany({ folderId: f._id });
+    await readingProgress.forgetStories(ids);
+    await StorySeries.deleteMany({ folderId: f._id });
     await f.remove();
     return res.json({ ok:true });
   } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
@@ -261,32 +441,39 @@ router.delete('/folders/:id/permanent', requireAuth, requireAdmin, async (req,re
 
 // list all stories (non-deleted)
 // optional query ?mine=true -> only stories created by current user (requires bearer token)
-router.get('/stories', async (req,res) => {
+// each with isRead for the signed-in reader
+router.get('/stories', optionalAuthenticate, async (req,res) => {
   try {
     const q = { isDeleted: false };
-    if (String(req.query.mine).toLowerCase() === 'true') {
-      const userId = getUserIdFromAuthHeader(req);
+    const userId = req.user ? String(req.user._id) : null;
+    const mine = String(req.query.mine).toLowerCase() === 'true';
+    if (mine) {
       if (!userId) return res.status(401).json({ error: 'Authentication required' });
       q.createdBy = userId;
     }
-    const stories = await Story.find(q).sort({ createdAt: -1 }).lean();
-    const enriched = stories.map(normalizeStory);
+    // held, unpublished and pending stories: only their authors (?mine=true) and admins see them
+    const filter = mine || isAdminUser(req.user) ? q : { $and: [Story.VISIBLE_FILTER, q] };
+    const stories = await Story.find(filter).sort({ createdAt: -1 }).lean();
+    const enriched = await readingProgress.withReadFlags(userId, stories.map(normalizeStory));
     return res.json({ stories: enriched });
   } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
 });
 
 // list stories in folder
 // optional ?mine=true to only include stories createdBy this user
-router.get('/folders/:id/stories', async (req,res) => {
+router.get('/folders/:id/stories', optionalAuthenticate, async (req,res) => {
   try {
     const q = { folderId: req.params.id, isDeleted: false };
-    if (String(req.query.mine).toLowerCase() === 'true') {
-      const userId = getUserIdFromAuthHeader(req);
+    const userId = req.user ? String(req.user._id) : null;
+    const mine = String(req.query.mine).toLowerCase() === 'true';
+    if (mine) {
       if (!userId) return res.status(401).json({ error: 'Authentication required' });
       q.createdBy = userId;
     }
-    const stories = await Story.find(q).sort({ createdAt: -1 }).lean();
-    return res.json({ stories: stories.map(normalizeStory) });
+    // held, unpublished and pending stories: only their authors (?mine=true) and admins see them
+    const filter = mine || isAdminUser(req.user) ? q : { $and: [Story.VISIBLE_FILTER, q] };
+    const stories = await Story.find(filter).sort({ createdAt: -1 }).lean();
+    return res.json({ stories: await readingProgress.withReadFlags(userId, stories.map(normalizeStory)) });
   } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
 });
 
@@ -295,7 +482,7 @@ router.post('/folders/:id/stories', requireAuth, requireAdmin, async (req,res) =
   try {
     const folder = await StoryFolder.findById(req.params.id);
     if (!folder) return res.status(404).json({ error: 'Folder not found' });
-    const { titleEng, titleSom, contentEng, contentSom } = req.body;
+    const { titleEng, titleSom, contentEng, contentSom } = storyText(req.body);
     const s = await Story.create({
       folderId: folder._id,
       titleEng, titleSom, contentEng, contentSom,
@@ -305,18 +492,30 @@ router.post('/folders/:id/stories', requireAuth, requireAdmin, async (req,res) =
   } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
 });
 
-// get story with top reaction and comments
-router.get('/stories/:id', async (req,res) => {
-  try {
-    const s = await Story.findById(req.params.id).lean();
-    if (!s) return res.status(404).json({ error: 'Not found' });
-    const comments = await Comment.find({ storyId: s._id, isDeleted: false, parentId: null }).sort({ isPinned: -1, createdAt: -1 }).lean();
-    // attach replies for each comment
-    for (let c of comments){
-      const replies = await Comment.find({ parentId: c._id, isDeleted: false }).sort({ createdAt: 1 }).lean();
-      c.replies = replies;
-    }
-    return res.json({ story: normalizeStory(s), comments });
+// get story with top reaction and comments; a chapter also with its series and the chapters around it,
+// and for the signed-in reader isRead and progress ({ percent, finished } when last read here)
+router.get('/stories/:id', optionalAuthenticate, async (req,res) => {
+  try {
+    // unpublished, pending and deleted stories only for admins, as for comments and reactions
+    const found = await storyComments.findStory(req.user, req.params.id);
+    if (!found) return res.status(404).json({ error: 'Not found' });
+    const s = found.toObject();
+    const userId = req.user ? String(req.user._id) : null;
+    viewAnalytics.recordView('story', s._id, userId).catch(err => console.error('stories.view analytics', err));
+    // first page of the threads; more via GET /stories/:id/comments
+    const [page, commentCount, progress, series, around] = await Promise.all([
+      commentThreads.listPage(s._id, null, commentThreads.parseListOptions({}, false)),
+      commentThreads.countLive(s._id),
+      readingProgress.progressFor(userId, s),
+      s.seriesId ? StorySeries.findOne({ _id: s.seriesId, isDeleted: { $ne: true } }).select(storySeries.SERIES_FIELDS).lean() : null,
+      s.seriesId ? storySeries.neighbours(s.seriesId, s.chapterIndex) : {}
+    ]);
+    const [story] = await readingProgress.withReadFlags(userId, [normalizeStory(s)]);
+    return res.json({
+      story, comments: page.comments, nextCursor: page.nextCursor, commentCount,
+      progress: progress ? { percent: progress.percent, finished: progress.finished } : null,
+      series, prevChapter: around.prev || null, nextChapter: around.next || null
+    });
   } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
 });
 
@@ -325,10 +524,7 @@ router.put('/stories/:id', requireAuth, requireAdmin, async (req,res) => {
   try {
     const s = await Story.findById(req.params.id);
     if (!s) return res.status(404).json({ error: 'Not found' });
-    s.titleEng = req.body.titleEng !== undefined ? req.body.titleEng : s.titleEng;
-    s.titleSom = req.body.titleSom !== undefined ? req.body.titleSom : s.titleSom;
-    s.contentEng = req.body.contentEng !== undefined ? req.body.contentEng : s.contentEng;
-    s.contentSom = req.body.contentSom !== undefined ? req.body.contentSom : s.contentSom;
+    s.set(storyText(req.body));
     s.updatedAt = new Date();
     await s.save();
     return res.json({ story: normalizeStory(s) });
@@ -358,143 +554,256 @@ router.post('/stories/:id/restore', requireAuth, requireAdmin, async (req,res) =
 // permanently delete story
 router.delete('/stories/:id/permanent', requireAuth, requireAdmin, async (req,res) => {
   try {
+    await storySeries.removeChapter(req.params.id);
     await Story.deleteOne({ _id: req.params.id });
     await Comment.deleteMany({ storyId: req.params.id });
+    await StoryRevision.deleteMany({ storyId: req.params.id });
+    await readingProgress.forgetStories([req.params.id]);
     return res.json({ ok:true });
   } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
 });
 
-/* ========== Reactions ========== */
-// story reaction (toggle)
-router.post('/stories/:id/reactions', requireAuth, async (req,res) => {
+/* =============== SERIES & CHAPTERS (utils/storySeries.js) =============== */
+
+const SERIES_TEXT_FIELDS = ['titleEng', 'titleSom', 'descriptionEng', 'descriptionSom'];
+function seriesText(body) {
+  const out = {};
+  SERIES_TEXT_FIELDS.forEach(k => { if (body[k] !== undefined) out[k] = richText.text(body[k]); });
+  return out;
+}
+
+async function findSeries(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return StorySeries.findOne({ _id: id, isDeleted: { $ne: true } }).lean();
+}
+
+// list series, latest chapter first; optional ?folderId=
+router.get('/series', async (req,res) => {
   try {
-    const story = await Story.findById(req.params.id);
-    if (!story) return res.status(404).json({ error: 'Not found' });
-    const { reaction } = req.body;
-    const userId = String(req.user._id);
-    // allow passing null or '' to remove reaction
-    if (!reaction) {
-      story.applyReaction(userId, null);
+    const q = { isDeleted: { $ne: true } };
+    if (req.query.folderId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.folderId)) return res.status(400).json({ error: 'Invalid folderId' });
+      q.folderId = req.query.folderId;
     } else {
-      if (!['like','love','haha','wow','angry','sad'].includes(reaction)) return res.status(400).json({ error: 'Invalid reaction' });
-      story.applyReaction(userId, reaction);
+      const hidden = await StoryFolder.find({ isDeleted: true }).select('_id').lean();
+      if (hidden.length) q.folderId = { $nin: hidden.map(f => f._id) };
     }
-    await story.save();
-    req.app.get('io')?.emit('stories:update', { storyId: story._id });
-    return res.json({ ok:true, story: normalizeStory(story) });
+    const series = await StorySeries.find(q).sort({ lastChapterAt: -1, createdAt: -1 }).lean();
+    return res.json({ series });
+  } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
+});
+
+// a series with the chapters readers may see (isRead each) and the signed-in reader's position
+router.get('/series/:id', async (req,res) => {
+  try {
+    const series = await findSeries(req.params.id);
+    if (!series) return res.status(404).json({ error: 'Not found' });
+    const userId = getUserIdFromAuthHeader(req);
+    const chapters = await readingProgress.withReadFlags(userId, await storySeries.listChapters(series._id));
+    const p = await readingProgress.seriesProgress(userId, series._id);
+    return res.json({ series, chapters, progress: p && { storyId: p.storyId, chapterIndex: p.chapterIndex, percent: p.percent, finished: p.finished } });
+  } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
+});
+
+// every chapter, including unpublished ones (admin; for ordering)
+router.get('/series/:id/chapters', requireAuth, requireAdmin, async (req,res) => {
+  try {
+    const series = await findSeries(req.params.id);
+    if (!series) return res.status(404).json({ error: 'Not found' });
+    return res.json({ series, chapters: await storySeries.listChapters(series._id, { all: true }) });
+  } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
+});
+
+// create series (admin): { folderId?, titleEng, titleSom, descriptionEng, descriptionSom }
+router.post('/series', requireAuth, requireAdmin, async (req,res) => {
+  try {
+    const fields = seriesText(req.body);
+    if (!(fields.titleEng || fields.titleSom)) return res.status(400).json({ error: 'Title required' });
+    const { folderId } = req.body;
+    if (folderId && !(mongoose.Types.ObjectId.isValid(folderId) && await StoryFolder.exists({ _id: folderId, isDeleted: false }))) return res.status(404).json({ error: 'Folder not found' });
+    const series = await StorySeries.create(Object.assign(fields, { folderId: folderId || null, createdBy: String(req.user._id) }));
+    return res.json({ series });
+  } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
+});
+
+// update series text (admin)
+router.put('/series/:id', requireAuth, requireAdmin, async (req,res) => {
+  try {
+    const series = await StorySeries.findOneAndUpdate(
+      { _id: req.params.id, isDeleted: { $ne: true } },
+      { $set: Object.assign(seriesText(req.body), { updatedAt: new Date() }) },
+      { new: true }
+    ).lean();
+    if (!series) return res.status(404).json({ error: 'Not found' });
+    return res.json({ series });
+  } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
+});
+
+// delete series (admin); its chapters stay, as standalone stories
+router.delete('/series/:id', requireAuth, requireAdmin, async (req,res) => {
+  try {
+    const series = await findSeries(req.params.id);
+    if (!series) return res.status(404).json({ error: 'Not found' });
+    await storySeries.deleteSeries(series);
+    return res.json({ ok:true });
+  } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
+});
+
+// add a story as a chapter (admin): { storyId, position? } (1-based; default: at the end)
+router.post('/series/:id/chapters', requireAuth, requireAdmin, async (req,res) => {
+  try {
+    const series = await findSeries(req.params.id);
+    if (!series) return res.status(404).json({ error: 'Not found' });
+    const r = await storySeries.addChapter(series, req.body.storyId, req.body.position);
+    if (r.error) return res.status(r.status).json({ error: r.error });
+    req.app.get('io')?.emit('stories:newChapter', { seriesId: series._id, storyId: r.story._id });
+    return res.json({ ok:true, story: r.story });
+  } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
+});
+
+// reorder chapters (admin): { order: [storyId, ...] } with every chapter once
+router.put('/series/:id/chapters', requireAuth, requireAdmin, async (req,res) => {
+  try {
+    const series = await findSeries(req.params.id);
+    if (!series) return res.status(404).json({ error: 'Not found' });
+    const r = await storySeries.reorder(series._id, req.body.order);
+    if (r.error) return res.status(r.status).json({ error: r.error });
+    return res.json({ ok:true, chapters: r.chapters });
+  } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
+});
+
+// take a chapter out of the series (admin); the story itself stays
+router.delete('/series/:id/chapters/:storyId', requireAuth, requireAdmin, async (req,res) => {
+  try {
+    const series = await findSeries(req.params.id);
+    if (!series) return res.status(404).json({ error: 'Not found' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.storyId)) return res.status(400).json({ error: 'Invalid storyId' });
+    const inSeries = await Story.exists({ _id: req.params.storyId, seriesId: series._id });
+    if (!inSeries) return res.status(404).json({ error: 'Not a chapter of this series' });
+    await storySeries.removeChapter(req.params.storyId);
+    return res.json({ ok:true });
+  } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
+});
+
+/* ========== Reactions ========== */
+// story reaction (toggle); null or '' removes the caller's reaction. Also over the socket (story:react)
+router.post('/stories/:id/reactions', requireAuth, async (req,res) => {
+  try {
+    const r = await storyComments.reactToStory(req.app.get('io'), req.user, { storyId: req.params.id, reaction: req.body.reaction });
+    return sendAction(res, r, x => ({ story: normalizeStory(x.story) }));
   } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
 });
 
-// mark read (add userId to readBy)
+/* ========== Reading: read marks, position and feeds (utils/readingProgress.js) ========== */
+// mark read; the first read by a user adds to the story's readCount
 router.post('/stories/:id/read', requireAuth, async (req,res) => {
   try {
-    const story = await Story.findById(req.params.id);
+    const story = await storyComments.findStory(req.user, req.params.id);
     if (!story) return res.status(404).json({ error: 'Not found' });
-    const uid = String(req.user._id);
-    const existing = (story.readBy || []).map(String);
-    if (!existing.includes(uid)) {
-      story.readBy.push(uid);
-      await story.save();
-    }
-        return res.json({ ok:true });
+    await readingProgress.markRead(req.user._id, story._id);
+    const fresh = await Story.findById(story._id).select('readCount').lean();
+    return res.json({ ok:true, readCount: fresh ? fresh.readCount || 0 : 0 });
+  } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
+});
+
+// save the reader's position: PUT /stories/:id/progress { percent } (0-100, how far the story is scrolled)
+router.put('/stories/:id/progress', requireAuth, async (req,res) => {
+  try {
+    const story = await storyComments.findStory(req.user, req.params.id);
+    if (!story) return res.status(404).json({ error: 'Not found' });
+    const percent = Number(req.body && req.body.percent);
+    if (!Number.isFinite(percent)) return res.status(400).json({ error: 'percent required' });
+    const p = await readingProgress.saveProgress(req.user._id, story, percent);
+    return res.json({ progress: { storyId: p.storyId, seriesId: p.seriesId, chapterIndex: p.chapterIndex, percent: p.percent, finished: p.finished } });
+  } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
+});
+
+function feedLimit(q) {
+  const n = Number.parseInt(q.limit, 10);
+  return n > 0 ? Math.min(n, 50) : readingProgress.FEED_LIMIT;
+}
+
+// GET /reading/continue?limit= -> { items: [{ series, story, percent, next, updatedAt }] }
+router.get('/reading/continue', requireAuth, async (req,res) => {
+  try {
+    return res.json({ items: await readingProgress.continueReading(req.user._id, feedLimit(req.query)) });
+  } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
+});
+
+// GET /reading/new-chapters?limit= -> { items: [{ series, story }] }
+router.get('/reading/new-chapters', requireAuth, async (req,res) => {
+  try {
+    return res.json({ items: await readingProgress.newChapters(req.user._id, feedLimit(req.query)) });
   } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
 });
 
 /* ========== Comments & Replies ========== */
-// list comments for story (top-level only)
-router.get('/stories/:id/comments', async (req,res) => {
-  try {
-    const comments = await Comment.find({ storyId: req.params.id, parentId: null, isDeleted: false }).sort({ isPinned: -1, createdAt: -1 }).lean();
-    for (let c of comments){
-      const replies = await Comment.find({ parentId: c._id, isDeleted: false }).sort({ createdAt: 1 }).lean();
-      c.replies = replies;
-      // prepare reactionCounts map for frontend (normalize Map -> object)
-      if (c.reactionCounts && c.reactionCounts.entries) {
-        try {
-          c.reactionCounts = Object.fromEntries(Array.from(c.reactionCounts.entries()));
-        } catch(e) { c.reactionCounts = c.reactionCounts || {}; }
-      }
-    }
-    return res.json({ comments });
+/**
+ * GET /stories/:id/comments?parentId=&sort=newest|oldest|top&limit=20&cursor=&replyDepth=2&replyLimit=20
+ * One page of a level of the threads (top level without parentId, newest first; replies oldest
+ * first), each comment with replies nested replyDepth levels deep. Comments with moreReplies
+ * continue with ?parentId=<comment>&cursor=<repliesCursor>. See utils/commentThreads.js.
+ */
+router.get('/stories/:id/comments', optionalAuthenticate, async (req,res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+    if (!await storyComments.findStory(req.user, req.params.id)) return res.status(404).json({ error: 'Not found' });
+    const parentId = req.query.parentId || null;
+    if (parentId && !mongoose.Types.ObjectId.isValid(parentId)) return res.status(400).json({ error: 'Invalid parentId' });
+    const opts = commentThreads.parseListOptions(req.query, !!parentId);
+    if (opts.error) return res.status(400).json({ error: opts.error });
+    const page = await commentThreads.listPage(req.params.id, parentId, opts);
+    const out = { comments: page.comments, nextCursor: page.nextCursor, sort: opts.sort };
+    if (!parentId && !opts.cursor) out.commentCount = await commentThreads.countLive(req.params.id);
+    return res.json(out);
   } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
 });
 
-// add comment
+// add comment (REST and socket story:comment:post share utils/storyComments.js)
 router.post('/stories/:id/comments', requireAuth, async (req,res) => {
   try {
-    const { content } = req.body;
-    if (!content) return res.status(400).json({ error: 'Content required' });
-    const c = await Comment.create({
-      storyId: req.params.id,
-      parentId: null,
-      userId: req.user._id,
-      userName: req.user.fullName || req.user.username || 'User',
-      content,
-      isAdmin: !!(req.user.role === 'admin' || req.user.isAdmin)
-    });
-    req.app.get('io')?.emit('comments:new', { storyId: req.params.id });
-    return res.json({ comment: c });
+    const r = await storyComments.postComment(req.app.get('io'), req.user, { storyId: req.params.id, content: req.body.content });
+    return sendAction(res, r, x => ({ comment: x.comment, held: x.held }));
   } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
 });
 
-// reply to comment
+// reply to comment (or to a reply, any depth)
 router.post('/comments/:id/reply', requireAuth, async (req,res) => {
   try {
-    const parent = await Comment.findById(req.params.id);
-    if (!parent) return res.status(404).json({ error: 'Parent comment not found' });
-    const { content } = req.body; if (!content) return res.status(400).json({ error: 'Content required' });
-    const c = await Comment.create({
-      storyId: parent.storyId,
-      parentId: parent._id,
-      userId: req.user._id,
-      userName: req.user.fullName || req.user.username || 'User',
-      content,
-      isAdmin: !!(req.user.role === 'admin' || req.user.isAdmin)
-    });
-    req.app.get('io')?.emit('comments:new', { storyId: parent.storyId });
-    return res.json({ comment: c });
+    const r = await storyComments.postComment(req.app.get('io'), req.user, { parentId: req.params.id, content: req.body.content });
+    return sendAction(res, r, x => ({ comment: x.comment, held: x.held }));
+  } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
+});
+
+// edit comment (owner or admin)
+router.put('/comments/:id', requireAuth, async (req,res) => {
+  try {
+    const r = await storyComments.editComment(req.app.get('io'), req.user, { commentId: req.params.id, content: req.body.content });
+    return sendAction(res, r, x => ({ comment: x.comment, held: x.held }));
   } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
 });
 
 // react to comment
 router.post('/comments/:id/reactions', requireAuth, async (req,res) => {
   try {
-    const c = await Comment.findById(req.params.id);
-    if (!c) return res.status(404).json({ error: 'Comment not found' });
-    const { reaction } = req.body;
-    const uid = String(req.user._id);
-    // use schema method (assumes Comment has applyReaction like Story)
-    c.applyReaction(uid, reaction);
-    c.updatedAt = new Date();
-    await c.save();
-    req.app.get('io')?.emit('comments:update', { storyId: c.storyId });
-    return res.json({ ok:true, comment: c });
+    const r = await storyComments.reactToComment(req.app.get('io'), req.user, { commentId: req.params.id, reaction: req.body.reaction });
+    return sendAction(res, r, x => ({ comment: x.comment }));
   } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
 });
 
-// delete comment (owner or admin) -> fully remove doc
+// delete comment (owner or admin) -> fully remove it and every reply below it
 router.delete('/comments/:id', requireAuth, async (req,res) => {
   try {
-    const c = await Comment.findById(req.params.id);
-    if (!c) return res.status(404).json({ error: 'Not found' });
-    const isOwner = String(c.userId) === String(req.user._id);
-    const isAdminReq = (req.user.role === 'admin' || req.user.isAdmin);
-    if (!isOwner && !isAdminReq) return res.status(403).json({ error: 'Not allowed' });
-    await Comment.deleteMany({ _id: c._id }); // remove this comment
-    // also remove replies
-    await Comment.deleteMany({ parentId: c._id });
-    req.app.get('io')?.emit('comments:deleted', { storyId: c.storyId });
-    return res.json({ ok:true });
+    const r = await storyComments.deleteComment(req.app.get('io'), req.user, { commentId: req.params.id });
+    return sendAction(res, r, x => ({ removed: x.removed }));
   } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
 });
 
-// pin/unpin comment (admin)
+// pin/unpin comment (admin); body { pinned: true|false } or nothing to toggle
 router.post('/comments/:id/pin', requireAuth, requireAdmin, async (req,res) => {
   try {
-    const c = await Comment.findById(req.params.id);
-    if (!c) return res.status(404).json({ error: 'Not found' });
-    c.isPinned = !c.isPinned; await c.save();
-    return res.json({ ok:true, pinned: c.isPinned });
+    const r = await storyComments.pinComment(req.app.get('io'), req.user, { commentId: req.params.id, pinned: req.body && req.body.pinned });
+    return sendAction(res, r, x => ({ pinned: x.isPinned }));
   } catch(err){ console.error(err); return res.status(500).json({ error: 'Server error' }); }
 });
 
@@ -1,32 +1,184 @@
 'use strict';
 
 const express = require('express');
-const sanitizeHtml = require('sanitize-html');
 const mongoose = require('mongoose');
 
 const Test = require('../models/Test');
+const Folder = require('../models/Folder');
+const Lesson = require('../models/Lesson');
 const Attempt = require('../models/Attempt');
+const BankQuestion = require('../models/BankQuestion');
+const ReviewCard = require('../models/ReviewCard');
 const User = require('../models/User'); // your existing user model
+const { QUESTION_SECONDS } = require('../config');
+const questionTypes = require('../utils/questionTypes');
+const scoring = require('../utils/scoring');
+const testFormats = require('../utils/testFormats');
+const itemAnalysis = require('../utils/itemAnalysis');
+const streaks = require('../utils/streaks');
+const progress = require('../utils/progress');
+const viewAnalytics = require('../utils/viewAnalytics');
+const recycleBin = require('../utils/recycleBin');
+const richText = require('../utils/richText');
+const { buildQuestions, normalizeTags } = require('../utils/questionInput');
 // backend/src/routes/tests.js (top)
-const { authMiddleware, requireAdmin, optionalAuthenticate } = require('../middleware/auth');
+const { authMiddleware, requireAdmin, isAdminUser } = require('../middleware/auth');
+const streakRoutes = require('./tests.streak');
 
 
 
 const router = express.Router();
 
 /* --------- Helpers --------- */
-function sanitizeBilingual(raw) {
-  if (!raw) return { en: '', som: '' };
-  if (typeof raw === 'string') return { en: sanitizeHtml(raw), som: '' };
+function questionKey(q) {
+  return String(q.id || q._id);
+}
+
+function toPlayerTest(t) {
+  return Object.assign({}, t, { questions: (t.questions || []).map(questionTypes.toPlayerQuestion) });
+}
+
+// what we reveal once an answer for `q` has been recorded
+function revealFor(q, response, evaluation) {
+  return Object.assign({
+    questionId: questionKey(q),
+    type: questionTypes.questionType(q),
+    response,
+    selectedOptionId: response.selectedOptionId || null,
+    isCorrect: !!evaluation.correct,
+    credit: evaluation.credit,
+    correctOptionId: null,
+    explanation: q.explanation || { en: '', som: '' },
+    explanationHtml: questionTypes.questionHtml(q, 'explanation')
+  }, questionTypes.correctAnswerFor(q));
+}
+
+// the response fields stored on an Attempt answer
+function storedResponse(a) {
   return {
-    en: sanitizeHtml(String(raw.en || '')),
-    som: sanitizeHtml(String(raw.som || ''))
+    selectedOptionId: a.selectedOptionId || null,
+    selectedOptionIds: a.selectedOptionIds && a.selectedOptionIds.length ? Array.from(a.selectedOptionIds) : undefined,
+    value: a.value || null,
+    order: a.order && a.order.length ? Array.from(a.order) : undefined
   };
 }
 
-/* Default scoring params */
-const DEFAULT_CORRECT_POINTS = 3;
-const DEFAULT_INCORRECT_PENALTY = -1;
+function questionsErrorResponse(res, errors) {
+  const first = errors[0];
+  return res.status(400).json({ error: `Question ${first.index + 1}: ${first.error}`, details: errors });
+}
+
+// load an attempt that belongs to the caller and is still open for this test
+async function findOpenAttempt(attemptId, testId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(attemptId)) return null;
+  const attempt = await Attempt.findById(attemptId);
+  if (!attempt) return null;
+  if (String(attempt.testId) !== String(testId) || String(attempt.userId) !== String(userId)) return null;
+  return attempt;
+}
+
+/* --------- Question timers --------- */
+// allowance for request latency between the client timer hitting zero and the answer arriving
+const ANSWER_GRACE_MS = 2000;
+
+// admin input -> per-test override (null keeps the server default); floors at the schema minimum
+function parseQuestionSeconds(raw) {
+  const n = Math.round(Number(raw));
+  if (!raw || !(n > 0)) return null;
+  return Math.max(5, n);
+}
+
+function questionSecondsFor(test) {
+  const n = Number(test && test.questionSeconds);
+  return n > 0 ? n : QUESTION_SECONDS;
+}
+
+function findServed(attempt, questionId) {
+  return (attempt.served || []).find(x => String(x.questionId) === String(questionId)) || null;
+}
+
+// records the first time a question is served on the attempt; returns the served entry
+function markServed(attempt, questionId) {
+  const existing = findServed(attempt, questionId);
+  if (existing) return existing;
+  attempt.served.push({ questionId: String(questionId), servedAt: new Date() });
+  return attempt.served[attempt.served.length - 1];
+}
+
+function timerInfo(servedEntry, seconds, now) {
+  const deadline = new Date(servedEntry.servedAt.getTime() + seconds * 1000);
+  return {
+    servedAt: servedEntry.servedAt,
+    deadline,
+    questionSeconds: seconds,
+    secondsLeft: Math.max(0, Math.ceil((deadline.getTime() - now.getTime()) / 1000))
+  };
+}
+
+function isLate(servedEntry, seconds, at) {
+  return at.getTime() - servedEntry.servedAt.getTime() > seconds * 1000 + ANSWER_GRACE_MS;
+}
+
+// an answer timed out when it came in late, or when nothing was chosen and the window had (about) run out
+function isTimedOut(servedEntry, seconds, at, answered) {
+  if (answered) return isLate(servedEntry, seconds, at);
+  return at.getTime() + ANSWER_GRACE_MS >= servedEntry.servedAt.getTime() + seconds * 1000;
+}
+
+/* --------- Question bank / attempt question sets --------- */
+const MAX_DRAW_COUNT = 100;
+
+// admin input -> DrawSchema entries; returns { draws } or { error }
+function buildDraws(raw) {
+  if (!Array.isArray(raw)) return { error: 'draws must be an array' };
+  const draws = [];
+  for (let i = 0; i < raw.length; i++) {
+    const d = raw[i] || {};
+    const count = Number(d.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_DRAW_COUNT) return { error: `Draw ${i + 1}: count must be a whole number between 1 and ${MAX_DRAW_COUNT}` };
+    const difficulty = d.difficulty ? String(d.difficulty) : null;
+    if (difficulty && !BankQuestion.DIFFICULTIES.includes(difficulty)) return { error: `Draw ${i + 1}: difficulty must be one of ${BankQuestion.DIFFICULTIES.join(', ')}` };
+    for (const key of ['folderId', 'lessonId']) {
+      if (d[key] && !mongoose.Types.ObjectId.isValid(d[key])) return { error: `Draw ${i + 1}: invalid ${key}` };
+    }
+    draws.push({ tags: normalizeTags(d.tags), difficulty, folderId: d.folderId || null, lessonId: d.lessonId || null, count });
+  }
+  return { draws };
+}
+
+// draws random bank questions for each rule (a question is drawn at most once per attempt)
+async function drawBankQuestions(test) {
+  const drawn = [];
+  const used = [];
+  for (const rule of test.draws || []) {
+    const match = { isDeleted: { $ne: true }, _id: { $nin: used } };
+    if (rule.tags && rule.tags.length) match.tags = { $all: rule.tags };
+    if (rule.difficulty) match.difficulty = rule.difficulty;
+    if (rule.folderId) match.folderId = new mongoose.Types.ObjectId(String(rule.folderId));
+    if (rule.lessonId) match.lessonId = new mongoose.Types.ObjectId(String(rule.lessonId));
+    const docs = await BankQuestion.aggregate([{ $match: match }, { $sample: { size: rule.count } }]);
+    docs.forEach(d => { used.push(d._id); drawn.push(BankQuestion.toQuestion(d)); });
+  }
+  return drawn;
+}
+
+// new attempt with its question set frozen; returns null when a bank-mode test draws nothing
+async function createAttempt(test, userId) {
+  const doc = { testId: test._id, userId, startedAt: new Date(), questionSeconds: questionSecondsFor(test), answers: [], score: 0 };
+  if (test.mode === 'bank') {
+    const drawn = await drawBankQuestions(test);
+    if (!drawn.length) return null;
+    doc.questions = test.shuffle ? questionTypes.shuffled(drawn) : drawn;
+    doc.questionIds = doc.questions.map(questionKey);
+  } else {
+    const ids = (test.questions || []).map(questionKey);
+    doc.questionIds = test.shuffle ? questionTypes.shuffled(ids) : ids;
+  }
+  const attempt = await Attempt.create(doc);
+  // a started attempt counts as a view of the test
+  viewAnalytics.recordView('test', test._id, userId).catch(err => console.error('tests.attempt analytics', err));
+  return attempt;
+}
 
 /* --------- CRUD (admin) --------- */
 
@@ -36,24 +188,25 @@ router.post('/', authMiddleware, requireAdmin, async (req, res) => {
     const title = (req.body.title || '').toString().trim();
     if (!title) return res.status(400).json({ error: 'Title required' });
 
-    const questionsPayload = Array.isArray(req.body.questions) ? req.body.questions : [];
-    const questions = questionsPayload.map(q => ({
-      id: q.id || ('q_' + Math.random().toString(36).slice(2,8)),
-      text: sanitizeBilingual(q.text || ''),
-      explanation: sanitizeBilingual(q.explanation || ''),
-      options: (Array.isArray(q.options) ? q.options : []).map(o => ({
-        id: o.id || ('o_' + Math.random().toString(36).slice(2,8)),
-        text: sanitizeBilingual(o.text || ''),
-        isCorrect: !!o.isCorrect
-      })),
-      pointsValue: Number(q.pointsValue || DEFAULT_CORRECT_POINTS)
-    }));
+    const { questions, errors } = buildQuestions(req.body.questions);
+    if (errors.length) return questionsErrorResponse(res, errors);
+    const { policy, error: policyError } = scoring.parsePolicyInput(req.body.scoring);
+    if (policyError) return res.status(400).json({ error: policyError });
+    const mode = req.body.mode === 'bank' ? 'bank' : 'fixed';
+    const { draws, error: drawsError } = buildDraws(req.body.draws || []);
+    if (drawsError) return res.status(400).json({ error: drawsError });
+    if (mode === 'bank' && !draws.length) return res.status(400).json({ error: 'Bank mode needs at least one draw' });
 
     const test = await Test.create({
-      title: sanitizeHtml(title),
+      title: richText.basic(title),
       folderId: req.body.folderId || null,
       lessonId: req.body.lessonId || null,
       questions,
+      mode,
+      draws,
+      shuffle: !!req.body.shuffle,
+      questionSeconds: parseQuestionSeconds(req.body.questionSeconds),
+      scoring: policy,
       authorId: req.user._id
     });
 
@@ -71,21 +224,34 @@ router.put('/:id', authMiddleware, requireAdmin, async (req, res) => {
     if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
 
     const updates = {};
-    if (req.body.title) updates.title = sanitizeHtml(String(req.body.title));
+    if (req.body.title) updates.title = richText.basic(String(req.body.title));
     if (req.body.folderId !== undefined) updates.folderId = req.body.folderId || null;
     if (req.body.lessonId !== undefined) updates.lessonId = req.body.lessonId || null;
+    if (req.body.questionSeconds !== undefined) updates.questionSeconds = parseQuestionSeconds(req.body.questionSeconds);
+    if (req.body.scoring !== undefined) {
+      const { policy, error: policyError } = scoring.parsePolicyInput(req.body.scoring);
+      if (policyError) return res.status(400).json({ error: policyError });
+      // only the keys that were sent change; the rest of the stored policy stays
+      Object.keys(policy).forEach(k => { updates['scoring.' + k] = policy[k]; });
+    }
     if (Array.isArray(req.body.questions)) {
-      updates.questions = req.body.questions.map(q => ({
-        id: q.id || ('q_' + Math.random().toString(36).slice(2,8)),
-        text: sanitizeBilingual(q.text || ''),
-        explanation: sanitizeBilingual(q.explanation || ''),
-        options: (Array.isArray(q.options) ? q.options : []).map(o => ({
-          id: o.id || ('o_' + Math.random().toString(36).slice(2,8)),
-          text: sanitizeBilingual(o.text || ''),
-          isCorrect: !!o.isCorrect
-        })),
-        pointsValue: Number(q.pointsValue || DEFAULT_CORRECT_POINTS)
-      }));
+      const { questions, errors } = buildQuestions(req.body.questions);
+      if (errors.length) return questionsErrorResponse(res, errors);
+      updates.questions = questions;
+    }
+    if (req.body.mode !== undefined) updates.mode = req.body.mode === 'bank' ? 'bank' : 'fixed';
+    if (req.body.draws !== undefined) {
+      const { draws, error: drawsError } = buildDraws(req.body.draws);
+      if (drawsError) return res.status(400).json({ error: drawsError });
+      updates.draws = draws;
+    }
+    if (req.body.shuffle !== undefined) updates.shuffle = !!req.body.shuffle;
+    if (updates.mode === 'bank' || updates.draws) {
+      const current = await Test.findById(id).select('mode draws').lean();
+      if (!current) return res.status(404).json({ error: 'Not found' });
+      const mode = updates.mode || current.mode;
+      const draws = updates.draws || current.draws || [];
+      if (mode === 'bank' && !draws.length) return res.status(400).json({ error: 'Bank mode needs at least one draw' });
     }
     updates.updatedAt = new Date();
 
@@ -97,21 +263,217 @@ router.put('/:id', authMiddleware, requireAdmin, async (req, res) => {
   }
 });
 
-// delete (soft)
+// delete: soft (into the lesson recycle bin, see utils/recycleBin.js) or ?permanent=1
 router.delete('/:id', authMiddleware, requireAdmin, async (req, res) => {
   try {
     const id = req.params.id;
-    const test = await Test.findById(id);
-    if (!test) return res.status(404).json({ error: 'Not found' });
-    test.isDeleted = true;
-    await test.save();
-    return res.json({ ok: true });
+    if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    if (req.query.permanent === '1') {
+      const removed = await recycleBin.permanentDelete('test', id);
+      if (!removed) return res.status(404).json({ error: 'Not found' });
+      return res.json({ ok: true, removed });
+    }
+    const r = await recycleBin.softDelete('test', id, req.user);
+    if (!r) return res.status(404).json({ error: 'Not found' });
+    return res.json({ ok: true, batchId: r.batch ? r.batch._id : null });
   } catch (err) {
     console.error('tests.delete', err);
     return res.status(500).json({ error: 'Server error' });
   }
 });
 
+// restore a deleted test (re-attached to no lesson when its lesson is still deleted)
+router.post('/:id/restore', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+    const r = await recycleBin.restoreItem('test', req.params.id, req.user._id);
+    if (!r) return res.status(404).json({ error: 'Not found' });
+    return res.json(Object.assign({ ok: true }, r));
+  } catch (err) {
+    console.error('tests.restore', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/* --------- Import / export (admin) --------- */
+
+// parse + build + validate an import; returns { test, questions, report }
+function prepareImport(format, content, lang) {
+  const parsed = testFormats.parseQuestions(format, content, lang);
+  const { questions, errors } = buildQuestions(parsed.questions);
+  const report = parsed.errors.map(e => ({ line: e.line, questionIndex: null, questionId: null, error: e.error }));
+  errors.forEach(e => {
+    const raw = parsed.questions[e.index] || {};
+    report.push({ line: raw.__line || null, questionIndex: e.index + 1, questionId: e.questionId, error: e.error });
+  });
+  report.sort((a, b) => (a.line || 0) - (b.line || 0) || (a.questionIndex || 0) - (b.questionIndex || 0));
+  return { test: parsed.test || {}, questions, report };
+}
+
+/**
+ * POST /api/tests/import (admin)
+ * Body: { format: csv|json|gift|aiken, content, lang?: en|som (gift/aiken), dryRun?,
+ *         testId?, mode?: append|replace, title?, folderId?, lessonId? }
+ * Without testId a new test is created (title from the body or the JSON bundle).
+ * dryRun (body or ?dryRun=1) only returns the report: { questionCount, errors: [{ line, questionIndex, questionId, error }] }.
+ * Nothing is written when the report has errors.
+ */
+router.post('/import', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const format = String(req.body.format || req.query.format || '').toLowerCase();
+    if (!testFormats.FORMATS.includes(format)) return res.status(400).json({ error: 'format must be one of ' + testFormats.FORMATS.join(', ') });
+    const content = req.body.content;
+    if (content === undefined || content === null || content === '') return res.status(400).json({ error: 'content required' });
+    if (typeof content !== 'string' && format !== 'json') return res.status(400).json({ error: 'content must be a string' });
+    const lang = req.body.lang === 'som' ? 'som' : 'en';
+    const dryRun = !!req.body.dryRun || req.query.dryRun === '1' || req.query.dryRun === 'true';
+    const mode = req.body.mode === 'replace' ? 'replace' : 'append';
+
+    let target = null;
+    if (req.body.testId) {
+      if (!mongoose.Types.ObjectId.isValid(req.body.testId)) return res.status(400).json({ error: 'Invalid testId' });
+      target = await Test.findById(req.body.testId);
+      if (!target || target.isDeleted) return res.status(404).json({ error: 'Test not found' });
+    }
+
+    const prepared = prepareImport(format, content, lang);
+    const { questions, report } = prepared;
+    if (target && mode === 'append') {
+      const existing = new Set((target.questions || []).map(questionKey));
+      questions.forEach((q, index) => {
+        if (existing.has(q.id)) report.push({ line: null, questionIndex: index + 1, questionId: q.id, error: 'Question id already exists in the test' });
+      });
+    }
+    if (!questions.length && !report.length) report.push({ line: null, questionIndex: null, questionId: null, error: 'No questions found' });
+
+    const { policy, error: policyError } = scoring.parsePolicyInput(prepared.test.scoring);
+    if (policyError) report.push({ line: null, questionIndex: null, questionId: null, error: policyError });
+    const title = String(req.body.title || prepared.test.title || '').trim();
+    if (!target && !title) report.push({ line: null, questionIndex: null, questionId: null, error: 'Title required' });
+    // a new test goes into an existing folder / lesson
+    if (!target) {
+      const places = [['folderId', Folder, 'Folder'], ['lessonId', Lesson, 'Lesson']];
+      for (const [key, Model, label] of places) {
+        const id = req.body[key];
+        if (!id) continue;
+        const ok = mongoose.Types.ObjectId.isValid(String(id)) && await Model.exists({ _id: id, isDeleted: { $ne: true } });
+        if (!ok) report.push({ line: null, questionIndex: null, questionId: null, error: `${label} not found (${key})` });
+      }
+    }
+
+    const summary = { format, questionCount: questions.length, errors: report };
+    if (dryRun) {
+      return res.json({
+        ok: report.length === 0,
+        dryRun: true,
+        report: summary,
+        questions: questions.map(q => ({ id: q.id, type: q.type, text: q.text }))
+      });
+    }
+    if (report.length) return res.status(400).json({ error: `Import has ${report.length} error(s)`, report: summary });
+
+    if (target) {
+      target.questions = mode === 'replace' ? questions : (target.questions || []).concat(questions);
+      if (prepared.test.questionSeconds !== undefined) target.questionSeconds = parseQuestionSeconds(prepared.test.questionSeconds);
+      Object.keys(policy).forEach(k => target.set('scoring.' + k, policy[k]));
+      target.updatedAt = new Date();
+      await target.save();
+      return res.json({ ok: true, test: target, report: summary });
+    }
+
+    const test = await Test.create({
+      title: richText.basic(title),
+      folderId: req.body.folderId || null,
+      lessonId: req.body.lessonId || null,
+      questions,
+      questionSeconds: parseQuestionSeconds(prepared.test.questionSeconds),
+      scoring: policy,
+      authorId: req.user._id
+    });
+    return res.status(201).json({ ok: true, test, report: summary });
+  } catch (err) {
+    console.error('tests.import', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /api/tests/:id/export?format=csv|json|gift|aiken&lang=en|som (admin)
+// GIFT and Aiken hold one language; questions they cannot represent are listed in X-Export-Skipped
+router.get('/:id/export', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!testFormats.FORMATS.includes(format)) return res.status(400).json({ error: 'format must be one of ' + testFormats.FORMATS.join(', ') });
+    const t = await Test.findById(id).lean();
+    if (!t) return res.status(404).json({ error: 'Not found' });
+
+    const out = testFormats.exportQuestions(format, t, req.query.lang === 'som' ? 'som' : 'en');
+    const slug = String(t.title || 'test').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'test';
+    res.set('Content-Type', out.contentType);
+    res.set('Content-Disposition', `attachment; filename="${slug}.${out.extension}"`);
+    if (out.skipped.length) res.set('X-Export-Skipped', out.skipped.join(','));
+    return res.send(out.text);
+  } catch (err) {
+    console.error('tests.export', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/tests/:id/analysis?from=&to=&format=json|csv (admin)
+ * Item analysis over submitted attempts (see utils/itemAnalysis.js): per question difficulty,
+ * discrimination, option selection counts, average answer time and timeout rate.
+ */
+router.get('/:id/analysis', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const test = await Test.findById(id).lean();
+    if (!test) return res.status(404).json({ error: 'Not found' });
+
+    const match = { testId: test._id, submittedAt: { $exists: true } };
+    for (const [key, op] of [['from', '$gte'], ['to', '$lte']]) {
+      if (!req.query[key]) continue;
+      const d = new Date(req.query[key]);
+      if (isNaN(d.getTime())) return res.status(400).json({ error: 'Invalid ' + key });
+      match.submittedAt[op] = d;
+    }
+
+    // score cut-offs for the upper / lower groups (only when scores actually differ)
+    const attempts = await Attempt.countDocuments(match);
+    let cutoffs = null;
+    if (attempts >= 2) {
+      const k = itemAnalysis.groupSize(attempts);
+      const [upper, lower] = await Promise.all([
+        Attempt.findOne(match).sort({ score: -1 }).skip(k - 1).select('score').lean(),
+        Attempt.findOne(match).sort({ score: 1 }).skip(k - 1).select('score').lean()
+      ]);
+      if (upper && lower && upper.score > lower.score) cutoffs = { upper: upper.score, lower: lower.score };
+    }
+
+    const [facet] = await Attempt.aggregate(itemAnalysis.buildPipeline(match, cutoffs));
+
+    // bank-mode tests: label the questions that were drawn from the bank
+    let questions = test.questions || [];
+    if (test.mode === 'bank') {
+      const ids = ((facet && facet.items) || []).map(r => r._id).filter(x => mongoose.Types.ObjectId.isValid(x));
+      questions = (await BankQuestion.find({ _id: { $in: ids } }).lean()).map(BankQuestion.toQuestion);
+    }
+    const items = itemAnalysis.summarize(questions, facet);
+
+    if (String(req.query.format || '').toLowerCase() === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="analysis-${test._id}.csv"`);
+      return res.send(itemAnalysis.toCsv(items));
+    }
+    return res.json({ ok: true, testId: test._id, attempts, groups: cutoffs, items });
+  } catch (err) {
+    console.error('tests.analysis', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
 /* --------- Public read --------- */
 // GET /api/tests?lessonId=...&folderId=...
 router.get('/', authMiddleware, async (req, res) => {
@@ -121,9 +483,9 @@ router.get('/', authMiddleware, async (req, res) => {
     if (req.query.folderId) q.folderId = req.query.folderId;
 
     const arr = await Test.find(q).sort({ createdAt: -1 }).lean();
-    // NOTE: We return isCorrect flags for now to support instant feedback on client.
-    // If you want to hide correct options to prevent cheating, strip `isCorrect` for non-admins here.
-    return res.json({ tests: arr });
+    // players never receive isCorrect / explanations; they are revealed per answer via /:id/attempts/:attemptId/answer
+    if (isAdminUser(req.user)) return res.json({ tests: arr });
+    return res.json({ tests: arr.map(toPlayerTest) });
   } catch (err) {
     console.error('tests.list', err);
     return res.status(500).json({ error: 'Server error' });
@@ -137,18 +499,74 @@ router.get('/:id', authMiddleware, async (req, res) => {
     if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
     const t = await Test.findById(id).lean();
     if (!t) return res.status(404).json({ error: 'Not found' });
-    return res.json({ test: t });
+    return res.json({ test: isAdminUser(req.user) ? t : toPlayerTest(t) });
   } catch (err) {
     console.error('tests.get', err);
     return res.status(500).json({ error: 'Server error' });
   }
 });
 
+/**
+ * POST /api/tests/:id/scoring/preview (admin)
+ * Body: { policy?, answers: [ { questionId, selectedOptionId | selectedOptionIds | value | order, secondsTaken?, timedOut? } ] }
+ * Scores a hypothetical answer set (in the given order) against the test's policy, optionally
+ * overridden by `policy`. Nothing is stored and User.pointsCurrent is not touched.
+ * For bank-mode tests questionId is a bank question id.
+ */
+router.post('/:id/scoring/preview', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const test = await Test.findById(id).lean();
+    if (!test) return res.status(404).json({ error: 'Not found' });
+
+    const { policy: overrides, error: policyError } = scoring.parsePolicyInput(req.body.policy);
+    if (policyError) return res.status(400).json({ error: policyError });
+    const policy = Object.assign(scoring.resolvePolicy(test.scoring), overrides);
+
+    const given = Array.isArray(req.body.answers) ? req.body.answers : [];
+    // bank-mode tests have no fixed questions: preview against the bank questions that were named
+    let pool = test.questions || [];
+    if (test.mode === 'bank') {
+      const ids = given.map(a => a && a.questionId).filter(id => mongoose.Types.ObjectId.isValid(id));
+      pool = (await BankQuestion.find({ _id: { $in: ids } }).lean()).map(BankQuestion.toQuestion);
+    }
+    const qById = {};
+    pool.forEach(q => { qById[questionKey(q)] = q; });
+    const seen = new Set();
+    const items = [];
+    for (const a of given) {
+      const q = a && a.questionId ? qById[String(a.questionId)] : null;
+      if (!q) return res.status(400).json({ error: 'Unknown questionId: ' + String(a && a.questionId) });
+      seen.add(questionKey(q));
+      items.push({
+        q,
+        response: questionTypes.normalizeResponse(q, a),
+        timedOut: !!a.timedOut,
+        elapsedSeconds: a.secondsTaken !== undefined ? Number(a.secondsTaken) : NaN,
+        windowSeconds: questionSecondsFor(test)
+      });
+    }
+    // questions left out of the answer set count as unanswered
+    pool.forEach(q => {
+      if (!seen.has(questionKey(q))) items.push({ q, response: questionTypes.normalizeResponse(q, null), timedOut: false });
+    });
+
+    const result = scoring.scoreAnswers(items, policy);
+    return res.json({ ok: true, policy, score: result.total, maxStreak: result.maxStreak, perQuestion: result.results });
+  } catch (err) {
+    console.error('tests.scoring.preview', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
 /* --------- Attempt endpoints --------- */
 
 /**
  * POST /api/tests/:id/start
  * Creates (or returns) a not-yet-submitted attempt for the user.
+ * A new attempt freezes its question set: bank-mode tests draw from the question bank,
+ * shuffle=true gives the attempt its own order. Everything after this uses that set.
  */
 router.post('/:id/start', authMiddleware, async (req, res) => {
   try {
@@ -160,19 +578,181 @@ router.post('/:id/start', authMiddleware, async (req, res) => {
     // reuse an in-progress attempt if exists
     let attempt = await Attempt.findOne({ testId: test._id, userId: req.user._id, submittedAt: { $exists: false } });
     if (!attempt) {
-      attempt = await Attempt.create({ testId: test._id, userId: req.user._id, startedAt: new Date(), answers: [], score: 0 });
+      const maxAttempts = scoring.resolvePolicy(test.scoring).maxAttempts;
+      if (maxAttempts > 0) {
+        const used = await Attempt.countDocuments({ testId: test._id, userId: req.user._id, submittedAt: { $exists: true } });
+        if (used >= maxAttempts) return res.status(403).json({ error: 'Maximum attempts reached' });
+      }
+      attempt = await createAttempt(test, req.user._id);
+      if (!attempt) return res.status(409).json({ error: 'The question bank has no questions for this test' });
     }
 
-    return res.json({ ok: true, attemptId: attempt._id, startedAt: attempt.startedAt });
+    const questions = Attempt.questionsFor(test, attempt);
+    return res.json({
+      ok: true,
+      attemptId: attempt._id,
+      startedAt: attempt.startedAt,
+      totalQuestions: questions.length,
+      questionSeconds: attempt.questionSeconds || questionSecondsFor(test),
+      // player view of this attempt's questions, in attempt order (bank-mode tests have no fixed list)
+      questions: questions.map(questionTypes.toPlayerQuestion)
+    });
   } catch (err) {
     console.error('tests.start', err);
     return res.status(500).json({ error: 'Server error' });
   }
 });
 
+/**
+ * GET /api/tests/:id/attempts/:attemptId/next
+ * Serves the next question of the attempt that has not been answered yet (player view, no correctness).
+ * Serving starts the question timer (see /questions/:questionId below).
+ * Returns { ok, done, index, total, question, servedAt, deadline, questionSeconds, secondsLeft } ; done=true once every question has an answer.
+ */
+router.get('/:id/attempts/:attemptId/next', authMiddleware, async (req, res) => {
+  try {
+    const testId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(testId)) return res.status(400).json({ error: 'Invalid id' });
+    const test = await Test.findById(testId).lean();
+    if (!test) return res.status(404).json({ error: 'Test not found' });
+
+    const attempt = await findOpenAttempt(req.params.attemptId, test._id, req.user._id);
+    if (!attempt) return res.status(404).json({ error: 'Attempt not found' });
+    if (attempt.submittedAt) return res.status(400).json({ error: 'Attempt already submitted' });
+
+    const questions = Attempt.questionsFor(test, attempt);
+    const answered = new Set((attempt.answers || []).map(a => String(a.questionId)));
+    const index = questions.findIndex(q => !answered.has(questionKey(q)));
+    if (index === -1) return res.json({ ok: true, done: true, index: questions.length, total: questions.length, question: null });
+
+    const q = questions[index];
+    const served = markServed(attempt, questionKey(q));
+    if (attempt.isModified()) await attempt.save();
+
+    const timer = timerInfo(served, attempt.questionSeconds || questionSecondsFor(test), new Date());
+    return res.json(Object.assign({ ok: true, done: false, index, total: questions.length, question: questionTypes.toPlayerQuestion(q) }, timer));
+  } catch (err) {
+    console.error('tests.attempt.next', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/tests/:id/attempts/:attemptId/questions/:questionId
+ * Serves one specific question (clients that let the user navigate freely).
+ * The first call starts that question's timer; later calls return the same deadline.
+ */
+router.get('/:id/attempts/:attemptId/questions/:questionId', authMiddleware, async (req, res) => {
+  try {
+    const testId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(testId)) return res.status(400).json({ error: 'Invalid id' });
+    const test = await Test.findById(testId).lean();
+    if (!test) return res.status(404).json({ error: 'Test not found' });
+
+    const attempt = await findOpenAttempt(req.params.attemptId, test._id, req.user._id);
+    if (!attempt) return res.status(404).json({ error: 'Attempt not found' });
+    if (attempt.submittedAt) return res.status(400).json({ error: 'Attempt already submitted' });
+
+    const questions = Attempt.questionsFor(test, attempt);
+    const index = questions.findIndex(x => questionKey(x) === String(req.params.questionId));
+    if (index === -1) return res.status(404).json({ error: 'Question not found' });
+
+    const q = questions[index];
+    const served = markServed(attempt, questionKey(q));
+    if (attempt.isModified()) await attempt.save();
+
+    const answered = (attempt.answers || []).some(a => String(a.questionId) === questionKey(q));
+    const timer = timerInfo(served, attempt.questionSeconds || questionSecondsFor(test), new Date());
+    return res.json(Object.assign({ ok: true, index, total: questions.length, answered, question: questionTypes.toPlayerQuestion(q) }, timer));
+  } catch (err) {
+    console.error('tests.attempt.question', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/tests/:id/attempts/:attemptId/answer
+ * Body: { questionId, selectedOptionId | selectedOptionIds | value | order } (depends on question type)
+ * Records the answer on the attempt (first answer wins) and only then reveals
+ * the correct option and explanation for that question.
+ * The question must have been served first; an answer that arrives after the
+ * question window is stored as timedOut and scores nothing.
+ */
+router.post('/:id/attempts/:attemptId/answer', authMiddleware, async (req, res) => {
+  try {
+    const testId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(testId)) return res.status(400).json({ error: 'Invalid id' });
+    const questionId = req.body.questionId ? String(req.body.questionId) : '';
+    if (!questionId) return res.status(400).json({ error: 'questionId required' });
+
+    const test = await Test.findById(testId).lean();
+    if (!test) return res.status(404).json({ error: 'Test not found' });
+
+    const attempt = await findOpenAttempt(req.params.attemptId, test._id, req.user._id);
+    if (!attempt) return res.status(404).json({ error: 'Attempt not found' });
+    if (attempt.submittedAt) return res.status(400).json({ error: 'Attempt already submitted' });
+
+    const q = Attempt.questionsFor(test, attempt).find(x => questionKey(x) === questionId);
+    if (!q) return res.status(404).json({ error: 'Question not found' });
+
+    // already recorded: reveal again with the stored choice, never overwrite it
+    const alreadyAnswered = (previous) => {
+      const prevResponse = storedResponse(previous);
+      const prevEval = { correct: !!previous.correct, credit: previous.credit || 0 };
+      return res.status(409).json(Object.assign({ error: 'Question already answered', timedOut: !!previous.timedOut }, revealFor(q, prevResponse, prevEval)));
+    };
+    const previous = (attempt.answers || []).find(a => String(a.questionId) === questionId);
+    if (previous) return alreadyAnswered(previous);
+
+    const served = findServed(attempt, questionId);
+    if (!served) return res.status(400).json({ error: 'Question has not been served' });
+
+    const now = new Date();
+    const response = questionTypes.normalizeResponse(q, req.body);
+    const timedOut = isTimedOut(served, attempt.questionSeconds || questionSecondsFor(test), now, questionTypes.hasResponse(response));
+    const evaluation = timedOut ? { correct: false, credit: 0 } : questionTypes.evaluateResponse(q, response);
+    const reveal = revealFor(q, response, evaluation);
+
+    const entry = Object.assign({ questionId }, response, {
+      correct: evaluation.correct,
+      credit: evaluation.credit,
+      points: 0, // scored on submit
+      servedAt: served.servedAt,
+      answeredAt: now,
+      timedOut
+    });
+    // one conditional push, so of two concurrent answers only the first is stored
+    const pushed = await Attempt.updateOne(
+      { _id: attempt._id, submittedAt: null, 'answers.questionId': { $ne: questionId } },
+      { $push: { answers: entry } }
+    );
+    if (!pushed.modifiedCount) {
+      const fresh = await Attempt.findById(attempt._id).select('answers submittedAt').lean();
+      if (fresh && fresh.submittedAt) return res.status(400).json({ error: 'Attempt already submitted' });
+      const first = fresh && (fresh.answers || []).find(a => String(a.questionId) === questionId);
+      if (!first) return res.status(404).json({ error: 'Attempt not found' });
+      return alreadyAnswered(first);
+    }
+    attempt.answers.push(entry);
+
+    // running streak of this attempt; a new best is recorded right away
+    const run = streaks.attemptStreak(test, attempt);
+    const record = await streaks.recordStreak(test._id, req.user, run.best);
+    const streak = { current: run.current, best: run.best, personalBest: record.personalBest, newPersonalBest: record.newPersonalBest, updatedTest: record.updatedTest };
+
+    return res.json(Object.assign({ ok: true, timedOut, streak }, reveal));
+  } catch (err) {
+    console.error('tests.attempt.answer', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
 /**
  * POST /api/tests/:id/submit
- * Body: { attemptId, answers: [ { questionId, selectedOptionId, answeredAt } ] }
+ * Body: { attemptId, answers: [ { questionId, selectedOptionId | selectedOptionIds | value | order } ] }
+ * Answers already recorded on the attempt via /attempts/:attemptId/answer take precedence over the body.
+ * Body answers only count for questions served on this attempt and still inside their window;
+ * answeredAt is always server time.
  * Server evaluates each question, computes attempt score, compares with previous best and returns:
  * { ok, attemptId, score, scoreDelta, totalAfter, perQuestion: [...] }
  */
@@ -187,21 +767,38 @@ router.post('/:id/submit', authMiddleware, async (req, res) => {
     const test = await Test.findById(testId).lean();
     if (!test) return res.status(404).json({ error: 'Test not found' });
 
-    // find or create attempt
+    // find or create attempt; the cap is checked before a new attempt (and its question draw) is made
+    const maxAttempts = scoring.resolvePolicy(test.scoring).maxAttempts;
     let attempt = null;
-    if (attemptId && mongoose.Types.ObjectId.isValid(attemptId)) attempt = await Attempt.findById(attemptId);
-    if (!attempt) {
-      attempt = await Attempt.create({ testId: test._id, userId: req.user._id, startedAt: new Date(), answers: [], score: 0 });
-    }
-    // Prevent double submissions on same attempt
-    if (attempt.submittedAt) {
-      // still allow re-evaluation if you want, but by default return already submitted result
-      return res.status(400).json({ error: 'Attempt already submitted' });
+    if (attemptId) attempt = await findOpenAttempt(attemptId, test._id, req.user._id);
+    if (attempt && attempt.submittedAt) return res.status(400).json({ error: 'Attempt already submitted' });
+    const created = !attempt;
+    if (created) {
+      if (maxAttempts > 0) {
+        const used = await Attempt.countDocuments({ testId: test._id, userId: req.user._id, submittedAt: { $exists: true } });
+        if (used >= maxAttempts) return res.status(403).json({ error: 'Maximum attempts reached' });
+      }
+      attempt = await createAttempt(test, req.user._id);
+      if (!attempt) return res.status(409).json({ error: 'The question bank has no questions for this test' });
     }
 
-    // --- Determine previously-correct question ids for this user & test (to avoid double counting) ---
+    // Claim the attempt before scoring: of two concurrent submits only one gets past here
+    const now = new Date();
+    const claim = await Attempt.updateOne({ _id: attempt._id, submittedAt: { $exists: false } }, { $set: { submittedAt: now } });
+    if (!claim.modifiedCount) return res.status(400).json({ error: 'Attempt already submitted' });
+
+    // --- Attempts submitted before this one (claim order): the cap and double-counting go by these ---
     // Find previous submitted attempts for same user/test and collect questionIds they had correct
-    const prevAttempts = await Attempt.find({ testId: test._id, userId: req.user._id, submittedAt: { $exists: true } }).lean();
+    const prevAttempts = await Attempt.find({
+      testId: test._id, userId: req.user._id, _id: { $ne: attempt._id },
+      $or: [{ submittedAt: { $lt: now } }, { submittedAt: now, _id: { $lt: attempt._id } }]
+    }).lean();
+    if (maxAttempts > 0 && prevAttempts.length >= maxAttempts) {
+      // lost a race with another submit: give the attempt back (or drop the one made for this call)
+      if (created) await Attempt.deleteOne({ _id: attempt._id });
+      else await Attempt.updateOne({ _id: attempt._id }, { $unset: { submittedAt: 1 } });
+      return res.status(403).json({ error: 'Maximum attempts reached' });
+    }
     const prevCorrectSet = new Set();
     prevAttempts.forEach(pa => {
       if (!Array.isArray(pa.answers)) return;
@@ -209,12 +806,6 @@ router.post('/:id/submit', authMiddleware, async (req, res) => {
     });
     // ------------------------------------------------------------------
 
-    // Build a map of questions by id (test.questions may store id or _id)
-    const qMap = {};
-    (test.questions || []).forEach(q => {
-      qMap[String(q.id || q._id)] = q;
-    });
-
     // Evaluate submitted answers
     let totalScore = 0;
     const answersOut = [];
@@ -222,85 +813,122 @@ router.post('/:id/submit', authMiddleware, async (req, res) => {
     // map answers by questionId for convenience
     const givenMap = {};
     answers.forEach(a => { if (a && a.questionId) givenMap[String(a.questionId)] = a; });
-
-    // Evaluate each question in test
-    for (const q of (test.questions || [])) {
-      const qid = String(q.id || q._id);
-      const given = givenMap[qid] || null;
-      const selectedOptionId = given ? (given.selectedOptionId || null) : null;
-
-      // if previously answered correctly, mark as skippedAlreadyScored (do not change totalScore)
-      if (prevCorrectSet.has(qid)) {
-        answersOut.push({
-          questionId: qid,
-          selectedOptionId,
-          correct: false,
-          points: 0,
-          answeredAt: given && given.answeredAt ? new Date(given.answeredAt) : new Date(),
-          timedOut: !selectedOptionId,
-          skippedAlreadyScored: true
-        });
-        continue;
+    const recordedMap = {}; // first recorded answer per question wins
+    (attempt.answers || []).forEach(a => { if (a && a.questionId && !recordedMap[String(a.questionId)]) recordedMap[String(a.questionId)] = a; });
+
+    // Resolve the authoritative answer for a question: recorded on the attempt, else a body answer
+    // checked against the question window (unserved questions cannot be timed and count as unanswered)
+    const seconds = attempt.questionSeconds || questionSecondsFor(test);
+    function resolveAnswer(q) {
+      const qid = questionKey(q);
+      const recorded = recordedMap[qid];
+      if (recorded) {
+        return { response: storedResponse(recorded), servedAt: recorded.servedAt || null, answeredAt: recorded.answeredAt || now, timedOut: !!recorded.timedOut };
       }
+      const served = findServed(attempt, qid);
+      if (!served) return { response: questionTypes.normalizeResponse(q, null), servedAt: null, answeredAt: now, timedOut: false };
+      const response = questionTypes.normalizeResponse(q, givenMap[qid]);
+      return { response, servedAt: served.servedAt, answeredAt: now, timedOut: isTimedOut(served, seconds, now, questionTypes.hasResponse(response)) };
+    }
 
-      let isCorrect = false;
-      let pts = 0;
-      const option = (q.options || []).find(o => String(o.id || o._id) === String(selectedOptionId));
-      if (option && option.isCorrect) {
-        isCorrect = true;
-        pts = Number(q.pointsValue || DEFAULT_CORRECT_POINTS);
-      } else if (selectedOptionId) {
-        // selected something but incorrect
-        pts = DEFAULT_INCORRECT_PENALTY;
-      } else {
-        // unanswered => 0 points (this matches your spec), but you had penalty counting local? keep 0 here
-        pts = 0;
-      }
-      totalScore += pts;
+    // Score in answering order so streak multipliers follow what the user actually did;
+    // questions that were never answered keep attempt order at the end
+    const policy = scoring.resolvePolicy(test.scoring);
+    const questions = Attempt.questionsFor(test, attempt);
+    const items = questions.map((q, index) => {
+      const given = resolveAnswer(q);
+      const elapsedSeconds = given.servedAt ? (new Date(given.answeredAt).getTime() - new Date(given.servedAt).getTime()) / 1000 : NaN;
+      return {
+        q, index, given,
+        response: given.response,
+        timedOut: given.timedOut,
+        elapsedSeconds,
+        windowSeconds: seconds,
+        // if previously answered correctly, mark as skippedAlreadyScored (do not change totalScore)
+        skipped: prevCorrectSet.has(questionKey(q))
+      };
+    });
+    const answerTime = (it) => (it.given.servedAt && questionTypes.hasResponse(it.response)) ? new Date(it.given.answeredAt).getTime() : Infinity;
+    const ordered = items.slice().sort((x, y) => (answerTime(x) - answerTime(y)) || (x.index - y.index));
+    const scored = scoring.scoreAnswers(ordered, policy);
+    const resultById = {};
+    scored.results.forEach(r => { resultById[r.questionId] = r; });
+    totalScore = scored.total;
 
-      answersOut.push({
-        questionId: qid,
-        selectedOptionId,
-        correct: isCorrect,
-        points: pts,
-        answeredAt: given && given.answeredAt ? new Date(given.answeredAt) : new Date(),
-        timedOut: !selectedOptionId,
-        skippedAlreadyScored: false
-      });
+    // Evaluate each question in test
+    for (const it of items) {
+      const qid = questionKey(it.q);
+      const r = resultById[qid];
+      answersOut.push(Object.assign({ questionId: qid }, it.response, {
+        servedAt: it.given.servedAt,
+        answeredAt: it.given.answeredAt,
+        timedOut: it.given.timedOut,
+        correct: r.correct,
+        credit: r.credit,
+        points: r.points,
+        skippedAlreadyScored: it.skipped
+      }));
     }
 
-    // Save attempt record
+    // Save attempt record (submittedAt was set by the claim)
     attempt.answers = answersOut;
     attempt.score = totalScore;
-    attempt.submittedAt = new Date();
-    await attempt.save();
+    attempt.percentCorrect = progress.attemptPercent(test, attempt);
+    attempt.submittedAt = now;
+    await Attempt.updateOne({ _id: attempt._id }, { $set: { answers: answersOut, score: totalScore, percentCorrect: attempt.percentCorrect } });
+
+    const run = streaks.attemptStreak(test, attempt);
+    const streakRecord = await streaks.recordStreak(test._id, req.user, run.best);
+
+    // served questions that were missed go into the user's review queue (see routes/review.js)
+    const misses = items.filter(it => !it.skipped && it.given.servedAt && !resultById[questionKey(it.q)].correct).map(it => ({ question: it.q }));
+    try {
+      await ReviewCard.recordMisses(req.user._id, test._id, attempt._id, misses);
+    } catch (e) {
+      console.error('tests.submit review queue', e);
+    }
+
+    // learning progress on the lesson this test belongs to (see utils/progress.js)
+    let lessonProgress = null;
+    try {
+      lessonProgress = await progress.recordAttempt(req.user._id, test, attempt);
+    } catch (e) {
+      console.error('tests.submit progress', e);
+    }
 
-    // Compare with previous best attempt score to compute scoreDelta (positive only)
+    // Compare with previous best attempt score to compute scoreDelta (positive only);
+    // with retakesEarnPoints=false only the first submitted attempt can earn leaderboard points
     const prevBest = prevAttempts && prevAttempts.length ? (prevAttempts.reduce((acc, p) => Math.max(acc, p.score || 0), -Infinity) || 0) : 0;
-    const scoreDelta = Math.max(0, totalScore - prevBest);
+    const retakeBlocked = !policy.retakesEarnPoints && prevAttempts.length > 0;
+    const scoreDelta = retakeBlocked ? 0 : Math.max(0, totalScore - prevBest);
 
-    // Update user.pointsCurrent only by positive delta to avoid farming
-    let user = await User.findById(req.user._id);
+    // Update user.pointsCurrent only by positive delta to avoid farming ($inc, so concurrent submits add up)
+    const user = scoreDelta > 0
+      ? await User.findOneAndUpdate({ _id: req.user._id }, { $inc: { pointsCurrent: Number(scoreDelta) }, $set: { pointsUpdatedAt: new Date() } }, { new: true }).lean()
+      : await User.findById(req.user._id).select('pointsCurrent').lean();
     if (!user) return res.status(404).json({ error: 'User not found' });
-    const prevTotal = Number(user.pointsCurrent || 0);
-    if (scoreDelta > 0) {
-      user.pointsCurrent = prevTotal + Number(scoreDelta);
-      user.pointsUpdatedAt = new Date();
-      await user.save();
-    }
 
-    // Build per-question feedback for response: explanation & correct option id
-    const perQuestion = (test.questions || []).map(q => {
+    // Build per-question feedback for response: explanation, correct answer and what was scored
+    const perQuestion = questions.map(q => {
       const qid = String(q.id || q._id);
-      const correctOpt = (q.options || []).find(o => o.isCorrect);
-      return {
+      const out = answersOut.find(a => String(a.questionId) === qid) || {};
+      return Object.assign({
         questionId: qid,
+        type: questionTypes.questionType(q),
         explanation: q.explanation || { en: '', som: '' },
-        correctOptionId: correctOpt ? (correctOpt.id || null) : null,
+        explanationHtml: questionTypes.questionHtml(q, 'explanation'),
+        correctOptionId: null,
         // include selected and correctness from answersOut if present
-        selectedOptionId: (answersOut.find(a => String(a.questionId) === qid) || {}).selectedOptionId || null,
-        isCorrect: !!((answersOut.find(a => String(a.questionId) === qid) || {}).correct)
-      };
+        selectedOptionId: out.selectedOptionId || null,
+        selectedOptionIds: out.selectedOptionIds,
+        value: out.value || null,
+        order: out.order,
+        isCorrect: !!out.correct,
+        credit: out.credit || 0,
+        points: out.points || 0,
+        timedOut: !!out.timedOut,
+        skippedAlreadyScored: !!out.skippedAlreadyScored
+      }, questionTypes.correctAnswerFor(q));
     });
 
     return res.json({
@@ -308,7 +936,10 @@ router.post('/:id/submit', authMiddleware, async (req, res) => {
       attemptId: attempt._id,
       score: totalScore,
       scoreDelta,
-      totalAfter: user.pointsCurrent,
+      pointsEligible: !retakeBlocked,
+      totalAfter: Number(user.pointsCurrent || 0),
+      streak: { best: run.best, personalBest: streakRecord.personalBest, newPersonalBest: streakRecord.newPersonalBest, updatedTest: streakRecord.updatedTest },
+      lessonProgress,
       perQuestion
     });
   } catch (err) {
@@ -317,95 +948,7 @@ router.post('/:id/submit', authMiddleware, async (req, res) => {
   }
 });
 
-/**
- * GET /api/tests/:testId/streak
- * - optionalAuthenticate: returns server best and the personal best for the current user (if logged in)
- */
-router.get('/:testId/streak', optionalAuthenticate, async (req, res) => {
-  try {
-    const testId = req.params.testId;
-    if (!mongoose.Types.ObjectId.isValid(testId)) return res.status(400).json({ error: 'Invalid test id' });
+/* --------- Streaks (computed on the server, see utils/streaks.js) --------- */
+router.use(streakRoutes);
 
-    const test = await Test.findById(testId).lean();
-    if (!test) return res.status(404).json({ error: 'Test not found' });
-
-    const serverBest = {
-      streak: Number(test.bestStreak || 0),
-      name: test.bestHolderName || null,
-      userId: test.bestHolderId ? String(test.bestHolderId) : null,
-      updatedAt: test.bestStreakUpdatedAt || null
-    };
-
-    let personalBest = { streak: 0, updatedAt: null };
-    if (req.user) {
-      // If User has a per-test map (array or object) - adapt to your schema; below we assume user.testBest is [{ testId, streak, updatedAt }]
-      const u = await User.findById(req.user._id).lean();
-      if (u) {
-        const tb = Array.isArray(u.testBest) ? u.testBest.find(x => String(x.testId) === String(testId)) : null;
-        if (tb) personalBest = { streak: Number(tb.streak || 0), updatedAt: tb.updatedAt || null };
-      }
-    }
-
-    return res.json({ ok: true, serverBest, personalBest });
-  } catch (err) {
-    console.error('GET /api/tests/:id/streak', err);
-    return res.status(500).json({ error: 'Server error' });
-  }
-});
-
-/**
- * POST /api/tests/:testId/streak
- * - auth required so users have persistent personal best across devices
- * - body: { streak: number }
- */
-router.post('/:testId/streak', authMiddleware, async (req, res) => {
-  try {
-    const testId = req.params.testId;
-    if (!mongoose.Types.ObjectId.isValid(testId)) return res.status(400).json({ error: 'Invalid test id' });
-    const streak = Number(req.body.streak || 0);
-    if (streak < 0) return res.status(400).json({ error: 'Invalid streak' });
-
-    const userId = req.user._id;
-    const userName = req.user.fullName || req.user.username || `${req.user.firstName||''} ${req.user.lastName||''}`.trim() || 'Unknown';
-
-    // Load test
-    const test = await Test.findById(testId);
-    if (!test) return res.status(404).json({ error: 'Test not found' });
-
-    let updatedTest = null;
-    // Update test.bestStreak if this is a new global best
-    if (!test.bestStreak || streak > test.bestStreak) {
-      test.bestStreak = streak;
-      test.bestHolderId = userId;
-      test.bestHolderName = userName;
-      test.bestStreakUpdatedAt = new Date();
-      await test.save();
-      updatedTest = { streak: test.bestStreak, name: test.bestHolderName, userId: String(userId), updatedAt: test.bestStreakUpdatedAt };
-    }
-
-    // Update user's personal best (upsert in user.testBest array)
-    // Assume User model has: testBest: [{ testId: ObjectId, streak: Number, updatedAt: Date }]
-    const user = await User.findById(userId);
-    if (!user) return res.status(404).json({ error: 'User not found' });
-
-    if (!Array.isArray(user.testBest)) user.testBest = [];
-
-    const existing = user.testBest.find(x => String(x.testId) === String(testId));
-    if (!existing) {
-      user.testBest.push({ testId: testId, streak: streak, updatedAt: new Date() });
-    } else if (streak > (Number(existing.streak) || 0)) {
-      existing.streak = streak;
-      existing.updatedAt = new Date();
-    }
-    await user.save();
-
-    const personal = user.testBest.find(x => String(x.testId) === String(testId));
-    const personalBest = { streak: Number(personal.streak || 0), updatedAt: personal.updatedAt || null };
-
-    return res.json({ ok: true, updatedTest: updatedTest || null, personalBest });
-  } catch (err) {
-    console.error('POST /api/tests/:id/streak', err);
-    return res.status(500).json({ error: 'Server error' });
-  }
-});
 module.exports = router;
@@ -1,9 +1,14 @@
 // backend/src/routes/tests.streak.js
+// Streak endpoints under /api/tests (mounted by routes/tests.js). Streaks are computed on the
+// server from recorded attempt answers (see utils/streaks.js); clients cannot post a number.
+'use strict';
+
 const express = require('express');
 const mongoose = require('mongoose');
-const { authMiddleware, optionalAuthenticate } = require('../middleware/auth'); // adapt paths
-const Test = require('../models/Test'); // adjust path
-const User = require('../models/User'); // adjust path
+const { authMiddleware, optionalAuthenticate } = require('../middleware/auth');
+const Test = require('../models/Test');
+const Attempt = require('../models/Attempt');
+const streaks = require('../utils/streaks');
 
 const router = express.Router();
 
@@ -19,80 +24,61 @@ router.get('/:testId/streak', optionalAuthenticate, async (req, res) => {
     const test = await Test.findById(testId).lean();
     if (!test) return res.status(404).json({ error: 'Test not found' });
 
-    const serverBest = {
-      streak: Number(test.bestStreak || 0),
-      name: test.bestHolderName || null,
-      userId: test.bestHolderId ? String(test.bestHolderId) : null,
-      updatedAt: test.bestStreakUpdatedAt || null
-    };
+    const summary = await streaks.streakSummary(test, req.user ? req.user._id : null);
+    return res.json(Object.assign({ ok: true }, summary));
+  } catch (err) {
+    console.error('GET /api/tests/:id/streak', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    let personalBest = { streak: 0, updatedAt: null };
-    if (req.user) {
-      // If User has a per-test map (array or object) - adapt to your schema; below we assume user.testBest is [{ testId, streak, updatedAt }]
-      const u = await User.findById(req.user._id).lean();
-      if (u) {
-        const tb = Array.isArray(u.testBest) ? u.testBest.find(x => String(x.testId) === String(testId)) : null;
-        if (tb) personalBest = { streak: Number(tb.streak || 0), updatedAt: tb.updatedAt || null };
-      }
-    }
+/**
+ * GET /api/tests/:testId/streak/leaderboard?limit=10
+ * Top personal bests on this test.
+ */
+router.get('/:testId/streak/leaderboard', optionalAuthenticate, async (req, res) => {
+  try {
+    const testId = req.params.testId;
+    if (!mongoose.Types.ObjectId.isValid(testId)) return res.status(400).json({ error: 'Invalid test id' });
+    const test = await Test.findById(testId).select('_id').lean();
+    if (!test) return res.status(404).json({ error: 'Test not found' });
 
-    return res.json({ ok: true, serverBest, personalBest });
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 10));
+    const entries = await streaks.leaderboard(testId, limit);
+    return res.json({ ok: true, testId, entries });
   } catch (err) {
-    console.error('GET /api/tests/:id/streak', err);
+    console.error('GET /api/tests/:id/streak/leaderboard', err);
     return res.status(500).json({ error: 'Server error' });
   }
 });
 
 /**
  * POST /api/tests/:testId/streak
- * - auth required so users have persistent personal best across devices
- * - body: { streak: number }
+ * - body: { attemptId? } — recomputes the streak of that attempt (default: the caller's latest attempt
+ *   on this test) from its recorded answers and records it. Any `streak` number in the body is ignored.
+ * Answers recorded through /attempts/:attemptId/answer and /submit already do this; the endpoint
+ * stays for clients that still call it after a run.
  */
 router.post('/:testId/streak', authMiddleware, async (req, res) => {
   try {
     const testId = req.params.testId;
     if (!mongoose.Types.ObjectId.isValid(testId)) return res.status(400).json({ error: 'Invalid test id' });
-    const streak = Number(req.body.streak || 0);
-    if (streak < 0) return res.status(400).json({ error: 'Invalid streak' });
 
-    const userId = req.user._id;
-    const userName = req.user.fullName || req.user.username || `${req.user.firstName||''} ${req.user.lastName||''}`.trim() || 'Unknown';
-
-    // Load test
-    const test = await Test.findById(testId);
+    const test = await Test.findById(testId).lean();
     if (!test) return res.status(404).json({ error: 'Test not found' });
 
-    let updatedTest = null;
-    // Update test.bestStreak if this is a new global best
-    if (!test.bestStreak || streak > test.bestStreak) {
-      test.bestStreak = streak;
-      test.bestHolderId = userId;
-      test.bestHolderName = userName;
-      test.bestStreakUpdatedAt = new Date();
-      await test.save();
-      updatedTest = { streak: test.bestStreak, name: test.bestHolderName, userId: String(userId), updatedAt: test.bestStreakUpdatedAt };
+    let attempt = null;
+    if (req.body.attemptId) {
+      if (!mongoose.Types.ObjectId.isValid(req.body.attemptId)) return res.status(400).json({ error: 'Invalid attempt id' });
+      attempt = await Attempt.findOne({ _id: req.body.attemptId, testId: test._id, userId: req.user._id }).lean();
+      if (!attempt) return res.status(404).json({ error: 'Attempt not found' });
+    } else {
+      attempt = await Attempt.findOne({ testId: test._id, userId: req.user._id }).sort({ startedAt: -1 }).lean();
     }
 
-    // Update user's personal best (upsert in user.testBest array)
-    // Assume User model has: testBest: [{ testId: ObjectId, streak: Number, updatedAt: Date }]
-    const user = await User.findById(userId);
-    if (!user) return res.status(404).json({ error: 'User not found' });
-
-    if (!Array.isArray(user.testBest)) user.testBest = [];
-
-    const existing = user.testBest.find(x => String(x.testId) === String(testId));
-    if (!existing) {
-      user.testBest.push({ testId: testId, streak: streak, updatedAt: new Date() });
-    } else if (streak > (Number(existing.streak) || 0)) {
-      existing.streak = streak;
-      existing.updatedAt = new Date();
-    }
-    await user.save();
-
-    const personal = user.testBest.find(x => String(x.testId) === String(testId));
-    const personalBest = { streak: Number(personal.streak || 0), updatedAt: personal.updatedAt || null };
-
-    return res.json({ ok: true, updatedTest: updatedTest || null, personalBest });
+    const streak = attempt ? streaks.attemptStreak(test, attempt).best : 0;
+    const result = await streaks.recordStreak(test._id, req.user, streak);
+    return res.json({ ok: true, streak, updatedTest: result.updatedTest, personalBest: result.personalBest });
   } catch (err) {
     console.error('POST /api/tests/:id/streak', err);
     return res.status(500).json({ error: 'Server error' });
@@ -13,16 +13,29 @@ const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
 
-const { PORT = 4000, MONGO_URI } = require('./config');
+const { PORT = 4000, MONGO_URI, MEDIA_DIR } = require('./config');
 const job = require('./jobs/archiveJob');
+const publishJob = require('./jobs/publishJob');
+const purgeJob = require('./jobs/purgeJob');
 
 const authRoutes = require('./routes/auth');
 const adminRoutes = require('./routes/admin');
 const testsRoutes = require('./routes/tests');
+const questionBankRoutes = require('./routes/questionBank');
+const attemptsRoutes = require('./routes/attempts');
+const reviewRoutes = require('./routes/review');
+const searchRoutes = require('./routes/search');
+const progressRoutes = require('./routes/progress');
+const pathsRoutes = require('./routes/paths');
+const mediaRoutes = require('./routes/media');
+const moderationRoutes = require('./routes/moderation');
 const competitionsRoutes = require('./routes/competitions');
 const leaderboardRoutes = require('./routes/leaderboard');
 
 const Competition = require('./models/Competition');
+const Report = require('./models/Report');
+const commentThreads = require('./utils/commentThreads');
+const readingProgress = require('./utils/readingProgress');
 
 // at top near other route imports
 const lessonsRoutes = require('./routes/lessons');
@@ -63,7 +76,9 @@ app.use(cors({
     if (!origin) return cb(null, true);
     if (allowed.includes('*') || allowed.includes(origin)) return cb(null, true);
     return cb(new Error('CORS not allowed'), false);
-  }
+  },
+  // index.html revalidates its cached lesson tree with If-None-Match
+  exposedHeaders: ['ETag']
 }));
 
 app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
@@ -72,6 +87,14 @@ app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
 const publicDir = path.join(__dirname, '../../public');
 app.use(express.static(publicDir, { maxAge: '1h' }));
 
+// uploaded lesson media (routes/media.js); file names are random and never reused.
+// The frontend runs on its own origin, so override helmet's same-origin resource policy here.
+app.use('/media', express.static(MEDIA_DIR, {
+  maxAge: '30d',
+  immutable: true,
+  setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+}));
+
 // rate limiter
 app.use(rateLimit({
   windowMs: 10 * 1000,
@@ -87,6 +110,14 @@ app.get('/health', (req, res) => res.json({ ok: true, now: new Date().toISOStrin
 app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/tests', testsRoutes);
+app.use('/api/question-bank', questionBankRoutes);
+app.use('/api/attempts', attemptsRoutes);
+app.use('/api/review', reviewRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/progress', progressRoutes);
+app.use('/api/paths', pathsRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/moderation', moderationRoutes);
 app.use('/api/competitions', competitionsRoutes);
 app.use('/api/leaderboard', leaderboardRoutes);
 
@@ -172,9 +203,21 @@ async function start() {
     console.log('MongoDB connected');
 
     await ensureActiveCompetition();
+    // story comments saved before threads get their materialized paths (no-op afterwards)
+    const threaded = await commentThreads.backfillThreads();
+    if (threaded) console.log('Threaded legacy story comments:', threaded);
+    // story readers kept in Story.readBy move to StoryRead records (no-op afterwards)
+    const migrated = await readingProgress.backfillReads();
+    if (migrated) console.log('Moved story readers to StoryRead:', migrated);
+    // one report per reporter and target applies to open reports only: replace the older unique index
+    await Report.syncIndexes();
 
     // start archive job (job.start should set app.locals.runArchive)
     job.start(app);
+    // publish scheduled lessons (sets app.locals.runPublish)
+    publishJob.start(app);
+    // purge the lesson recycle bin after the retention period (sets app.locals.runPurge)
+    purgeJob.start(app);
 
     server.listen(PORT, () => console.log(`Server listening on ${PORT}`));
     setupGracefulShutdown(server);
@@ -7,6 +7,19 @@ const LeaderboardComment = require('./models/LeaderboardComment');
 const Competition = require('./models/Competition');
 const User = require('./models/User');
 const { JWT_SECRET } = require('./config');
+const storyComments = require('./utils/storyComments');
+const moderation = require('./utils/moderation');
+
+// story:* actions -> utils/storyComments.js; each answers through the ack callback when given
+const STORY_ACTIONS = {
+  'story:comment:post': storyComments.postComment,
+  'story:comment:edit': storyComments.editComment,
+  'story:comment:delete': storyComments.deleteComment,
+  'story:comment:pin': storyComments.pinComment,
+  'story:comment:react': storyComments.reactToComment,
+  'story:react': storyComments.reactToStory
+};
+const TYPING_INTERVAL_MS = 1000; // typing broadcasts per socket at most this often
 
 /**
  * Initialize Socket.IO handlers.
@@ -26,7 +39,7 @@ module.exports = function initSocket(io, app) {
       const user = await User.findById(data.id).lean();
       if (!user || user.isDeleted) return next(new Error('Invalid user'));
       // attach minimal user info to socket
-      socket.user = { id: user._id.toString(), role: user.role, fullName: user.fullName };
+      socket.user = { id: user._id.toString(), _id: user._id, role: user.role, isAdmin: !!user.isAdmin, fullName: user.fullName, username: user.username };
       return next();
     } catch (err) {
       // if token invalid, allow connection (but socket.user won't be set); or reject by passing error:
@@ -55,15 +68,20 @@ module.exports = function initSocket(io, app) {
         if (!comp) return socket.emit('error', { error: 'Competition not found' });
 
         const safeContent = sanitizeHtml(String(content).trim(), { allowedTags: [], allowedAttributes: {} }).slice(0, 1000);
+        const screened = await moderation.screen(socket.user, 'leaderboardComment', safeContent);
+        if (screened.error) return socket.emit('error', { error: screened.error });
         const commentDoc = await LeaderboardComment.create({
           competitionId,
           userId: socket.user.id,
           userName: socket.user.fullName || 'Unknown',
-          content: safeContent
+          content: safeContent,
+          moderationStatus: screened.moderationStatus,
+          moderationReasons: screened.moderationReasons
         });
 
-        // emit to room
-        io.to(`competition:${competitionId}`).emit('comments:new', { comment: commentDoc });
+        // emit to room; a held comment goes to its author only, until an admin approves it
+        if (commentDoc.moderationStatus === 'held') socket.emit('comments:held', { comment: commentDoc });
+        else io.to(`competition:${competitionId}`).emit('comments:new', { comment: commentDoc });
       } catch (err) {
         console.error('socket.postComment', err);
         socket.emit('error', { error: 'Failed to post comment' });
@@ -98,6 +116,61 @@ module.exports = function initSocket(io, app) {
       }
     });
 
+    /* ----- story rooms: live comments, reactions and typing (events in utils/storyComments.js) ----- */
+    // payload: { storyId }; anyone who can read the story may listen
+    socket.on('story:join', async (payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        const { storyId } = payload || {};
+        const story = await storyComments.findStory(socket.user || null, storyId);
+        if (!story) return reply({ error: 'Story not found' });
+        socket.join(storyComments.roomOf(story._id));
+        return reply({ ok: true });
+      } catch (err) {
+        console.error('socket.story:join', err);
+        return reply({ error: 'Failed to join story' });
+      }
+    });
+
+    socket.on('story:leave', (payload) => {
+      const { storyId } = payload || {};
+      if (storyId) socket.leave(storyComments.roomOf(storyId));
+    });
+
+    Object.entries(STORY_ACTIONS).forEach(([event, action]) => {
+      socket.on(event, async (payload, ack) => {
+        const reply = typeof ack === 'function' ? ack : (r) => { if (r.error) socket.emit('error', { error: r.error, event }); };
+        try {
+          if (!socket.user) return reply({ error: 'Authentication required', status: 401 });
+          const r = await action(io, socket.user, payload);
+          if (r.error) return reply({ error: r.error, status: r.status });
+          return reply(Object.assign({ ok: true }, r));
+        } catch (err) {
+          console.error('socket.' + event, err);
+          return reply({ error: 'Server error', status: 500 });
+        }
+      });
+    });
+
+    // payload: { storyId, parentId?, typing: true|false } -> story:typing to the others in the room
+    let lastTyping = 0;
+    socket.on('story:typing', (payload) => {
+      const { storyId, parentId, typing } = payload || {};
+      if (!socket.user || !storyId) return;
+      const room = storyComments.roomOf(storyId);
+      if (!socket.rooms.has(room)) return;
+      const now = Date.now();
+      if (typing !== false && now - lastTyping < TYPING_INTERVAL_MS) return;
+      lastTyping = typing === false ? 0 : now;
+      socket.to(room).emit('story:typing', {
+        storyId: String(storyId),
+        parentId: parentId ? String(parentId) : null,
+        userId: socket.user.id,
+        userName: socket.user.fullName || socket.user.username || 'User',
+        typing: typing !== false
+      });
+    });
+
     // Optionally allow client to listen for leaderboard updates (no-op here)
     // socket.on('subscribeLeaderboard', (payload) => { ... });
 
@@ -0,0 +1,328 @@
+// backend/src/utils/commentThreads.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const Comment = require('../models/Comment');
+
+/**
+ * Threaded story comments on a materialized path (fields documented in models/Comment.js).
+ *
+ * A page lists the children of one parent (null = top-level comments of the story) in one of
+ * SORTS, pinned comments first, continued with an opaque cursor. The same aggregation also
+ * brings the replies below the page: up to `replyDepth` levels, at most `replyLimit` per comment,
+ * in the 'oldest' order. Replies are younger than their parent, so (pins aside) a truncated
+ * subtree never holds a reply without its parent. Each returned comment carries `replies` (what was included),
+ * `moreReplies` and `repliesCursor` to continue that level with listPage(storyId, itsId, ...).
+ */
+
+const MAX_DEPTH = 100;
+const PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const REPLY_DEPTH = 2;
+const MAX_REPLY_DEPTH = 10;
+const REPLY_LIMIT = 20;
+const MAX_REPLY_LIMIT = 100;
+const SUBTREE_LIMIT = 200; // looked-up replies per comment on a page, before nesting
+
+// [field, direction] in sort order; _id last keeps the order total
+const SORTS = {
+  newest: [['isPinned', -1], ['createdAt', -1], ['_id', -1]],
+  oldest: [['isPinned', -1], ['createdAt', 1], ['_id', 1]],
+  top: [['isPinned', -1], ['reactionTotal', -1], ['createdAt', -1], ['_id', -1]]
+};
+
+// listed comments: held ones (utils/moderation.js) wait for review; their replies go with them
+const LIVE = { isDeleted: { $ne: true }, moderationStatus: { $ne: 'held' } };
+
+function sortSpec(sort) {
+  return Object.fromEntries(SORTS[sort]);
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// path every reply of c starts with
+function childPath(c) {
+  return (c.path || ',') + String(c._id) + ',';
+}
+
+/* ---------- cursors ---------- */
+
+function encodeCursor(sort, c) {
+  const values = SORTS[sort].map(([field]) => {
+    if (field === 'createdAt') return new Date(c.createdAt).toISOString();
+    if (field === '_id') return String(c._id);
+    if (field === 'isPinned') return !!c.isPinned;
+    return c[field] || 0;
+  });
+  return Buffer.from(JSON.stringify({ s: sort, v: values })).toString('base64url');
+}
+
+// values for the sort fields; null when absent, false when malformed or made for another sort
+function decodeCursor(raw, sort) {
+  if (!raw) return null;
+  try {
+    const c = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+    const fields = SORTS[sort];
+    if (!c || c.s !== sort || !Array.isArray(c.v) || c.v.length !== fields.length) return false;
+    const values = [];
+    for (let i = 0; i < fields.length; i++) {
+      const field = fields[i][0];
+      const v = c.v[i];
+      if (field === '_id') {
+        if (!mongoose.Types.ObjectId.isValid(v)) return false;
+        values.push(new mongoose.Types.ObjectId(v));
+      } else if (field === 'createdAt') {
+        const d = new Date(v);
+        if (isNaN(d.getTime())) return false;
+        values.push(d);
+      } else if (field === 'isPinned') {
+        if (typeof v !== 'boolean') return false;
+        values.push(v);
+      } else {
+        if (!Number.isFinite(v)) return false;
+        values.push(v);
+      }
+    }
+    return values;
+  } catch (e) {
+    return false;
+  }
+}
+
+// everything after the cursor in the sort order: (a < a0) or (a = a0 and b < b0) or ...
+function afterCursor(sort, values) {
+  const fields = SORTS[sort];
+  return {
+    $or: fields.map(([field, dir], i) => {
+      const clause = {};
+      for (let j = 0; j < i; j++) clause[fields[j][0]] = values[j];
+      clause[field] = { [dir < 0 ? '$lt' : '$gt']: values[i] };
+      return clause;
+    })
+  };
+}
+
+/* ---------- queries ---------- */
+
+function toJson(c) {
+  return {
+    _id: c._id,
+    storyId: c.storyId,
+    parentId: c.parentId || null,
+    rootId: c.rootId || c._id,
+    depth: c.depth || 0,
+    userId: c.userId,
+    userName: c.userName,
+    isAdmin: !!c.isAdmin,
+    content: c.content,
+    isPinned: !!c.isPinned,
+    reactionCounts: c.reactionCounts || {},
+    reactionsByUser: c.reactionsByUser || {},
+    reactionTotal: c.reactionTotal || 0,
+    replyCount: c.replyCount || 0,
+    editedAt: c.editedAt || null,
+    createdAt: c.createdAt,
+    updatedAt: c.updatedAt
+  };
+}
+
+/**
+ * Query options (strings from req.query) -> { sort, limit, cursor, replyDepth, replyLimit }
+ * or { error }. Replies default to oldest first, top-level comments to newest first.
+ */
+function parseListOptions(query, isReplies) {
+  const sort = query.sort || (isReplies ? 'oldest' : 'newest');
+  if (!SORTS[sort]) return { error: `sort must be one of ${Object.keys(SORTS).join(', ')}` };
+  const cursor = decodeCursor(query.cursor, sort);
+  if (cursor === false) return { error: 'Invalid cursor' };
+  const int = (raw, def, min, max) => {
+    const n = parseInt(raw, 10);
+    return Math.min(max, Math.max(min, Number.isFinite(n) ? n : def));
+  };
+  return {
+    sort,
+    cursor,
+    limit: int(query.limit, PAGE_SIZE, 1, MAX_PAGE_SIZE),
+    replyDepth: int(query.replyDepth, REPLY_DEPTH, 0, MAX_REPLY_DEPTH),
+    replyLimit: int(query.replyLimit, REPLY_LIMIT, 1, MAX_REPLY_LIMIT)
+  };
+}
+
+/**
+ * One page of the children of parentId (null: top level) with the replies below them, in a
+ * single aggregation. Returns { comments, nextCursor }.
+ */
+async function listPage(storyId, parentId, opts) {
+  const { sort, cursor, limit, replyDepth, replyLimit } = opts;
+  const match = Object.assign({ storyId: new mongoose.Types.ObjectId(String(storyId)), parentId: parentId ? new mongoose.Types.ObjectId(String(parentId)) : null }, LIVE);
+  const pipeline = [
+    { $match: cursor ? { $and: [match, afterCursor(sort, cursor)] } : match },
+    { $sort: sortSpec(sort) },
+    { $limit: limit + 1 }
+  ];
+  if (replyDepth > 0) {
+    pipeline.push({
+      $lookup: {
+        from: Comment.collection.name,
+        let: {
+          root: { $ifNull: ['$rootId', '$_id'] },
+          prefix: { $concat: [{ $ifNull: ['$path', ','] }, { $toString: '$_id' }, ','] },
+          maxDepth: { $add: [{ $ifNull: ['$depth', 0] }, replyDepth] }
+        },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$rootId', '$$root'] },
+                  { $eq: [{ $indexOfCP: ['$path', '$$prefix'] }, 0] },
+                  { $lte: ['$depth', '$$maxDepth'] },
+                  { $ne: ['$isDeleted', true] },
+                  { $ne: ['$moderationStatus', 'held'] }
+                ]
+              }
+            }
+          },
+          // the 'oldest' order, so repliesCursor continues each level where the preview stopped
+          { $sort: sortSpec('oldest') },
+          { $limit: SUBTREE_LIMIT }
+        ],
+        as: 'descendants'
+      }
+    });
+  }
+  const rows = await Comment.aggregate(pipeline);
+
+  const page = rows.slice(0, limit);
+  const nextCursor = rows.length > limit ? encodeCursor(sort, page[page.length - 1]) : null;
+
+  const comments = page.map(row => {
+    const node = toJson(row);
+    const byParent = new Map();
+    for (const d of row.descendants || []) {
+      const key = String(d.parentId);
+      if (!byParent.has(key)) byParent.set(key, []);
+      byParent.get(key).push(d);
+    }
+    attachReplies(node, byParent, replyLimit, replyDepth);
+    return node;
+  });
+  return { comments, nextCursor };
+}
+
+// nests the looked-up descendants (already in 'oldest' order) under node, replyLimit per comment
+function attachReplies(node, byParent, replyLimit, levelsLeft) {
+  const kids = levelsLeft > 0 ? (byParent.get(String(node._id)) || []).slice(0, replyLimit) : [];
+  node.replies = kids.map(k => attachReplies(toJson(k), byParent, replyLimit, levelsLeft - 1));
+  node.moreReplies = Math.max(0, node.replyCount - node.replies.length);
+  const last = node.replies[node.replies.length - 1];
+  node.repliesCursor = node.moreReplies && last ? encodeCursor('oldest', last) : null;
+  return node;
+}
+
+async function countLive(storyId) {
+  return Comment.countDocuments(Object.assign({ storyId }, LIVE));
+}
+
+/* ---------- writes ---------- */
+
+/**
+ * New comment on a story, or a reply when parent (a Comment document) is given.
+ * fields: { userId, userName, isAdmin, content, moderationStatus?, moderationReasons? }.
+ * Returns the comment or { error }. Held replies count towards replyCount once approved.
+ */
+async function createComment(storyId, parent, fields) {
+  const _id = new mongoose.Types.ObjectId();
+  const position = parent
+    ? { parentId: parent._id, rootId: parent.rootId || parent._id, path: childPath(parent), depth: (parent.depth || 0) + 1 }
+    : { parentId: null, rootId: _id, path: ',', depth: 0 };
+  if (position.depth > MAX_DEPTH) return { error: `Replies can nest at most ${MAX_DEPTH} levels` };
+  const comment = await Comment.create(Object.assign({ _id, storyId }, position, fields));
+  if (parent && comment.moderationStatus !== 'held') await Comment.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } });
+  return comment;
+}
+
+// removes c and every reply below it; returns how many comments were removed
+async function deleteThread(c) {
+  const below = { rootId: c.rootId || c._id, path: new RegExp('^' + escapeRegex(childPath(c))) };
+  const r = await Comment.deleteMany({ $or: [{ _id: c._id }, below] });
+  if (c.parentId && c.moderationStatus !== 'held') await Comment.updateOne({ _id: c.parentId, replyCount: { $gt: 0 } }, { $inc: { replyCount: -1 } });
+  return r.deletedCount || 0;
+}
+
+// a comment held or approved after it was created leaves / rejoins its parent's replyCount;
+// false when it already had that status
+async function setHeld(c, held) {
+  const r = await Comment.updateOne({ _id: c._id, moderationStatus: held ? { $ne: 'held' } : 'held' }, { $set: { moderationStatus: held ? 'held' : 'visible' } });
+  if (r.modifiedCount && c.parentId) {
+    await Comment.updateOne(held ? { _id: c.parentId, replyCount: { $gt: 0 } } : { _id: c.parentId }, { $inc: { replyCount: held ? -1 : 1 } });
+  }
+  return r.modifiedCount > 0;
+}
+
+/**
+ * Comments from before threads (no path) get rootId / path / depth from their parents,
+ * replyCount from their live replies and reactionTotal from reactionCounts. Idempotent and a
+ * no-op once everything has a path; run on startup.
+ */
+async function backfillThreads() {
+  const legacy = await Comment.find({ path: { $exists: false } }).select('_id parentId').lean();
+  if (!legacy.length) return 0;
+
+  // parents outside the legacy set already have their position
+  const legacyIds = new Set(legacy.map(c => String(c._id)));
+  const outsideIds = Array.from(new Set(legacy.filter(c => c.parentId && !legacyIds.has(String(c.parentId))).map(c => String(c.parentId))));
+  const positions = new Map();
+  if (outsideIds.length) {
+    const known = await Comment.find({ _id: { $in: outsideIds } }).select('_id rootId path depth').lean();
+    known.forEach(k => positions.set(String(k._id), { rootId: k.rootId || k._id, path: k.path || ',', depth: k.depth || 0 }));
+  }
+
+  const byId = new Map(legacy.map(c => [String(c._id), c]));
+  const positionOf = (c, seen) => {
+    const key = String(c._id);
+    if (positions.has(key)) return positions.get(key);
+    let pos;
+    const parentKey = c.parentId ? String(c.parentId) : null;
+    if (!parentKey) pos = { rootId: c._id, path: ',', depth: 0 };
+    else {
+      const parent = byId.get(parentKey);
+      // orphans (parent gone) and loops stay hidden under the missing parent, as before
+      const p = parent && !seen.has(parentKey) ? positionOf(parent, seen.add(key)) : (positions.get(parentKey) || { rootId: c.parentId, path: ',', depth: 0, missing: true });
+      pos = { rootId: p.rootId, path: (p.missing ? ',' : p.path) + parentKey + ',', depth: p.depth + 1 };
+    }
+    positions.set(key, pos);
+    return pos;
+  };
+
+  const ops = legacy.map(c => ({ updateOne: { filter: { _id: c._id }, update: { $set: positionOf(c, new Set()) } } }));
+  for (let i = 0; i < ops.length; i += 500) await Comment.bulkWrite(ops.slice(i, i + 500), { ordered: false });
+
+  // counts for the comments that gained replies or reactions before counters existed
+  const parentIds = Array.from(new Set(legacy.filter(c => c.parentId).map(c => String(c.parentId)))).map(id => new mongoose.Types.ObjectId(id));
+  const counts = parentIds.length ? await Comment.aggregate([
+    { $match: Object.assign({ parentId: { $in: parentIds } }, LIVE) },
+    { $group: { _id: '$parentId', n: { $sum: 1 } } }
+  ]) : [];
+  if (counts.length) await Comment.bulkWrite(counts.map(c => ({ updateOne: { filter: { _id: c._id }, update: { $set: { replyCount: c.n } } } })), { ordered: false });
+  await Comment.updateMany({ _id: { $in: legacy.map(c => c._id) } }, [
+    { $set: { reactionTotal: { $sum: { $map: { input: { $objectToArray: { $ifNull: ['$reactionCounts', {}] } }, in: '$$this.v' } } } } }
+  ]);
+  return legacy.length;
+}
+
+module.exports = {
+  MAX_DEPTH,
+  SORTS,
+  parseListOptions,
+  listPage,
+  countLive,
+  createComment,
+  deleteThread,
+  setHeld,
+  backfillThreads,
+  toJson
+};
@@ -0,0 +1,320 @@
+// backend/src/utils/curriculum.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const Folder = require('../models/Folder');
+const Lesson = require('../models/Lesson');
+const Test = require('../models/Test');
+
+/**
+ * Restructuring the lesson tree: move, reorder and duplicate folders and lessons.
+ * Siblings are ordered by `position` (then name for folders, _id for lessons, so trees saved
+ * before positions existed keep their old order). Every move / reorder rewrites the positions of
+ * the whole sibling list as 0..n-1.
+ *
+ * Bulk requests are validated as a whole first (existence, folder cycles with the earlier moves
+ * of the same request applied) and only then written, in order.
+ */
+
+const MAX_BULK_OPERATIONS = 100;
+const MAX_COPY_FOLDERS = 500;
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+const LIVE = { isDeleted: { $ne: true } };
+
+const key = (id) => (id ? String(id) : null);
+const oid = (id) => new mongoose.Types.ObjectId(String(id));
+
+// live folder id -> parent id (strings), the structure cycle checks walk
+async function loadParents() {
+  const folders = await Folder.find(LIVE).select('parentId').lean();
+  return new Map(folders.map(f => [String(f._id), key(f.parentId)]));
+}
+
+/** Would putting folderId under newParentId make it its own ancestor? */
+function createsCycle(parents, folderId, newParentId) {
+  let cur = key(newParentId);
+  for (let steps = 0; cur; steps++) {
+    if (cur === String(folderId) || steps > parents.size) return true;
+    cur = parents.get(cur) || null;
+  }
+  return false;
+}
+
+// current sibling order (ids as strings)
+async function siblingIds(kind, parentId) {
+  if (kind === 'folder') {
+    const rows = await Folder.find(Object.assign({ parentId: parentId || null }, LIVE)).collation(NAME_COLLATION)
+      .sort({ position: 1, 'name.en': 1, _id: 1 }).select('_id').lean();
+    return rows.map(r => String(r._id));
+  }
+  const rows = await Lesson.find(Object.assign({ folderId: parentId || null }, LIVE)).sort({ position: 1, _id: 1 }).select('_id').lean();
+  return rows.map(r => String(r._id));
+}
+
+async function writeOrder(kind, ids) {
+  if (!ids.length) return;
+  const Model = kind === 'folder' ? Folder : Lesson;
+  await Model.bulkWrite(ids.map((id, i) => ({ updateOne: { filter: { _id: oid(id) }, update: { $set: { position: i } } } })), { ordered: false });
+}
+
+/** Position after the last sibling (new and copied items go to the end). */
+async function nextPosition(kind, parentId) {
+  const Model = kind === 'folder' ? Folder : Lesson;
+  const field = kind === 'folder' ? 'parentId' : 'folderId';
+  const last = await Model.findOne(Object.assign({ [field]: parentId || null }, LIVE)).sort({ position: -1 }).select('position').lean();
+  return last && Number.isFinite(last.position) ? last.position + 1 : 0;
+}
+
+/**
+ * Move a folder / lesson under parentId at `position` (index among its new siblings; default last).
+ * A moved lesson takes its tests along (Test.folderId follows the lesson).
+ */
+async function move(kind, id, parentId, position) {
+  const siblings = (await siblingIds(kind, parentId)).filter(s => s !== String(id));
+  const at = Number.isInteger(position) ? Math.max(0, Math.min(position, siblings.length)) : siblings.length;
+  siblings.splice(at, 0, String(id));
+
+  const now = new Date();
+  if (kind === 'folder') {
+    await Folder.updateOne({ _id: id }, { $set: { parentId: parentId || null, updatedAt: now } });
+  } else {
+    await Lesson.updateOne({ _id: id }, { $set: { folderId: parentId || null, updatedAt: now } });
+    await Test.updateMany({ lessonId: id }, { $set: { folderId: parentId || null, updatedAt: now } });
+  }
+  await writeOrder(kind, siblings);
+  return at;
+}
+
+/**
+ * Reorder the children of parentId. `ids` come first in the given order, siblings not listed
+ * keep their relative order after them. Returns { error } when an id is not a child of parentId.
+ */
+async function reorder(kind, parentId, ids) {
+  const current = await siblingIds(kind, parentId);
+  const known = new Set(current);
+  const listed = ids.map(String);
+  if (listed.some(id => !known.has(id))) return { error: `Every ${kind} must be a child of the given folder` };
+  if (new Set(listed).size !== listed.length) return { error: `A ${kind} is listed twice` };
+  const rest = current.filter(id => !listed.includes(id));
+  const order = listed.concat(rest);
+  await writeOrder(kind, order);
+  return { order };
+}
+
+function copyTitle(t) {
+  return {
+    en: ((t && t.en) || '') + ' (copy)',
+    som: t && t.som ? t.som + ' (nuqul)' : ''
+  };
+}
+
+function testCopy(t, folderId, lessonId, userId) {
+  return {
+    title: t.title + (lessonId ? '' : ' (copy)'),
+    folderId,
+    lessonId,
+    questions: t.questions,
+    mode: t.mode,
+    draws: t.draws,
+    shuffle: t.shuffle,
+    questionSeconds: t.questionSeconds,
+    scoring: t.scoring,
+    authorId: userId,
+    createdAt: new Date()
+  };
+}
+
+function lessonCopy(l, folderId, userId, opts) {
+  const now = new Date();
+  return {
+    subjectId: l.subjectId,
+    topicId: l.topicId,
+    folderId,
+    title: opts.keepTitle ? l.title : copyTitle(l.title),
+    content: l.content,
+    format: l.format,
+    html: l.html,
+    prerequisites: l.prerequisites || [],
+    position: opts.position,
+    // copies start over as drafts; publishing goes through the workflow again
+    status: 'draft',
+    isPublished: false,
+    workflowHistory: [{ action: 'duplicate', from: null, to: 'draft', by: userId, at: now, note: 'Copy of ' + String(l._id) }],
+    authorId: userId,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Copy a lesson and its tests into folderId (default: the lesson's own folder), placed last.
+ * Returns { lesson, tests } with the created documents.
+ */
+async function duplicateLesson(lessonId, folderId, userId) {
+  const l = await Lesson.findOne(Object.assign({ _id: lessonId }, LIVE)).lean();
+  if (!l) return null;
+  const target = folderId === undefined ? l.folderId : folderId;
+  const lesson = await Lesson.create(lessonCopy(l, target || null, userId, { position: await nextPosition('lesson', target) }));
+  const tests = await Test.find(Object.assign({ lessonId: l._id }, LIVE)).lean();
+  const created = tests.length ? await Test.insertMany(tests.map(t => testCopy(t, target || null, lesson._id, userId))) : [];
+  return { lesson, tests: created };
+}
+
+/**
+ * Deep copy of a folder subtree (folders, lessons, their tests and folder-level tests) under
+ * parentId (default: next to the original). Prerequisites between lessons of the subtree point
+ * at the copies. Returns { folder, lessons, tests, folderCount } or { error }.
+ */
+async function duplicateFolder(folderId, parentId, userId) {
+  const root = await Folder.findOne(Object.assign({ _id: folderId }, LIVE)).lean();
+  if (!root) return null;
+
+  // the subtree, parents before children
+  const folders = [root];
+  for (let i = 0; i < folders.length; i++) {
+    if (folders.length > MAX_COPY_FOLDERS) return { error: `Folders with more than ${MAX_COPY_FOLDERS} subfolders cannot be copied` };
+    const kids = await Folder.find(Object.assign({ parentId: folders[i]._id }, LIVE)).lean();
+    folders.push(...kids);
+  }
+
+  const target = parentId === undefined ? root.parentId : parentId;
+  const folderMap = new Map();
+  for (const f of folders) {
+    const isRoot = f === root;
+    const copy = await Folder.create({
+      name: isRoot ? copyTitle(f.name) : f.name,
+      parentId: isRoot ? (target || null) : folderMap.get(String(f.parentId)),
+      icon: f.icon,
+      position: isRoot ? await nextPosition('folder', target) : f.position,
+      authorId: userId
+    });
+    folderMap.set(String(f._id), copy._id);
+  }
+
+  const folderIds = folders.map(f => f._id);
+  const lessons = await Lesson.find(Object.assign({ folderId: { $in: folderIds } }, LIVE)).lean();
+  const lessonMap = new Map(lessons.map(l => [String(l._id), new mongoose.Types.ObjectId()]));
+  const lessonDocs = lessons.map(l => Object.assign(
+    lessonCopy(l, folderMap.get(String(l.folderId)), userId, { keepTitle: true, position: l.position }),
+    {
+      _id: lessonMap.get(String(l._id)),
+      prerequisites: (l.prerequisites || []).map(p => (p.kind === 'lesson' && lessonMap.has(String(p.itemId))
+        ? Object.assign({}, p, { itemId: lessonMap.get(String(p.itemId)) })
+        : p))
+    }
+  ));
+  const createdLessons = lessonDocs.length ? await Lesson.insertMany(lessonDocs) : [];
+
+  const tests = await Test.find(Object.assign({ $or: [{ lessonId: { $in: lessons.map(l => l._id) } }, { lessonId: null, folderId: { $in: folderIds } }] }, LIVE)).lean();
+  const createdTests = tests.length ? await Test.insertMany(tests.map(t => Object.assign(
+    testCopy(t, t.folderId ? folderMap.get(String(t.folderId)) || null : null, t.lessonId ? lessonMap.get(String(t.lessonId)) : null, userId),
+    { title: t.title }
+  ))) : [];
+
+  const copy = await Folder.findById(folderMap.get(String(root._id))).lean();
+  return { folder: copy, lessons: createdLessons, tests: createdTests, folderCount: folders.length };
+}
+
+/**
+ * Check a bulk request before anything is written. Operations:
+ *   { op: 'move', kind: 'folder'|'lesson', id, parentId, position? }
+ *   { op: 'reorder', parentId, folders?: [id], lessons?: [id] }
+ *   { op: 'duplicate', kind: 'folder'|'lesson', id, parentId? }
+ * parentId null / 'root' = top level. Returns { operations } (normalized) or
+ * { error, index, reason } (reason: the message without the operations[i] prefix).
+ */
+async function validateOperations(raw) {
+  if (!Array.isArray(raw) || !raw.length) return { error: 'operations must be a non-empty array' };
+  if (raw.length > MAX_BULK_OPERATIONS) return { error: `At most ${MAX_BULK_OPERATIONS} operations per request` };
+
+  const parents = await loadParents();
+  const lessonFolder = new Map((await Lesson.find(LIVE).select('folderId').lean()).map(l => [String(l._id), key(l.folderId)]));
+  const idOk = (id) => mongoose.Types.ObjectId.isValid(id);
+  const parentOf = (v) => (v === undefined || v === null || v === 'root' ? null : String(v));
+  const exists = (kind, id) => (kind === 'folder' ? parents.has(String(id)) : lessonFolder.has(String(id)));
+
+  const out = [];
+  for (const [index, o] of raw.entries()) {
+    const fail = (reason) => ({ error: `operations[${index}]: ${reason}`, index, reason });
+    if (!o || !['move', 'reorder', 'duplicate'].includes(o.op)) return fail('Unknown op (move, reorder or duplicate)');
+
+    const hasParent = o.parentId !== undefined;
+    const parentId = parentOf(o.parentId);
+    if (parentId && (!idOk(parentId) || !parents.has(parentId))) return fail('Parent folder not found');
+
+    if (o.op === 'reorder') {
+      const folders = o.folders || [];
+      const lessons = o.lessons || [];
+      if (!Array.isArray(folders) || !Array.isArray(lessons)) return fail('Folders / lessons must be arrays');
+      if (folders.some(id => parents.get(String(id)) !== parentId || !parents.has(String(id)))) return fail('Every folder must be a child of parentId');
+      if (lessons.some(id => lessonFolder.get(String(id)) !== parentId || !lessonFolder.has(String(id)))) return fail('Every lesson must be in parentId');
+      out.push({ op: 'reorder', parentId, folders: folders.map(String), lessons: lessons.map(String) });
+      continue;
+    }
+
+    if (!['folder', 'lesson'].includes(o.kind)) return fail('Kind must be folder or lesson');
+    if (!idOk(o.id) || !exists(o.kind, o.id)) return fail(o.kind === 'folder' ? 'Folder not found' : 'Lesson not found');
+    const id = String(o.id);
+
+    if (o.op === 'move') {
+      if (!hasParent) return fail('Target parentId is required (null or "root" for the top level)');
+      if (o.position !== undefined && (!Number.isInteger(o.position) || o.position < 0)) return fail('Position must be a non-negative integer');
+      if (o.kind === 'folder') {
+        if (createsCycle(parents, id, parentId)) return fail('A folder cannot be moved into itself or one of its subfolders');
+        parents.set(id, parentId);
+      } else {
+        lessonFolder.set(id, parentId);
+      }
+      out.push({ op: 'move', kind: o.kind, id, parentId, position: o.position });
+      continue;
+    }
+
+    // duplicate: copying a folder into its own subtree is fine (the copy is taken first)
+    out.push({ op: 'duplicate', kind: o.kind, id, parentId: hasParent ? parentId : undefined });
+  }
+  return { operations: out };
+}
+
+/**
+ * Apply validated operations in order. Returns one result per operation; `lessons` collects
+ * every lesson created by duplicates (the route writes their first revision).
+ */
+async function applyOperations(operations, userId) {
+  const results = [];
+  const lessons = [];
+  for (const o of operations) {
+    if (o.op === 'move') {
+      const position = await move(o.kind, o.id, o.parentId, o.position);
+      results.push({ op: 'move', kind: o.kind, id: o.id, parentId: o.parentId, position });
+    } else if (o.op === 'reorder') {
+      if (o.folders.length) await reorder('folder', o.parentId, o.folders);
+      if (o.lessons.length) await reorder('lesson', o.parentId, o.lessons);
+      results.push({ op: 'reorder', parentId: o.parentId });
+    } else if (o.kind === 'lesson') {
+      const copy = await duplicateLesson(o.id, o.parentId, userId);
+      if (!copy) { results.push({ op: 'duplicate', kind: 'lesson', id: o.id, error: 'Not found' }); continue; }
+      lessons.push(copy.lesson);
+      results.push({ op: 'duplicate', kind: 'lesson', id: o.id, copyId: copy.lesson._id, tests: copy.tests.length });
+    } else {
+      const copy = await duplicateFolder(o.id, o.parentId, userId);
+      if (!copy || copy.error) { results.push({ op: 'duplicate', kind: 'folder', id: o.id, error: copy ? copy.error : 'Not found' }); continue; }
+      lessons.push(...copy.lessons);
+      results.push({ op: 'duplicate', kind: 'folder', id: o.id, copyId: copy.folder._id, folders: copy.folderCount, lessons: copy.lessons.length, tests: copy.tests.length });
+    }
+  }
+  return { results, lessons };
+}
+
+module.exports = {
+  MAX_BULK_OPERATIONS,
+  loadParents,
+  createsCycle,
+  nextPosition,
+  move,
+  reorder,
+  duplicateLesson,
+  duplicateFolder,
+  validateOperations,
+  applyOperations
+};
@@ -0,0 +1,179 @@
+// backend/src/utils/itemAnalysis.js
+'use strict';
+
+const questionTypes = require('./questionTypes');
+const { csvRow } = require('./testFormats');
+
+/**
+ * Item analysis over submitted Attempt.answers of one test.
+ *
+ *  difficulty      share of responses that were correct (p-value; higher = easier)
+ *  discrimination  p(upper group) - p(lower group), groups = top / bottom 27% of attempts by score
+ *  options         how often each option was chosen (distractor analysis), overall and per group
+ *  averageSeconds  servedAt -> answeredAt, answers that did not time out
+ *  timeoutRate     share of responses that timed out
+ *
+ * Answers flagged skippedAlreadyScored are left out: they are stored as not correct
+ * whatever was chosen, so they would make questions look harder than they are.
+ */
+
+const GROUP_SHARE = 0.27;
+
+// rank of the score cut-offs for the upper / lower groups in `attemptCount` attempts
+function groupSize(attemptCount) {
+  return Math.max(1, Math.round(attemptCount * GROUP_SHARE));
+}
+
+const has = (path) => ({ $ne: [{ $ifNull: [path, null] }, null] });
+const nonEmpty = (path) => ({ $gt: [{ $size: { $ifNull: [path, []] } }, 0] });
+const inGroup = (name, value) => ({ $sum: { $cond: [{ $eq: ['$group', name] }, value, 0] } });
+
+/**
+ * Aggregation pipeline. `cutoffs` = { upper, lower } scores (an attempt is in the upper group
+ * with score >= upper, in the lower group with score <= lower) or null to skip the groups.
+ * Result: [{ items: [...per question], options: [...per question+option] }]
+ */
+function buildPipeline(match, cutoffs) {
+  const group = cutoffs
+    ? { $switch: { branches: [
+      { case: { $gte: ['$score', cutoffs.upper] }, then: 'upper' },
+      { case: { $lte: ['$score', cutoffs.lower] }, then: 'lower' }
+    ], default: 'middle' } }
+    : { $literal: 'middle' };
+
+  return [
+    { $match: match },
+    { $project: { score: 1, answers: 1, group } },
+    { $unwind: '$answers' },
+    { $match: { 'answers.skippedAlreadyScored': { $ne: true } } },
+    { $project: {
+      group: 1,
+      questionId: '$answers.questionId',
+      correct: { $cond: ['$answers.correct', 1, 0] },
+      credit: { $ifNull: ['$answers.credit', 0] },
+      timedOut: { $cond: ['$answers.timedOut', 1, 0] },
+      answered: { $cond: [{ $or: [has('$answers.selectedOptionId'), nonEmpty('$answers.selectedOptionIds'), has('$answers.value'), nonEmpty('$answers.order')] }, 1, 0] },
+      chosen: { $setUnion: [
+        { $cond: [has('$answers.selectedOptionId'), ['$answers.selectedOptionId'], []] },
+        { $ifNull: ['$answers.selectedOptionIds', []] }
+      ] },
+      timeMs: { $cond: [
+        { $and: [has('$answers.servedAt'), has('$answers.answeredAt'), { $not: ['$answers.timedOut'] }] },
+        { $subtract: ['$answers.answeredAt', '$answers.servedAt'] },
+        null
+      ] }
+    } },
+    { $facet: {
+      items: [
+        { $group: {
+          _id: '$questionId',
+          responses: { $sum: 1 },
+          answered: { $sum: '$answered' },
+          correct: { $sum: '$correct' },
+          credit: { $sum: '$credit' },
+          timedOut: { $sum: '$timedOut' },
+          avgTimeMs: { $avg: '$timeMs' },
+          upperN: inGroup('upper', 1),
+          upperCorrect: inGroup('upper', '$correct'),
+          lowerN: inGroup('lower', 1),
+          lowerCorrect: inGroup('lower', '$correct')
+        } }
+      ],
+      options: [
+        { $unwind: '$chosen' },
+        { $group: {
+          _id: { questionId: '$questionId', optionId: '$chosen' },
+          count: { $sum: 1 },
+          upper: inGroup('upper', 1),
+          lower: inGroup('lower', 1)
+        } }
+      ]
+    } }
+  ];
+}
+
+function round(n, digits) {
+  const f = Math.pow(10, digits);
+  return Math.round(n * f) / f;
+}
+
+const ratio = (a, b) => (b ? round(a / b, 4) : null);
+
+/**
+ * Merge the aggregation result with the questions (in test order; questions only found in
+ * attempts, e.g. removed from the test or drawn from the bank, are appended).
+ */
+function summarize(questions, facet) {
+  const result = facet || {};
+  const itemById = {};
+  (result.items || []).forEach(r => { itemById[String(r._id)] = r; });
+  const optionsByQuestion = {};
+  (result.options || []).forEach(r => {
+    const qid = String(r._id.questionId);
+    (optionsByQuestion[qid] = optionsByQuestion[qid] || {})[String(r._id.optionId)] = r;
+  });
+
+  const known = new Set();
+  const rows = questions.map(q => {
+    const qid = String(q.id || q._id);
+    known.add(qid);
+    return { qid, q };
+  });
+  Object.keys(itemById).forEach(qid => { if (!known.has(qid)) rows.push({ qid, q: null }); });
+
+  return rows.map(({ qid, q }, index) => {
+    const r = itemById[qid] || { responses: 0, answered: 0, correct: 0, credit: 0, timedOut: 0, avgTimeMs: null, upperN: 0, upperCorrect: 0, lowerN: 0, lowerCorrect: 0 };
+    const chosen = optionsByQuestion[qid] || {};
+    const pUpper = ratio(r.upperCorrect, r.upperN);
+    const pLower = ratio(r.lowerCorrect, r.lowerN);
+    const options = ((q && q.options) || []).map(o => {
+      const c = chosen[String(o.id || o._id)] || { count: 0, upper: 0, lower: 0 };
+      return {
+        optionId: String(o.id || o._id),
+        text: o.text || { en: '', som: '' },
+        isCorrect: !!o.isCorrect,
+        count: c.count,
+        share: ratio(c.count, r.answered),
+        upper: c.upper,
+        lower: c.lower
+      };
+    });
+    return {
+      index: index + 1,
+      questionId: qid,
+      type: q ? questionTypes.questionType(q) : null,
+      text: q ? (q.text || { en: '', som: '' }) : null,
+      questionRemoved: !q,
+      responses: r.responses,
+      answered: r.answered,
+      difficulty: ratio(r.correct, r.responses),
+      averageCredit: ratio(r.credit, r.responses),
+      discrimination: pUpper === null || pLower === null ? null : round(pUpper - pLower, 4),
+      averageSeconds: r.avgTimeMs === null || r.avgTimeMs === undefined ? null : round(r.avgTimeMs / 1000, 1),
+      timeoutRate: ratio(r.timedOut, r.responses),
+      options
+    };
+  });
+}
+
+const CSV_COLUMNS = ['index', 'question_id', 'type', 'text_en', 'text_som', 'responses', 'answered', 'difficulty', 'average_credit', 'discrimination', 'average_seconds', 'timeout_rate', 'options'];
+
+// one row per question; options as "text=count" joined by " | ", correct ones marked with *
+function toCsv(items) {
+  const rows = [csvRow(CSV_COLUMNS)];
+  items.forEach(it => {
+    const options = it.options.map(o => `${o.isCorrect ? '*' : ''}${o.text.en || o.text.som || o.optionId}=${o.count}`).join(' | ');
+    rows.push(csvRow([
+      it.index, it.questionId, it.type || '', (it.text && it.text.en) || '', (it.text && it.text.som) || '',
+      it.responses, it.answered, it.difficulty, it.averageCredit, it.discrimination, it.averageSeconds, it.timeoutRate, options
+    ]));
+  });
+  return rows.join('\n') + '\n';
+}
+
+module.exports = {
+  groupSize,
+  buildPipeline,
+  summarize,
+  toCsv
+};
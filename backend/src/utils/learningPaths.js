@@ -0,0 +1,259 @@
+// backend/src/utils/learningPaths.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const Attempt = require('../models/Attempt');
+const LearningPath = require('../models/LearningPath');
+const Lesson = require('../models/Lesson');
+const Test = require('../models/Test');
+const progress = require('./progress');
+const scoring = require('./scoring');
+const { isAdminUser } = require('../middleware/auth');
+
+/**
+ * Lesson lock state for a user. A lesson's requirements are its own `prerequisites` plus, for
+ * every sequential LearningPath it is on, the step right before it. Requirements:
+ *  - { kind: 'lesson', itemId }              that lesson is completed (utils/progress.js)
+ *  - { kind: 'test', itemId, minPercent }    best submitted attempt >= minPercent
+ *                                            (null: the test's scoring.passPercent)
+ * Requirements on deleted lessons / tests are ignored so nothing stays locked forever.
+ * State: 'completed' | 'unlocked' | 'locked' (with the unmet requirements).
+ */
+
+const MAX_STEPS = 200;
+const MAX_PREREQUISITES = 20;
+
+// best percentCorrect per test (attempts from before percentCorrect existed: share of correct answers)
+const PERCENT_EXPR = {
+  $ifNull: ['$percentCorrect', {
+    $cond: [
+      { $gt: [{ $size: { $ifNull: ['$answers', []] } }, 0] },
+      { $round: [{ $multiply: [{ $divide: [{ $size: { $filter: { input: '$answers', cond: '$$this.correct' } } }, { $size: '$answers' }] }, 100] }, 0] },
+      0
+    ]
+  }]
+};
+
+async function bestPercents(userId, testIds) {
+  const rows = await Attempt.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)), testId: { $in: testIds }, submittedAt: { $ne: null } } },
+    { $group: { _id: '$testId', best: { $max: PERCENT_EXPR } } }
+  ]);
+  return new Map(rows.map(r => [String(r._id), r.best]));
+}
+
+const oid = (id) => new mongoose.Types.ObjectId(String(id));
+const uniqueIds = (ids) => Array.from(new Set(ids.map(String))).map(oid);
+
+/**
+ * What the user has done with the given lessons / tests. met(req) answers one requirement.
+ */
+async function loadStatus(user, lessonIds, testIds) {
+  const userId = user && user._id;
+  const [liveLessons, tests, completed, best] = await Promise.all([
+    lessonIds.length ? Lesson.find({ _id: { $in: lessonIds }, isDeleted: { $ne: true } }).select('_id').lean() : [],
+    testIds.length ? Test.find({ _id: { $in: testIds }, isDeleted: { $ne: true } }).select('scoring').lean() : [],
+    userId && lessonIds.length ? progress.completedLessonIds(userId, lessonIds) : new Set(),
+    userId && testIds.length ? bestPercents(userId, testIds) : new Map()
+  ]);
+  const lessonLive = new Set(liveLessons.map(l => String(l._id)));
+  const passMark = new Map(tests.map(t => [String(t._id), scoring.resolvePolicy(t.scoring).passPercent]));
+
+  const status = {
+    lessonDone: (id) => completed.has(String(id)),
+    testBest: (id) => (best.has(String(id)) ? best.get(String(id)) : null),
+    testMark: (req) => (req.minPercent != null ? req.minPercent : passMark.get(String(req.itemId))),
+    met(req) {
+      if (req.kind === 'lesson') return !lessonLive.has(String(req.itemId)) || status.lessonDone(req.itemId);
+      if (!passMark.has(String(req.itemId))) return true;
+      const b = status.testBest(req.itemId);
+      return b != null && b >= status.testMark(req);
+    },
+    describe(req) {
+      const out = { kind: req.kind, itemId: req.itemId };
+      if (req.kind === 'test') Object.assign(out, { minPercent: status.testMark(req), bestPercent: status.testBest(req.itemId) });
+      if (req.pathId) out.pathId = req.pathId;
+      return out;
+    }
+  };
+  return status;
+}
+
+// lessonId -> requirements (explicit prerequisites + previous step of sequential paths)
+function requirementsByLesson(lessons, paths) {
+  const reqs = new Map(lessons.map(l => [String(l._id), (l.prerequisites || []).map(p => ({ kind: p.kind, itemId: p.itemId, minPercent: p.minPercent }))]));
+  paths.forEach(path => {
+    (path.steps || []).forEach((step, i) => {
+      if (i === 0 || step.kind !== 'lesson' || !reqs.has(String(step.itemId))) return;
+      const prev = path.steps[i - 1];
+      reqs.get(String(step.itemId)).push({ kind: prev.kind, itemId: prev.itemId, minPercent: prev.minPercent, pathId: path._id });
+    });
+  });
+  return reqs;
+}
+
+/**
+ * lessons (lean, with prerequisites) -> Map lessonId -> { state, unmet }
+ */
+async function lessonStates(user, lessons) {
+  if (!lessons.length) return new Map();
+  const paths = await LearningPath.find({ isDeleted: { $ne: true }, sequential: true, 'steps.itemId': { $in: lessons.map(l => l._id) } })
+    .select('steps').lean();
+  const reqs = requirementsByLesson(lessons, paths);
+
+  const all = [].concat(...Array.from(reqs.values()));
+  const lessonIds = uniqueIds(lessons.map(l => l._id).concat(all.filter(r => r.kind === 'lesson').map(r => r.itemId)));
+  const testIds = uniqueIds(all.filter(r => r.kind === 'test').map(r => r.itemId));
+  const status = await loadStatus(user, lessonIds, testIds);
+
+  const out = new Map();
+  lessons.forEach(l => {
+    if (status.lessonDone(l._id)) return out.set(String(l._id), { state: 'completed', unmet: [] });
+    const unmet = reqs.get(String(l._id)).filter(r => !status.met(r)).map(status.describe);
+    out.set(String(l._id), { state: unmet.length ? 'locked' : 'unlocked', unmet });
+  });
+  return out;
+}
+
+/**
+ * Steps of a path with titles and the user's state on each.
+ */
+async function pathSteps(user, path) {
+  const steps = path.steps || [];
+  const lessonIds = uniqueIds(steps.filter(s => s.kind === 'lesson').map(s => s.itemId));
+  const testIds = uniqueIds(steps.filter(s => s.kind === 'test').map(s => s.itemId));
+  const [lessons, tests] = await Promise.all([
+    lessonIds.length ? Lesson.find({ _id: { $in: lessonIds }, isDeleted: { $ne: true } }).select('title prerequisites status isPublished').lean() : [],
+    testIds.length ? Test.find({ _id: { $in: testIds }, isDeleted: { $ne: true } }).select('title').lean() : []
+  ]);
+  const visible = user && isAdminUser(user)
+    ? lessons
+    : lessons.filter(l => Lesson.statusOf(l) === 'published');
+  const [states, status] = await Promise.all([lessonStates(user, visible), loadStatus(user, [], testIds)]);
+  const lessonById = new Map(visible.map(l => [String(l._id), l]));
+  const testById = new Map(tests.map(t => [String(t._id), t]));
+
+  let prevDone = true;
+  return steps.map((step, i) => {
+    const base = { index: i, kind: step.kind, itemId: step.itemId, minPercent: step.minPercent };
+    let out;
+    if (step.kind === 'lesson') {
+      const l = lessonById.get(String(step.itemId));
+      out = l
+        ? Object.assign(base, { title: l.title }, states.get(String(l._id)))
+        : Object.assign(base, { title: null, missing: true, state: 'unlocked', unmet: [] });
+    } else {
+      const t = testById.get(String(step.itemId));
+      if (!t) out = Object.assign(base, { title: null, missing: true, state: 'unlocked', unmet: [] });
+      else {
+        const done = status.met(step);
+        const locked = !done && path.sequential && i > 0 && !prevDone;
+        out = Object.assign(base, {
+          title: { en: t.title, som: '' },
+          minPercent: status.testMark(step),
+          bestPercent: status.testBest(step.itemId),
+          state: done ? 'completed' : (locked ? 'locked' : 'unlocked'),
+          unmet: locked ? [{ kind: steps[i - 1].kind, itemId: steps[i - 1].itemId }] : []
+        });
+      }
+    }
+    prevDone = out.missing || out.state === 'completed';
+    return out;
+  });
+}
+
+/**
+ * Validate [{ kind, itemId, minPercent? }] from admin input: known kinds, existing live items,
+ * no duplicates. Returns { items } or { error }.
+ */
+async function parseRefs(raw, max, label) {
+  if (!Array.isArray(raw)) return { error: `${label} must be an array` };
+  if (raw.length > max) return { error: `At most ${max} ${label}` };
+  const items = [];
+  const seen = new Set();
+  for (const [i, r] of raw.entries()) {
+    if (!r || !['lesson', 'test'].includes(r.kind)) return { error: `${label}[${i}].kind must be lesson or test` };
+    if (!mongoose.Types.ObjectId.isValid(r.itemId)) return { error: `${label}[${i}].itemId is invalid` };
+    let minPercent = null;
+    if (r.minPercent !== undefined && r.minPercent !== null && r.minPercent !== '') {
+      minPercent = Number(r.minPercent);
+      if (!Number.isFinite(minPercent) || minPercent < 0 || minPercent > 100) return { error: `${label}[${i}].minPercent must be between 0 and 100` };
+      if (r.kind !== 'test') return { error: `${label}[${i}].minPercent only applies to tests` };
+    }
+    const k = r.kind + ':' + String(r.itemId);
+    if (seen.has(k)) return { error: `${label}[${i}] is listed twice` };
+    seen.add(k);
+    items.push({ kind: r.kind, itemId: oid(r.itemId), minPercent });
+  }
+  const lessonIds = items.filter(r => r.kind === 'lesson').map(r => r.itemId);
+  const testIds = items.filter(r => r.kind === 'test').map(r => r.itemId);
+  const [lessonCount, testCount] = await Promise.all([
+    lessonIds.length ? Lesson.countDocuments({ _id: { $in: lessonIds }, isDeleted: { $ne: true } }) : 0,
+    testIds.length ? Test.countDocuments({ _id: { $in: testIds }, isDeleted: { $ne: true } }) : 0
+  ]);
+  if (lessonCount !== lessonIds.length || testCount !== testIds.length) return { error: `${label} reference a lesson or test that does not exist` };
+  return { items };
+}
+
+/**
+ * Would the lesson -> required lesson graph have a cycle (lessons that can never unlock)?
+ * override: { lessonId, prerequisites } or { pathId, path } to check a change before saving it.
+ * Returns the lesson ids on the cycle, or null.
+ */
+async function findCycle(override) {
+  const [lessons, paths] = await Promise.all([
+    Lesson.find({ isDeleted: { $ne: true }, 'prerequisites.kind': 'lesson' }).select('prerequisites').lean(),
+    LearningPath.find({ isDeleted: { $ne: true }, sequential: true }).select('steps sequential').lean()
+  ]);
+  const edges = new Map();
+  const add = (from, to) => {
+    const k = String(from);
+    if (!edges.has(k)) edges.set(k, new Set());
+    edges.get(k).add(String(to));
+  };
+  lessons.forEach(l => {
+    if (override.lessonId && String(l._id) === String(override.lessonId)) return;
+    (l.prerequisites || []).forEach(p => { if (p.kind === 'lesson') add(l._id, p.itemId); });
+  });
+  if (override.lessonId) override.prerequisites.forEach(p => { if (p.kind === 'lesson') add(override.lessonId, p.itemId); });
+  const pathList = paths.filter(p => !override.pathId || String(p._id) !== String(override.pathId));
+  if (override.path && override.path.sequential) pathList.push(override.path);
+  pathList.forEach(p => (p.steps || []).forEach((s, i) => {
+    if (i > 0 && s.kind === 'lesson' && p.steps[i - 1].kind === 'lesson') add(s.itemId, p.steps[i - 1].itemId);
+  }));
+
+  // iterative DFS; grey = on the current stack
+  const color = new Map();
+  for (const start of edges.keys()) {
+    if (color.get(start)) continue;
+    const stack = [[start, Array.from(edges.get(start) || [])]];
+    const trail = [start];
+    color.set(start, 'grey');
+    while (stack.length) {
+      const top = stack[stack.length - 1];
+      const next = top[1].pop();
+      if (next === undefined) {
+        color.set(top[0], 'black');
+        stack.pop();
+        trail.pop();
+        continue;
+      }
+      if (color.get(next) === 'grey') return trail.slice(trail.indexOf(next)).concat(next);
+      if (color.get(next)) continue;
+      color.set(next, 'grey');
+      trail.push(next);
+      stack.push([next, Array.from(edges.get(next) || [])]);
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  MAX_STEPS,
+  MAX_PREREQUISITES,
+  lessonStates,
+  pathSteps,
+  parseRefs,
+  findCycle
+};
@@ -0,0 +1,195 @@
+// backend/src/utils/moderation.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const BlockedTerm = require('../models/BlockedTerm');
+const User = require('../models/User');
+const { isAdminUser } = require('../middleware/auth');
+const { MODERATION_BLOCKLIST_EN, MODERATION_BLOCKLIST_SOM } = require('../config');
+
+/**
+ * Screening of user text before it is saved: story comments ('comment'), leaderboard comments
+ * ('leaderboardComment'), submitted stories ('story') and help messages ('help').
+ *
+ * screen(user, kind, text) resolves to
+ *   { moderationStatus: 'visible' | 'held', moderationReasons }   save the content with these
+ *   { error, status }    refuse it: 403 banned, 429 too fast or repeated, 400 blocked term
+ * Admins (and controllers) are never screened. Held content waits in the moderation queue
+ * (utils/moderationQueue.js); the checks here only decide, they save nothing.
+ */
+
+// [window ms, max posts in it] per kind; counted per user and process
+const RATE_LIMITS = {
+  comment: [[60 * 1000, 6], [60 * 60 * 1000, 60]],
+  leaderboardComment: [[60 * 1000, 6], [60 * 60 * 1000, 60]],
+  story: [[60 * 60 * 1000, 5], [24 * 60 * 60 * 1000, 20]],
+  help: [[60 * 1000, 10], [60 * 60 * 1000, 60]]
+};
+const REPEAT_WINDOW_MS = 10 * 60 * 1000; // the same text again within this is refused
+const NEW_ACCOUNT_MS = 24 * 60 * 60 * 1000; // links from accounts younger than this are held
+const MAX_LINKS = 2;
+const BLOCKLIST_TTL_MS = 60 * 1000;
+const PERMANENT = new Date('9999-12-31T00:00:00Z');
+
+const LINK_RE = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|info|biz|xyz|top|io|me|co|ly|link|click|ru|tk|so)\b(?:\/\S*)?/gi;
+const SHORTENERS = ['bit.ly', 'tinyurl.com', 't.co', 'goo.gl', 'cutt.ly', 'is.gd', 'rb.gy', 'ow.ly', 'shorturl.at'];
+const INVITES = ['t.me/', 'telegram.me/', 'wa.me/', 'chat.whatsapp.com/'];
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+/* ---------- text normalization and the blocklist ---------- */
+
+// lowercase, no accents, common letter swaps undone, runs of 3+ letters collapsed and
+// s p a c e d letters joined; words separated by single spaces
+function normalize(text) {
+  return ' ' + String(text || '')
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[013457@$]/g, ch => LEET[ch])
+    .replace(/([a-z])\1{2,}/g, '$1')
+    .replace(/[^a-z0-9']+/g, ' ')
+    .replace(/\b(?:[a-z] ){2,}[a-z]\b/g, m => m.replace(/ /g, ''))
+    .trim() + ' ';
+}
+
+function envTerms(raw) {
+  return String(raw || '').split(',').map(t => normalize(t).trim()).filter(Boolean).map(term => ({ term, action: 'hold' }));
+}
+
+let blocklistCache = null; // { terms, at }
+
+async function blocklist() {
+  if (blocklistCache && Date.now() - blocklistCache.at < BLOCKLIST_TTL_MS) return blocklistCache.terms;
+  const stored = await BlockedTerm.find({}).select('term action').lean();
+  const terms = stored.concat(envTerms(MODERATION_BLOCKLIST_EN), envTerms(MODERATION_BLOCKLIST_SOM));
+  blocklistCache = { terms, at: Date.now() };
+  return terms;
+}
+
+// after the admin changes the blocklist
+function invalidateBlocklist() {
+  blocklistCache = null;
+}
+
+/* ---------- rate limits and repeats (in memory, per process) ---------- */
+
+const recent = new Map(); // `${kind}:${userId}` -> [{ at, text }]
+
+function pruneRecent(now) {
+  const longest = Math.max(REPEAT_WINDOW_MS, ...Object.values(RATE_LIMITS).flat().map(([ms]) => ms));
+  for (const [key, list] of recent) {
+    if (!list.length || now - list[list.length - 1].at > longest) recent.delete(key);
+  }
+}
+
+// { error, status } when over a limit or repeating; otherwise records the post
+function throttle(kind, userId, normalized) {
+  const now = Date.now();
+  if (recent.size > 10000) pruneRecent(now);
+  const key = kind + ':' + userId;
+  const limits = RATE_LIMITS[kind] || [];
+  const longest = Math.max(REPEAT_WINDOW_MS, ...limits.map(([ms]) => ms));
+  const list = (recent.get(key) || []).filter(p => now - p.at < longest);
+  for (const [ms, max] of limits) {
+    const inWindow = list.filter(p => now - p.at < ms);
+    if (inWindow.length >= max) {
+      const wait = Math.ceil((inWindow[0].at + ms - now) / 1000);
+      recent.set(key, list);
+      return { error: `You are posting too fast; try again in ${wait} s`, status: 429 };
+    }
+  }
+  if (normalized.trim().length > 3 && list.some(p => p.text === normalized && now - p.at < REPEAT_WINDOW_MS)) {
+    recent.set(key, list);
+    return { error: 'You already posted this', status: 429 };
+  }
+  list.push({ at: now, text: normalized });
+  recent.set(key, list);
+  return null;
+}
+
+/* ---------- heuristics ---------- */
+
+function linkReasons(text, accountAgeMs) {
+  const links = (String(text).match(LINK_RE) || []).map(l => l.toLowerCase());
+  if (!links.length) return [];
+  const reasons = [];
+  if (links.length > MAX_LINKS) reasons.push('links');
+  if (links.some(l => SHORTENERS.some(d => l.replace(/^https?:\/\//, '').replace(/^www\./, '').startsWith(d + '/')))) reasons.push('link shortener');
+  if (links.some(l => INVITES.some(d => l.includes(d)))) reasons.push('messaging invite');
+  if (accountAgeMs != null && accountAgeMs < NEW_ACCOUNT_MS) reasons.push('link from new account');
+  return reasons;
+}
+
+function spamReasons(text, normalized) {
+  const reasons = [];
+  const raw = String(text);
+  if (/(.)\1{9,}/u.test(raw)) reasons.push('repeated characters');
+  const letters = raw.replace(/[^A-Za-z]/g, '');
+  if (letters.length >= 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7) reasons.push('all caps');
+  const words = normalized.trim().split(' ').filter(w => w.length > 1);
+  if (words.length >= 8) {
+    const counts = new Map();
+    words.forEach(w => counts.set(w, (counts.get(w) || 0) + 1));
+    if (Math.max(...counts.values()) / words.length > 0.5) reasons.push('repeated words');
+  }
+  return reasons;
+}
+
+/* ---------- bans ---------- */
+
+function banMessage(u) {
+  return u.bannedUntil >= PERMANENT ? 'You are banned from posting' : `You are banned from posting until ${u.bannedUntil.toISOString().slice(0, 10)}`;
+}
+
+/** days: falsy = permanent. Returns the updated user (lean) or null. */
+async function banUser(userId, days, reason) {
+  if (!mongoose.Types.ObjectId.isValid(String(userId))) return null;
+  const until = days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : PERMANENT;
+  return User.findByIdAndUpdate(userId, { $set: { bannedUntil: until, banReason: reason || null } }, { new: true })
+    .select('username fullName bannedUntil banReason').lean();
+}
+
+async function unbanUser(userId) {
+  if (!mongoose.Types.ObjectId.isValid(String(userId))) return null;
+  return User.findByIdAndUpdate(userId, { $set: { bannedUntil: null, banReason: null } }, { new: true })
+    .select('username fullName bannedUntil banReason').lean();
+}
+
+/* ---------- screening ---------- */
+
+async function screen(user, kind, text) {
+  if (!user) return { error: 'Authentication required', status: 401 };
+  if (isAdminUser(user)) return { moderationStatus: 'visible' };
+
+  // fresh ban / account age (socket users and req.user may be older copies)
+  const account = mongoose.Types.ObjectId.isValid(String(user._id))
+    ? await User.findById(user._id).select('bannedUntil createdAt').lean()
+    : null;
+  if (account && account.bannedUntil && account.bannedUntil > new Date()) return { error: banMessage(account), status: 403 };
+
+  const normalized = normalize(text);
+  const limited = throttle(kind, String(user._id), normalized);
+  if (limited) return limited;
+
+  const reasons = [];
+  for (const t of await blocklist()) {
+    if (!normalized.includes(' ' + t.term + ' ')) continue;
+    if (t.action === 'reject') return { error: 'Your text contains words that are not allowed', status: 400 };
+    if (!reasons.includes('blocked term')) reasons.push('blocked term');
+  }
+  const accountAge = account && account.createdAt ? Date.now() - new Date(account.createdAt).getTime() : null;
+  reasons.push(...linkReasons(text, accountAge));
+  if (kind !== 'help') reasons.push(...spamReasons(text, normalized));
+
+  return reasons.length ? { moderationStatus: 'held', moderationReasons: reasons } : { moderationStatus: 'visible' };
+}
+
+module.exports = {
+  RATE_LIMITS,
+  PERMANENT,
+  normalize,
+  invalidateBlocklist,
+  screen,
+  banUser,
+  unbanUser
+};
@@ -0,0 +1,278 @@
+// backend/src/utils/moderationQueue.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const Comment = require('../models/Comment');
+const LeaderboardComment = require('../models/LeaderboardComment');
+const Story = require('../models/Story');
+const HelpConversation = require('../models/HelpConversation');
+const Report = require('../models/Report');
+const commentThreads = require('./commentThreads');
+const storyComments = require('./storyComments');
+const moderation = require('./moderation');
+const richText = require('./richText');
+const { REPORT_HOLD_THRESHOLD } = require('../config');
+
+/**
+ * The admin moderation queue over story comments, leaderboard comments, stories and help
+ * messages: everything held by utils/moderation.js or by reports, and everything with open reports.
+ *
+ * Items share one shape: { type, id, content, authorId, authorName, createdAt, status, reasons,
+ * reportCount, reports, context }. Help messages have no id of their own; theirs is
+ * '<conversationId>.<message index>' (messages are only ever appended).
+ *
+ * Decisions: approve (visible again, reports dismissed), remove (the type's own delete, reports
+ * actioned) and ban (remove, then ban the author).
+ */
+
+const TYPES = ['comment', 'leaderboardComment', 'story', 'help'];
+const REPORTABLE = ['comment', 'leaderboardComment', 'story'];
+const REPORT_REASONS = ['spam', 'abuse', 'inappropriate', 'other'];
+const QUEUE_FILTER = { $or: [{ moderationStatus: 'held' }, { reportCount: { $gt: 0 } }] };
+
+const fail = (status, error) => ({ error, status });
+const validId = (id) => !!id && mongoose.Types.ObjectId.isValid(String(id));
+const adminId = (user) => (validId(user._id) ? user._id : null);
+
+function competitionRoom(c) {
+  return `competition:${c.competitionId}`;
+}
+
+/**
+ * Per type: the model, how to find live items, read them as queue items and what hiding,
+ * showing and removing mean for them (sockets included).
+ */
+const TARGETS = {
+  comment: {
+    model: Comment,
+    live: { isDeleted: { $ne: true } },
+    item: c => ({ content: c.content, authorId: c.userId, authorName: c.userName, context: { storyId: c.storyId, parentId: c.parentId || null } }),
+    async hide(io, c) {
+      if (await commentThreads.setHeld(c, true)) {
+        storyComments.broadcast(io, c.storyId, 'story:comment:delete', { commentId: String(c._id), parentId: c.parentId ? String(c.parentId) : null, removed: 1 });
+      }
+    },
+    async show(io, c) {
+      if (await commentThreads.setHeld(c, false)) {
+        storyComments.broadcast(io, c.storyId, 'story:comment:new', { comment: commentThreads.toJson(Object.assign({}, c, { moderationStatus: 'visible' })) });
+      }
+    },
+    async remove(io, c) {
+      const removed = await commentThreads.deleteThread(c);
+      if (c.moderationStatus !== 'held') {
+        storyComments.broadcast(io, c.storyId, 'story:comment:delete', { commentId: String(c._id), parentId: c.parentId ? String(c.parentId) : null, removed });
+      }
+    }
+  },
+  leaderboardComment: {
+    model: LeaderboardComment,
+    live: { isDeleted: { $ne: true } },
+    item: c => ({ content: c.content, authorId: c.userId, authorName: c.userName, context: { competitionId: c.competitionId } }),
+    async hide(io, c) {
+      await LeaderboardComment.updateOne({ _id: c._id }, { $set: { moderationStatus: 'held' } });
+      if (io && c.moderationStatus !== 'held') io.to(competitionRoom(c)).emit('comments:deleted', { id: c._id });
+    },
+    async show(io, c) {
+      await LeaderboardComment.updateOne({ _id: c._id }, { $set: { moderationStatus: 'visible' } });
+      if (io && c.moderationStatus === 'held') io.to(competitionRoom(c)).emit('comments:new', { comment: Object.assign({}, c, { moderationStatus: 'visible' }) });
+    },
+    async remove(io, c, admin) {
+      await LeaderboardComment.updateOne({ _id: c._id }, { $set: { isDeleted: true, deletedBy: adminId(admin) } });
+      if (io && c.moderationStatus !== 'held') io.to(competitionRoom(c)).emit('comments:deleted', { id: c._id });
+    }
+  },
+  story: {
+    model: Story,
+    live: { isDeleted: { $ne: true } },
+    item: s => ({
+      content: [s.titleEng, s.titleSom, s.contentEng, s.contentSom].filter(Boolean).join('\n\n'),
+      authorId: s.authorId || null,
+      authorName: s.authorName || null,
+      context: { storyId: s._id, published: !!s.published, pendingApproval: !!s.pendingApproval }
+    }),
+    async hide(io, s) {
+      await Story.updateOne({ _id: s._id }, { $set: { moderationStatus: 'held' } });
+    },
+    async show(io, s) {
+      await Story.updateOne({ _id: s._id }, { $set: { moderationStatus: 'visible' } });
+    },
+    // soft delete: POST /api/stories/stories/:id/restore brings it back
+    async remove(io, s) {
+      await Story.updateOne({ _id: s._id }, { $set: { isDeleted: true, updatedAt: new Date() } });
+      if (io) io.emit('stories:deleted', { storyId: s._id });
+    }
+  }
+};
+
+/* ---------- reports ---------- */
+
+async function openReportCount(type, id) {
+  return Report.countDocuments({ targetType: type, targetId: id, status: 'open' });
+}
+
+/**
+ * payload: { targetType, targetId, reason, note } -> { report, held }. Reaching
+ * REPORT_HOLD_THRESHOLD open reports holds the target until an admin decides.
+ */
+async function report(io, user, payload) {
+  const { targetType, targetId } = payload || {};
+  if (!REPORTABLE.includes(targetType)) return fail(400, `targetType must be one of ${REPORTABLE.join(', ')}`);
+  if (!validId(targetId)) return fail(400, 'Invalid targetId');
+  if (!validId(user._id)) return fail(400, 'Reports need a real account');
+  const reason = REPORT_REASONS.includes(payload.reason) ? payload.reason : 'other';
+  const note = richText.text(payload.note || '').trim().slice(0, 500);
+
+  const t = TARGETS[targetType];
+  const target = await t.model.findOne(Object.assign({ _id: targetId }, t.live)).lean();
+  if (!target) return fail(404, 'Not found');
+  const { authorId } = t.item(target);
+  if (authorId && String(authorId) === String(user._id)) return fail(400, 'You cannot report your own post');
+
+  let created;
+  try {
+    created = await Report.create({ targetType, targetId, reporterId: user._id, reporterName: user.fullName || user.username || 'User', reason, note });
+  } catch (err) {
+    if (err && err.code === 11000) return fail(409, 'You already reported this');
+    throw err;
+  }
+  const reportCount = await openReportCount(targetType, target._id);
+  await t.model.updateOne({ _id: target._id }, { $set: { reportCount } });
+  let held = target.moderationStatus === 'held';
+  if (!held && reportCount >= REPORT_HOLD_THRESHOLD) {
+    await t.model.updateOne({ _id: target._id }, { $addToSet: { moderationReasons: 'reports' } });
+    await t.hide(io, target);
+    held = true;
+  }
+  return { report: created, held };
+}
+
+/* ---------- the queue ---------- */
+
+function toItem(type, doc) {
+  return Object.assign({
+    type,
+    id: String(doc._id),
+    createdAt: doc.createdAt,
+    status: doc.moderationStatus || 'visible',
+    reasons: doc.moderationReasons || [],
+    reportCount: doc.reportCount || 0,
+    reports: []
+  }, TARGETS[type].item(doc));
+}
+
+async function helpItems(limit, before) {
+  const convs = await HelpConversation.find({ 'messages.moderationStatus': 'held' }).sort({ updatedAt: -1 }).limit(limit).lean();
+  const items = [];
+  convs.forEach(conv => conv.messages.forEach((m, i) => {
+    if (m.moderationStatus !== 'held' || (before && !(m.createdAt < before))) return;
+    items.push({
+      type: 'help',
+      id: `${conv._id}.${i}`,
+      createdAt: m.createdAt,
+      status: 'held',
+      reasons: m.moderationReasons || [],
+      reportCount: 0,
+      reports: [],
+      content: m.text,
+      authorId: conv.userId,
+      authorName: conv.userName || conv.userUsername || null,
+      context: { conversationId: conv._id, issueType: m.issueType || conv.issueType || null }
+    });
+  }));
+  return items;
+}
+
+/** opts: { type?, status? ('held' | 'reported'), limit, before? } -> { items, nextBefore } newest first */
+async function listQueue(opts) {
+  const { type, status, limit, before } = opts;
+  const types = type ? [type] : TYPES;
+  const filter = status === 'held' ? { moderationStatus: 'held' } : status === 'reported' ? { reportCount: { $gt: 0 } } : QUEUE_FILTER;
+  const lists = await Promise.all(types.map(async ty => {
+    if (ty === 'help') return status === 'reported' ? [] : helpItems(limit, before);
+    const t = TARGETS[ty];
+    const q = Object.assign({}, t.live, filter);
+    if (before) q.createdAt = { $lt: before };
+    const docs = await t.model.find(q).sort({ createdAt: -1 }).limit(limit).lean();
+    return docs.map(d => toItem(ty, d));
+  }));
+  const items = lists.flat().sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)).slice(0, limit);
+
+  // open reports, newest first, for the reported items
+  const reported = items.filter(it => it.reportCount > 0);
+  if (reported.length) {
+    const reports = await Report.find({ status: 'open', $or: reported.map(it => ({ targetType: it.type, targetId: it.id })) })
+      .sort({ createdAt: -1 }).select('targetType targetId reason note reporterName createdAt').lean();
+    const byTarget = new Map(reported.map(it => [it.type + ':' + it.id, it]));
+    reports.forEach(r => {
+      const it = byTarget.get(r.targetType + ':' + String(r.targetId));
+      if (it) it.reports.push({ reason: r.reason, note: r.note, reporterName: r.reporterName, createdAt: r.createdAt });
+    });
+  }
+  const last = items[items.length - 1];
+  return { items, nextBefore: items.length === limit && last ? new Date(last.createdAt).toISOString() : null };
+}
+
+/* ---------- decisions ---------- */
+
+async function closeReports(type, id, admin, status) {
+  await Report.updateMany({ targetType: type, targetId: id, status: 'open' }, { $set: { status, resolvedBy: adminId(admin), resolvedAt: new Date() } });
+}
+
+async function decideHelp(admin, id, action) {
+  const [convId, index] = String(id).split('.');
+  const i = parseInt(index, 10);
+  if (!validId(convId) || !Number.isInteger(i) || i < 0) return fail(400, 'Invalid id');
+  const conv = await HelpConversation.findById(convId);
+  const m = conv && conv.messages[i];
+  if (!m || m.sender !== 'user') return fail(404, 'Not found');
+  if (action === 'approve') m.moderationStatus = 'visible';
+  else {
+    m.moderationStatus = 'removed';
+    m.text = '[removed by a moderator]';
+    if (i === conv.messages.length - 1) conv.lastMessage = m.text;
+  }
+  await conv.save();
+  return { authorId: conv.userId };
+}
+
+/**
+ * action: 'approve' | 'remove' | 'ban'; opts for ban: { days (falsy = permanent), reason }.
+ * Resolves to { ok, action, banned? } or { error, status }.
+ */
+async function decide(io, admin, type, id, action, opts) {
+  if (!TYPES.includes(type)) return fail(400, `type must be one of ${TYPES.join(', ')}`);
+  if (!['approve', 'remove', 'ban'].includes(action)) return fail(400, 'action must be approve, remove or ban');
+
+  let authorId;
+  if (type === 'help') {
+    const r = await decideHelp(admin, id, action);
+    if (r.error) return r;
+    authorId = r.authorId;
+  } else {
+    if (!validId(id)) return fail(400, 'Invalid id');
+    const t = TARGETS[type];
+    const doc = await t.model.findOne(Object.assign({ _id: id }, t.live)).lean();
+    if (!doc) return fail(404, 'Not found');
+    authorId = t.item(doc).authorId;
+    if (action === 'approve') await t.show(io, doc);
+    else await t.remove(io, doc, admin);
+    await t.model.updateOne({ _id: doc._id }, { $set: { reportCount: 0, moderatedBy: adminId(admin), moderatedAt: new Date() } });
+    await closeReports(type, doc._id, admin, action === 'approve' ? 'dismissed' : 'actioned');
+  }
+
+  if (action !== 'ban') return { ok: true, action };
+  if (!authorId) return fail(400, 'Removed; this content has no author account to ban');
+  const banned = await moderation.banUser(authorId, (opts && opts.days) || 0, opts && opts.reason);
+  if (!banned) return fail(404, 'Removed; author not found');
+  return { ok: true, action, banned };
+}
+
+module.exports = {
+  TYPES,
+  REPORTABLE,
+  REPORT_REASONS,
+  report,
+  listQueue,
+  decide
+};
@@ -0,0 +1,255 @@
+// backend/src/utils/progress.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const Attempt = require('../models/Attempt');
+const Folder = require('../models/Folder');
+const Lesson = require('../models/Lesson');
+const LessonProgress = require('../models/LessonProgress');
+const Test = require('../models/Test');
+const questionTypes = require('./questionTypes');
+const scoring = require('./scoring');
+
+/**
+ * Learning progress rollups. A lesson is completed once it was read to the end and, when it
+ * has tests, one of them was passed. Folder percentages cover the whole subtree and only count
+ * published, non-deleted lessons (the ones learners can reach).
+ */
+
+// lesson ids that have at least one live test
+async function lessonsWithTests(lessonIds) {
+  const ids = await Test.distinct('lessonId', { lessonId: { $in: lessonIds }, isDeleted: { $ne: true } });
+  return new Set(ids.map(String));
+}
+
+function isCompleted(p, tested) {
+  return !!p && !!p.readToEnd && (!!p.testPassed || !tested.has(String(p.lessonId)));
+}
+
+// live folders + published lessons, optionally limited to the subtree under rootFolderId
+// (the whole tree also takes the lessons at the root, folderId null)
+async function loadStructure(rootFolderId) {
+  const folders = await Folder.find({ isDeleted: { $ne: true } }).select('name parentId').lean();
+  const childrenOf = new Map();
+  folders.forEach(f => {
+    const pid = f.parentId ? String(f.parentId) : null;
+    if (!childrenOf.has(pid)) childrenOf.set(pid, []);
+    childrenOf.get(pid).push(f);
+  });
+
+  let scope = folders;
+  if (rootFolderId) {
+    const root = folders.find(f => String(f._id) === String(rootFolderId));
+    if (!root) return null;
+    scope = [];
+    const stack = [root];
+    const seen = new Set();
+    while (stack.length) {
+      const f = stack.pop();
+      if (seen.has(String(f._id))) continue;
+      seen.add(String(f._id));
+      scope.push(f);
+      (childrenOf.get(String(f._id)) || []).forEach(c => stack.push(c));
+    }
+  }
+
+  const folderIds = scope.map(f => f._id);
+  if (!rootFolderId) folderIds.push(null);
+  const lessons = await Lesson.find(Object.assign(
+    { folderId: { $in: folderIds }, isDeleted: { $ne: true } },
+    Lesson.PUBLISHED_FILTER
+  )).select('title folderId').lean();
+  return { folders: scope, lessons, childrenOf };
+}
+
+/**
+ * Per-folder { total, completed, percent } over each folder's subtree, plus a root row
+ * (folderId null) for lessons outside any folder when there are some.
+ * completedIds: Set of completed lesson ids.
+ */
+function rollup(structure, completedIds) {
+  const { folders, lessons, childrenOf } = structure;
+  const inScope = new Set(folders.map(f => String(f._id)));
+  const own = new Map();
+  lessons.forEach(l => {
+    const k = String(l.folderId);
+    const c = own.get(k) || { total: 0, completed: 0 };
+    c.total += 1;
+    if (completedIds.has(String(l._id))) c.completed += 1;
+    own.set(k, c);
+  });
+
+  const totals = new Map();
+  const visiting = new Set();
+  const sum = (f) => {
+    const k = String(f._id);
+    if (totals.has(k)) return totals.get(k);
+    const acc = Object.assign({ total: 0, completed: 0 }, own.get(k));
+    visiting.add(k);
+    (childrenOf.get(k) || []).forEach(c => {
+      if (!inScope.has(String(c._id)) || visiting.has(String(c._id))) return;
+      const s = sum(c);
+      acc.total += s.total;
+      acc.completed += s.completed;
+    });
+    visiting.delete(k);
+    totals.set(k, acc);
+    return acc;
+  };
+
+  const row = (folderId, parentId, name, s) => ({
+    folderId,
+    parentId,
+    name,
+    total: s.total,
+    completed: s.completed,
+    percent: s.total ? Math.round((s.completed / s.total) * 100) : 0
+  });
+  const rows = folders.map(f => row(f._id, f.parentId || null, f.name, sum(f)));
+  if (own.has('null')) rows.push(row(null, null, null, own.get('null')));
+  return rows;
+}
+
+/**
+ * Progress report for one user: every published lesson in scope with its record,
+ * folder rollups and the overall completion. Returns null when rootFolderId does not exist.
+ */
+async function userReport(userId, rootFolderId) {
+  const structure = await loadStructure(rootFolderId);
+  if (!structure) return null;
+  const lessonIds = structure.lessons.map(l => l._id);
+  const [records, tested] = await Promise.all([
+    LessonProgress.find({ userId, lessonId: { $in: lessonIds } }).lean(),
+    lessonsWithTests(lessonIds)
+  ]);
+  const byLesson = new Map(records.map(r => [String(r.lessonId), r]));
+
+  const completedIds = new Set();
+  const lessons = structure.lessons.map(l => {
+    const p = byLesson.get(String(l._id));
+    const completed = isCompleted(p, tested);
+    if (completed) completedIds.add(String(l._id));
+    return {
+      lessonId: l._id,
+      folderId: l.folderId,
+      title: l.title,
+      hasTests: tested.has(String(l._id)),
+      opened: !!(p && p.openCount),
+      openCount: p ? p.openCount : 0,
+      lastOpenedAt: p ? p.lastOpenedAt : null,
+      timeSpentSeconds: p ? p.timeSpentSeconds : 0,
+      readToEnd: !!(p && p.readToEnd),
+      testPassed: !!(p && p.testPassed),
+      bestTestPercent: p ? p.bestTestPercent : 0,
+      completed
+    };
+  });
+
+  const folders = rollup(structure, completedIds);
+  const total = lessons.length;
+  return {
+    overall: { total, completed: completedIds.size, percent: total ? Math.round((completedIds.size / total) * 100) : 0 },
+    folders,
+    lessons
+  };
+}
+
+/**
+ * Who worked on a folder subtree: one row per learner with progress there, most complete first.
+ */
+async function folderReport(rootFolderId) {
+  const structure = await loadStructure(rootFolderId);
+  if (!structure) return null;
+  const lessonIds = structure.lessons.map(l => l._id);
+  const tested = await lessonsWithTests(lessonIds);
+  const testedIds = lessonIds.filter(id => tested.has(String(id)));
+
+  const rows = await LessonProgress.aggregate([
+    { $match: { lessonId: { $in: lessonIds } } },
+    { $group: {
+      _id: '$userId',
+      opened: { $sum: { $cond: [{ $gt: ['$openCount', 0] }, 1, 0] } },
+      completed: { $sum: { $cond: [
+        { $and: ['$readToEnd', { $or: ['$testPassed', { $not: [{ $in: ['$lessonId', testedIds] }] }] }] }, 1, 0
+      ] } },
+      timeSpentSeconds: { $sum: '$timeSpentSeconds' },
+      lastActiveAt: { $max: '$lastActiveAt' }
+    } },
+    { $sort: { completed: -1, lastActiveAt: -1 } },
+    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+    { $unwind: '$user' },
+    { $project: { opened: 1, completed: 1, timeSpentSeconds: 1, lastActiveAt: 1, 'user.fullName': 1, 'user.username': 1 } }
+  ]);
+
+  const total = lessonIds.length;
+  return {
+    total,
+    students: rows.map(r => ({
+      userId: r._id,
+      name: r.user.fullName || r.user.username || '',
+      opened: r.opened,
+      completed: r.completed,
+      percent: total ? Math.round((r.completed / total) * 100) : 0,
+      finished: total > 0 && r.completed >= total,
+      timeSpentSeconds: r.timeSpentSeconds,
+      lastActiveAt: r.lastActiveAt || null
+    }))
+  };
+}
+
+/**
+ * Share of questions (0-100) answered correctly in a submitted attempt; null without answers.
+ * Stored as Attempt.percentCorrect on submit.
+ */
+function attemptPercent(test, attempt) {
+  const answers = attempt.answers || [];
+  if (!answers.length) return null;
+  const questions = new Map(Attempt.questionsFor(test, attempt).map(q => [String(q.id || q._id), q]));
+  let correct = 0;
+  answers.forEach(a => {
+    const q = questions.get(String(a.questionId));
+    if (!q || a.timedOut) return;
+    // answers skipped for points (already scored before) still show what the learner knows
+    const ok = a.skippedAlreadyScored
+      ? questionTypes.evaluateResponse(q, {
+        selectedOptionId: a.selectedOptionId || null,
+        selectedOptionIds: a.selectedOptionIds && a.selectedOptionIds.length ? Array.from(a.selectedOptionIds) : undefined,
+        value: a.value || null,
+        order: a.order && a.order.length ? Array.from(a.order) : undefined
+      }).correct
+      : a.correct;
+    if (ok) correct += 1;
+  });
+  return Math.round((correct / answers.length) * 100);
+}
+
+// lesson ids (strings) among lessonIds the user has completed
+async function completedLessonIds(userId, lessonIds) {
+  const [records, tested] = await Promise.all([
+    LessonProgress.find({ userId, lessonId: { $in: lessonIds }, readToEnd: true }).select('lessonId readToEnd testPassed').lean(),
+    lessonsWithTests(lessonIds)
+  ]);
+  return new Set(records.filter(p => isCompleted(p, tested)).map(p => String(p.lessonId)));
+}
+
+/**
+ * After a submitted attempt: record the result on the lesson the test belongs to.
+ * Passing = share of questions answered correctly >= the test's scoring.passPercent.
+ */
+async function recordAttempt(userId, test, attempt) {
+  if (!test.lessonId) return null;
+  const percent = attempt.percentCorrect != null ? attempt.percentCorrect : attemptPercent(test, attempt);
+  if (percent == null) return null;
+  const passed = percent >= scoring.resolvePolicy(test.scoring).passPercent;
+  await LessonProgress.recordTestResult(userId, new mongoose.Types.ObjectId(String(test.lessonId)), percent, passed);
+  return { percent, passed };
+}
+
+module.exports = {
+  userReport,
+  folderReport,
+  attemptPercent,
+  completedLessonIds,
+  recordAttempt
+};
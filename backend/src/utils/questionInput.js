@@ -0,0 +1,110 @@
+// backend/src/utils/questionInput.js
+'use strict';
+
+const questionTypes = require('./questionTypes');
+const richText = require('./richText');
+const { DEFAULT_CORRECT_POINTS } = require('./scoring');
+
+const QUESTION_FORMATS = ['text', 'markdown'];
+
+/**
+ * Admin question payloads (tests, question bank, imports) -> sanitized question shape.
+ * { format: 'markdown' } questions keep their Markdown text / explanation and get the rendered html.
+ */
+
+function sanitizeBilingual(raw) {
+  if (!raw) return { en: '', som: '' };
+  if (typeof raw === 'string') return { en: richText.basic(raw), som: '' };
+  return {
+    en: richText.basic(String(raw.en || '')),
+    som: richText.basic(String(raw.som || ''))
+  };
+}
+
+function listOfStrings(raw) {
+  if (!Array.isArray(raw)) raw = raw ? String(raw).split('|') : [];
+  return raw.map(x => richText.basic(String(x || '')).trim()).filter(Boolean);
+}
+
+function buildOptions(raw) {
+  return (Array.isArray(raw) ? raw : []).map(o => ({
+    id: o.id || ('o_' + Math.random().toString(36).slice(2,8)),
+    text: sanitizeBilingual(o.text || ''),
+    isCorrect: !!o.isCorrect
+  }));
+}
+
+// admin payload -> QuestionSchema shape for its type
+function buildQuestion(q) {
+  const type = questionTypes.questionType(q);
+  const out = {
+    id: q.id || ('q_' + Math.random().toString(36).slice(2,8)),
+    type,
+    format: 'text',
+    text: sanitizeBilingual(q.text || ''),
+    explanation: sanitizeBilingual(q.explanation || ''),
+    options: [],
+    pointsValue: Number(q.pointsValue || DEFAULT_CORRECT_POINTS)
+  };
+  if (q.format === 'markdown') {
+    const text = richText.renderBilingual('markdown', q.text || '');
+    const explanation = richText.renderBilingual('markdown', q.explanation || '');
+    Object.assign(out, { format: 'markdown', text: text.source, explanation: explanation.source, html: { text: text.html, explanation: explanation.html } });
+  }
+  if (type === 'truefalse') {
+    // accept { correctAnswer: true|false|'true'|'false' } or options flagged isCorrect
+    const flagged = (Array.isArray(q.options) ? q.options : []).find(o => o && o.isCorrect);
+    const answer = q.correctAnswer !== undefined ? String(q.correctAnswer) : (flagged ? String(flagged.id) : '');
+    out.options = questionTypes.TRUE_FALSE_OPTIONS.map(o => ({ id: o.id, text: o.text, isCorrect: o.id === answer }));
+  } else if (type === 'single' || type === 'multi' || type === 'ordering') {
+    out.options = buildOptions(q.options);
+  }
+  if (type === 'multi' || type === 'ordering') out.partialCredit = !!q.partialCredit;
+  if (type === 'numeric') {
+    out.numericAnswer = q.numericAnswer === '' || q.numericAnswer === null || q.numericAnswer === undefined ? null : Number(q.numericAnswer);
+    out.tolerance = Math.abs(Number(q.tolerance || 0));
+  }
+  if (type === 'text') {
+    const acc = q.acceptedAnswers || {};
+    out.acceptedAnswers = Array.isArray(acc) ? { en: listOfStrings(acc), som: [] } : { en: listOfStrings(acc.en), som: listOfStrings(acc.som) };
+    out.caseSensitive = !!q.caseSensitive;
+  }
+  return out;
+}
+
+// builds + validates every question (ids must be unique); returns { questions, errors: [{ index, questionId, error }] }
+function buildQuestions(payload) {
+  const questions = [];
+  const errors = [];
+  const seen = new Set();
+  (Array.isArray(payload) ? payload : []).forEach((raw, index) => {
+    if (raw && raw.type && !questionTypes.QUESTION_TYPES.includes(raw.type)) {
+      errors.push({ index, questionId: raw.id || null, error: 'Unknown question type: ' + String(raw.type) });
+      return;
+    }
+    if (raw && raw.format && !QUESTION_FORMATS.includes(raw.format)) {
+      errors.push({ index, questionId: raw.id || null, error: 'Unknown question format: ' + String(raw.format) });
+      return;
+    }
+    const q = buildQuestion(raw || {});
+    const error = seen.has(q.id) ? 'Duplicate question id' : questionTypes.validateQuestion(q);
+    if (error) errors.push({ index, questionId: q.id, error });
+    seen.add(q.id);
+    questions.push(q);
+  });
+  return { questions, errors };
+}
+
+// "Algebra, fractions" or ['Algebra'] -> ['algebra', 'fractions']
+function normalizeTags(raw) {
+  const list = Array.isArray(raw) ? raw : (raw ? String(raw).split(',') : []);
+  return Array.from(new Set(list.map(t => richText.basic(String(t || '')).trim().toLowerCase().slice(0, 50)).filter(Boolean)));
+}
+
+module.exports = {
+  sanitizeBilingual,
+  listOfStrings,
+  buildQuestion,
+  buildQuestions,
+  normalizeTags
+};
@@ -0,0 +1,244 @@
+// backend/src/utils/questionTypes.js
+'use strict';
+
+/**
+ * Question types stored in Test.questions and how each one is answered and scored.
+ *
+ *  - single     one correct option (legacy default)
+ *  - multi      any number of correct options; exact set, or partial credit when partialCredit=true
+ *  - truefalse  fixed options with ids 'true' / 'false'
+ *  - numeric    numericAnswer within ± tolerance
+ *  - text       short answer matched against acceptedAnswers.en / acceptedAnswers.som
+ *  - ordering   options are stored in the correct order; players get them shuffled
+ *
+ * A response (from /attempts/:attemptId/answer or /submit) looks like
+ *   { selectedOptionId }          single, truefalse
+ *   { selectedOptionIds: [] }     multi
+ *   { value }                     numeric, text
+ *   { order: [] }                 ordering
+ */
+
+const QUESTION_TYPES = ['single', 'multi', 'truefalse', 'numeric', 'text', 'ordering'];
+const OPTION_TYPES = ['single', 'multi', 'truefalse', 'ordering'];
+
+const TRUE_FALSE_OPTIONS = [
+  { id: 'true', text: { en: 'True', som: 'Run' } },
+  { id: 'false', text: { en: 'False', som: 'Been' } }
+];
+
+function questionType(q) {
+  return q && QUESTION_TYPES.includes(q.type) ? q.type : 'single';
+}
+
+function optionKey(o) {
+  return String(o.id || o._id);
+}
+
+function toIdList(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw.filter(x => x !== null && x !== undefined && x !== '').map(String);
+}
+
+// trims, collapses inner whitespace and (unless caseSensitive) lowercases a short text answer
+function normalizeText(raw, caseSensitive) {
+  const s = String(raw || '').trim().replace(/\s+/g, ' ');
+  return caseSensitive ? s : s.toLowerCase();
+}
+
+// accepts "3,5" as well as "3.5"
+function parseNumber(raw) {
+  if (raw === null || raw === undefined || raw === '') return NaN;
+  return Number(String(raw).trim().replace(',', '.'));
+}
+
+/**
+ * Validate a normalized question. Returns an error message or null.
+ */
+function validateQuestion(q) {
+  const type = questionType(q);
+  const text = q.text || {};
+  if (!String(text.en || '').trim() && !String(text.som || '').trim()) return 'Question text required';
+
+  const options = q.options || [];
+  if (OPTION_TYPES.includes(type)) {
+    if (options.length < 2) return 'At least two options required';
+    const ids = options.map(optionKey);
+    if (new Set(ids).size !== ids.length) return 'Option ids must be unique';
+  }
+  const correctCount = options.filter(o => o.isCorrect).length;
+
+  switch (type) {
+    case 'single':
+    case 'truefalse':
+      if (correctCount !== 1) return 'Exactly one correct option required';
+      return null;
+    case 'multi':
+      if (correctCount < 1) return 'At least one correct option required';
+      return null;
+    case 'numeric':
+      if (!Number.isFinite(Number(q.numericAnswer)) || q.numericAnswer === null) return 'numericAnswer required';
+      if (!(Number(q.tolerance || 0) >= 0)) return 'tolerance must be zero or positive';
+      return null;
+    case 'text': {
+      const acc = q.acceptedAnswers || {};
+      const count = toIdList(acc.en).concat(toIdList(acc.som)).filter(a => a.trim()).length;
+      if (!count) return 'At least one accepted answer required';
+      return null;
+    }
+    case 'ordering':
+      return null;
+    default:
+      return 'Unknown question type';
+  }
+}
+
+/**
+ * Pick the fields that matter for this question type out of a raw answer payload.
+ */
+function normalizeResponse(q, raw) {
+  const r = raw || {};
+  switch (questionType(q)) {
+    case 'multi': {
+      const ids = r.selectedOptionIds !== undefined ? toIdList(r.selectedOptionIds) : (r.selectedOptionId ? [String(r.selectedOptionId)] : []);
+      return { selectedOptionIds: Array.from(new Set(ids)) };
+    }
+    case 'numeric':
+    case 'text': {
+      const v = r.value === null || r.value === undefined ? '' : String(r.value).trim().slice(0, 500);
+      return { value: v || null };
+    }
+    case 'ordering':
+      return { order: toIdList(r.order) };
+    default:
+      return { selectedOptionId: r.selectedOptionId ? String(r.selectedOptionId) : null };
+  }
+}
+
+function hasResponse(resp) {
+  if (!resp) return false;
+  if (resp.selectedOptionId) return true;
+  if (Array.isArray(resp.selectedOptionIds) && resp.selectedOptionIds.length) return true;
+  if (resp.value !== null && resp.value !== undefined && resp.value !== '') return true;
+  if (Array.isArray(resp.order) && resp.order.length) return true;
+  return false;
+}
+
+/**
+ * Score a normalized response. Returns { answered, correct, credit } where credit is 0..1.
+ */
+function evaluateResponse(q, resp) {
+  const answered = hasResponse(resp);
+  if (!answered) return { answered: false, correct: false, credit: 0 };
+  const options = q.options || [];
+  let credit = 0;
+
+  switch (questionType(q)) {
+    case 'multi': {
+      const correctIds = new Set(options.filter(o => o.isCorrect).map(optionKey));
+      const chosen = resp.selectedOptionIds || [];
+      const hits = chosen.filter(id => correctIds.has(id)).length;
+      const wrong = chosen.length - hits;
+      if (hits === correctIds.size && wrong === 0) credit = 1;
+      else if (q.partialCredit && correctIds.size) credit = Math.max(0, (hits - wrong) / correctIds.size);
+      break;
+    }
+    case 'numeric': {
+      const v = parseNumber(resp.value);
+      const tolerance = Math.abs(Number(q.tolerance || 0));
+      if (Number.isFinite(v) && Math.abs(v - Number(q.numericAnswer)) <= tolerance) credit = 1;
+      break;
+    }
+    case 'text': {
+      const given = normalizeText(resp.value, !!q.caseSensitive);
+      const acc = q.acceptedAnswers || {};
+      const accepted = toIdList(acc.en).concat(toIdList(acc.som)).map(a => normalizeText(a, !!q.caseSensitive));
+      if (given && accepted.includes(given)) credit = 1;
+      break;
+    }
+    case 'ordering': {
+      const expected = options.map(optionKey);
+      const order = resp.order || [];
+      const inPlace = expected.filter((id, i) => order[i] === id).length;
+      if (inPlace === expected.length && order.length === expected.length) credit = 1;
+      else if (q.partialCredit && expected.length) credit = inPlace / expected.length;
+      break;
+    }
+    default: {
+      const chosen = options.find(o => optionKey(o) === String(resp.selectedOptionId));
+      if (chosen && chosen.isCorrect) credit = 1;
+    }
+  }
+
+  return { answered: true, correct: credit === 1, credit };
+}
+
+/**
+ * The correct answer for a question, in the shape of its response.
+ * Only sent to players after their own answer has been recorded.
+ */
+function correctAnswerFor(q) {
+  const options = q.options || [];
+  switch (questionType(q)) {
+    case 'multi':
+      return { correctOptionIds: options.filter(o => o.isCorrect).map(optionKey) };
+    case 'numeric':
+      return { numericAnswer: q.numericAnswer, tolerance: Number(q.tolerance || 0) };
+    case 'text':
+      return { acceptedAnswers: q.acceptedAnswers || { en: [], som: [] } };
+    case 'ordering':
+      return { correctOrder: options.map(optionKey) };
+    default: {
+      const correctOpt = options.find(o => o.isCorrect);
+      return { correctOptionId: correctOpt ? optionKey(correctOpt) : null };
+    }
+  }
+}
+
+function shuffled(arr) {
+  const out = arr.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/**
+ * Player-facing view of a question: option correctness, explanation and
+ * answer keys are stripped so answers cannot be read before they are recorded.
+ */
+function toPlayerQuestion(q) {
+  const type = questionType(q);
+  let options = (q.options || []).map(o => ({ id: o.id || (o._id ? String(o._id) : null), text: o.text || { en: '', som: '' } }));
+  if (type === 'ordering') options = shuffled(options);
+  if (type === 'numeric' || type === 'text') options = [];
+  return {
+    id: String(q.id || q._id),
+    type,
+    text: q.text || { en: '', som: '' },
+    format: q.format || 'text',
+    html: questionHtml(q, 'text'),
+    options,
+    pointsValue: q.pointsValue
+  };
+}
+
+// rendered { en, som } html of a markdown question's text / explanation, null for plain-text questions
+function questionHtml(q, field) {
+  if (q.format !== 'markdown' || !q.html) return null;
+  return q.html[field] || { en: '', som: '' };
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  TRUE_FALSE_OPTIONS,
+  questionType,
+  validateQuestion,
+  normalizeResponse,
+  hasResponse,
+  evaluateResponse,
+  correctAnswerFor,
+  toPlayerQuestion,
+  questionHtml,
+  shuffled
+};
@@ -0,0 +1,172 @@
+// backend/src/utils/readingProgress.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const Story = require('../models/Story');
+const StorySeries = require('../models/StorySeries');
+const StoryRead = require('../models/StoryRead');
+const StoryProgress = require('../models/StoryProgress');
+const storySeries = require('./storySeries');
+
+/**
+ * Readers of stories: who has read what (StoryRead, one record per reader and story, with the
+ * total kept on Story.readCount) and where each reader is (StoryProgress, per series or per
+ * standalone story). Feeds for the story page:
+ *   continueReading  unfinished chapters/stories, or the next chapter after a finished one
+ *   newChapters      chapters added to a series after the reader started it, not read yet
+ */
+
+const FINISHED_PERCENT = 95; // scrolled this far = finished; also counts as read
+const FEED_LIMIT = 20;
+
+const validId = (id) => mongoose.Types.ObjectId.isValid(String(id || ''));
+const toId = (id) => new mongoose.Types.ObjectId(String(id));
+
+/** Record that userId read storyId; the first time adds to the story's readCount. Resolves to true then. */
+async function markRead(userId, storyId) {
+  if (!validId(userId) || !validId(storyId)) return false;
+  const r = await StoryRead.updateOne(
+    { storyId: toId(storyId), userId: toId(userId) },
+    { $setOnInsert: { readAt: new Date() } },
+    { upsert: true }
+  );
+  if (!r.upsertedCount) return false;
+  await Story.updateOne({ _id: storyId }, { $inc: { readCount: 1 } });
+  return true;
+}
+
+/** The ids (strings) among storyIds that userId has read. */
+async function readSet(userId, storyIds) {
+  if (!validId(userId) || !storyIds.length) return new Set();
+  const reads = await StoryRead.find({ userId: toId(userId), storyId: { $in: storyIds } }).select('storyId').lean();
+  return new Set(reads.map(r => String(r.storyId)));
+}
+
+/** Adds isRead to each story for userId (a string id, or null for anonymous readers: left out). */
+async function withReadFlags(userId, stories) {
+  if (!userId) return stories;
+  const read = await readSet(userId, stories.map(s => s._id));
+  stories.forEach(s => { s.isRead = read.has(String(s._id)); });
+  return stories;
+}
+
+/** Save userId's position: the story (a chapter when it has seriesId) and how far it is scrolled. */
+async function saveProgress(userId, story, percent) {
+  const pct = Math.round(Math.max(0, Math.min(100, Number(percent) || 0)) * 10) / 10;
+  const now = new Date();
+  const finished = pct >= FINISHED_PERCENT;
+  const subject = story.seriesId || story._id;
+  await StoryProgress.updateOne({ userId: toId(userId), subject }, {
+    $set: {
+      seriesId: story.seriesId || null,
+      storyId: story._id,
+      chapterIndex: story.seriesId ? story.chapterIndex : null,
+      percent: pct,
+      finished,
+      updatedAt: now
+    },
+    $setOnInsert: { createdAt: now }
+  }, { upsert: true });
+  if (finished) await markRead(userId, story._id);
+  return StoryProgress.findOne({ userId: toId(userId), subject }).lean();
+}
+
+/** userId's position in this story: its series record when on this chapter, or its own. */
+async function progressFor(userId, story) {
+  if (!validId(userId)) return null;
+  const p = await StoryProgress.findOne({ userId: toId(userId), subject: story.seriesId || story._id }).lean();
+  return p && String(p.storyId) === String(story._id) ? p : null;
+}
+
+/** userId's record for a whole series (null when they have not started it). */
+async function seriesProgress(userId, seriesId) {
+  if (!validId(userId)) return null;
+  return StoryProgress.findOne({ userId: toId(userId), subject: seriesId }).lean();
+}
+
+async function seriesById(ids) {
+  const list = ids.length ? await StorySeries.find({ _id: { $in: ids }, isDeleted: { $ne: true } }).select(storySeries.SERIES_FIELDS).lean() : [];
+  return new Map(list.map(x => [String(x._id), x]));
+}
+
+/**
+ * Most recently read first: { series, story, percent, next, updatedAt } where story is the chapter
+ * to open (next: true when it follows a finished one, from 0%). Finished standalone stories and
+ * finished series drop out.
+ */
+async function continueReading(userId, limit = FEED_LIMIT) {
+  if (!validId(userId)) return [];
+  const records = await StoryProgress.find({ userId: toId(userId) }).sort({ updatedAt: -1 }).limit(limit * 3).lean();
+  const series = await seriesById(Array.from(new Set(records.filter(p => p.seriesId).map(p => String(p.seriesId)))));
+  const stories = await Story.find({ $and: [Story.VISIBLE_FILTER, { _id: { $in: records.map(p => p.storyId) } }] }).select(storySeries.CHAPTER_FIELDS).lean();
+  const storyById = new Map(stories.map(s => [String(s._id), s]));
+
+  const items = await Promise.all(records.map(async (p) => {
+    const s = p.seriesId ? series.get(String(p.seriesId)) || null : null;
+    if (p.seriesId && !s) return null; // series deleted since
+    const story = storyById.get(String(p.storyId));
+    if (!p.finished) return story ? { series: s, story, percent: p.percent, next: false, updatedAt: p.updatedAt } : null;
+    if (!s || p.chapterIndex == null) return null;
+    const { next } = await storySeries.neighbours(p.seriesId, p.chapterIndex);
+    return next ? { series: s, story: next, percent: 0, next: true, updatedAt: p.updatedAt } : null;
+  }));
+  return items.filter(Boolean).slice(0, limit);
+}
+
+/** Newest first: { series, story } for chapters added after userId started their series and not read yet. */
+async function newChapters(userId, limit = FEED_LIMIT) {
+  if (!validId(userId)) return [];
+  const records = await StoryProgress.find({ userId: toId(userId), seriesId: { $ne: null } }).select('seriesId createdAt').lean();
+  if (!records.length) return [];
+  const chapters = await Story.find({
+    $and: [Story.VISIBLE_FILTER, { $or: records.map(p => ({ seriesId: p.seriesId, chapterAddedAt: { $gt: p.createdAt } })) }]
+  }).sort({ chapterAddedAt: -1 }).limit(limit * 3).select(storySeries.CHAPTER_FIELDS).lean();
+  const read = await readSet(userId, chapters.map(c => c._id));
+  const series = await seriesById(Array.from(new Set(chapters.map(c => String(c.seriesId)))));
+  return chapters
+    .filter(c => !read.has(String(c._id)) && series.has(String(c.seriesId)))
+    .slice(0, limit)
+    .map(c => ({ series: series.get(String(c.seriesId)), story: c }));
+}
+
+/** Reads and positions of stories that are gone for good. */
+async function forgetStories(storyIds) {
+  if (!storyIds.length) return;
+  await StoryRead.deleteMany({ storyId: { $in: storyIds } });
+  await StoryProgress.deleteMany({ storyId: { $in: storyIds } });
+}
+
+/**
+ * Startup migration: readers recorded in the old Story.readBy arrays become StoryRead records and
+ * readCount; the arrays are removed. Resolves to the number of stories migrated (0 once done).
+ */
+async function backfillReads() {
+  const legacy = await Story.find({ readBy: { $exists: true } }).select('_id readBy createdAt').lean();
+  for (const s of legacy) {
+    const readers = Array.from(new Set((s.readBy || []).map(String))).filter(validId);
+    if (readers.length) {
+      const ops = readers.map(uid => ({
+        updateOne: { filter: { storyId: s._id, userId: toId(uid) }, update: { $setOnInsert: { readAt: s.createdAt || new Date() } }, upsert: true }
+      }));
+      for (let i = 0; i < ops.length; i += 500) await StoryRead.bulkWrite(ops.slice(i, i + 500), { ordered: false });
+    }
+    const readCount = await StoryRead.countDocuments({ storyId: s._id });
+    await Story.updateOne({ _id: s._id }, { $set: { readCount }, $unset: { readBy: 1 } });
+  }
+  return legacy.length;
+}
+
+module.exports = {
+  FINISHED_PERCENT,
+  FEED_LIMIT,
+  markRead,
+  withReadFlags,
+  saveProgress,
+  progressFor,
+  seriesProgress,
+  continueReading,
+  newChapters,
+  forgetStories,
+  backfillReads
+};
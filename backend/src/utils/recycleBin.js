@@ -0,0 +1,261 @@
+// backend/src/utils/recycleBin.js
+'use strict';
+
+const DeletionBatch = require('../models/DeletionBatch');
+const Folder = require('../models/Folder');
+const Lesson = require('../models/Lesson');
+const LessonProgress = require('../models/LessonProgress');
+const LessonRevision = require('../models/LessonRevision');
+const Test = require('../models/Test');
+const { RECYCLE_RETENTION_DAYS } = require('../config');
+
+/**
+ * Recycle bin for the lesson tree. Deletes cascade: a folder takes its subfolders, their lessons
+ * and tests (attached to those lessons or directly to the folders) along; a lesson takes its
+ * tests. Everything hidden by one delete shares a DeletionBatch, so a restore brings back exactly
+ * that set — items deleted earlier on their own stay in their own batch.
+ * Restored items whose folder / lesson is still deleted are re-attached at the top level.
+ * Documents deleted before batches existed ("legacy") have no deletionBatchId; they restore and
+ * purge by subtree like before.
+ */
+
+const DAY_MS = 24 * 3600 * 1000;
+const LIVE = { isDeleted: { $ne: true } };
+const MODELS = { folder: Folder, lesson: Lesson, test: Test };
+
+function retentionDays() {
+  return Number.isFinite(RECYCLE_RETENTION_DAYS) && RECYCLE_RETENTION_DAYS > 0 ? RECYCLE_RETENTION_DAYS : 30;
+}
+
+function titleOf(kind, doc) {
+  if (kind === 'folder') return { en: (doc.name && doc.name.en) || '', som: (doc.name && doc.name.som) || '' };
+  if (kind === 'lesson') return { en: (doc.title && doc.title.en) || '', som: (doc.title && doc.title.som) || '' };
+  return { en: doc.title || '', som: '' };
+}
+
+// root folder and every folder below it matching `match` (level by level, cycles ignored)
+async function subtreeFolderIds(rootId, match) {
+  const ids = [rootId];
+  const seen = new Set([String(rootId)]);
+  let frontier = [rootId];
+  while (frontier.length) {
+    const kids = await Folder.find(Object.assign({ parentId: { $in: frontier } }, match)).select('_id').lean();
+    frontier = kids.map(k => k._id).filter(id => !seen.has(String(id)));
+    frontier.forEach(id => { seen.add(String(id)); ids.push(id); });
+  }
+  return ids;
+}
+
+/** Documents that go (or come back) together with folder / lesson / test `id`, among those matching `match`. */
+async function collect(kind, id, match) {
+  if (kind === 'test') return { folderIds: [], lessonIds: [], testIds: [id] };
+  if (kind === 'lesson') {
+    const testIds = await Test.distinct('_id', Object.assign({ lessonId: id }, match));
+    return { folderIds: [], lessonIds: [id], testIds };
+  }
+  const folderIds = await subtreeFolderIds(id, match);
+  const lessonIds = await Lesson.distinct('_id', Object.assign({ folderId: { $in: folderIds } }, match));
+  const testIds = await Test.distinct('_id', Object.assign({
+    $or: [{ lessonId: { $in: lessonIds } }, { lessonId: null, folderId: { $in: folderIds } }]
+  }, match));
+  return { folderIds, lessonIds, testIds };
+}
+
+const countsOf = (items) => ({ folders: items.folderIds.length, lessons: items.lessonIds.length, tests: items.testIds.length });
+
+async function updateItems(items, filter, update) {
+  await Promise.all([
+    items.folderIds.length ? Folder.updateMany(Object.assign({ _id: { $in: items.folderIds } }, filter), update) : null,
+    items.lessonIds.length ? Lesson.updateMany(Object.assign({ _id: { $in: items.lessonIds } }, filter), update) : null,
+    items.testIds.length ? Test.updateMany(Object.assign({ _id: { $in: items.testIds } }, filter), update) : null
+  ]);
+}
+
+/**
+ * Soft delete a folder / lesson / test with everything below it as one batch.
+ * Returns { batch } or { alreadyDeleted: true }; null when it does not exist.
+ */
+async function softDelete(kind, id, user) {
+  const doc = await MODELS[kind].findById(id).lean();
+  if (!doc) return null;
+  if (doc.isDeleted) return { alreadyDeleted: true };
+
+  const items = await collect(kind, doc._id, LIVE);
+  const now = new Date();
+  const batch = await DeletionBatch.create({
+    rootKind: kind,
+    rootId: doc._id,
+    title: titleOf(kind, doc),
+    deletedBy: user ? user._id : null,
+    deletedByName: user ? (user.fullName || user.username || '') : '',
+    deletedAt: now,
+    counts: countsOf(items)
+  });
+  await updateItems(items, LIVE, { $set: { isDeleted: true, deletedAt: now, deletionBatchId: batch._id } });
+  return { batch };
+}
+
+// restored items whose container is gone or still deleted move to the top level; returns how many
+async function reattach(items) {
+  const liveIds = async (Model, ids) => new Set((await Model.find(Object.assign({ _id: { $in: ids } }, LIVE)).select('_id').lean()).map(d => String(d._id)));
+  const orphans = async (Model, ids, field, Container) => {
+    if (!ids.length) return [];
+    const docs = await Model.find({ _id: { $in: ids }, [field]: { $ne: null } }).select(field).lean();
+    const live = await liveIds(Container, docs.map(d => d[field]));
+    return docs.filter(d => !live.has(String(d[field]))).map(d => d._id);
+  };
+
+  const [folders, lessons, testsNoLesson, testsNoFolder] = await Promise.all([
+    orphans(Folder, items.folderIds, 'parentId', Folder),
+    orphans(Lesson, items.lessonIds, 'folderId', Folder),
+    orphans(Test, items.testIds, 'lessonId', Lesson),
+    orphans(Test, items.testIds, 'folderId', Folder)
+  ]);
+  await Promise.all([
+    folders.length ? Folder.updateMany({ _id: { $in: folders } }, { $set: { parentId: null } }) : null,
+    lessons.length ? Lesson.updateMany({ _id: { $in: lessons } }, { $set: { folderId: null } }) : null,
+    lessons.length ? Test.updateMany({ lessonId: { $in: lessons } }, { $set: { folderId: null } }) : null,
+    testsNoLesson.length ? Test.updateMany({ _id: { $in: testsNoLesson } }, { $set: { lessonId: null } }) : null,
+    testsNoFolder.length ? Test.updateMany({ _id: { $in: testsNoFolder } }, { $set: { folderId: null } }) : null
+  ]);
+  return folders.length + lessons.length + new Set(testsNoLesson.concat(testsNoFolder).map(String)).size;
+}
+
+const RESTORE = { $set: { isDeleted: false, deletedAt: null, deletionBatchId: null } };
+
+// batches with nothing left in the bin are closed with `status`
+async function closeIfEmpty(batchId, status, userId) {
+  const left = await Promise.all([Folder, Lesson, Test].map(M => M.exists({ deletionBatchId: batchId, isDeleted: true })));
+  if (left.some(Boolean)) return;
+  const now = new Date();
+  await DeletionBatch.updateOne({ _id: batchId, status: 'deleted' }, { $set: status === 'restored'
+    ? { status, restoredAt: now, restoredBy: userId || null }
+    : { status, purgedAt: now } });
+}
+
+/** Restore everything one delete operation removed. Returns { restored, movedToTop } or null. */
+async function restoreBatch(batchId, userId) {
+  const batch = await DeletionBatch.findOne({ _id: batchId, status: 'deleted' }).lean();
+  if (!batch) return null;
+  const match = { deletionBatchId: batch._id, isDeleted: true };
+  const [folderIds, lessonIds, testIds] = await Promise.all([Folder, Lesson, Test].map(M => M.distinct('_id', match)));
+  const items = { folderIds, lessonIds, testIds };
+  await updateItems(items, match, RESTORE);
+  const movedToTop = await reattach(items);
+  await closeIfEmpty(batch._id, 'restored', userId);
+  return { restored: countsOf(items), movedToTop };
+}
+
+/**
+ * Restore one deleted folder / lesson / test and what was deleted with it below it (same batch,
+ * or for legacy deletes: every deleted item below it). Returns { restored, movedToTop } or null.
+ */
+async function restoreItem(kind, id, userId) {
+  const doc = await MODELS[kind].findOne({ _id: id, isDeleted: true }).select('deletionBatchId').lean();
+  if (!doc) return null;
+  const match = doc.deletionBatchId ? { deletionBatchId: doc.deletionBatchId, isDeleted: true } : { isDeleted: true, deletionBatchId: null };
+  const items = await collect(kind, doc._id, match);
+  await updateItems(items, match, RESTORE);
+  const movedToTop = await reattach(items);
+  if (doc.deletionBatchId) await closeIfEmpty(doc.deletionBatchId, 'restored', userId);
+  return { restored: countsOf(items), movedToTop };
+}
+
+// permanent removal, with the lessons' revisions and learner progress
+async function purge(items) {
+  await Promise.all([
+    items.folderIds.length ? Folder.deleteMany({ _id: { $in: items.folderIds } }) : null,
+    items.lessonIds.length ? Lesson.deleteMany({ _id: { $in: items.lessonIds } }) : null,
+    items.lessonIds.length ? LessonRevision.deleteMany({ lessonId: { $in: items.lessonIds } }) : null,
+    items.lessonIds.length ? LessonProgress.deleteMany({ lessonId: { $in: items.lessonIds } }) : null,
+    items.testIds.length ? Test.deleteMany({ _id: { $in: items.testIds } }) : null
+  ]);
+  return countsOf(items);
+}
+
+/** Permanently delete a folder / lesson / test and everything below it, deleted or not. */
+async function permanentDelete(kind, id) {
+  const doc = await MODELS[kind].findById(id).select('deletionBatchId').lean();
+  if (!doc) return null;
+  const removed = await purge(await collect(kind, doc._id, {}));
+  if (doc.deletionBatchId) await closeIfEmpty(doc.deletionBatchId, 'purged');
+  return removed;
+}
+
+/** Permanently delete what is left of one batch. */
+async function purgeBatch(batchId) {
+  const batch = await DeletionBatch.findOne({ _id: batchId, status: 'deleted' }).lean();
+  if (!batch) return null;
+  const match = { deletionBatchId: batch._id, isDeleted: true };
+  const [folderIds, lessonIds, testIds] = await Promise.all([Folder, Lesson, Test].map(M => M.distinct('_id', match)));
+  const removed = await purge({ folderIds, lessonIds, testIds });
+  await DeletionBatch.updateOne({ _id: batch._id }, { $set: { status: 'purged', purgedAt: new Date() } });
+  return removed;
+}
+
+/**
+ * Purge batches (and legacy deletes) older than the retention period. Legacy documents get a
+ * deletedAt on their first run, so they are kept for a full period from then.
+ */
+async function purgeExpired(now = new Date()) {
+  const cutoff = new Date(now.getTime() - retentionDays() * DAY_MS);
+  await Promise.all([Folder, Lesson, Test].map(M => M.updateMany({ isDeleted: true, deletedAt: null }, { $set: { deletedAt: now } })));
+
+  const batches = await DeletionBatch.find({ status: 'deleted', deletedAt: { $lt: cutoff } }).select('_id').lean();
+  for (const b of batches) await purgeBatch(b._id);
+
+  const legacy = { isDeleted: true, deletionBatchId: null, deletedAt: { $lt: cutoff } };
+  const [folderIds, lessonIds, testIds] = await Promise.all([Folder, Lesson, Test].map(M => M.distinct('_id', legacy)));
+  const removed = await purge({ folderIds, lessonIds, testIds });
+  return { batches: batches.length, legacy: removed };
+}
+
+/**
+ * The bin: open batches, newest first, with what is still in them and when they will be purged,
+ * plus legacy deleted items.
+ */
+async function listBin() {
+  const batches = await DeletionBatch.find({ status: 'deleted' }).sort({ deletedAt: -1 }).lean();
+  const ids = batches.map(b => b._id);
+  const live = await Promise.all([Folder, Lesson, Test].map(M => (ids.length ? M.aggregate([
+    { $match: { deletionBatchId: { $in: ids }, isDeleted: true } },
+    { $group: { _id: '$deletionBatchId', n: { $sum: 1 } } }
+  ]) : [])));
+  const [folders, lessons, tests] = live.map(rows => new Map(rows.map(r => [String(r._id), r.n])));
+  const days = retentionDays();
+
+  const rows = batches.map(b => {
+    const k = String(b._id);
+    return {
+      _id: b._id,
+      rootKind: b.rootKind,
+      rootId: b.rootId,
+      title: b.title,
+      deletedBy: b.deletedBy,
+      deletedByName: b.deletedByName,
+      deletedAt: b.deletedAt,
+      purgeAt: new Date(new Date(b.deletedAt).getTime() + days * DAY_MS),
+      counts: { folders: folders.get(k) || 0, lessons: lessons.get(k) || 0, tests: tests.get(k) || 0 },
+      deletedCounts: b.counts
+    };
+  }).filter(r => r.counts.folders + r.counts.lessons + r.counts.tests > 0);
+
+  const legacyMatch = { isDeleted: true, deletionBatchId: null };
+  const [legacyFolders, legacyLessons, legacyTests] = await Promise.all([
+    Folder.find(legacyMatch).select('name parentId deletedAt').lean(),
+    Lesson.find(legacyMatch).select('title folderId deletedAt').lean(),
+    Test.find(legacyMatch).select('title lessonId folderId deletedAt').lean()
+  ]);
+  return { retentionDays: days, batches: rows, legacy: { folders: legacyFolders, lessons: legacyLessons, tests: legacyTests } };
+}
+
+module.exports = {
+  retentionDays,
+  softDelete,
+  restoreBatch,
+  restoreItem,
+  permanentDelete,
+  purgeBatch,
+  purgeExpired,
+  listBin
+};
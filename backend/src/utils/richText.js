@@ -0,0 +1,230 @@
+// backend/src/utils/richText.js
+'use strict';
+
+const sanitizeHtml = require('sanitize-html');
+const katex = require('katex');
+const { Marked } = require('marked');
+
+/**
+ * Every sanitizer configuration for user / admin supplied text lives here (lessons, test
+ * questions, stories, comments), so routes never call sanitize-html with their own options.
+ *
+ *  - plain(s)       no markup at all, entity-encoded (notes shown as HTML)
+ *  - text(s)        no markup at all, entities decoded (stories and comments, which clients escape)
+ *  - basic(s)       sanitize-html defaults (text-format lessons and questions, as before)
+ *  - rich(html)     formatting, tables, code, MathML, images / audio from /media/ and
+ *                   YouTube embeds; used for HTML content and for rendered Markdown
+ *  - markdown(src)  Markdown -> rich(): GFM, $inline$ / $$display$$ / ```math LaTeX (KaTeX,
+ *                   MathML output so no styles or fonts are needed), ![alt](/media/x.png) images,
+ *                   ![title](/media/x.mp3) audio, a YouTube link alone on a line -> embedded player
+ *
+ * Markdown sources are stored as written and only ever shown escaped; readers get the
+ * sanitized HTML rendered on save.
+ */
+
+const FORMATS = ['text', 'html', 'markdown'];
+const MEDIA_PREFIX = '/media/';
+const AUDIO_EXT = /\.(mp3|ogg|oga|wav|m4a|webm)$/i;
+const YOUTUBE_HOST = 'www.youtube-nocookie.com';
+const MAX_SOURCE_LENGTH = 200000;
+
+const MATHML_TAGS = [
+  'math', 'semantics', 'annotation', 'mrow', 'mi', 'mn', 'mo', 'ms', 'mtext', 'mspace', 'msup', 'msub',
+  'msubsup', 'mfrac', 'msqrt', 'mroot', 'mover', 'munder', 'munderover', 'mtable', 'mtr', 'mtd',
+  'mstyle', 'mpadded', 'mphantom', 'menclose', 'merror'
+];
+const MATHML_ATTRIBUTES = [
+  'xmlns', 'display', 'encoding', 'mathvariant', 'stretchy', 'fence', 'separator', 'accent', 'accentunder',
+  'lspace', 'rspace', 'width', 'height', 'depth', 'linethickness', 'columnalign', 'rowspacing', 'columnspacing',
+  'scriptlevel', 'displaystyle', 'minsize', 'maxsize', 'movablelimits', 'symmetric', 'notation', 'voffset'
+];
+
+const isLocalMedia = (src) => typeof src === 'string' && src.startsWith(MEDIA_PREFIX) && !src.includes('..');
+
+function youtubeId(url) {
+  let u;
+  try { u = new URL(url); } catch (e) { return null; }
+  const host = u.hostname.replace(/^www\./, '').replace(/^m\./, '');
+  let id = null;
+  if (host === 'youtu.be') id = u.pathname.slice(1);
+  else if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+    if (u.pathname === '/watch') id = u.searchParams.get('v');
+    else {
+      const m = u.pathname.match(/^\/(?:embed|shorts|live)\/([^/]+)/);
+      id = m ? m[1] : null;
+    }
+  }
+  return id && /^[\w-]{11}$/.test(id) ? id : null;
+}
+
+function youtubeEmbed(id) {
+  return `<iframe src="https://${YOUTUBE_HOST}/embed/${id}" width="560" height="315" title="YouTube video" ` +
+    'allow="encrypted-media; picture-in-picture; fullscreen" allowfullscreen loading="lazy"></iframe>';
+}
+
+const RICH = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat([
+    'img', 'audio', 'source', 'iframe', 'figure', 'figcaption', 'del', 'ins', 'sup', 'sub', 'details', 'summary'
+  ], MATHML_TAGS),
+  allowedAttributes: Object.assign(
+    {
+      a: ['href', 'name', 'target', 'title', 'rel'],
+      img: ['src', 'alt', 'title', 'width', 'height', 'loading'],
+      audio: ['src', 'controls', 'preload'],
+      source: ['src', 'type'],
+      iframe: ['src', 'width', 'height', 'title', 'allow', 'allowfullscreen', 'loading'],
+      code: ['class'],
+      th: ['align', 'colspan', 'rowspan'],
+      td: ['align', 'colspan', 'rowspan'],
+      ol: ['start'],
+      input: ['type', 'checked', 'disabled']
+    },
+    Object.fromEntries(MATHML_TAGS.map(t => [t, MATHML_ATTRIBUTES]))
+  ),
+  allowedClasses: { code: [/^language-[\w-]+$/] },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: [], audio: [], source: [], iframe: ['https'] },
+  allowProtocolRelative: false,
+  allowedIframeHostnames: [YOUTUBE_HOST, 'www.youtube.com'],
+  transformTags: {
+    a: (tagName, attribs) => ({ tagName, attribs: Object.assign({}, attribs, attribs.target ? { rel: 'noopener noreferrer' } : {}) }),
+    // embeds are re-written to the privacy-enhanced player
+    iframe: (tagName, attribs) => {
+      const id = youtubeId(attribs.src || '');
+      return id ? { tagName, attribs: Object.assign({}, attribs, { src: `https://${YOUTUBE_HOST}/embed/${id}` }) } : { tagName, attribs: {} };
+    }
+  },
+  // media only from our own storage, iframes only with a valid YouTube video
+  exclusiveFilter: (frame) => {
+    if (frame.tag === 'img' || frame.tag === 'source') return !isLocalMedia(frame.attribs.src);
+    if (frame.tag === 'audio') return !!frame.attribs.src && !isLocalMedia(frame.attribs.src);
+    if (frame.tag === 'iframe') return !frame.attribs.src;
+    return false;
+  }
+};
+
+function plain(s) {
+  return sanitizeHtml(String(s == null ? '' : s), { allowedTags: [], allowedAttributes: {} });
+}
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+function text(s) {
+  return plain(s).replace(/&(?:amp|lt|gt|quot|#39);/g, e => ENTITIES[e]);
+}
+
+function basic(s) {
+  return sanitizeHtml(String(s == null ? '' : s));
+}
+
+function rich(html) {
+  return sanitizeHtml(String(html == null ? '' : html), RICH);
+}
+
+function renderMath(tex, displayMode) {
+  return katex.renderToString(tex, { displayMode, output: 'mathml', throwOnError: false, trust: false, maxSize: 50, maxExpand: 500 });
+}
+
+const mathExtensions = [
+  {
+    name: 'mathBlock',
+    level: 'block',
+    start: (src) => { const i = src.indexOf('$$'); return i < 0 ? undefined : i; },
+    tokenizer(src) {
+      const m = /^\$\$([\s\S]+?)\$\$[ \t]*(?:\n|$)/.exec(src);
+      if (m) return { type: 'mathBlock', raw: m[0], text: m[1].trim() };
+      return undefined;
+    },
+    renderer: (token) => renderMath(token.text, true) + '\n'
+  },
+  {
+    name: 'mathInline',
+    level: 'inline',
+    start: (src) => { const i = src.indexOf('$'); return i < 0 ? undefined : i; },
+    tokenizer(src) {
+      const display = /^\$\$([^$]+?)\$\$/.exec(src);
+      if (display) return { type: 'mathInline', raw: display[0], text: display[1].trim(), display: true };
+      // $x$ but not prices: no space just inside the dollars, no digit right after the closing one
+      const m = /^\$(?!\s)((?:\\\$|[^$\n])+?)(?<!\s)\$(?!\d)/.exec(src);
+      if (m) return { type: 'mathInline', raw: m[0], text: m[1], display: false };
+      return undefined;
+    },
+    renderer: (token) => renderMath(token.text, token.display)
+  }
+];
+
+const marked = new Marked({ gfm: true, breaks: true });
+marked.use({
+  extensions: mathExtensions,
+  renderer: {
+    code(token) {
+      if (token.lang === 'math') return renderMath(token.text, true) + '\n';
+      return false;
+    },
+    image(token) {
+      if (AUDIO_EXT.test(token.href || '')) {
+        return `<audio controls preload="none" src="${escapeAttr(token.href)}"></audio>`;
+      }
+      return false;
+    },
+    paragraph(token) {
+      const only = (token.tokens || []).filter(t => !(t.type === 'text' && !t.raw.trim()));
+      if (only.length === 1 && only[0].type === 'link') {
+        const id = youtubeId(only[0].href);
+        if (id) return youtubeEmbed(id) + '\n';
+      }
+      return false;
+    }
+  }
+});
+
+function escapeAttr(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function markdown(src) {
+  const text = String(src == null ? '' : src).slice(0, MAX_SOURCE_LENGTH);
+  return rich(marked.parse(text));
+}
+
+/**
+ * Author input -> { source, html } for one language of a `format` field.
+ * text: source cleaned like before, no html; html: source and html both rich(); markdown: source
+ * kept verbatim, html rendered.
+ */
+function renderField(format, raw) {
+  const s = String(raw == null ? '' : raw);
+  if (format === 'markdown') return { source: s.slice(0, MAX_SOURCE_LENGTH), html: markdown(s) };
+  if (format === 'html') {
+    const clean = rich(s);
+    return { source: clean, html: clean };
+  }
+  return { source: basic(s), html: '' };
+}
+
+/** Bilingual { en, som } input -> { source: { en, som }, html: { en, som } } */
+function renderBilingual(format, raw) {
+  const value = typeof raw === 'string' ? { en: raw, som: '' } : (raw || {});
+  const en = renderField(format, value.en || '');
+  const som = renderField(format, value.som || '');
+  return { source: { en: en.source, som: som.source }, html: { en: en.html, som: som.html } };
+}
+
+function parseFormat(raw, fallback) {
+  if (raw === undefined || raw === null || raw === '') return { format: fallback };
+  if (!FORMATS.includes(raw)) return { error: `format must be one of ${FORMATS.join(', ')}` };
+  return { format: raw };
+}
+
+module.exports = {
+  FORMATS,
+  MEDIA_PREFIX,
+  plain,
+  text,
+  basic,
+  rich,
+  markdown,
+  renderBilingual,
+  parseFormat,
+  youtubeId
+};
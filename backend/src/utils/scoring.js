@@ -0,0 +1,136 @@
+// backend/src/utils/scoring.js
+'use strict';
+
+const questionTypes = require('./questionTypes');
+
+/**
+ * Scoring policy stored on Test.scoring.
+ *
+ *  incorrectPenalty     points for a wrong answer (zero or negative)
+ *  blankPenalty         points for an unanswered / timed-out question (zero or negative)
+ *  timeBonus            extra points for a correct answer, scaled by the share of the window left
+ *  streakMultiplier     extra multiplier per consecutive correct answer (0.1 => x1.0, x1.1, x1.2 ...)
+ *  maxStreakMultiplier  cap for the streak multiplier
+ *  retakesEarnPoints    false => only the first submitted attempt can add to User.pointsCurrent
+ *  maxAttempts          submitted attempts allowed per user (0 = unlimited)
+ *  passPercent          share of questions answered correctly (0-100) that counts as passing the
+ *                       test for learning progress (see utils/progress.js)
+ */
+const DEFAULT_POLICY = Object.freeze({
+  incorrectPenalty: -1,
+  blankPenalty: 0,
+  timeBonus: 0,
+  streakMultiplier: 0,
+  maxStreakMultiplier: 2,
+  retakesEarnPoints: true,
+  maxAttempts: 0,
+  passPercent: 60
+});
+
+const DEFAULT_CORRECT_POINTS = 3;
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Validate admin input. Returns { policy } with only the provided keys, or { error }.
+ */
+function parsePolicyInput(raw) {
+  if (raw === null || raw === undefined) return { policy: {} };
+  if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'scoring must be an object' };
+  const policy = {};
+  const num = (key) => {
+    if (raw[key] === undefined || raw[key] === null || raw[key] === '') return true;
+    const n = Number(raw[key]);
+    if (!Number.isFinite(n)) return false;
+    policy[key] = n;
+    return true;
+  };
+  for (const key of ['incorrectPenalty', 'blankPenalty', 'timeBonus', 'streakMultiplier', 'maxStreakMultiplier', 'maxAttempts', 'passPercent']) {
+    if (!num(key)) return { error: `scoring.${key} must be a number` };
+  }
+  if (policy.incorrectPenalty > 0) return { error: 'scoring.incorrectPenalty must be zero or negative' };
+  if (policy.blankPenalty > 0) return { error: 'scoring.blankPenalty must be zero or negative' };
+  if (policy.timeBonus < 0) return { error: 'scoring.timeBonus must be zero or positive' };
+  if (policy.streakMultiplier < 0) return { error: 'scoring.streakMultiplier must be zero or positive' };
+  if (policy.maxStreakMultiplier !== undefined && policy.maxStreakMultiplier < 1) return { error: 'scoring.maxStreakMultiplier must be at least 1' };
+  if (policy.maxAttempts !== undefined && (policy.maxAttempts < 0 || !Number.isInteger(policy.maxAttempts))) {
+    return { error: 'scoring.maxAttempts must be a whole number (0 = unlimited)' };
+  }
+  if (policy.passPercent !== undefined && (policy.passPercent < 0 || policy.passPercent > 100)) {
+    return { error: 'scoring.passPercent must be between 0 and 100' };
+  }
+  if (raw.retakesEarnPoints !== undefined) policy.retakesEarnPoints = !!raw.retakesEarnPoints;
+  return { policy };
+}
+
+// stored (possibly partial) policy -> complete policy
+function resolvePolicy(stored) {
+  const out = Object.assign({}, DEFAULT_POLICY);
+  const src = stored && typeof stored.toObject === 'function' ? stored.toObject() : (stored || {});
+  Object.keys(DEFAULT_POLICY).forEach(k => {
+    if (src[k] !== undefined && src[k] !== null) out[k] = src[k];
+  });
+  return out;
+}
+
+/**
+ * Score a list of answers in the order they were given.
+ * items: [{ q, response, timedOut, elapsedSeconds, windowSeconds, skipped }]
+ *  - skipped: already scored in an earlier attempt => 0 points, does not touch the streak
+ * Returns { total, maxStreak, results: [{ questionId, answered, correct, credit, points, basePoints, bonus, multiplier }] }
+ */
+function scoreAnswers(items, policy) {
+  const p = resolvePolicy(policy);
+  let total = 0;
+  let streak = 0;
+  let maxStreak = 0;
+  const results = [];
+
+  for (const item of items) {
+    const q = item.q;
+    const questionId = String(q.id || q._id);
+    if (item.skipped) {
+      results.push({ questionId, answered: questionTypes.hasResponse(item.response), correct: false, credit: 0, points: 0, basePoints: 0, bonus: 0, multiplier: 1 });
+      continue;
+    }
+
+    const evaluation = item.timedOut ? { answered: false, correct: false, credit: 0 } : questionTypes.evaluateResponse(q, item.response);
+    const pointsValue = Number(q.pointsValue || DEFAULT_CORRECT_POINTS);
+    let basePoints = 0;
+    let bonus = 0;
+    let multiplier = 1;
+
+    if (evaluation.correct) {
+      streak += 1;
+      maxStreak = Math.max(maxStreak, streak);
+      multiplier = Math.min(p.maxStreakMultiplier, 1 + p.streakMultiplier * (streak - 1));
+      basePoints = pointsValue;
+      const windowSeconds = Number(item.windowSeconds || 0);
+      const elapsed = Number(item.elapsedSeconds);
+      if (p.timeBonus > 0 && windowSeconds > 0 && Number.isFinite(elapsed)) {
+        bonus = p.timeBonus * Math.max(0, Math.min(1, 1 - elapsed / windowSeconds));
+      }
+    } else {
+      streak = 0;
+      if (evaluation.credit > 0) basePoints = pointsValue * evaluation.credit; // partial credit
+      else if (evaluation.answered) basePoints = p.incorrectPenalty;
+      else basePoints = p.blankPenalty; // unanswered or outside the question window
+    }
+
+    const points = round2(basePoints * multiplier + bonus);
+    total += points;
+    results.push({ questionId, answered: evaluation.answered, correct: evaluation.correct, credit: evaluation.credit, points, basePoints: round2(basePoints), bonus: round2(bonus), multiplier: round2(multiplier) });
+  }
+
+  return { total: round2(total), maxStreak, results };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  DEFAULT_CORRECT_POINTS,
+  parsePolicyInput,
+  resolvePolicy,
+  scoreAnswers
+};
@@ -0,0 +1,114 @@
+// backend/src/utils/search.js
+'use strict';
+
+/**
+ * Helpers for GET /api/search: turn the query into the words MongoDB matched, and build
+ * highlighted snippets. Snippets are HTML-escaped text with matches wrapped in <mark>.
+ * The text indexes use language 'none' (no stemming), so a hit means the exact word occurs.
+ */
+
+const SNIPPET_RADIUS = 80;
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&nbsp;': ' ' };
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// lesson content is stored as HTML; snippets are built from its text
+function plainText(html) {
+  return String(html || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, m => ENTITIES[m])
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Words and "quoted phrases" of a $text query, minus -negated ones
+ * (same syntax MongoDB's $search accepts).
+ */
+function searchTerms(q) {
+  const terms = [];
+  const rest = String(q || '').replace(/(-?)"([^"]+)"/g, (m, neg, phrase) => {
+    if (!neg && phrase.trim()) terms.push(phrase.trim());
+    return ' ';
+  });
+  rest.split(/\s+/).forEach(w => {
+    if (!w || w.startsWith('-')) return;
+    w.split(/[^\p{L}\p{N}]+/u).forEach(part => { if (part) terms.push(part); });
+  });
+  return Array.from(new Set(terms.map(t => t.toLowerCase())));
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// whole-word, case-insensitive; longer terms first so phrases win over their words
+function termsRegex(terms) {
+  if (!terms.length) return null;
+  const alts = terms.slice().sort((a, b) => b.length - a.length).map(escapeRegex).join('|');
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alts})(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+function matches(text, terms) {
+  const re = termsRegex(terms);
+  return !!re && re.test(String(text || ''));
+}
+
+function highlight(text, terms) {
+  const s = String(text || '');
+  const re = termsRegex(terms);
+  if (!re) return escapeHtml(s);
+  let out = '';
+  let last = 0;
+  s.replace(re, (m, offset) => {
+    out += escapeHtml(s.slice(last, offset)) + '<mark>' + escapeHtml(m) + '</mark>';
+    last = offset + m.length;
+    return m;
+  });
+  return out + escapeHtml(s.slice(last));
+}
+
+/**
+ * Up to ~2 * radius characters of `text` around its first match, cut at word boundaries
+ * and highlighted. Without a match the start of the text is used.
+ */
+function snippet(text, terms, radius = SNIPPET_RADIUS) {
+  const s = String(text || '');
+  const re = termsRegex(terms);
+  const m = re ? re.exec(s) : null;
+  const at = m ? m.index : 0;
+  let start = Math.max(0, at - radius);
+  let end = Math.min(s.length, at + (m ? m[0].length : 0) + radius);
+  if (start > 0) {
+    const space = s.indexOf(' ', start);
+    if (space !== -1 && space < at) start = space + 1;
+  }
+  if (end < s.length) {
+    const space = s.lastIndexOf(' ', end);
+    if (space > at) end = space;
+  }
+  return (start > 0 ? '… ' : '') + highlight(s.slice(start, end), terms) + (end < s.length ? ' …' : '');
+}
+
+/**
+ * Pick the language to show for a bilingual value: `lang` when it matches (or nothing
+ * matches anywhere), otherwise the other language that does.
+ */
+function matchingLang(values, terms, lang) {
+  const order = lang === 'som' ? ['som', 'en'] : ['en', 'som'];
+  const hit = order.find(l => values[l] && matches(values[l], terms));
+  return hit || order.find(l => values[l]) || order[0];
+}
+
+module.exports = {
+  escapeHtml,
+  plainText,
+  searchTerms,
+  matches,
+  highlight,
+  snippet,
+  matchingLang
+};
@@ -0,0 +1,68 @@
+// backend/src/utils/spacedRepetition.js
+'use strict';
+
+/**
+ * SM-2 scheduling for ReviewCard.
+ *
+ * quality 0..5: 0 blank / timed out, 1 wrong, 2 mostly wrong (little partial credit),
+ * 3 correct but hard (or good partial credit), 4 correct, 5 correct and easy.
+ * quality < 3 starts the card over (due again tomorrow); otherwise the interval grows
+ * 1 day -> 6 days -> previous interval x easiness.
+ */
+
+const MIN_EASINESS = 1.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EASE_QUALITY = { hard: 3, good: 4, easy: 5 };
+
+// evaluation (questionTypes.evaluateResponse) + optional self-rating for correct answers -> quality
+function qualityFor(evaluation, ease) {
+  if (!evaluation.answered) return 0;
+  if (evaluation.correct) return EASE_QUALITY[ease] || EASE_QUALITY.good;
+  if (evaluation.credit >= 0.5) return 3;
+  if (evaluation.credit > 0) return 2;
+  return 1;
+}
+
+// returns the card fields to set after a review with `quality`
+function schedule(card, quality, now) {
+  let easiness = Number(card.easiness) || 2.5;
+  let repetitions = Number(card.repetitions) || 0;
+  let intervalDays = Number(card.intervalDays) || 0;
+  let lapses = Number(card.lapses) || 0;
+
+  if (quality < 3) {
+    repetitions = 0;
+    intervalDays = 1;
+    lapses += 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) intervalDays = 1;
+    else if (repetitions === 2) intervalDays = 6;
+    else intervalDays = Math.round(Math.max(1, intervalDays) * easiness);
+  }
+  easiness = Math.max(MIN_EASINESS, easiness + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+  return {
+    easiness: Math.round(easiness * 1000) / 1000,
+    repetitions,
+    intervalDays,
+    lapses,
+    dueAt: new Date(now.getTime() + intervalDays * DAY_MS),
+    lastReviewedAt: now,
+    lastQuality: quality,
+    updatedAt: now
+  };
+}
+
+// cards due "today" are those due before the end of the current UTC day
+function endOfDay(now) {
+  const d = new Date(now.getTime());
+  d.setUTCHours(23, 59, 59, 999);
+  return d;
+}
+
+module.exports = {
+  qualityFor,
+  schedule,
+  endOfDay
+};
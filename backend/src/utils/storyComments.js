@@ -0,0 +1,193 @@
+// backend/src/utils/storyComments.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const Story = require('../models/Story');
+const Comment = require('../models/Comment');
+const commentThreads = require('./commentThreads');
+const richText = require('./richText');
+const moderation = require('./moderation');
+const { isAdminUser } = require('../middleware/auth');
+
+/**
+ * Story comment / reaction actions shared by routes/stories.js (REST) and socket.js, so both
+ * validate the same way and broadcast the same events to the story's room:
+ *
+ *   story:comment:new       { storyId, comment }                 (comment.parentId set for replies)
+ *   story:comment:edit      { storyId, comment }
+ *   story:comment:delete    { storyId, commentId, parentId, removed }
+ *   story:comment:pin       { storyId, commentId, isPinned }
+ *   story:comment:reaction  { storyId, commentId, reactionCounts, reactionTotal }
+ *   story:reaction          { storyId, reactionCounts }
+ *   story:typing            { storyId, parentId, userId, userName, typing }  (socket only)
+ *
+ * Every action takes (io, user, payload) and resolves to a result or { error, status }.
+ * New and edited text goes through utils/moderation.js first: held comments are answered with
+ * `held: true` and only broadcast once an admin approves them (utils/moderationQueue.js).
+ * `user` is req.user or the socket's user ({ _id, fullName, username, role, isAdmin }).
+ */
+
+const REACTIONS = ['like', 'love', 'haha', 'wow', 'angry', 'sad'];
+const MAX_COMMENT_LENGTH = 2000;
+
+const roomOf = (storyId) => `story:${storyId}`;
+
+function broadcast(io, storyId, event, payload) {
+  if (io) io.to(roomOf(storyId)).emit(event, Object.assign({ storyId: String(storyId) }, payload));
+}
+
+const fail = (status, error) => ({ error, status });
+const validId = (id) => !!id && mongoose.Types.ObjectId.isValid(String(id));
+const displayName = (user) => user.fullName || user.username || 'User';
+
+// stories a user may read (and so comment on / react to); admins also reach hidden ones
+async function findStory(user, storyId) {
+  if (!validId(storyId)) return null;
+  const filter = isAdminUser(user) ? { isDeleted: { $ne: true } } : Story.VISIBLE_FILTER;
+  return Story.findOne(Object.assign({ _id: storyId }, filter));
+}
+
+function parseContent(raw) {
+  const content = richText.text(raw || '').trim();
+  if (!content) return { error: 'Content required' };
+  if (content.length > MAX_COMMENT_LENGTH) return { error: `Comments are limited to ${MAX_COMMENT_LENGTH} characters` };
+  return { content };
+}
+
+function canModify(user, c) {
+  return String(c.userId) === String(user._id) || isAdminUser(user);
+}
+
+function reactionCountsOf(doc) {
+  const counts = doc.reactionCounts;
+  if (!counts) return {};
+  if (counts instanceof Map) return Object.fromEntries(counts.entries());
+  return counts.toObject ? counts.toObject() : counts;
+}
+
+/** payload: { storyId, parentId?, content } -> { comment, held } */
+async function postComment(io, user, payload) {
+  const { storyId, parentId } = payload || {};
+  const parsed = parseContent(payload && payload.content);
+  if (parsed.error) return fail(400, parsed.error);
+  let parent = null;
+  let sid = storyId;
+  if (parentId) {
+    if (!validId(parentId)) return fail(400, 'Invalid parentId');
+    parent = await Comment.findOne({ _id: parentId, isDeleted: { $ne: true } });
+    if (!parent) return fail(404, 'Parent comment not found');
+    if (sid && String(sid) !== String(parent.storyId)) return fail(400, 'Parent comment belongs to another story');
+    sid = parent.storyId;
+  }
+  if (!validId(sid)) return fail(400, 'Invalid id');
+  const story = await findStory(user, sid);
+  if (!story) return fail(404, 'Story not found');
+  const screened = await moderation.screen(user, 'comment', parsed.content);
+  if (screened.error) return fail(screened.status, screened.error);
+
+  const c = await commentThreads.createComment(story._id, parent, {
+    userId: user._id,
+    userName: displayName(user),
+    content: parsed.content,
+    isAdmin: isAdminUser(user),
+    moderationStatus: screened.moderationStatus,
+    moderationReasons: screened.moderationReasons
+  });
+  if (c.error) return fail(400, c.error);
+  const comment = commentThreads.toJson(c.toObject());
+  const held = c.moderationStatus === 'held';
+  if (!held) broadcast(io, story._id, 'story:comment:new', { comment });
+  return { comment, held };
+}
+
+/** payload: { commentId, content } -> { comment, held }; authors and admins only */
+async function editComment(io, user, payload) {
+  const { commentId } = payload || {};
+  if (!validId(commentId)) return fail(400, 'Invalid id');
+  const parsed = parseContent(payload.content);
+  if (parsed.error) return fail(400, parsed.error);
+  const c = await Comment.findOne({ _id: commentId, isDeleted: { $ne: true } });
+  if (!c) return fail(404, 'Comment not found');
+  if (!canModify(user, c)) return fail(403, 'Not allowed');
+  const screened = await moderation.screen(user, 'comment', parsed.content);
+  if (screened.error) return fail(screened.status, screened.error);
+  c.content = parsed.content;
+  c.editedAt = new Date();
+  c.updatedAt = c.editedAt;
+  if (screened.moderationReasons) c.moderationReasons = screened.moderationReasons;
+  await c.save();
+  const comment = commentThreads.toJson(c.toObject());
+  // an edit that needs review takes the comment out of view until it is approved
+  if (screened.moderationStatus === 'held' && await commentThreads.setHeld(c, true)) {
+    broadcast(io, c.storyId, 'story:comment:delete', { commentId: String(c._id), parentId: c.parentId ? String(c.parentId) : null, removed: 1 });
+  } else if (c.moderationStatus !== 'held') {
+    broadcast(io, c.storyId, 'story:comment:edit', { comment });
+  }
+  return { comment, held: screened.moderationStatus === 'held' || c.moderationStatus === 'held' };
+}
+
+/** payload: { commentId } -> { removed }; authors and admins only, replies go with it */
+async function deleteComment(io, user, payload) {
+  const { commentId } = payload || {};
+  if (!validId(commentId)) return fail(400, 'Invalid id');
+  const c = await Comment.findById(commentId);
+  if (!c) return fail(404, 'Not found');
+  if (!canModify(user, c)) return fail(403, 'Not allowed');
+  const removed = await commentThreads.deleteThread(c);
+  broadcast(io, c.storyId, 'story:comment:delete', { commentId: String(c._id), parentId: c.parentId ? String(c.parentId) : null, removed });
+  return { removed };
+}
+
+/** payload: { commentId, pinned? } -> { isPinned }; admins only; without `pinned` it toggles */
+async function pinComment(io, user, payload) {
+  if (!isAdminUser(user)) return fail(403, 'Admins (or controllers) only');
+  const { commentId, pinned } = payload || {};
+  if (!validId(commentId)) return fail(400, 'Invalid id');
+  const c = await Comment.findById(commentId);
+  if (!c) return fail(404, 'Not found');
+  c.isPinned = typeof pinned === 'boolean' ? pinned : !c.isPinned;
+  await c.save();
+  broadcast(io, c.storyId, 'story:comment:pin', { commentId: String(c._id), isPinned: c.isPinned });
+  return { isPinned: c.isPinned, comment: c };
+}
+
+/** payload: { commentId, reaction } (falsy reaction removes the user's) -> { comment } */
+async function reactToComment(io, user, payload) {
+  const { commentId, reaction } = payload || {};
+  if (!validId(commentId)) return fail(400, 'Invalid id');
+  if (reaction && !REACTIONS.includes(reaction)) return fail(400, 'Invalid reaction');
+  const c = await Comment.findOne({ _id: commentId, isDeleted: { $ne: true }, moderationStatus: { $ne: 'held' } });
+  if (!c || !await findStory(user, c.storyId)) return fail(404, 'Comment not found');
+  c.applyReaction(String(user._id), reaction || null);
+  c.updatedAt = new Date();
+  await c.save();
+  broadcast(io, c.storyId, 'story:comment:reaction', { commentId: String(c._id), reactionCounts: reactionCountsOf(c), reactionTotal: c.reactionTotal });
+  return { comment: c };
+}
+
+/** payload: { storyId, reaction } (falsy reaction removes the user's) -> { story } */
+async function reactToStory(io, user, payload) {
+  const { storyId, reaction } = payload || {};
+  if (reaction && !REACTIONS.includes(reaction)) return fail(400, 'Invalid reaction');
+  const story = await findStory(user, storyId);
+  if (!story) return fail(404, 'Not found');
+  story.applyReaction(String(user._id), reaction || null);
+  await story.save();
+  broadcast(io, story._id, 'story:reaction', { reactionCounts: reactionCountsOf(story) });
+  return { story };
+}
+
+module.exports = {
+  REACTIONS,
+  MAX_COMMENT_LENGTH,
+  roomOf,
+  broadcast,
+  findStory,
+  postComment,
+  editComment,
+  deleteComment,
+  pinComment,
+  reactToComment,
+  reactToStory
+};
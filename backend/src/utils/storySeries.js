@@ -0,0 +1,116 @@
+// backend/src/utils/storySeries.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const Story = require('../models/Story');
+const StorySeries = require('../models/StorySeries');
+
+/**
+ * Chapters of a series (models/StorySeries.js) are stories with seriesId and chapterIndex.
+ * Indexes are 1-based and contiguous: every change places the chapter with a provisional index
+ * and renumber() then writes 1..n in that order, together with the series' chapterCount.
+ * Soft-deleted and unpublished chapters keep their place; readers skip them (Story.VISIBLE_FILTER).
+ */
+
+// what lists of chapters need (no content)
+const CHAPTER_FIELDS = '_id titleEng titleSom folderId seriesId chapterIndex chapterAddedAt readCount published pendingApproval authorId isDeleted createdAt';
+const SERIES_FIELDS = '_id titleEng titleSom folderId chapterCount lastChapterAt';
+const APPEND = 1e9; // provisional index of a chapter added at the end
+
+const validId = (id) => mongoose.Types.ObjectId.isValid(String(id || ''));
+
+function visibleIn(seriesId, extra) {
+  return { $and: [Story.VISIBLE_FILTER, Object.assign({ seriesId }, extra)] };
+}
+
+async function renumber(seriesId) {
+  const chapters = await Story.find({ seriesId }).sort({ chapterIndex: 1, chapterAddedAt: 1 }).select('_id chapterIndex').lean();
+  const ops = chapters
+    .map((c, i) => ({ c, index: i + 1 }))
+    .filter(({ c, index }) => c.chapterIndex !== index)
+    .map(({ c, index }) => ({ updateOne: { filter: { _id: c._id }, update: { $set: { chapterIndex: index } } } }));
+  if (ops.length) await Story.bulkWrite(ops, { ordered: false });
+  await StorySeries.updateOne({ _id: seriesId }, { $set: { chapterCount: chapters.length, updatedAt: new Date() } });
+  return chapters.length;
+}
+
+/** Chapters in order; all of them for admins (all: true), otherwise only those readers may see. */
+function listChapters(seriesId, { all } = {}) {
+  const filter = all ? { seriesId, isDeleted: { $ne: true } } : visibleIn(seriesId);
+  return Story.find(filter).sort({ chapterIndex: 1 }).select(CHAPTER_FIELDS).lean();
+}
+
+/**
+ * Add a story as a chapter, at the end or before chapter `position` (1-based).
+ * Resolves to { story } or { error, status }.
+ */
+async function addChapter(series, storyId, position) {
+  if (!validId(storyId)) return { error: 'Invalid storyId', status: 400 };
+  const story = await Story.findOne({ _id: storyId, isDeleted: { $ne: true } }).select('_id seriesId folderId').lean();
+  if (!story) return { error: 'Story not found', status: 404 };
+  if (story.seriesId) return { error: String(story.seriesId) === String(series._id) ? 'Already a chapter of this series' : 'The story is in another series', status: 409 };
+
+  const pos = Number.parseInt(position, 10);
+  const now = new Date();
+  const claimed = await Story.updateOne({ _id: story._id, seriesId: null }, {
+    $set: { seriesId: series._id, chapterIndex: pos >= 1 ? pos - 0.5 : APPEND, chapterAddedAt: now, folderId: story.folderId || series.folderId || null }
+  });
+  if (!claimed.modifiedCount) return { error: 'The story is in another series', status: 409 };
+  await StorySeries.updateOne({ _id: series._id }, { $set: { lastChapterAt: now } });
+  await renumber(series._id);
+  return { story: await Story.findById(story._id).select(CHAPTER_FIELDS).lean() };
+}
+
+/** Take a story out of its series; the remaining chapters close the gap. */
+async function removeChapter(storyId) {
+  const story = await Story.findById(storyId).select('_id seriesId').lean();
+  if (!story || !story.seriesId) return false;
+  await Story.updateOne({ _id: story._id }, { $set: { seriesId: null, chapterIndex: null, chapterAddedAt: null } });
+  await renumber(story.seriesId);
+  return true;
+}
+
+/** order: every chapter id of the series, in the new order. Resolves to { chapters } or { error, status }. */
+async function reorder(seriesId, order) {
+  if (!Array.isArray(order)) return { error: 'order must be an array of story ids', status: 400 };
+  const ids = order.map(String);
+  const chapters = await Story.find({ seriesId }).select('_id').lean();
+  const current = new Set(chapters.map(c => String(c._id)));
+  if (ids.length !== current.size || new Set(ids).size !== ids.length || ids.some(id => !current.has(id))) {
+    return { error: 'order must list each chapter of the series once', status: 400 };
+  }
+  if (ids.length) {
+    await Story.bulkWrite(ids.map((id, i) => ({ updateOne: { filter: { _id: id }, update: { $set: { chapterIndex: i + 1 } } } })), { ordered: false });
+  }
+  await renumber(seriesId);
+  return { chapters: await listChapters(seriesId, { all: true }) };
+}
+
+/** Soft-delete a series; its chapters become standalone stories again. */
+async function deleteSeries(series) {
+  await Story.updateMany({ seriesId: series._id }, { $set: { seriesId: null, chapterIndex: null, chapterAddedAt: null } });
+  await StorySeries.updateOne({ _id: series._id }, { $set: { isDeleted: true, chapterCount: 0, updatedAt: new Date() } });
+}
+
+/** The readable chapters before and after chapterIndex (null at either end). */
+async function neighbours(seriesId, chapterIndex) {
+  const [prev, next] = await Promise.all([
+    Story.findOne(visibleIn(seriesId, { chapterIndex: { $lt: chapterIndex } })).sort({ chapterIndex: -1 }).select(CHAPTER_FIELDS).lean(),
+    Story.findOne(visibleIn(seriesId, { chapterIndex: { $gt: chapterIndex } })).sort({ chapterIndex: 1 }).select(CHAPTER_FIELDS).lean()
+  ]);
+  return { prev, next };
+}
+
+module.exports = {
+  CHAPTER_FIELDS,
+  SERIES_FIELDS,
+  visibleIn,
+  renumber,
+  listChapters,
+  addChapter,
+  removeChapter,
+  reorder,
+  deleteSeries,
+  neighbours
+};
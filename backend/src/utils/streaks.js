@@ -0,0 +1,130 @@
+// backend/src/utils/streaks.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const Test = require('../models/Test');
+const User = require('../models/User');
+const Attempt = require('../models/Attempt');
+const questionTypes = require('./questionTypes');
+
+/**
+ * Test streaks are computed on the server: the longest run of consecutive correct answers
+ * inside one attempt, in the order the answers were recorded. Timed-out answers break a run.
+ * Records only ever go up and are written with conditional updates, so concurrent answers
+ * cannot overwrite a higher value:
+ *  - Test.bestStreak / bestHolder*   global best for the test
+ *  - User.testBest[]                 personal best per test (also feeds the leaderboard)
+ */
+
+function displayName(u) {
+  if (!u) return 'Unknown';
+  return u.fullName || u.username || `${u.firstName || ''} ${u.lastName || ''}`.trim() || 'Unknown';
+}
+
+// { current, best } for an attempt (document or lean)
+function attemptStreak(test, attempt) {
+  const byId = new Map(Attempt.questionsFor(test, attempt).map(q => [String(q.id || q._id), q]));
+  const answers = (attempt.answers || []).filter(a => a && a.answeredAt)
+    .slice().sort((x, y) => new Date(x.answeredAt).getTime() - new Date(y.answeredAt).getTime());
+
+  let current = 0;
+  let best = 0;
+  answers.forEach(a => {
+    const q = byId.get(String(a.questionId));
+    const response = {
+      selectedOptionId: a.selectedOptionId || null,
+      selectedOptionIds: a.selectedOptionIds && a.selectedOptionIds.length ? Array.from(a.selectedOptionIds) : undefined,
+      value: a.value || null,
+      order: a.order && a.order.length ? Array.from(a.order) : undefined
+    };
+    const correct = !!q && !a.timedOut && questionTypes.evaluateResponse(q, response).correct;
+    current = correct ? current + 1 : 0;
+    best = Math.max(best, current);
+  });
+  return { current, best };
+}
+
+function personalBestOf(user, testId) {
+  const tb = user && Array.isArray(user.testBest) ? user.testBest.find(x => String(x.testId) === String(testId)) : null;
+  return tb ? { streak: Number(tb.streak || 0), updatedAt: tb.updatedAt || null } : { streak: 0, updatedAt: null };
+}
+
+/**
+ * Record `streak` for the user on the test. Returns { updatedTest, personalBest, newPersonalBest }
+ * where updatedTest is set only when this streak became the new global best.
+ */
+async function recordStreak(testId, user, streak) {
+  const now = new Date();
+  const userId = user._id;
+  const tid = new mongoose.Types.ObjectId(String(testId));
+  let newPersonalBest = false;
+  let updatedTest = null;
+
+  if (streak > 0) {
+    // raise an existing personal best, or add one if the user has none for this test
+    const raised = await User.updateOne(
+      { _id: userId, testBest: { $elemMatch: { testId: tid, streak: { $lt: streak } } } },
+      { $set: { 'testBest.$.streak': streak, 'testBest.$.updatedAt': now } }
+    );
+    if (raised.modifiedCount) newPersonalBest = true;
+    else {
+      const added = await User.updateOne(
+        { _id: userId, 'testBest.testId': { $ne: tid } },
+        { $push: { testBest: { testId: tid, streak, updatedAt: now } } }
+      );
+      if (added.modifiedCount) newPersonalBest = true;
+    }
+
+    const name = displayName(user);
+    const claimed = await Test.updateOne(
+      { _id: tid, $or: [{ bestStreak: { $lt: streak } }, { bestStreak: { $exists: false } }, { bestStreak: null }] },
+      { $set: { bestStreak: streak, bestHolderId: userId, bestHolderName: name, bestStreakUpdatedAt: now } }
+    );
+    if (claimed.modifiedCount) updatedTest = { streak, name, userId: String(userId), updatedAt: now };
+  }
+
+  const fresh = await User.findById(userId).select('testBest').lean();
+  return { updatedTest, personalBest: personalBestOf(fresh, testId), newPersonalBest };
+}
+
+// { serverBest, personalBest } as served by GET /api/tests/:testId/streak
+async function streakSummary(test, userId) {
+  const serverBest = {
+    streak: Number(test.bestStreak || 0),
+    name: test.bestHolderName || null,
+    userId: test.bestHolderId ? String(test.bestHolderId) : null,
+    updatedAt: test.bestStreakUpdatedAt || null
+  };
+  let personalBest = { streak: 0, updatedAt: null };
+  if (userId) personalBest = personalBestOf(await User.findById(userId).select('testBest').lean(), test._id);
+  return { serverBest, personalBest };
+}
+
+// top `limit` personal bests on the test (ties: whoever reached it first ranks higher)
+async function leaderboard(testId, limit) {
+  const tid = new mongoose.Types.ObjectId(String(testId));
+  const rows = await User.aggregate([
+    { $match: { 'testBest.testId': tid, isDeleted: { $ne: true } } },
+    { $unwind: '$testBest' },
+    { $match: { 'testBest.testId': tid, 'testBest.streak': { $gt: 0 } } },
+    { $sort: { 'testBest.streak': -1, 'testBest.updatedAt': 1 } },
+    { $limit: limit },
+    { $project: { fullName: 1, username: 1, countryFlagEmoji: 1, streak: '$testBest.streak', updatedAt: '$testBest.updatedAt' } }
+  ]);
+  return rows.map((r, i) => ({
+    rank: i + 1,
+    userId: String(r._id),
+    name: displayName(r),
+    countryFlagEmoji: r.countryFlagEmoji || null,
+    streak: r.streak,
+    updatedAt: r.updatedAt || null
+  }));
+}
+
+module.exports = {
+  attemptStreak,
+  recordStreak,
+  streakSummary,
+  leaderboard
+};
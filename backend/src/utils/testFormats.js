@@ -0,0 +1,515 @@
+// backend/src/utils/testFormats.js
+'use strict';
+
+/**
+ * Import / export of test questions in text formats.
+ *
+ * Parsers return { test, questions, errors } where `questions` are raw admin payloads
+ * (same shape as POST /api/tests questions, validated afterwards by the route) and each
+ * question carries `__line` = the source line it started on, for error reports.
+ *
+ * CSV  (UTF-8, header row required, column names case-insensitive, unknown columns ignored)
+ *   id, type, text_en, text_som, explanation_en, explanation_som,
+ *   options_en, options_som   options separated by "|" (ordering: in the correct order)
+ *   correct                   1-based option numbers separated by "|" (truefalse: true / false)
+ *   answers_en, answers_som   text: accepted answers separated by "|" ; numeric: the number in answers_en
+ *   tolerance, points, partial
+ *
+ * JSON bundle
+ *   { "format": "learninghub-test", "version": 1,
+ *     "test": { "title", "questionSeconds", "scoring", "questions": [ ...POST /api/tests questions ] } }
+ *   A bare { title, questions } object or a plain array of questions is accepted too.
+ *
+ * GIFT (Moodle) — single/multi choice, true/false, numeric, short answer; one language per file.
+ * Aiken — single choice only; one language per file.
+ */
+
+const JSON_BUNDLE_FORMAT = 'learninghub-test';
+const FORMATS = ['csv', 'json', 'gift', 'aiken'];
+
+/* ---------------- CSV ---------------- */
+
+// RFC 4180 records with quoted fields (which may contain newlines); returns [{ line, fields }]
+function parseCsvRecords(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+  const src = String(text || '').replace(/^﻿/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') { field += '"'; i++; }
+        else inQuotes = false;
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"') { inQuotes = true; continue; }
+    if (ch === ',') { fields.push(field); field = ''; continue; }
+    if (ch === '\r') continue;
+    if (ch === '\n') {
+      fields.push(field);
+      records.push({ line: recordLine, fields });
+      fields = []; field = '';
+      line++;
+      recordLine = line;
+      continue;
+    }
+    field += ch;
+  }
+  if (field !== '' || fields.length) {
+    fields.push(field);
+    records.push({ line: recordLine, fields });
+  }
+  return records.filter(r => r.fields.some(f => String(f).trim() !== ''));
+}
+
+function splitList(raw) {
+  return String(raw || '').split('|').map(s => s.trim()).filter(Boolean);
+}
+
+function parseCsv(text) {
+  const errors = [];
+  const questions = [];
+  const records = parseCsvRecords(text);
+  if (!records.length) return { test: {}, questions, errors: [{ line: 1, error: 'Empty file' }] };
+
+  const header = records[0].fields.map(h => String(h).trim().toLowerCase());
+  if (!header.includes('text_en') && !header.includes('text_som')) {
+    return { test: {}, questions, errors: [{ line: records[0].line, error: 'Header must include text_en or text_som' }] };
+  }
+
+  records.slice(1).forEach(rec => {
+    const row = {};
+    header.forEach((h, i) => { row[h] = rec.fields[i] !== undefined ? String(rec.fields[i]).trim() : ''; });
+    const type = (row.type || 'single').toLowerCase();
+    const optsEn = splitList(row.options_en);
+    const optsSom = splitList(row.options_som);
+    const optionCount = Math.max(optsEn.length, optsSom.length);
+    const correct = splitList(row.correct);
+
+    const q = {
+      __line: rec.line,
+      id: row.id || undefined,
+      type,
+      text: { en: row.text_en || '', som: row.text_som || '' },
+      explanation: { en: row.explanation_en || '', som: row.explanation_som || '' },
+      pointsValue: row.points ? Number(row.points) : undefined,
+      partialCredit: /^(1|true|yes)$/i.test(row.partial || '')
+    };
+    if (type === 'truefalse') {
+      q.correctAnswer = (correct[0] || '').toLowerCase();
+    } else if (type === 'numeric') {
+      q.numericAnswer = row.answers_en === '' ? null : Number(String(row.answers_en).replace(',', '.'));
+      q.tolerance = row.tolerance ? Number(row.tolerance) : 0;
+    } else if (type === 'text') {
+      q.acceptedAnswers = { en: splitList(row.answers_en), som: splitList(row.answers_som) };
+    } else {
+      const badCorrect = correct.find(c => !(Number(c) >= 1 && Number(c) <= optionCount));
+      if (badCorrect && type !== 'ordering') {
+        errors.push({ line: rec.line, error: `correct refers to option ${badCorrect}, but there are ${optionCount} options` });
+      }
+      q.options = [];
+      for (let i = 0; i < optionCount; i++) {
+        q.options.push({ text: { en: optsEn[i] || '', som: optsSom[i] || '' }, isCorrect: correct.includes(String(i + 1)) });
+      }
+    }
+    questions.push(q);
+  });
+
+  return { test: {}, questions, errors };
+}
+
+function csvCell(v) {
+  const s = v === null || v === undefined ? '' : String(v);
+  return /[",\n\r]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+// "a|b|c" for one language; empty when no option has text in it
+function optionList(options, lang) {
+  const texts = options.map(o => (o.text && o.text[lang]) || '');
+  return texts.some(Boolean) ? texts.join('|') : '';
+}
+
+function csvRow(values) {
+  return values.map(csvCell).join(',');
+}
+
+const CSV_COLUMNS = ['id', 'type', 'text_en', 'text_som', 'explanation_en', 'explanation_som', 'options_en', 'options_som', 'correct', 'answers_en', 'answers_som', 'tolerance', 'points', 'partial'];
+
+function exportCsv(test) {
+  const rows = [CSV_COLUMNS.join(',')];
+  (test.questions || []).forEach(q => {
+    const type = q.type || 'single';
+    const options = q.options || [];
+    const acc = q.acceptedAnswers || {};
+    let correct = '';
+    if (type === 'truefalse') {
+      const c = options.find(o => o.isCorrect);
+      correct = c ? String(c.id) : '';
+    } else if (type !== 'ordering') {
+      correct = options.map((o, i) => (o.isCorrect ? String(i + 1) : null)).filter(Boolean).join('|');
+    }
+    const row = {
+      id: q.id || '',
+      type,
+      text_en: (q.text && q.text.en) || '',
+      text_som: (q.text && q.text.som) || '',
+      explanation_en: (q.explanation && q.explanation.en) || '',
+      explanation_som: (q.explanation && q.explanation.som) || '',
+      options_en: type === 'truefalse' ? '' : optionList(options, 'en'),
+      options_som: type === 'truefalse' ? '' : optionList(options, 'som'),
+      correct,
+      answers_en: type === 'numeric' ? q.numericAnswer : (acc.en || []).join('|'),
+      answers_som: (acc.som || []).join('|'),
+      tolerance: type === 'numeric' ? (q.tolerance || 0) : '',
+      points: q.pointsValue,
+      partial: q.partialCredit ? '1' : ''
+    };
+    rows.push(csvRow(CSV_COLUMNS.map(c => row[c])));
+  });
+  return rows.join('\n') + '\n';
+}
+
+/* ---------------- JSON bundle ---------------- */
+
+function parseJsonBundle(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try { data = JSON.parse(input); } catch (e) {
+      const m = /position (\d+)/.exec(e.message || '');
+      const line = m ? String(input).slice(0, Number(m[1])).split('\n').length : null;
+      return { test: {}, questions: [], errors: [{ line, error: 'Invalid JSON: ' + e.message }] };
+    }
+  }
+  let test = {};
+  let questions;
+  if (Array.isArray(data)) questions = data;
+  else if (data && data.test && typeof data.test === 'object') { test = data.test; questions = data.test.questions; }
+  else if (data && typeof data === 'object') { test = data; questions = data.questions; }
+  if (!Array.isArray(questions)) return { test: {}, questions: [], errors: [{ line: null, error: 'Bundle has no questions array' }] };
+
+  const meta = {};
+  if (test.title) meta.title = String(test.title);
+  if (test.questionSeconds !== undefined) meta.questionSeconds = test.questionSeconds;
+  if (test.scoring !== undefined) meta.scoring = test.scoring;
+  return { test: meta, questions: questions.map(q => Object.assign({}, q, { __line: null })), errors: [] };
+}
+
+function exportJson(test) {
+  const clean = (q) => {
+    const out = Object.assign({}, q);
+    delete out._id;
+    return out;
+  };
+  return JSON.stringify({
+    format: JSON_BUNDLE_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    test: {
+      title: test.title,
+      questionSeconds: test.questionSeconds || null,
+      scoring: test.scoring || undefined,
+      questions: (test.questions || []).map(clean)
+    }
+  }, null, 2);
+}
+
+/* ---------------- GIFT ---------------- */
+
+const GIFT_SPECIAL = /[~=#{}:\\]/g;
+
+function giftEscape(s) {
+  return String(s || '').replace(GIFT_SPECIAL, m => '\\' + m).replace(/\n/g, '\\n');
+}
+
+function giftUnescape(s) {
+  return String(s || '').replace(/\\n/g, '\n').replace(/\\([~=#{}:\\])/g, '$1').trim();
+}
+
+// index of the first unescaped `ch` in s at or after `from`
+function indexOfUnescaped(s, ch, from) {
+  for (let i = from || 0; i < s.length; i++) {
+    if (s[i] === '\\') { i++; continue; }
+    if (s[i] === ch) return i;
+  }
+  return -1;
+}
+
+// split the answer block on unescaped ~ / = markers, keeping the marker
+function splitGiftAnswers(body) {
+  const parts = [];
+  let cur = null;
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (ch === '\\') { if (cur) cur.text += ch + (body[i + 1] || ''); i++; continue; }
+    if (ch === '~' || ch === '=') {
+      if (cur) parts.push(cur);
+      cur = { mark: ch, text: '' };
+      continue;
+    }
+    if (cur) cur.text += ch;
+  }
+  if (cur) parts.push(cur);
+  return parts;
+}
+
+// drop per-answer feedback ("#...") and pull the weight ("%50%")
+function giftAnswerText(raw) {
+  let text = raw;
+  const fb = indexOfUnescaped(text, '#');
+  if (fb !== -1) text = text.slice(0, fb);
+  let weight = null;
+  const w = /^\s*%(-?\d+(?:\.\d+)?)%/.exec(text);
+  if (w) { weight = Number(w[1]); text = text.slice(w[0].length); }
+  return { text: giftUnescape(text), weight };
+}
+
+function parseGiftBlock(block, line, lang) {
+  let src = block.trim();
+  let title = null;
+  if (src.startsWith('::')) {
+    const end = src.indexOf('::', 2);
+    if (end !== -1) { title = src.slice(2, end).trim(); src = src.slice(end + 2).trim(); }
+  }
+  src = src.replace(/^\[(html|moodle|plain|markdown)\]/i, '');
+
+  const open = indexOfUnescaped(src, '{');
+  const close = open === -1 ? -1 : indexOfUnescaped(src, '}', open);
+  if (open === -1 || close === -1) return { error: 'Missing answer block { ... }' };
+
+  const stem = giftUnescape((src.slice(0, open) + ' ' + src.slice(close + 1)).replace(/\s+_+\s+/, ' ____ '));
+  let body = src.slice(open + 1, close).trim();
+  const q = { __line: line, text: { en: '', som: '' }, explanation: { en: '', som: '' } };
+  q.text[lang] = stem;
+  if (title && !/^q\d+$/i.test(title)) q.id = title;
+
+  // general feedback "####..." becomes the explanation
+  const gf = body.indexOf('####');
+  if (gf !== -1) { q.explanation[lang] = giftUnescape(body.slice(gf + 4)); body = body.slice(0, gf).trim(); }
+
+  if (/^(T|TRUE|F|FALSE)(\s*#.*)?$/i.test(body)) {
+    q.type = 'truefalse';
+    q.correctAnswer = /^T/i.test(body) ? 'true' : 'false';
+    return { question: q };
+  }
+  if (body.startsWith('#')) {
+    q.type = 'numeric';
+    const first = splitGiftAnswers(body.slice(1).replace(/^\s*=/, '='))[0];
+    const raw = first ? giftAnswerText(first.text).text : giftAnswerText(body.slice(1)).text;
+    const range = /^(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)$/.exec(raw);
+    if (range) {
+      const lo = Number(range[1]); const hi = Number(range[2]);
+      q.numericAnswer = (lo + hi) / 2; q.tolerance = Math.abs(hi - lo) / 2;
+    } else {
+      const [val, tol] = raw.split(':');
+      q.numericAnswer = Number(val); q.tolerance = tol ? Number(tol) : 0;
+    }
+    if (!Number.isFinite(q.numericAnswer)) return { error: 'Invalid numeric answer' };
+    return { question: q };
+  }
+  if (body.includes('->')) return { error: 'Matching questions are not supported' };
+
+  const answers = splitGiftAnswers(body);
+  if (!answers.length) return { error: 'Empty answer block' };
+  if (answers.every(a => a.mark === '=')) {
+    q.type = 'text';
+    q.acceptedAnswers = { en: [], som: [] };
+    q.acceptedAnswers[lang] = answers.map(a => giftAnswerText(a.text).text).filter(Boolean);
+    return { question: q };
+  }
+
+  const parsed = answers.map(a => Object.assign({ mark: a.mark }, giftAnswerText(a.text)));
+  const weighted = parsed.some(a => a.weight !== null);
+  const isCorrect = (a) => a.mark === '=' || (a.weight !== null && a.weight > 0);
+  q.type = weighted && parsed.filter(isCorrect).length > 1 ? 'multi' : 'single';
+  if (q.type === 'multi') q.partialCredit = parsed.some(a => a.weight !== null && a.weight > 0 && a.weight < 100);
+  q.options = parsed.map(a => {
+    const text = { en: '', som: '' };
+    text[lang] = a.text;
+    return { text, isCorrect: isCorrect(a) };
+  });
+  return { question: q };
+}
+
+function parseGift(text, lang) {
+  const language = lang === 'som' ? 'som' : 'en';
+  const lines = String(text || '').replace(/^﻿/, '').replace(/\r/g, '').split('\n');
+  const questions = [];
+  const errors = [];
+  let block = [];
+  let blockLine = 0;
+  let depth = 0;
+
+  const flush = () => {
+    if (!block.length) return;
+    const joined = block.join('\n');
+    const res = parseGiftBlock(joined, blockLine, language);
+    if (res.error) errors.push({ line: blockLine, error: res.error });
+    else questions.push(res.question);
+    block = [];
+  };
+
+  lines.forEach((ln, i) => {
+    const trimmed = ln.trim();
+    if (depth === 0 && trimmed.startsWith('//')) return;
+    if (depth === 0 && trimmed.startsWith('$CATEGORY:')) return;
+    if (depth === 0 && trimmed === '') { flush(); return; }
+    if (!block.length) blockLine = i + 1;
+    block.push(ln);
+    for (let k = 0; k < ln.length; k++) {
+      if (ln[k] === '\\') { k++; continue; }
+      if (ln[k] === '{') depth++;
+      if (ln[k] === '}') depth = Math.max(0, depth - 1);
+    }
+  });
+  flush();
+  return { test: {}, questions, errors };
+}
+
+function exportGift(test, lang) {
+  const language = lang === 'som' ? 'som' : 'en';
+  const pick = (b) => (b && (b[language] || b.en || b.som)) || '';
+  const out = [];
+  const skipped = [];
+  (test.questions || []).forEach((q, i) => {
+    const type = q.type || 'single';
+    const title = '::' + giftEscape(q.id || ('Q' + (i + 1))) + ':: ';
+    const stem = giftEscape(pick(q.text));
+    const expl = pick(q.explanation) ? ' ####' + giftEscape(pick(q.explanation)) : '';
+    const options = q.options || [];
+    let body = null;
+    if (type === 'single') {
+      body = options.map(o => (o.isCorrect ? '=' : '~') + giftEscape(pick(o.text))).join(' ');
+    } else if (type === 'multi') {
+      const n = options.filter(o => o.isCorrect).length || 1;
+      const wrong = options.length - n;
+      const pct = (v) => String(Math.round(v * 100000) / 100000);
+      body = options.map(o => '~%' + (o.isCorrect ? pct(100 / n) : (wrong ? '-' + pct(100 / wrong) : '0')) + '%' + giftEscape(pick(o.text))).join(' ');
+    } else if (type === 'truefalse') {
+      const c = options.find(o => o.isCorrect);
+      body = c && c.id === 'true' ? 'TRUE' : 'FALSE';
+    } else if (type === 'numeric') {
+      body = '#' + q.numericAnswer + (q.tolerance ? ':' + q.tolerance : '');
+    } else if (type === 'text') {
+      const acc = (q.acceptedAnswers && (q.acceptedAnswers[language] && q.acceptedAnswers[language].length ? q.acceptedAnswers[language] : (q.acceptedAnswers.en || []).concat(q.acceptedAnswers.som || []))) || [];
+      body = acc.map(a => '=' + giftEscape(a)).join(' ');
+    }
+    if (body === null) { skipped.push(q.id || String(i + 1)); out.push('// skipped ' + type + ' question ' + (q.id || i + 1) + ' (not representable in GIFT)'); return; }
+    out.push(title + stem + ' {' + body + expl + '}');
+  });
+  return { text: out.join('\n\n') + '\n', skipped };
+}
+
+/* ---------------- Aiken ---------------- */
+
+function parseAiken(text, lang) {
+  const language = lang === 'som' ? 'som' : 'en';
+  const lines = String(text || '').replace(/^﻿/, '').replace(/\r/g, '').split('\n');
+  const questions = [];
+  const errors = [];
+  let cur = null;
+
+  const finish = () => {
+    if (!cur) return;
+    if (!cur.answered) errors.push({ line: cur.__line, error: 'Missing ANSWER: line' });
+    else questions.push(cur.q);
+    cur = null;
+  };
+
+  lines.forEach((raw, i) => {
+    const ln = raw.trim();
+    const lineNo = i + 1;
+    if (!ln) return;
+    if (!cur) {
+      const q = { __line: lineNo, type: 'single', text: { en: '', som: '' }, options: [] };
+      q.text[language] = ln;
+      cur = { __line: lineNo, q, letters: [], answered: false };
+      return;
+    }
+    const opt = /^([A-Z])[.)]\s+(.*)$/.exec(ln);
+    const ans = /^ANSWER:\s*([A-Z])\s*$/i.exec(ln);
+    if (ans) {
+      const idx = cur.letters.indexOf(ans[1].toUpperCase());
+      if (idx === -1) errors.push({ line: lineNo, error: 'ANSWER refers to missing option ' + ans[1].toUpperCase() });
+      else cur.q.options[idx].isCorrect = true;
+      cur.answered = idx !== -1;
+      if (idx === -1) cur = null;
+      else finish();
+      return;
+    }
+    if (opt) {
+      const textObj = { en: '', som: '' };
+      textObj[language] = opt[2];
+      cur.letters.push(opt[1]);
+      cur.q.options.push({ text: textObj, isCorrect: false });
+      return;
+    }
+    if (cur.letters.length) {
+      errors.push({ line: lineNo, error: 'Expected an option ("A. ...") or ANSWER: line' });
+      return;
+    }
+    // multi-line question stem
+    cur.q.text[language] += '\n' + ln;
+  });
+  finish();
+  return { test: {}, questions, errors };
+}
+
+function exportAiken(test, lang) {
+  const language = lang === 'som' ? 'som' : 'en';
+  const pick = (b) => String((b && (b[language] || b.en || b.som)) || '').replace(/\s*\n\s*/g, ' ');
+  const out = [];
+  const skipped = [];
+  (test.questions || []).forEach((q, i) => {
+    const type = q.type || 'single';
+    const options = q.options || [];
+    if ((type !== 'single' && type !== 'truefalse') || options.length < 2 || options.length > 26) { skipped.push(q.id || String(i + 1)); return; }
+    const letters = options.map((o, k) => String.fromCharCode(65 + k));
+    const correct = options.findIndex(o => o.isCorrect);
+    const block = [pick(q.text)];
+    options.forEach((o, k) => block.push(letters[k] + '. ' + pick(o.text)));
+    block.push('ANSWER: ' + (letters[correct] || 'A'));
+    out.push(block.join('\n'));
+  });
+  return { text: out.join('\n\n') + '\n', skipped };
+}
+
+/* ---------------- dispatch ---------------- */
+
+function parseQuestions(format, content, lang) {
+  switch (format) {
+    case 'csv': return parseCsv(content);
+    case 'json': return parseJsonBundle(content);
+    case 'gift': return parseGift(content, lang);
+    case 'aiken': return parseAiken(content, lang);
+    default: return { test: {}, questions: [], errors: [{ line: null, error: 'Unknown format' }] };
+  }
+}
+
+// returns { text, contentType, extension, skipped }
+function exportQuestions(format, test, lang) {
+  switch (format) {
+    case 'csv': return { text: exportCsv(test), contentType: 'text/csv; charset=utf-8', extension: 'csv', skipped: [] };
+    case 'json': return { text: exportJson(test), contentType: 'application/json; charset=utf-8', extension: 'json', skipped: [] };
+    case 'gift': return Object.assign({ contentType: 'text/plain; charset=utf-8', extension: 'gift.txt' }, exportGift(test, lang));
+    case 'aiken': return Object.assign({ contentType: 'text/plain; charset=utf-8', extension: 'aiken.txt' }, exportAiken(test, lang));
+    default: return null;
+  }
+}
+
+module.exports = {
+  FORMATS,
+  JSON_BUNDLE_FORMAT,
+  parseQuestions,
+  exportQuestions,
+  parseCsvRecords,
+  csvRow
+};
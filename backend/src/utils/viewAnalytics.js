@@ -0,0 +1,183 @@
+// backend/src/utils/viewAnalytics.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const ViewBucket = require('../models/ViewBucket');
+const User = require('../models/User');
+const Lesson = require('../models/Lesson');
+const Test = require('../models/Test');
+const Story = require('../models/Story');
+
+/**
+ * View analytics on top of ViewBucket (one document per item per UTC day).
+ * Unique viewers are counted per day in the bucket; over a range they are recomputed from the
+ * buckets' viewer lists, so a user reading on several days still counts once.
+ */
+
+const DAY_MS = 24 * 3600 * 1000;
+const MAX_RANGE_DAYS = 366;
+
+function dayOf(date) {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+function dayKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function countryKey(code) {
+  return /^[A-Za-z]{2}$/.test(String(code || '')) ? String(code).toUpperCase() : 'unknown';
+}
+
+// user document, lean user or id -> { _id, country } (null for guests)
+async function viewerOf(user) {
+  if (!user) return null;
+  if (user._id) return { _id: user._id, country: user.country || null };
+  if (!mongoose.Types.ObjectId.isValid(user)) return null;
+  const u = await User.findById(user).select('country').lean();
+  return u ? { _id: u._id, country: u.country || null } : null;
+}
+
+/**
+ * Count one view of `kind` item `itemId` by `user` (user doc, id, or null for a guest).
+ * The first view of the day by a user also adds them to the bucket's viewers.
+ */
+async function recordView(kind, itemId, user) {
+  const viewer = await viewerOf(user);
+  const key = { kind, itemId: new mongoose.Types.ObjectId(String(itemId)), day: dayOf(new Date()) };
+  const country = `countries.${countryKey(viewer && viewer.country)}`;
+  const now = new Date();
+  const opts = { upsert: true, setDefaultsOnInsert: false };
+
+  if (viewer) {
+    try {
+      const r = await ViewBucket.updateOne(Object.assign({ viewers: { $ne: viewer._id } }, key), {
+        $push: { viewers: viewer._id },
+        $inc: { views: 1, uniqueViewers: 1, [country]: 1 },
+        $set: { updatedAt: now }
+      }, opts);
+      if (r.modifiedCount || r.upsertedCount) return;
+    } catch (err) {
+      // duplicate key: today's bucket exists and already lists this viewer
+      if (err.code !== 11000) throw err;
+    }
+  }
+  await ViewBucket.updateOne(key, { $inc: { views: 1, [country]: 1 }, $set: { updatedAt: now } }, opts);
+}
+
+/**
+ * ?from=&to= (YYYY-MM-DD, UTC) -> { from, to } as day starts; defaults to the last 30 days.
+ * Returns { error } for bad or too long ranges.
+ */
+function parseRange(query) {
+  const to = query.to ? dayOf(query.to) : dayOf(new Date());
+  const from = query.from ? dayOf(query.from) : new Date(to.getTime() - 29 * DAY_MS);
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) return { error: 'from / to must be dates (YYYY-MM-DD)' };
+  if (from > to) return { error: 'from must not be after to' };
+  if ((to - from) / DAY_MS >= MAX_RANGE_DAYS) return { error: `Range is limited to ${MAX_RANGE_DAYS} days` };
+  return { from, to };
+}
+
+function daysBetween(from, to) {
+  const days = [];
+  for (let t = from.getTime(); t <= to.getTime(); t += DAY_MS) days.push(dayKey(t));
+  return days;
+}
+
+const TITLES = {
+  lesson: async (ids) => (await Lesson.find({ _id: { $in: ids } }).select('title').lean()).map(l => [l._id, l.title]),
+  test: async (ids) => (await Test.find({ _id: { $in: ids } }).select('title').lean()).map(t => [t._id, { en: t.title, som: '' }]),
+  story: async (ids) => (await Story.find({ _id: { $in: ids } }).select('titleEng titleSom').lean()).map(s => [s._id, { en: s.titleEng || '', som: s.titleSom || '' }])
+};
+
+/**
+ * Report for one kind over [from, to]:
+ * { series: [{ day, views, uniqueViewers }] (every day, zeros included), totals: { views, uniqueViewers },
+ *   byCountry: [{ country, views, viewers }], top: [{ itemId, title, views, uniqueViewers }] }
+ */
+async function kindReport(kind, range, opts) {
+  const match = { kind, day: { $gte: range.from, $lte: range.to } };
+  if (opts.itemId) match.itemId = new mongoose.Types.ObjectId(String(opts.itemId));
+
+  const [facet] = await ViewBucket.aggregate([
+    { $match: match },
+    { $facet: {
+      daily: [{ $group: { _id: '$day', views: { $sum: '$views' } } }],
+      dailyUnique: [
+        { $unwind: '$viewers' },
+        { $group: { _id: { day: '$day', u: '$viewers' } } },
+        { $group: { _id: '$_id.day', n: { $sum: 1 } } }
+      ],
+      countryViews: [
+        { $project: { c: { $objectToArray: { $ifNull: ['$countries', {}] } } } },
+        { $unwind: '$c' },
+        { $group: { _id: '$c.k', views: { $sum: '$c.v' } } }
+      ],
+      // distinct viewers over the range, by their current User.country
+      countryViewers: [
+        { $unwind: '$viewers' },
+        { $group: { _id: '$viewers' } },
+        { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'u' } },
+        { $group: { _id: { $arrayElemAt: ['$u.country', 0] }, n: { $sum: 1 } } }
+      ],
+      top: [
+        { $group: { _id: '$itemId', views: { $sum: '$views' } } },
+        { $sort: { views: -1 } },
+        { $limit: opts.top }
+      ]
+    } }
+  ]);
+
+  const views = new Map(facet.daily.map(r => [dayKey(r._id), r.views]));
+  const uniques = new Map(facet.dailyUnique.map(r => [dayKey(r._id), r.n]));
+  const series = daysBetween(range.from, range.to).map(day => ({ day, views: views.get(day) || 0, uniqueViewers: uniques.get(day) || 0 }));
+
+  const countries = new Map();
+  const countryRow = (code) => {
+    const key = countryKey(code);
+    if (!countries.has(key)) countries.set(key, { country: key, views: 0, viewers: 0 });
+    return countries.get(key);
+  };
+  facet.countryViews.forEach(r => { countryRow(r._id).views += r.views; });
+  facet.countryViewers.forEach(r => { countryRow(r._id).viewers += r.n; });
+  const byCountry = Array.from(countries.values()).sort((a, b) => b.views - a.views);
+
+  // unique viewers for the top items only
+  const topIds = facet.top.map(r => r._id);
+  const [topUnique, titles] = await Promise.all([
+    topIds.length ? ViewBucket.aggregate([
+      { $match: Object.assign({}, match, { itemId: { $in: topIds } }) },
+      { $unwind: '$viewers' },
+      { $group: { _id: { item: '$itemId', u: '$viewers' } } },
+      { $group: { _id: '$_id.item', n: { $sum: 1 } } }
+    ]) : [],
+    topIds.length ? TITLES[kind](topIds) : []
+  ]);
+  const topUniqueById = new Map(topUnique.map(r => [String(r._id), r.n]));
+  const titleById = new Map(titles.map(([id, title]) => [String(id), title]));
+
+  return {
+    series,
+    totals: {
+      views: series.reduce((acc, d) => acc + d.views, 0),
+      uniqueViewers: facet.countryViewers.reduce((acc, r) => acc + r.n, 0)
+    },
+    byCountry,
+    top: facet.top.map(r => ({
+      itemId: r._id,
+      title: titleById.get(String(r._id)) || null,
+      views: r.views,
+      uniqueViewers: topUniqueById.get(String(r._id)) || 0
+    }))
+  };
+}
+
+module.exports = {
+  KINDS: ViewBucket.KINDS,
+  recordView,
+  parseRange,
+  daysBetween,
+  kindReport
+};
@@ -0,0 +1,107 @@
+// backend/src/utils/wordDiff.js
+'use strict';
+
+/**
+ * Word-level diff (Myers O(ND)) for lesson revisions.
+ * Text is split into words, whitespace runs and HTML tags, so markup changes show up as
+ * their own tokens. Result chunks: [{ op: 'equal' | 'insert' | 'delete', text }].
+ */
+
+const TOKEN_RE = /(<[^>]*>|\s+)/;
+// beyond this many edits the texts are mostly rewritten: report the changed middle as one delete + insert
+const MAX_EDITS = 4000;
+
+function tokenize(text) {
+  return String(text || '').split(TOKEN_RE).filter(t => t !== '');
+}
+
+// shortest edit script between token arrays a and b -> [{ op, token }], or null past maxEdits
+function myers(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    if (d > maxEdits) return null;
+    // keep only the diagonals reachable at this depth
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) x = v[offset + k + 1];
+      else x = v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[offset + k] = x;
+      if (x >= n && y >= m) { found = true; break; }
+    }
+  }
+
+  // walk the trace backwards
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d];
+    const at = (k) => vd[k + d + 1];
+    const k = x - y;
+    let prevK;
+    if (k === -d || (k !== d && at(k - 1) < at(k + 1))) prevK = k + 1;
+    else prevK = k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) { ops.push({ op: 'equal', token: a[x - 1] }); x--; y--; }
+    if (d === 0) break;
+    if (x === prevX) ops.push({ op: 'insert', token: b[y - 1] });
+    else ops.push({ op: 'delete', token: a[x - 1] });
+    x = prevX;
+    y = prevY;
+  }
+  while (x > 0 && y > 0) { ops.push({ op: 'equal', token: a[x - 1] }); x--; y--; }
+  return ops.reverse();
+}
+
+/**
+ * diffWords(oldText, newText) -> { chunks, inserted, deleted } (inserted/deleted count words, not whitespace)
+ */
+function diffWords(oldText, newText) {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+
+  // common prefix / suffix do not need the O(ND) search
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const middle = myers(midA, midB, MAX_EDITS) ||
+    midA.map(token => ({ op: 'delete', token })).concat(midB.map(token => ({ op: 'insert', token })));
+  const ops = []
+    .concat(a.slice(0, start).map(token => ({ op: 'equal', token })))
+    .concat(middle)
+    .concat(a.slice(endA).map(token => ({ op: 'equal', token })));
+
+  const chunks = [];
+  let inserted = 0;
+  let deleted = 0;
+  ops.forEach(({ op, token }) => {
+    const isWord = /\S/.test(token);
+    if (op === 'insert' && isWord) inserted++;
+    if (op === 'delete' && isWord) deleted++;
+    const last = chunks[chunks.length - 1];
+    if (last && last.op === op) last.text += token;
+    else chunks.push({ op, text: token });
+  });
+  return { chunks, inserted, deleted };
+}
+
+module.exports = {
+  tokenize,
+  diffWords
+};